@@ -8,8 +8,13 @@ import WorkRegistration from './components/WorkRegistration';
 import WorksList from './components/WorksList';
 import WorkVerification from './components/WorkVerification';
 import DisputeManagement from './components/DisputeManagement';
-import { getContract, CONTRACT_ADDRESS, NETWORK } from './utils/contract';
-import { initializeFHE, isFHEInitialized } from './utils/fhe';
+import CertificateVerification from './components/CertificateVerification';
+import WorkSearch from './components/WorkSearch';
+import WorkDetail from './components/WorkDetail';
+import Refunds from './components/Refunds';
+import { useFhevm } from '@fhevm/sdk/hooks';
+import { getContract } from './utils/contract';
+import { splitRoute, useHashRoute } from './hooks/useHashRoute';
 import './App.css';
 
 function App() {
@@ -19,7 +24,9 @@ function App() {
   const [contract, setContract] = useState(null);
   const [isAuthor, setIsAuthor] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [fheReady, setFheReady] = useState(false);
+  const { status: fheStatus, error: fheError } = useFhevm();
+  const { path, query } = splitRoute(useHashRoute());
+  const workRoute = path.match(/^\/works\/(\d+)$/);
 
   // Connect wallet
   const connectWallet = async () => {
@@ -49,23 +56,6 @@ function App() {
       const contractInstance = await getContract(web3Signer);
       setContract(contractInstance);
 
-      // Initialize FHE
-      if (!isFHEInitialized()) {
-        toast.loading('Initializing FHE encryption...', { id: 'fhe-init' });
-        try {
-          await initializeFHE(NETWORK, CONTRACT_ADDRESS);
-          setFheReady(true);
-          toast.success('FHE encryption ready', { id: 'fhe-init' });
-        } catch (fheError) {
-          console.error('FHE initialization failed:', fheError);
-          toast.error('FHE initialization failed', { id: 'fhe-init' });
-          // Continue anyway - FHE will be retried on first use
-          setFheReady(false);
-        }
-      } else {
-        setFheReady(true);
-      }
-
       // Check if user is registered author
       const registered = await contractInstance.isRegisteredAuthor(address);
       setIsAuthor(registered);
@@ -89,6 +79,18 @@ function App() {
     toast.success('Wallet disconnected');
   };
 
+  // Report the shared FHE client's status (created by FhevmProvider in main.jsx)
+  useEffect(() => {
+    if (fheError) {
+      console.error('FHE initialization failed:', fheError);
+      toast.error('FHE initialization failed', { id: 'fhe-init' });
+    } else if (fheStatus === 'loading') {
+      toast.loading('Initializing FHE encryption...', { id: 'fhe-init' });
+    } else if (fheStatus === 'ready') {
+      toast.success('FHE encryption ready', { id: 'fhe-init' });
+    }
+  }, [fheStatus, fheError]);
+
   // Listen for account changes
   useEffect(() => {
     if (window.ethereum) {
@@ -126,11 +128,20 @@ function App() {
       <Header
         account={account}
         isAuthor={isAuthor}
+        route={path}
         onDisconnect={disconnectWallet}
       />
 
       <main className="container">
-        {!account ? (
+        {path === '/verify-certificate' ? (
+          <CertificateVerification provider={provider} />
+        ) : path === '/search' ? (
+          <WorkSearch query={query} />
+        ) : workRoute ? (
+          <WorkDetail workId={workRoute[1]} provider={provider} />
+        ) : path === '/refunds' && contract ? (
+          <Refunds contract={contract} account={account} />
+        ) : !account ? (
           <div className="welcome-section">
             <h1>Anonymous Copyright Protection</h1>
             <p>Protect your creative works with FHE encryption</p>
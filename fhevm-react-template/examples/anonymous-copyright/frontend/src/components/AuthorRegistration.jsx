@@ -1,11 +1,18 @@
 import React, { useState } from 'react';
 import { toast } from 'react-hot-toast';
+import { useFhevmTransaction } from '@fhevm/sdk/hooks';
 import { encryptAuthorId } from '../utils/fhe';
+import { CONTRACT_VERSION } from '../utils/contract';
+import { useTransactionToast } from '../hooks/useTransactionToast';
 import './AuthorRegistration.css';
 
 function AuthorRegistration({ contract, account, onRegistered }) {
   const [authorId, setAuthorId] = useState('');
-  const [loading, setLoading] = useState(false);
+  const transaction = useFhevmTransaction({ contract });
+  const loading = transaction.isBusy;
+  useTransactionToast(transaction, 'register', {
+    encrypting: 'Encrypting author ID with FHE...'
+  });
 
   const handleRegister = async (e) => {
     e.preventDefault();
@@ -15,35 +22,23 @@ function AuthorRegistration({ contract, account, onRegistered }) {
       return;
     }
 
-    try {
-      setLoading(true);
-      toast.loading('Encrypting author ID with FHE...', { id: 'register' });
+    // Encrypt author ID with the FHEVM SDK and register; V2 encrypts it on-chain
+    const result = await transaction.send(
+      CONTRACT_VERSION === 'v2'
+        ? { submit: () => contract.registerAuthor(BigInt(authorId)) }
+        : {
+            encrypt: (client) => encryptAuthorId(client, authorId),
+            submit: (encrypted) => contract.registerAuthor(encrypted.handles[0], encrypted.inputProof)
+          }
+    );
 
-      // Encrypt author ID using FHEVM SDK
-      const encrypted = await encryptAuthorId(authorId);
-
-      toast.loading('Registering as author...', { id: 'register' });
-
-      // Register author with encrypted ID
-      // The encrypted value contains handles array and inputProof
-      const tx = await contract.registerAuthor(
-        encrypted.handles[0],
-        encrypted.inputProof
-      );
-
-      toast.loading('Waiting for confirmation...', { id: 'register' });
-      await tx.wait();
-
-      toast.success('Registered as author successfully!', { id: 'register' });
-      setAuthorId('');
-      onRegistered();
-    } catch (error) {
-      console.error('Registration failed:', error);
-      const message = error.reason || error.message || 'Registration failed';
-      toast.error(message, { id: 'register' });
-    } finally {
-      setLoading(false);
+    if (!result) {
+      return;
     }
+
+    toast.success('Registered as author successfully!', { id: 'register' });
+    setAuthorId('');
+    onRegistered();
   };
 
   return (
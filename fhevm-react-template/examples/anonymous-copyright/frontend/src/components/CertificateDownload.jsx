@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  certificateFileName,
+  certificateToJson,
+  certificateToPdf,
+  downloadFile,
+  saveCertificate,
+  signCertificate
+} from '../utils/certificate';
+import './CertificateDownload.css';
+
+/**
+ * PDF and JSON export of a registration certificate
+ *
+ * The registrant's wallet signs the certificate on the first download; the
+ * signed certificate is kept in the browser for later downloads.
+ */
+function CertificateDownload({ record, signer }) {
+  const [signed, setSigned] = useState(record.signature ? record : null);
+  const [signing, setSigning] = useState(false);
+
+  useEffect(() => {
+    setSigned(record.signature ? record : null);
+  }, [record]);
+
+  const ensureSigned = async () => {
+    if (signed) {
+      return signed;
+    }
+
+    const address = await signer.getAddress();
+    if (address.toLowerCase() !== record.certificate.registrant.toLowerCase()) {
+      throw new Error('Switch to the registrant account to sign the certificate');
+    }
+
+    setSigning(true);
+
+    try {
+      const result = await signCertificate(record.certificate, signer);
+      saveCertificate(result);
+      setSigned(result);
+      return result;
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  const download = async (format) => {
+    try {
+      const result = await ensureSigned();
+      const name = certificateFileName(result.certificate);
+
+      if (format === 'pdf') {
+        downloadFile(`${name}.pdf`, certificateToPdf(result), 'application/pdf');
+      } else {
+        downloadFile(`${name}.json`, certificateToJson(result), 'application/json');
+      }
+    } catch (error) {
+      console.error('Failed to export certificate:', error);
+      toast.error(error.code === 'ACTION_REJECTED' ? 'Signature rejected' : error.message);
+    }
+  };
+
+  return (
+    <div className="certificate-download">
+      <div className="certificate-actions">
+        <button type="button" onClick={() => download('pdf')} disabled={signing} className="btn btn-secondary btn-sm">
+          📜 Certificate (PDF)
+        </button>
+        <button type="button" onClick={() => download('json')} disabled={signing} className="btn btn-secondary btn-sm">
+          Signed JSON
+        </button>
+      </div>
+      {!signed && (
+        <small className="form-help">
+          {signing ? 'Sign the certificate in your wallet...' : 'Your wallet signs the certificate on the first download'}
+        </small>
+      )}
+    </div>
+  );
+}
+
+export default CertificateDownload;
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { toast } from 'react-hot-toast';
+import { checkCertificate, matchFingerprint, parseSignedCertificate } from '../utils/certificate';
+import { getNetworkConfig } from '../utils/contract';
+import { FINGERPRINT_ACCEPT, fingerprintFile, formatDigest } from '../utils/fingerprint';
+import './CertificateVerification.css';
+
+const formatDate = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+/**
+ * Re-check a signed registration certificate against the chain
+ *
+ * Works without a connected wallet by reading through the configured
+ * network's RPC endpoint.
+ */
+function CertificateVerification({ provider }) {
+  const readProvider = useMemo(
+    () => provider || new ethers.JsonRpcProvider(getNetworkConfig().rpcUrl),
+    [provider]
+  );
+  const [signed, setSigned] = useState(null);
+  const [checks, setChecks] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [fileMatch, setFileMatch] = useState(null);
+
+  const runChecks = async (certificate) => {
+    setChecking(true);
+    setChecks([]);
+
+    try {
+      setChecks(await checkCertificate(certificate, readProvider));
+    } catch (error) {
+      console.error('Failed to check certificate:', error);
+      toast.error('Could not reach the network: ' + (error.shortMessage || error.message));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleCertificate = async (file) => {
+    if (!file) {
+      return;
+    }
+
+    try {
+      const certificate = parseSignedCertificate(await file.text());
+      setSigned(certificate);
+      setFileMatch(null);
+      runChecks(certificate);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleWorkFile = async (file) => {
+    if (!file) {
+      return;
+    }
+
+    const expected = signed.certificate.fingerprint;
+
+    try {
+      const actual = await fingerprintFile(file, expected.method);
+      setFileMatch({ fileName: file.name, ...matchFingerprint(expected, actual) });
+    } catch (error) {
+      toast.error('Could not read the file: ' + error.message);
+    }
+  };
+
+  const certificate = signed?.certificate;
+  const passed = checks.length > 0 && checks.every((check) => check.ok);
+
+  return (
+    <div className="certificate-verification card">
+      <h2>Verify a Certificate</h2>
+      <p className="form-help">
+        Load a signed certificate (JSON) to re-check it against the contract&apos;s work record and
+        the registration transaction.
+      </p>
+
+      <div className="form-group">
+        <label htmlFor="certificateFile">Certificate (JSON) *</label>
+        <input
+          type="file"
+          id="certificateFile"
+          accept="application/json,.json"
+          onChange={(e) => {
+            handleCertificate(e.target.files[0]);
+            e.target.value = '';
+          }}
+          className="form-control"
+        />
+      </div>
+
+      {certificate && (
+        <>
+          <dl className="certificate-summary">
+            <dt>Work</dt>
+            <dd>
+              #{certificate.workId} · {certificate.title} · {certificate.category}
+            </dd>
+            <dt>Registrant</dt>
+            <dd><code>{certificate.registrant}</code></dd>
+            <dt>Registered</dt>
+            <dd>
+              {formatDate(certificate.timestamp)} · block {certificate.blockNumber}
+            </dd>
+            <dt>Transaction</dt>
+            <dd><code>{certificate.transactionHash}</code></dd>
+            <dt>Contract</dt>
+            <dd>
+              <code>{certificate.contractAddress}</code> · chain {certificate.chainId}
+            </dd>
+            <dt>{certificate.fingerprint.algorithm}</dt>
+            <dd><code>{formatDigest(certificate.fingerprint.digest)}</code></dd>
+          </dl>
+
+          <ul className="certificate-checks">
+            {checking && <li className="check-pending">Checking against the chain...</li>}
+            {checks.map((check) => (
+              <li key={check.id} className={check.ok ? 'check-ok' : 'check-failed'}>
+                <strong>{check.ok ? '✓' : '✗'} {check.label}</strong>
+                <span>{check.detail}</span>
+              </li>
+            ))}
+          </ul>
+
+          {!checking && checks.length > 0 && (
+            <div className={passed ? 'info-box' : 'warning-box'}>
+              {passed
+                ? 'The certificate matches the on-chain registration.'
+                : 'The certificate does not match the chain. Do not rely on it.'}
+              {' '}
+              <button type="button" onClick={() => runChecks(signed)} className="link-button">
+                Check again
+              </button>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="certificateWorkFile">Work file (optional)</label>
+            <input
+              type="file"
+              id="certificateWorkFile"
+              accept={FINGERPRINT_ACCEPT}
+              onChange={(e) => {
+                handleWorkFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+              className="form-control"
+            />
+            <small className="form-help">
+              Compares the file with the fingerprint in the certificate; it never leaves your browser
+            </small>
+          </div>
+
+          {fileMatch && (
+            <div className={fileMatch.ok ? 'info-box' : 'warning-box'}>
+              <strong>{fileMatch.ok ? '✓' : '✗'} {fileMatch.fileName}</strong>: {fileMatch.detail}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CertificateVerification;
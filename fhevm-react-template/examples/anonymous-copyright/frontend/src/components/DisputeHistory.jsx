@@ -0,0 +1,93 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { DEPLOY_BLOCK } from '../utils/contract';
+import { loadAuthorDisputes, summarizeDisputes } from '../utils/disputes';
+import DisputeStatus from './DisputeStatus';
+
+/**
+ * Disputes the connected author filed or had filed against their works
+ */
+function DisputeHistory({ contract, account, timeout }) {
+  const [disputes, setDisputes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadDisputes = useCallback(async () => {
+    try {
+      setLoading(true);
+      setDisputes(await loadAuthorDisputes(contract, account, DEPLOY_BLOCK));
+      setError(null);
+    } catch (loadError) {
+      console.error('Failed to load disputes:', loadError);
+      setError(loadError);
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, account]);
+
+  useEffect(() => {
+    loadDisputes();
+  }, [loadDisputes]);
+
+  // Reload when a dispute is filed
+  useEffect(() => {
+    window.addEventListener('workRegistered', loadDisputes);
+    return () => {
+      window.removeEventListener('workRegistered', loadDisputes);
+    };
+  }, [loadDisputes]);
+
+  const updateDispute = useCallback((updated) => {
+    setDisputes((current) =>
+      current.map((dispute) =>
+        dispute.workId === updated.workId && dispute.disputeId === updated.disputeId ? updated : dispute
+      )
+    );
+  }, []);
+
+  if (loading && disputes.length === 0) {
+    return <div className="loading">Loading disputes...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="warning-box">
+        Could not load your disputes ({error.shortMessage || error.message}). If your RPC endpoint limits log
+        queries, set <code>VITE_CONTRACT_DEPLOY_BLOCK</code> to the contract&apos;s deployment block.
+      </div>
+    );
+  }
+
+  const summary = summarizeDisputes(disputes, account);
+
+  return (
+    <div className="dispute-history">
+      <h4>My Disputes</h4>
+
+      {disputes.length === 0 ? (
+        <p className="dispute-empty">You have not filed or received any disputes yet.</p>
+      ) : (
+        <>
+          <div className="dispute-summary">
+            <span>{summary.total} total</span>
+            <span>{summary.open} open</span>
+            <span>{summary.won} won</span>
+            <span>{summary.lost} lost</span>
+          </div>
+
+          {disputes.map((dispute) => (
+            <DisputeStatus
+              key={`${dispute.workId}-${dispute.disputeId}`}
+              contract={contract}
+              account={account}
+              dispute={dispute}
+              timeout={timeout}
+              onUpdate={updateDispute}
+            />
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DisputeHistory;
@@ -1,67 +1,119 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
 import { toast } from 'react-hot-toast';
-import { encryptContentHash } from '../utils/fhe';
+import { useFhevmTransaction } from '@fhevm/sdk/hooks';
+import { CONTRACT_VERSION } from '../utils/contract';
+import { loadDisputeConfig } from '../utils/disputes';
+import { useTransactionToast } from '../hooks/useTransactionToast';
+import { useWorkCategory } from '../hooks/useWorkCategory';
+import DisputeHistory from './DisputeHistory';
+import FingerprintInput from './FingerprintInput';
 import './DisputeManagement.css';
 
+const isV2 = CONTRACT_VERSION === 'v2';
+
+/**
+ * File disputes and, on AnonymousCopyrightV2, follow them to their resolution
+ */
 function DisputeManagement({ contract, account }) {
   const [workId, setWorkId] = useState('');
-  const [challengerHash, setChallengerHash] = useState('');
-  const [loading, setLoading] = useState(false);
+  const [fingerprint, setFingerprint] = useState(null);
+  const [config, setConfig] = useState(null);
+  const category = useWorkCategory(contract, workId);
+  const transaction = useFhevmTransaction({ contract });
+  const loading = transaction.isBusy;
+  useTransactionToast(transaction, 'dispute');
+
+  // Deposit, limits and timeout of the V2 dispute workflow
+  useEffect(() => {
+    if (!isV2 || !contract) {
+      return;
+    }
+
+    loadDisputeConfig(contract)
+      .then(setConfig)
+      .catch((error) => {
+        console.error('Failed to load dispute settings:', error);
+        toast.error('Failed to load dispute settings');
+      });
+  }, [contract]);
+
+  // The contract's own checks, before the deposit is sent
+  const checkDisputable = async (id) => {
+    if (config.paused) {
+      return 'The contract is paused';
+    }
+
+    const info = await contract.getWorkInfo(id);
+
+    if (info.registrant.toLowerCase() === account.toLowerCase()) {
+      return 'You cannot dispute your own work';
+    }
+
+    if (Number(info.disputeCount) >= config.maxPerWork) {
+      return `Work #${id} already has the maximum of ${config.maxPerWork} disputes`;
+    }
+
+    return null;
+  };
 
   const handleFileDispute = async (e) => {
     e.preventDefault();
 
-    if (!workId || !challengerHash) {
+    if (!workId || !fingerprint) {
       toast.error('Please fill in all fields');
       return;
     }
 
-    if (isNaN(workId) || isNaN(challengerHash)) {
+    if (isNaN(workId) || isNaN(fingerprint.contentHash)) {
       toast.error('Work ID and content hash must be numbers');
       return;
     }
 
-    try {
-      setLoading(true);
-      toast.loading('Encrypting proof with FHE...', { id: 'dispute' });
-
-      // Encrypt challenger's content hash using FHEVM SDK
-      const encrypted = await encryptContentHash(challengerHash);
-
-      toast.loading('Filing dispute...', { id: 'dispute' });
-
-      // File dispute with encrypted proof
-      const tx = await contract.fileDispute(
-        parseInt(workId),
-        encrypted.handles[0],
-        encrypted.inputProof
-      );
-
-      toast.loading('Waiting for confirmation...', { id: 'dispute' });
-      const receipt = await tx.wait();
+    let result;
+
+    if (isV2) {
+      let problem;
+
+      try {
+        problem = await checkDisputable(parseInt(workId));
+      } catch (error) {
+        problem = `Work #${workId} not found`;
+      }
+
+      if (problem) {
+        toast.error(problem);
+        return;
+      }
+
+      // V2 encrypts the content hash on-chain and holds the deposit until the dispute is resolved
+      result = await transaction.send({
+        submit: () =>
+          contract.fileDispute(parseInt(workId), parseInt(fingerprint.contentHash), { value: config.deposit })
+      });
+    } else {
+      // V1 takes the content hash as a plaintext uint32 and encrypts it on-chain
+      result = await transaction.send({
+        submit: () => contract.fileDispute(parseInt(workId), parseInt(fingerprint.contentHash))
+      });
+    }
 
-      // Extract dispute ID from event
-      const event = receipt.logs.find(
-        log => log.fragment && log.fragment.name === 'DisputeFiled'
-      );
+    if (!result) {
+      return;
+    }
 
-      const disputeId = event ? event.args.disputeId.toString() : 'N/A';
+    // Extract dispute ID from event
+    const event = result.events.find((e) => e.name === 'DisputeFiled');
+    const disputeId = event ? event.args.disputeId.toString() : 'N/A';
 
-      toast.success(`Dispute filed! ID: ${disputeId}`, { id: 'dispute' });
+    toast.success(`Dispute filed! ID: ${disputeId}`, { id: 'dispute' });
 
-      // Reset form
-      setWorkId('');
-      setChallengerHash('');
+    // Reset form
+    setWorkId('');
+    setFingerprint(null);
 
-      // Trigger refresh
-      window.dispatchEvent(new Event('workRegistered'));
-    } catch (error) {
-      console.error('Failed to file dispute:', error);
-      const message = error.reason || error.message || 'Failed to file dispute';
-      toast.error(message, { id: 'dispute' });
-    } finally {
-      setLoading(false);
-    }
+    // Trigger refresh
+    window.dispatchEvent(new Event('workRegistered'));
   };
 
   return (
@@ -81,38 +133,54 @@ function DisputeManagement({ contract, account }) {
           />
         </div>
 
-        <div className="form-group">
-          <label htmlFor="challengerHash">Your Content Hash *</label>
-          <input
-            type="number"
-            id="challengerHash"
-            value={challengerHash}
-            onChange={(e) => setChallengerHash(e.target.value)}
-            placeholder="Enter your content hash as proof"
-            disabled={loading}
-            className="form-control"
-            required
-          />
-          <small className="form-help">
-            This hash will be encrypted and used as proof
-          </small>
-        </div>
+        <FingerprintInput
+          id="challengerFile"
+          label="Your Original File"
+          fingerprint={fingerprint}
+          onChange={setFingerprint}
+          disabled={loading}
+          category={category}
+          allowManual
+        />
+
+        {isV2 && config && (
+          <p className="dispute-deposit">
+            Filing holds a deposit of <strong>{ethers.formatEther(config.deposit)} ETH</strong>. A work takes
+            at most {config.maxPerWork} disputes.
+          </p>
+        )}
 
         <button
           type="submit"
-          disabled={loading || !workId || !challengerHash}
+          disabled={loading || !workId || !fingerprint || (isV2 && !config)}
           className="btn btn-warning"
         >
           {loading ? 'Filing...' : 'File Dispute'}
         </button>
       </form>
 
+      {isV2 && config && <DisputeHistory contract={contract} account={account} timeout={config.timeout} />}
+
       <div className="warning-box">
         <h4>⚠️ Before Filing a Dispute</h4>
         <ul>
           <li>Ensure you have valid proof of ownership</li>
           <li>Disputes are permanent and visible on-chain</li>
           <li>False disputes may have consequences</li>
+          <li>The contract encrypts your content hash on-chain, so it is readable in the transaction</li>
+          {isV2 && config && (
+            <>
+              <li>
+                The Gateway compares both fingerprints once either party requests resolution. On a match the
+                earlier registration wins; otherwise the work&apos;s registrant does. The winner receives the
+                deposit.
+              </li>
+              <li>
+                Without an answer within {Math.round(config.timeout / 3600)} hours, you can claim your deposit
+                back
+              </li>
+            </>
+          )}
         </ul>
       </div>
     </div>
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { toast } from 'react-hot-toast';
+import { useFhevmTransaction } from '@fhevm/sdk/hooks';
+import { disputeExpiresAt, disputeStatus, formatCountdown, loadDispute } from '../utils/disputes';
+import { shortAddress } from '../utils/timeline';
+import { useTransactionToast } from '../hooks/useTransactionToast';
+
+// How often a dispute waiting for the Gateway is re-read
+const POLL_INTERVAL = 15000;
+
+const formatTime = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+const currentTime = () => Math.floor(Date.now() / 1000);
+
+/**
+ * One dispute of the author's history, from filing to the Gateway's verdict
+ *
+ * Offers the next step of the connected account: asking for resolution while
+ * the dispute is open, and claiming the deposit back once the Gateway's
+ * answer is overdue.
+ */
+function DisputeStatus({ contract, account, dispute, timeout, onUpdate }) {
+  const [now, setNow] = useState(currentTime);
+  const status = disputeStatus(dispute, timeout, now);
+  const expiresAt = disputeExpiresAt(dispute, timeout);
+  const isChallenger = dispute.challenger.toLowerCase() === account.toLowerCase();
+  const transaction = useFhevmTransaction({ contract });
+  const toastId = `dispute-${dispute.workId}-${dispute.disputeId}`;
+  useTransactionToast(transaction, toastId);
+
+  const waiting = status === 'resolving' || status === 'expired';
+
+  // Count down to the timeout
+  useEffect(() => {
+    if (status !== 'resolving') {
+      return undefined;
+    }
+
+    const timer = setInterval(() => setNow(currentTime()), 1000);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  // Pick up the Gateway's callback; it may still come after the timeout
+  useEffect(() => {
+    if (!waiting) {
+      return undefined;
+    }
+
+    const timer = setInterval(() => {
+      loadDispute(contract, dispute.workId, dispute.disputeId)
+        .then((record) => {
+          if (record.resolved) {
+            onUpdate({ ...dispute, ...record });
+          }
+        })
+        .catch((error) => console.error('Failed to refresh dispute:', error));
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [waiting, contract, dispute, onUpdate]);
+
+  const reload = async () => {
+    onUpdate({ ...dispute, ...(await loadDispute(contract, dispute.workId, dispute.disputeId)) });
+    setNow(currentTime());
+  };
+
+  const handleRequestResolution = async () => {
+    const result = await transaction.send({
+      submit: () => contract.requestDisputeResolution(dispute.workId, dispute.disputeId)
+    });
+
+    if (result) {
+      toast.success('Resolution requested. The Gateway will compare both fingerprints.', { id: toastId });
+      await reload();
+    }
+  };
+
+  const handleClaimTimeout = async () => {
+    const result = await transaction.send({
+      submit: () => contract.claimDisputeTimeout(dispute.workId, dispute.disputeId)
+    });
+
+    if (result) {
+      toast.success('Dispute deposit refunded', { id: toastId });
+      await reload();
+    }
+  };
+
+  const deposit = `${ethers.formatEther(dispute.deposit)} ETH`;
+  const party = (address) => {
+    if (address.toLowerCase() === account.toLowerCase()) {
+      return 'you';
+    }
+
+    return `${shortAddress(address)} (${address === dispute.challenger ? 'challenger' : 'registrant'})`;
+  };
+
+  let message;
+
+  if (status === 'open') {
+    message = 'Filed. Either party can ask the Gateway to compare both fingerprints.';
+  } else if (status === 'resolving') {
+    message = `Gateway decryption request ${dispute.requestId} pending since ${formatTime(dispute.requestedAt)}. ${
+      isChallenger ? 'You' : 'The challenger'
+    } can claim the deposit back in ${formatCountdown(expiresAt - now)}.`;
+  } else if (status === 'expired') {
+    message = `No answer from the Gateway since ${formatTime(dispute.requestedAt)}. ${
+      isChallenger ? 'You can' : 'The challenger can'
+    } claim the deposit back.`;
+  } else if (status === 'resolved') {
+    message = `Won by ${party(dispute.winner)} · ${deposit} prize credited to the winner's pending refunds`;
+  } else {
+    message = `Timed out · ${deposit} deposit returned to the challenger`;
+  }
+
+  const busy = transaction.isBusy;
+
+  return (
+    <div className={`dispute-status dispute-${status}`}>
+      <div className="request-info">
+        <span className="request-title">
+          Dispute #{dispute.disputeId} on <a href={`#/works/${dispute.workId}`}>work #{dispute.workId}</a>
+          {dispute.title && ` “${dispute.title}”`}
+        </span>
+        <span className="dispute-party">
+          {dispute.role === 'challenger'
+            ? `Filed by you on ${formatTime(dispute.timestamp)}`
+            : `Filed against your work by ${shortAddress(dispute.challenger)} on ${formatTime(dispute.timestamp)}`}
+          {' · '}
+          {deposit} deposit
+        </span>
+        <span className="request-status">{message}</span>
+      </div>
+
+      {status === 'open' && (
+        <button onClick={handleRequestResolution} disabled={busy} className="btn btn-primary btn-sm">
+          Request Resolution
+        </button>
+      )}
+
+      {status === 'expired' && isChallenger && (
+        <button onClick={handleClaimTimeout} disabled={busy} className="btn btn-warning btn-sm">
+          Claim Deposit
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default DisputeStatus;
@@ -0,0 +1,194 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  FINGERPRINT_ACCEPT,
+  FINGERPRINT_METHODS,
+  fingerprintFile,
+  formatDigest,
+  formatFileSize,
+  getDefaultMethod
+} from '../utils/fingerprint';
+import './FingerprintInput.css';
+
+/**
+ * File drop zone producing the content hash of a work
+ *
+ * `onChange` receives the fingerprint (see utils/fingerprint.js), or a
+ * `{ contentHash }` object when a numeric hash is typed in manual mode.
+ * The fingerprint method is preset from `category` and can be changed;
+ * changing it re-hashes the last file.
+ */
+function FingerprintInput({ id, label, fingerprint, onChange, disabled, category, allowManual = false }) {
+  const inputRef = useRef(null);
+  const fileRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [hashing, setHashing] = useState(false);
+  const [manual, setManual] = useState(false);
+  const [method, setMethod] = useState(() => getDefaultMethod(category));
+
+  useEffect(() => {
+    setMethod(getDefaultMethod(category));
+  }, [category]);
+
+  // Forget the file once the parent clears the fingerprint (e.g. after submitting)
+  useEffect(() => {
+    if (!fingerprint) {
+      fileRef.current = null;
+    }
+  }, [fingerprint]);
+
+  useEffect(() => {
+    if (fileRef.current) {
+      handleFile(fileRef.current);
+    }
+  }, [method]);
+
+  const handleFile = async (file) => {
+    if (!file) {
+      return;
+    }
+
+    fileRef.current = file;
+    setHashing(true);
+
+    try {
+      onChange(await fingerprintFile(file, method));
+    } catch (error) {
+      console.error('Failed to fingerprint file:', error);
+      toast.error('Could not read the file: ' + error.message);
+      onChange(null);
+    } finally {
+      setHashing(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+
+    if (!disabled) {
+      handleFile(e.dataTransfer.files[0]);
+    }
+  };
+
+  const copyDigest = async () => {
+    try {
+      await navigator.clipboard.writeText(fingerprint.digest);
+      toast.success('Fingerprint copied');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  const toggleManual = () => {
+    setManual(!manual);
+    onChange(null);
+  };
+
+  return (
+    <div className="form-group">
+      <label htmlFor={id}>{label} *</label>
+
+      {!manual && (
+        <select
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          disabled={disabled || hashing}
+          className="form-control fingerprint-method"
+          aria-label="Fingerprint method"
+        >
+          {Object.entries(FINGERPRINT_METHODS).map(([key, { label: methodLabel }]) => (
+            <option key={key} value={key}>
+              {methodLabel}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {manual ? (
+        <input
+          type="number"
+          id={id}
+          value={fingerprint?.contentHash ?? ''}
+          onChange={(e) => onChange(e.target.value ? { contentHash: e.target.value } : null)}
+          placeholder="Enter the numeric content hash"
+          disabled={disabled}
+          className="form-control"
+          required
+        />
+      ) : (
+        <div
+          className={`fingerprint-drop ${dragging ? 'dragging' : ''} ${disabled ? 'disabled' : ''}`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+          onClick={() => !disabled && inputRef.current?.click()}
+        >
+          <input
+            ref={inputRef}
+            type="file"
+            id={id}
+            accept={FINGERPRINT_ACCEPT}
+            onChange={(e) => {
+              handleFile(e.target.files[0]);
+              // Allow choosing the same file again after a reset
+              e.target.value = '';
+            }}
+            disabled={disabled}
+            hidden
+          />
+          {hashing ? (
+            <span>Computing fingerprint...</span>
+          ) : fingerprint?.digest ? (
+            <span>
+              📄 {fingerprint.fileName} · {fingerprint.kind} · {formatFileSize(fingerprint.fileSize)}
+            </span>
+          ) : (
+            <span>Drop your work here or click to choose a file (image, audio, text, PDF)</span>
+          )}
+        </div>
+      )}
+
+      {!manual && fingerprint?.digest && (
+        <div className="fingerprint-details">
+          <div className="fingerprint-row">
+            <span className="label">{fingerprint.algorithm}</span>
+            <code className="fingerprint-digest">{formatDigest(fingerprint.digest)}</code>
+            <button type="button" onClick={copyDigest} className="btn btn-secondary btn-sm">
+              Copy
+            </button>
+          </div>
+          {fingerprint.perceptualHash && (
+            <div className="fingerprint-row">
+              <span className="label">{FINGERPRINT_METHODS[fingerprint.method].label}</span>
+              <code className="fingerprint-digest">{formatDigest(fingerprint.perceptualHash)}</code>
+            </div>
+          )}
+          <div className="fingerprint-row">
+            <span className="label">Encrypted value</span>
+            <code>{fingerprint.contentHash}</code>
+          </div>
+        </div>
+      )}
+
+      <small className="form-help">
+        {manual
+          ? 'For works registered with a hand-typed hash'
+          : 'The file never leaves your browser; keep the fingerprint for your records'}
+        {allowManual && (
+          <>
+            {' · '}
+            <button type="button" onClick={toggleManual} className="link-button" disabled={disabled}>
+              {manual ? 'Use a file instead' : 'Enter a numeric hash instead'}
+            </button>
+          </>
+        )}
+      </small>
+    </div>
+  );
+}
+
+export default FingerprintInput;
@@ -1,7 +1,7 @@
 import React from 'react';
 import './Header.css';
 
-function Header({ account, isAuthor, onDisconnect }) {
+function Header({ account, isAuthor, route, onDisconnect }) {
   const formatAddress = (address) => {
     if (!address) return '';
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
@@ -15,6 +15,20 @@ function Header({ account, isAuthor, onDisconnect }) {
           {isAuthor && (
             <span className="author-badge">✓ Registered Author</span>
           )}
+          <nav className="header-nav">
+            <a href="#/" className={route === '/' ? 'active' : ''}>
+              Dashboard
+            </a>
+            <a href="#/search" className={route === '/search' || route.startsWith('/works/') ? 'active' : ''}>
+              Search
+            </a>
+            <a href="#/verify-certificate" className={route === '/verify-certificate' ? 'active' : ''}>
+              Verify Certificate
+            </a>
+            <a href="#/refunds" className={route === '/refunds' ? 'active' : ''}>
+              Refunds
+            </a>
+          </nav>
         </div>
 
         {account && (
@@ -0,0 +1,285 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { toast } from 'react-hot-toast';
+import { useFhevmTransaction } from '@fhevm/sdk/hooks';
+import { CONTRACT_VERSION, DEPLOY_BLOCK, getNetworkConfig } from '../utils/contract';
+import { formatCountdown } from '../utils/disputes';
+import { claimRefund, isClaimable, loadRefundableRequests } from '../utils/refunds';
+import { useTransactionToast } from '../hooks/useTransactionToast';
+import './Refunds.css';
+
+const formatTime = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+const currentTime = () => Math.floor(Date.now() / 1000);
+
+const CLAIM_LABELS = {
+  queued: 'Queued',
+  claiming: 'Claiming...',
+  claimed: 'Claimed',
+  failed: 'Claim failed'
+};
+
+const WITHDRAW_LABELS = {
+  signing: 'Confirm the withdrawal in your wallet...',
+  pending: 'Withdrawal sent, waiting for confirmation...',
+  failed: 'Withdrawal failed',
+  replaced: 'Withdrawal replaced'
+};
+
+const describeRequest = (request) =>
+  request.kind === 'dispute'
+    ? `Dispute #${request.disputeId} deposit`
+    : `Verification request #${request.requestId}`;
+
+/**
+ * Refunds page (`#/refunds`): the pending refund balance and every request
+ * of the connected account whose fee or deposit can still be claimed back
+ *
+ * Claims run one transaction at a time; a batch stops at the first claim
+ * that fails or is rejected.
+ */
+function Refunds({ contract, account }) {
+  const [requests, setRequests] = useState([]);
+  const [balance, setBalance] = useState(null);
+  const [claims, setClaims] = useState({});
+  const [withdrawal, setWithdrawal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(currentTime);
+  const claimTransaction = useFhevmTransaction({ contract });
+  const withdrawTransaction = useFhevmTransaction({ contract });
+  const { explorer } = getNetworkConfig();
+  useTransactionToast(claimTransaction, 'refund-claim', {
+    signing: 'Confirm the refund claim in your wallet...',
+    pending: 'Claiming refund...'
+  });
+  useTransactionToast(withdrawTransaction, 'refund-withdraw', {
+    signing: 'Confirm the withdrawal in your wallet...',
+    pending: 'Withdrawing refunds...'
+  });
+
+  const loadBalance = useCallback(async () => {
+    setBalance(await contract.pendingRefunds(account));
+  }, [contract, account]);
+
+  const loadRefunds = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [refundable] = await Promise.all([
+        loadRefundableRequests(contract, account, CONTRACT_VERSION, DEPLOY_BLOCK),
+        loadBalance()
+      ]);
+      setRequests(refundable);
+      setClaims({});
+      setError(null);
+    } catch (loadError) {
+      console.error('Failed to load refunds:', loadError);
+      setError(loadError);
+    } finally {
+      setLoading(false);
+      setNow(currentTime());
+    }
+  }, [contract, account, loadBalance]);
+
+  useEffect(() => {
+    loadRefunds();
+  }, [loadRefunds]);
+
+  const waiting = requests.some((request) => !isClaimable(request, now));
+
+  // Count down to the next eligible claim
+  useEffect(() => {
+    if (!waiting) {
+      return undefined;
+    }
+
+    const timer = setInterval(() => setNow(currentTime()), 1000);
+    return () => clearInterval(timer);
+  }, [waiting]);
+
+  const setClaim = (key, claim) => setClaims((current) => ({ ...current, [key]: claim }));
+
+  const claimable = requests.filter(
+    (request) => isClaimable(request, now) && claims[request.key]?.status !== 'claimed'
+  );
+  const busy = claimTransaction.isBusy || withdrawTransaction.isBusy;
+
+  const handleClaim = async (batch) => {
+    batch.forEach((request) => setClaim(request.key, { status: 'queued' }));
+    let claimed = 0;
+
+    for (const request of batch) {
+      setClaim(request.key, { status: 'claiming' });
+
+      const result = await claimTransaction.send({
+        submit: () => claimRefund(contract, CONTRACT_VERSION, request)
+      });
+
+      if (!result) {
+        setClaim(request.key, { status: 'failed' });
+        batch
+          .slice(batch.indexOf(request) + 1)
+          .forEach((skipped) => setClaim(skipped.key, { status: null }));
+        break;
+      }
+
+      claimed++;
+      setClaim(request.key, { status: 'claimed', hash: result.receipt.hash });
+    }
+
+    if (claimed > 0) {
+      toast.success(`${claimed} of ${batch.length} refund${batch.length === 1 ? '' : 's'} claimed`, {
+        id: 'refund-claim'
+      });
+      // V1 credits claimed fees to the pending balance
+      await loadBalance().catch((balanceError) => console.error('Failed to reload balance:', balanceError));
+    }
+  };
+
+  const handleWithdraw = async () => {
+    const amount = balance;
+    const result = await withdrawTransaction.send({
+      submit: () => contract.withdrawRefund()
+    });
+
+    if (!result) {
+      return;
+    }
+
+    setWithdrawal({ amount, hash: result.receipt.hash });
+    toast.success(`Withdrew ${ethers.formatEther(amount)} ETH`, { id: 'refund-withdraw' });
+    await loadBalance().catch((balanceError) => console.error('Failed to reload balance:', balanceError));
+  };
+
+  const txLink = (hash) =>
+    explorer ? (
+      <a href={`${explorer}/tx/${hash}`} target="_blank" rel="noopener noreferrer">
+        tx {hash.slice(0, 10)}…
+      </a>
+    ) : (
+      <code>{hash.slice(0, 10)}…</code>
+    );
+
+  if (loading && requests.length === 0 && balance === null) {
+    return (
+      <div className="refunds-page">
+        <div className="loading">Loading refunds...</div>
+      </div>
+    );
+  }
+
+  const withdrawStatus = WITHDRAW_LABELS[withdrawTransaction.status];
+
+  return (
+    <div className="refunds-page">
+      {error && (
+        <div className="warning-box">
+          Could not load your refunds ({error.shortMessage || error.message}). If your RPC endpoint limits log
+          queries, set <code>VITE_CONTRACT_DEPLOY_BLOCK</code> to the contract&apos;s deployment block.
+        </div>
+      )}
+
+      <div className="card refunds-balance">
+        <div>
+          <h3>Pending Refunds</h3>
+          <p className="refunds-amount">{balance === null ? '–' : `${ethers.formatEther(balance)} ETH`}</p>
+          {withdrawStatus ? (
+            <p className={`refunds-note ${withdrawTransaction.status === 'failed' ? 'error' : ''}`}>{withdrawStatus}</p>
+          ) : (
+            withdrawal && (
+              <p className="refunds-note">
+                Withdrew {ethers.formatEther(withdrawal.amount)} ETH · {txLink(withdrawal.hash)}
+              </p>
+            )
+          )}
+        </div>
+        <button
+          onClick={handleWithdraw}
+          disabled={busy || !balance}
+          className="btn btn-primary"
+        >
+          {withdrawTransaction.isBusy ? 'Withdrawing...' : 'Withdraw'}
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="refunds-header">
+          <h3>Refundable Requests</h3>
+          <div className="refunds-actions">
+            <button onClick={loadRefunds} disabled={busy || loading} className="btn btn-secondary btn-sm">
+              {loading ? 'Refreshing...' : 'Refresh'}
+            </button>
+            <button
+              onClick={() => handleClaim(claimable)}
+              disabled={busy || claimable.length === 0}
+              className="btn btn-warning btn-sm"
+            >
+              Claim All ({claimable.length})
+            </button>
+          </div>
+        </div>
+
+        {requests.length === 0 ? (
+          <p className="refunds-note">Nothing to claim. Requests the Gateway has not answered in time appear here.</p>
+        ) : (
+          <ul className="refunds-list">
+            {requests.map((request) => {
+              const claim = claims[request.key] || {};
+              const ready = isClaimable(request, now);
+
+              return (
+                <li key={request.key} className={`refund-request ${claim.status ? `refund-${claim.status}` : ''}`}>
+                  <div className="request-info">
+                    <span className="request-title">
+                      {describeRequest(request)} · <a href={`#/works/${request.workId}`}>work #{request.workId}</a>
+                    </span>
+                    <span className="request-status">
+                      {request.amount === null ? 'Verification fee' : `${ethers.formatEther(request.amount)} ETH`}
+                      {' · '}
+                      {ready
+                        ? `claimable since ${formatTime(request.expiresAt)}`
+                        : `claimable in ${formatCountdown(request.expiresAt - now)} (${formatTime(request.expiresAt)})`}
+                    </span>
+                    {claim.status && (
+                      <span className="refund-claim-status">
+                        {CLAIM_LABELS[claim.status]}
+                        {claim.hash && <> · {txLink(claim.hash)}</>}
+                      </span>
+                    )}
+                  </div>
+
+                  {ready && claim.status !== 'claimed' && (
+                    <button
+                      onClick={() => handleClaim([request])}
+                      disabled={busy}
+                      className="btn btn-warning btn-sm"
+                    >
+                      Claim
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      <div className="info-box">
+        <h4>Where Refunds Go</h4>
+        {CONTRACT_VERSION === 'v2' ? (
+          <p>
+            Timeout claims pay the verification or dispute deposit straight back to your wallet. Deposits of
+            answered verifications and dispute prizes are credited to your pending refunds; withdraw them above.
+          </p>
+        ) : (
+          <p>
+            A claimed verification fee is credited to your pending refunds. Withdraw the balance above to
+            receive it.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Refunds;
@@ -0,0 +1,91 @@
+import React, { useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { useDecryptionRequest } from '@fhevm/sdk/hooks';
+import { verificationRequestStorage } from '../utils/fhe';
+import { useTransactionToast } from '../hooks/useTransactionToast';
+
+const formatTime = (seconds) => new Date(seconds * 1000).toLocaleTimeString();
+
+/**
+ * Follow one verification request until the Gateway answers or the refund is claimed
+ */
+function VerificationRequestStatus({ contract, requestId, fromBlock, onDismiss }) {
+  const request = useDecryptionRequest(requestId, {
+    contract,
+    storage: verificationRequestStorage,
+    fromBlock
+  });
+  const { status, result, expiresAt, canClaim, error } = request;
+  const toastId = `refund-${requestId}`;
+  useTransactionToast(request.refund, toastId, {
+    signing: 'Confirm the refund claim in your wallet...',
+    pending: 'Claiming verification refund...'
+  });
+
+  useEffect(() => {
+    if (status === 'fulfilled' && result?.args.isMatch) {
+      // Trigger refresh of the verified badge
+      window.dispatchEvent(new Event('workRegistered'));
+    }
+  }, [status, result]);
+
+  const handleClaim = async () => {
+    const claimed = await request.claim();
+
+    if (claimed) {
+      toast.success('Verification fee credited to your pending refunds', { id: toastId });
+    }
+  };
+
+  let message;
+
+  if (error) {
+    message = error.message;
+  } else if (status === 'loading') {
+    message = 'Loading request...';
+  } else if (status === 'pending') {
+    message = `Waiting for the Gateway. Refund available after ${formatTime(expiresAt)}`;
+  } else if (status === 'expired') {
+    message = 'No answer from the Gateway. You can claim your fee back.';
+  } else if (status === 'fulfilled') {
+    message = result ? (result.args.isMatch ? '✓ Content matches' : '✗ Content does not match') : '✓ Processed';
+  } else if (status === 'claimed') {
+    message = 'Refund claimed';
+  }
+
+  const done = status === 'fulfilled' || status === 'claimed';
+
+  return (
+    <div className="verification-request">
+      <div className="request-info">
+        <span className="request-title">
+          Request #{requestId}
+          {request.request && ` · Work #${request.request.workId}`}
+        </span>
+        <span
+          className={`request-status ${error ? 'error' : ''} ${result?.args.isMatch ? 'match' : ''}`}
+        >
+          {message}
+        </span>
+      </div>
+
+      {canClaim && (
+        <button
+          onClick={handleClaim}
+          disabled={request.refund.status === 'signing' || request.refund.status === 'pending'}
+          className="btn btn-warning btn-sm"
+        >
+          Claim Refund
+        </button>
+      )}
+
+      {done && (
+        <button onClick={() => onDismiss(requestId)} className="btn btn-secondary btn-sm">
+          Dismiss
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default VerificationRequestStatus;
@@ -0,0 +1,288 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { toast } from 'react-hot-toast';
+import { getContract, getNetworkConfig } from '../utils/contract';
+import { INDEXER_URL, getIndexedWork, getWorkEvents, searchHref, workShareUrl } from '../utils/indexer';
+import { setPageMetadata } from '../utils/metadata';
+import { buildTimeline, shortAddress } from '../utils/timeline';
+import './WorksList.css';
+import './WorkDetail.css';
+
+const formatDate = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+// The contract's record of a work and all of its disputes, or null for an unknown work
+const loadChainRecord = async (provider, workId) => {
+  const contract = getContract(provider);
+  let info;
+
+  try {
+    info = await contract.getWorkInfo(workId);
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      return null;
+    }
+
+    throw error;
+  }
+
+  const disputeCount = Number(await contract.getDisputeCount(workId));
+  const disputes = await Promise.all(
+    Array.from({ length: disputeCount }, async (_, disputeId) => {
+      const dispute = await contract.getDisputeInfo(workId, disputeId);
+
+      return {
+        disputeId,
+        challenger: dispute.challenger,
+        timestamp: Number(dispute.timestamp),
+        resolved: dispute.resolved,
+        winner: dispute.winner
+      };
+    })
+  );
+
+  return {
+    work: {
+      title: info.title,
+      category: info.category,
+      registrant: info.registrant,
+      verified: info.verified,
+      disputed: info.disputed,
+      timestamp: Number(info.timestamp)
+    },
+    disputes
+  };
+};
+
+// The indexer's record of a work and its events, or null when not indexed (yet)
+const loadIndexedRecord = async (workId) => {
+  const work = await getIndexedWork(workId);
+  return work && { work, events: await getWorkEvents(workId) };
+};
+
+/**
+ * Page of one registered work (`#/works/:id`) with its on-chain timeline
+ *
+ * The contract is read through the wallet, or the configured network's RPC
+ * endpoint without one; it is authoritative for the work's status and its
+ * disputes. The event indexer adds verification requests, callback results,
+ * refunds, timeout claims and the transaction of every entry.
+ */
+function WorkDetail({ workId, provider }) {
+  const readProvider = useMemo(
+    () => provider || new ethers.JsonRpcProvider(getNetworkConfig().rpcUrl),
+    [provider]
+  );
+  const [chain, setChain] = useState(null);
+  const [indexed, setIndexed] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { explorer } = getNetworkConfig();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+
+    Promise.allSettled([loadChainRecord(readProvider, workId), loadIndexedRecord(workId)]).then(
+      ([fromChain, fromIndexer]) => {
+        if (cancelled) {
+          return;
+        }
+
+        if (fromChain.status === 'rejected') {
+          console.error('Failed to read the work from the contract:', fromChain.reason);
+        }
+
+        if (fromIndexer.status === 'rejected') {
+          console.error('Failed to load the work from the indexer:', fromIndexer.reason);
+        }
+
+        setChain(fromChain);
+        setIndexed(fromIndexer);
+        setLoading(false);
+      }
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [workId, readProvider]);
+
+  const chainRecord = chain?.status === 'fulfilled' ? chain.value : null;
+  const indexedRecord = indexed?.status === 'fulfilled' ? indexed.value : null;
+
+  const work = useMemo(
+    () => (chainRecord || indexedRecord ? { ...indexedRecord?.work, ...chainRecord?.work } : null),
+    [chainRecord, indexedRecord]
+  );
+
+  const timeline = useMemo(
+    () =>
+      work
+        ? buildTimeline({ work, disputes: chainRecord?.disputes ?? [], events: indexedRecord?.events ?? [] })
+        : [],
+    [work, chainRecord, indexedRecord]
+  );
+
+  useEffect(() => {
+    if (!work) {
+      return undefined;
+    }
+
+    return setPageMetadata({
+      title: `${work.title} · Anonymous Copyright`,
+      description: `${work.category} · work #${workId} registered ${new Date(work.timestamp * 1000).toLocaleDateString()}`,
+      url: window.location.href
+    });
+  }, [work, workId]);
+
+  const handleShare = async () => {
+    // The indexer's share page gives link previews; the app URL is the fallback
+    const url = indexedRecord ? workShareUrl(workId) : window.location.href;
+
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link: ' + url);
+    }
+  };
+
+  const explorerLink = (path, label) =>
+    explorer ? (
+      <a href={`${explorer}/${path}`} target="_blank" rel="noopener noreferrer">
+        {label}
+      </a>
+    ) : (
+      label
+    );
+
+  if (loading) {
+    return (
+      <div className="work-detail-page">
+        <div className="loading">Loading work #{workId}...</div>
+      </div>
+    );
+  }
+
+  if (!work) {
+    const errors = [chain, indexed].filter((result) => result.status === 'rejected');
+
+    return (
+      <div className="work-detail-page">
+        {errors.length === 2 ? (
+          <div className="warning-box">
+            Could not load work #{workId}: neither the contract nor the event indexer at{' '}
+            <code>{INDEXER_URL}</code> answered ({errors[0].reason.shortMessage || errors[0].reason.message}).
+          </div>
+        ) : (
+          <div className="empty-state">
+            <p>📄 Work #{workId} not found</p>
+            <p>No work is registered under this ID.</p>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="work-detail-page">
+      <div className="work-detail-nav">
+        <a href="#/search" className="work-detail-back">
+          ← Search works
+        </a>
+        <button type="button" onClick={handleShare} className="btn btn-secondary btn-sm">
+          🔗 Copy share link
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="work-header">
+          <h3>{work.title}</h3>
+          <span className="work-id">#{workId}</span>
+        </div>
+
+        <div className="work-status">
+          <div className={`status-badge ${work.verified ? 'verified' : 'pending'}`}>
+            {work.verified ? '✓ Verified' : '⏳ Pending'}
+          </div>
+
+          {work.disputed && (
+            <div className="status-badge disputed">
+              ⚠️ Disputed
+            </div>
+          )}
+        </div>
+
+        <dl className="work-detail-fields">
+          <dt>Category</dt>
+          <dd>
+            {work.category ? <a href={searchHref({ category: work.category })}>{work.category}</a> : '–'}
+          </dd>
+          <dt>Registrant</dt>
+          <dd>
+            <a href={searchHref({ registrant: work.registrant })}>
+              <code>{work.registrant}</code>
+            </a>
+          </dd>
+          <dt>Registered</dt>
+          <dd>
+            {formatDate(work.timestamp)}
+            {work.blockNumber !== undefined && ` · block ${work.blockNumber}`}
+          </dd>
+          {work.transactionHash && (
+            <>
+              <dt>Transaction</dt>
+              <dd>{explorerLink(`tx/${work.transactionHash}`, <code>{work.transactionHash}</code>)}</dd>
+            </>
+          )}
+          <dt>Disputes</dt>
+          <dd>{chainRecord ? chainRecord.disputes.length : work.disputeCount}</dd>
+        </dl>
+      </div>
+
+      {chain.status === 'rejected' && (
+        <div className="warning-box">
+          Could not read the contract ({chain.reason.shortMessage || chain.reason.message}); showing the
+          indexer&apos;s copy, which may lag behind.
+        </div>
+      )}
+
+      {indexed.status === 'rejected' ? (
+        <div className="info-box">
+          Verification requests, refunds and transaction links come from the event indexer at{' '}
+          <code>{INDEXER_URL}</code>, which could not be reached.
+        </div>
+      ) : (
+        !indexedRecord && (
+          <div className="info-box">
+            The event indexer has not reached this work yet; the timeline shows the contract&apos;s records only.
+          </div>
+        )
+      )}
+
+      <div className="card">
+        <h3 className="work-detail-heading">Timeline</h3>
+        <ol className="work-timeline">
+          {timeline.map((entry) => (
+            <li key={entry.key} className={`timeline-entry timeline-${entry.kind}`}>
+              <time dateTime={new Date(entry.timestamp * 1000).toISOString()}>{formatDate(entry.timestamp)}</time>
+              <strong>{entry.title}</strong>
+              {entry.detail && <span>{entry.detail}</span>}
+              <span className="timeline-meta">
+                {entry.account && explorerLink(`address/${entry.account}`, <code>{shortAddress(entry.account)}</code>)}
+                {entry.transactionHash && (
+                  <>
+                    {entry.account && ' · '}
+                    {explorerLink(`tx/${entry.transactionHash}`, `tx ${entry.transactionHash.slice(0, 10)}…`)}
+                  </>
+                )}
+              </span>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
+
+export default WorkDetail;
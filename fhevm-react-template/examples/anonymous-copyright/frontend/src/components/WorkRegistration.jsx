@@ -1,15 +1,26 @@
 import React, { useState } from 'react';
 import { toast } from 'react-hot-toast';
+import { useFhevmTransaction } from '@fhevm/sdk/hooks';
 import { encryptContentHash } from '../utils/fhe';
+import { CONTRACT_VERSION } from '../utils/contract';
+import { createCertificate, saveCertificate } from '../utils/certificate';
+import { useTransactionToast } from '../hooks/useTransactionToast';
+import CertificateDownload from './CertificateDownload';
+import FingerprintInput from './FingerprintInput';
 import './WorkRegistration.css';
 
 function WorkRegistration({ contract, account }) {
   const [formData, setFormData] = useState({
-    contentHash: '',
     title: '',
     category: ''
   });
-  const [loading, setLoading] = useState(false);
+  const [fingerprint, setFingerprint] = useState(null);
+  const [certificate, setCertificate] = useState(null);
+  const transaction = useFhevmTransaction({ contract });
+  const loading = transaction.isBusy;
+  useTransactionToast(transaction, 'register-work', {
+    encrypting: 'Encrypting content hash with FHE...'
+  });
 
   const handleChange = (e) => {
     setFormData({
@@ -21,83 +32,91 @@ function WorkRegistration({ contract, account }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (!formData.contentHash || !formData.title || !formData.category) {
-      toast.error('Please fill in all fields');
+    if (!fingerprint || !formData.title || !formData.category) {
+      toast.error('Please choose your work file and fill in all fields');
       return;
     }
 
-    if (isNaN(formData.contentHash)) {
-      toast.error('Content hash must be a number');
+    // Encrypt the file's content hash with the FHEVM SDK, register, and wait for the receipt.
+    // V2 encrypts the hash on-chain and charges its registration fee.
+    const result = await transaction.send(
+      CONTRACT_VERSION === 'v2'
+        ? {
+            submit: async () =>
+              contract.registerWork(parseInt(fingerprint.contentHash), formData.title, formData.category, {
+                value: await contract.registrationFee()
+              })
+          }
+        : {
+            encrypt: (client) => encryptContentHash(client, fingerprint.contentHash),
+            submit: (encrypted) =>
+              contract.registerWork(
+                encrypted.handles[0],
+                encrypted.inputProof,
+                formData.title,
+                formData.category
+              )
+          }
+    );
+
+    if (!result) {
       return;
     }
 
-    try {
-      setLoading(true);
-      toast.loading('Encrypting content hash with FHE...', { id: 'register-work' });
-
-      // Encrypt content hash using FHEVM SDK
-      const encrypted = await encryptContentHash(formData.contentHash);
-
-      toast.loading('Registering work...', { id: 'register-work' });
-
-      // Register work with encrypted content hash
-      const tx = await contract.registerWork(
-        encrypted.handles[0],
-        encrypted.inputProof,
-        formData.title,
-        formData.category
-      );
-
-      toast.loading('Waiting for confirmation...', { id: 'register-work' });
-      const receipt = await tx.wait();
-
-      // Extract work ID from event
-      const event = receipt.logs.find(
-        log => log.fragment && log.fragment.name === 'WorkRegistered'
-      );
-
-      const workId = event ? event.args.workId.toString() : 'N/A';
-
-      toast.success(`Work registered! ID: ${workId}`, { id: 'register-work' });
-
-      // Reset form
-      setFormData({
-        contentHash: '',
-        title: '',
-        category: ''
-      });
-
-      // Trigger refresh of works list
-      window.dispatchEvent(new Event('workRegistered'));
-    } catch (error) {
-      console.error('Failed to register work:', error);
-      const message = error.reason || error.message || 'Registration failed';
-      toast.error(message, { id: 'register-work' });
-    } finally {
-      setLoading(false);
+    // Extract work ID from event
+    const event = result.events.find((e) => e.name === 'WorkRegistered');
+    const workId = event ? event.args.workId.toString() : 'N/A';
+
+    toast.success(`Work registered! ID: ${workId}`, { id: 'register-work' });
+
+    // Keep a certificate of the registration with the fingerprint, which never leaves the browser
+    if (event) {
+      try {
+        const { chainId } = await contract.runner.provider.getNetwork();
+        const record = {
+          certificate: createCertificate({
+            workId: event.args.workId,
+            transactionHash: result.receipt.hash,
+            blockNumber: result.receipt.blockNumber,
+            timestamp: event.args.timestamp,
+            contractAddress: await contract.getAddress(),
+            chainId,
+            title: formData.title,
+            category: formData.category,
+            registrant: event.args.registrant,
+            fingerprint
+          })
+        };
+
+        saveCertificate(record);
+        setCertificate(record);
+      } catch (error) {
+        console.error('Failed to create certificate:', error);
+      }
     }
+
+    // Reset form
+    setFormData({
+      title: '',
+      category: ''
+    });
+    setFingerprint(null);
+
+    // Trigger refresh of works list
+    window.dispatchEvent(new Event('workRegistered'));
   };
 
   return (
     <div className="work-registration">
       <form onSubmit={handleSubmit} className="form">
-        <div className="form-group">
-          <label htmlFor="contentHash">Content Hash *</label>
-          <input
-            type="number"
-            id="contentHash"
-            name="contentHash"
-            value={formData.contentHash}
-            onChange={handleChange}
-            placeholder="Enter content hash (e.g., 987654321)"
-            disabled={loading}
-            className="form-control"
-            required
-          />
-          <small className="form-help">
-            Unique hash of your work (will be encrypted)
-          </small>
-        </div>
+        <FingerprintInput
+          id="contentFile"
+          label="Work File"
+          fingerprint={fingerprint}
+          onChange={setFingerprint}
+          disabled={loading}
+          category={formData.category}
+        />
 
         <div className="form-group">
           <label htmlFor="title">Title *</label>
@@ -145,6 +164,16 @@ function WorkRegistration({ contract, account }) {
           {loading ? 'Registering...' : 'Register Work'}
         </button>
       </form>
+
+      {certificate && (
+        <div className="info-box certificate-box">
+          <p>
+            Work #{certificate.certificate.workId} is registered. Download its certificate and keep
+            it with the file.
+          </p>
+          <CertificateDownload record={certificate} signer={contract.runner} />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,294 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { INDEXER_URL, SEARCH_PAGE_SIZE, parseSearch, searchHref, searchWorks } from '../utils/indexer';
+import './WorksList.css';
+import './WorkSearch.css';
+
+const formatDate = (seconds) => new Date(seconds * 1000).toLocaleDateString();
+
+const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Search across all registered works through the event indexer
+ *
+ * The search lives in the URL (`#/search?q=...&page=2`), so every result page
+ * can be bookmarked and shared. Results link to `#/works/:id`.
+ */
+function WorkSearch({ query }) {
+  const search = useMemo(() => parseSearch(new URLSearchParams(query)), [query]);
+  const [draft, setDraft] = useState(search);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setDraft(search);
+    setLoading(true);
+    setError(null);
+
+    searchWorks(search)
+      .then((page) => {
+        if (!cancelled) {
+          setResult(page);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          console.error('Search failed:', err);
+          setError(err);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [search]);
+
+  const apply = (changes) => {
+    window.location.hash = searchHref({ ...draft, ...changes, page: 1 });
+  };
+
+  const handleChange = (e) => {
+    setDraft({ ...draft, [e.target.name]: e.target.value });
+  };
+
+  // Selects and dates search right away; text fields on submit
+  const handleFilter = (e) => {
+    apply({ [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    apply({});
+  };
+
+  const facets = result?.facets;
+  const categories = facets?.category ?? [];
+  const pageCount = result ? Math.max(1, Math.ceil(result.total / SEARCH_PAGE_SIZE)) : 1;
+  const first = (search.page - 1) * SEARCH_PAGE_SIZE + 1;
+
+  return (
+    <div className="work-search">
+      <form onSubmit={handleSubmit} className="card search-form">
+        <div className="search-bar">
+          <input
+            type="search"
+            name="q"
+            value={draft.q}
+            onChange={handleChange}
+            placeholder="Search titles and categories"
+            className="form-control"
+            aria-label="Search titles and categories"
+          />
+          <button type="submit" className="btn btn-primary">
+            Search
+          </button>
+        </div>
+
+        <div className="search-filters">
+          <div className="form-group">
+            <label htmlFor="searchCategory">Category</label>
+            <select
+              id="searchCategory"
+              name="category"
+              value={draft.category}
+              onChange={handleFilter}
+              className="form-control"
+            >
+              <option value="">Any category</option>
+              {search.category && !categories.some((facet) => facet.value === search.category) && (
+                <option value={search.category}>{search.category} (0)</option>
+              )}
+              {categories.map((facet) => (
+                <option key={facet.value} value={facet.value}>
+                  {facet.value} ({facet.count})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="searchVerified">Verification</label>
+            <select
+              id="searchVerified"
+              name="verified"
+              value={draft.verified}
+              onChange={handleFilter}
+              className="form-control"
+            >
+              <option value="">Any</option>
+              <option value="true">Verified{facets && ` (${facets.verified.true})`}</option>
+              <option value="false">Not verified{facets && ` (${facets.verified.false})`}</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="searchDisputed">Disputes</label>
+            <select
+              id="searchDisputed"
+              name="disputed"
+              value={draft.disputed}
+              onChange={handleFilter}
+              className="form-control"
+            >
+              <option value="">Any</option>
+              <option value="true">Disputed{facets && ` (${facets.disputed.true})`}</option>
+              <option value="false">Undisputed{facets && ` (${facets.disputed.false})`}</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="searchFrom">Registered from</label>
+            <input
+              type="date"
+              id="searchFrom"
+              name="from"
+              value={draft.from}
+              max={draft.to || undefined}
+              onChange={handleFilter}
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="searchTo">Registered until</label>
+            <input
+              type="date"
+              id="searchTo"
+              name="to"
+              value={draft.to}
+              min={draft.from || undefined}
+              onChange={handleFilter}
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="searchRegistrant">Registrant</label>
+            <input
+              type="text"
+              id="searchRegistrant"
+              name="registrant"
+              value={draft.registrant}
+              onChange={handleChange}
+              placeholder="0x..."
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="searchSort">Sort</label>
+            <select id="searchSort" name="sort" value={draft.sort} onChange={handleFilter} className="form-control">
+              <option value="">{search.q ? 'Best match' : 'Newest first'}</option>
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+            </select>
+          </div>
+        </div>
+
+        <a href="#/search" className="search-reset">
+          Clear filters
+        </a>
+      </form>
+
+      {error ? (
+        <div className="warning-box">
+          {error.status ? (
+            error.message
+          ) : (
+            <>
+              Search needs the event indexer at <code>{INDEXER_URL}</code>: {error.message}
+            </>
+          )}
+        </div>
+      ) : loading && !result ? (
+        <div className="loading">Searching...</div>
+      ) : result && result.total === 0 ? (
+        <div className="empty-state">
+          <p>🔍 No works found</p>
+          <p>Try other words or fewer filters</p>
+        </div>
+      ) : result && (
+        <>
+          <p className="search-summary">
+            {result.items.length > 0
+              ? `Showing ${first}–${first + result.items.length - 1} of ${result.total} works`
+              : `Page ${search.page} is past the last of ${result.total} works`}
+          </p>
+
+          <div className={`works-grid${loading ? ' search-stale' : ''}`}>
+            {result.items.map((work) => (
+              <a key={work.workId} href={`#/works/${work.workId}`} className="work-card search-result">
+                <div className="work-header">
+                  <h3>{work.title}</h3>
+                  <span className="work-id">#{work.workId}</span>
+                </div>
+
+                <div className="work-details">
+                  <div className="work-detail">
+                    <span className="label">Category:</span>
+                    <span className="value">{work.category ?? '–'}</span>
+                  </div>
+
+                  <div className="work-detail">
+                    <span className="label">Registered:</span>
+                    <span className="value">{formatDate(work.timestamp)}</span>
+                  </div>
+
+                  <div className="work-detail">
+                    <span className="label">Registrant:</span>
+                    <span className="value">
+                      <code>{formatAddress(work.registrant)}</code>
+                    </span>
+                  </div>
+                </div>
+
+                <div className="work-status">
+                  <div className={`status-badge ${work.verified ? 'verified' : 'pending'}`}>
+                    {work.verified ? '✓ Verified' : '⏳ Pending'}
+                  </div>
+
+                  {work.disputed && (
+                    <div className="status-badge disputed">
+                      ⚠️ Disputed
+                    </div>
+                  )}
+                </div>
+              </a>
+            ))}
+          </div>
+
+          {pageCount > 1 && (
+            <nav className="search-pagination" aria-label="Result pages">
+              {search.page > 1 ? (
+                <a href={searchHref({ ...search, page: search.page - 1 })} className="btn btn-secondary btn-sm">
+                  ← Previous
+                </a>
+              ) : (
+                <span />
+              )}
+              <span>
+                Page {search.page} of {pageCount}
+              </span>
+              {search.page < pageCount ? (
+                <a href={searchHref({ ...search, page: search.page + 1 })} className="btn btn-secondary btn-sm">
+                  Next →
+                </a>
+              ) : (
+                <span />
+              )}
+            </nav>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WorkSearch;
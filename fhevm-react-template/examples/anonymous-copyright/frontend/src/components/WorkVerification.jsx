@@ -1,67 +1,104 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { toast } from 'react-hot-toast';
-import { encryptContentHash } from '../utils/fhe';
+import { useFhevmTransaction } from '@fhevm/sdk/hooks';
+import { encryptContentHash, verificationRequestStorage } from '../utils/fhe';
+import { CONTRACT_ADDRESS, CONTRACT_VERSION } from '../utils/contract';
+import { useTransactionToast } from '../hooks/useTransactionToast';
+import { useWorkCategory } from '../hooks/useWorkCategory';
+import FingerprintInput from './FingerprintInput';
+import VerificationRequestStatus from './VerificationRequestStatus';
 import './WorkVerification.css';
 
 function WorkVerification({ contract, account }) {
   const [workId, setWorkId] = useState('');
-  const [contentHash, setContentHash] = useState('');
-  const [loading, setLoading] = useState(false);
+  const [fingerprint, setFingerprint] = useState(null);
+  const category = useWorkCategory(contract, workId);
+  const [requests, setRequests] = useState([]);
+  const transaction = useFhevmTransaction({ contract });
+  const loading = transaction.isBusy;
+  useTransactionToast(transaction, 'verify', {
+    encrypting: 'Encrypting content hash with FHE...'
+  });
+
+  // Pick up requests still waiting for their Gateway callback
+  useEffect(() => {
+    if (!account || !CONTRACT_ADDRESS) {
+      return;
+    }
+
+    verificationRequestStorage
+      .list()
+      .then((pending) =>
+        setRequests(
+          pending
+            .filter(
+              (request) =>
+                request.contractAddress.toLowerCase() === CONTRACT_ADDRESS.toLowerCase() &&
+                request.requester.toLowerCase() === account.toLowerCase()
+            )
+            .map(({ requestId, fromBlock }) => ({ requestId, fromBlock }))
+        )
+      )
+      .catch((error) => console.error('Failed to load verification requests:', error));
+  }, [account]);
+
+  const dismissRequest = (requestId) => {
+    setRequests((current) => current.filter((request) => request.requestId !== requestId));
+  };
 
   const handleVerify = async (e) => {
     e.preventDefault();
 
-    if (!workId || !contentHash) {
+    if (!workId || !fingerprint) {
       toast.error('Please fill in all fields');
       return;
     }
 
-    if (isNaN(workId) || isNaN(contentHash)) {
+    if (isNaN(workId) || isNaN(fingerprint.contentHash)) {
       toast.error('Work ID and content hash must be numbers');
       return;
     }
 
-    try {
-      setLoading(true);
-      toast.loading('Encrypting content hash with FHE...', { id: 'verify' });
-
-      // Encrypt content hash using FHEVM SDK
-      const encrypted = await encryptContentHash(contentHash);
-
-      toast.loading('Verifying work...', { id: 'verify' });
-
-      // Request verification with encrypted content hash
-      const tx = await contract.requestVerifyWork(
-        parseInt(workId),
-        encrypted.handles[0],
-        encrypted.inputProof
-      );
-
-      toast.loading('Waiting for confirmation...', { id: 'verify' });
-      await tx.wait();
-
-      // Check if work is now verified
-      const workInfo = await contract.getWorkInfo(parseInt(workId));
-
-      if (workInfo.verified) {
-        toast.success('Work verified successfully!', { id: 'verify' });
-      } else {
-        toast.info('Verification request submitted. Check back later.', { id: 'verify' });
-      }
-
-      // Reset form
-      setWorkId('');
-      setContentHash('');
-
-      // Trigger refresh
-      window.dispatchEvent(new Event('workRegistered'));
-    } catch (error) {
-      console.error('Verification failed:', error);
-      const message = error.reason || error.message || 'Verification failed';
-      toast.error(message, { id: 'verify' });
-    } finally {
-      setLoading(false);
+    // Encrypt content hash with the FHEVM SDK and request verification.
+    // V2 encrypts the hash on-chain and holds a deposit, credited back once the Gateway answers.
+    const result = await transaction.send(
+      CONTRACT_VERSION === 'v2'
+        ? {
+            submit: async () =>
+              contract.requestVerifyWork(parseInt(workId), parseInt(fingerprint.contentHash), {
+                value: await contract.MIN_REGISTRATION_FEE()
+              })
+          }
+        : {
+            encrypt: (client) => encryptContentHash(client, fingerprint.contentHash),
+            submit: (encrypted) =>
+              contract.requestVerifyWork(parseInt(workId), encrypted.handles[0], encrypted.inputProof)
+          }
+    );
+
+    if (!result) {
+      return;
+    }
+
+    // The result arrives later through the Gateway callback
+    const requested = result.events.find((event) => event.name === 'VerificationRequested');
+
+    if (requested) {
+      const requestId = requested.args.requestId.toString();
+      setRequests((current) => [
+        ...current.filter((request) => request.requestId !== requestId),
+        { requestId, fromBlock: result.receipt.blockNumber }
+      ]);
     }
+
+    toast('Verification requested. The result will appear below.', { id: 'verify' });
+
+    // Reset form
+    setWorkId('');
+    setFingerprint(null);
+
+    // Trigger refresh
+    window.dispatchEvent(new Event('workRegistered'));
   };
 
   return (
@@ -81,37 +118,50 @@ function WorkVerification({ contract, account }) {
           />
         </div>
 
-        <div className="form-group">
-          <label htmlFor="contentHash">Content Hash *</label>
-          <input
-            type="number"
-            id="contentHash"
-            value={contentHash}
-            onChange={(e) => setContentHash(e.target.value)}
-            placeholder="Enter original content hash"
-            disabled={loading}
-            className="form-control"
-            required
-          />
-          <small className="form-help">
-            This must match the hash used during registration
-          </small>
-        </div>
+        <FingerprintInput
+          id="contentFile"
+          label="Work File"
+          fingerprint={fingerprint}
+          onChange={setFingerprint}
+          disabled={loading}
+          category={category}
+          allowManual
+        />
 
         <button
           type="submit"
-          disabled={loading || !workId || !contentHash}
+          disabled={loading || !workId || !fingerprint}
           className="btn btn-primary"
         >
           {loading ? 'Verifying...' : 'Verify Work'}
         </button>
       </form>
 
+      {requests.length > 0 && (
+        <div className="verification-requests">
+          <h4>Verification Requests</h4>
+          {requests.map(({ requestId, fromBlock }) => (
+            <VerificationRequestStatus
+              key={requestId}
+              contract={contract}
+              requestId={requestId}
+              fromBlock={fromBlock}
+              onDismiss={dismissRequest}
+            />
+          ))}
+        </div>
+      )}
+
       <div className="info-box">
         <h4>How Verification Works</h4>
         <p>
-          The content hash is encrypted and compared with the stored hash
-          using FHE operations. No plaintext is revealed during comparison.
+          The file's fingerprint is encrypted and compared with the one stored
+          at registration using FHE operations. No plaintext is revealed
+          during comparison.
+        </p>
+        <p>
+          The Gateway decrypts the result and reports it back. If it has not
+          answered within an hour, you can claim your verification fee back.
         </p>
       </div>
     </div>
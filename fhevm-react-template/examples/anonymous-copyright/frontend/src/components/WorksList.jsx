@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
+import { loadCertificate } from '../utils/certificate';
+import { CONTRACT_VERSION } from '../utils/contract';
+import CertificateDownload from './CertificateDownload';
 import './WorksList.css';
 
 function WorksList({ contract, account }) {
@@ -11,7 +14,10 @@ function WorksList({ contract, account }) {
       setLoading(true);
 
       // Get user's work IDs
-      const workIds = await contract.getUserWorks(account);
+      const workIds =
+        CONTRACT_VERSION === 'v2' ? await contract.getAuthorWorks(account) : await contract.getUserWorks(account);
+      const { chainId } = await contract.runner.provider.getNetwork();
+      const contractAddress = await contract.getAddress();
 
       // Load details for each work
       const worksData = await Promise.all(
@@ -24,7 +30,8 @@ function WorksList({ contract, account }) {
             registrant: info.registrant,
             verified: info.verified,
             disputed: info.disputed,
-            timestamp: new Date(Number(info.timestamp) * 1000).toLocaleDateString()
+            timestamp: new Date(Number(info.timestamp) * 1000).toLocaleDateString(),
+            certificate: loadCertificate(chainId, contractAddress, id.toString())
           };
         })
       );
@@ -81,7 +88,9 @@ function WorksList({ contract, account }) {
         {works.map((work) => (
           <div key={work.id} className="work-card">
             <div className="work-header">
-              <h3>{work.title}</h3>
+              <h3>
+                <a href={`#/works/${work.id}`}>{work.title}</a>
+              </h3>
               <span className="work-id">#{work.id}</span>
             </div>
 
@@ -108,6 +117,10 @@ function WorksList({ contract, account }) {
                 </div>
               )}
             </div>
+
+            {work.certificate && (
+              <CertificateDownload record={work.certificate} signer={contract.runner} />
+            )}
           </div>
         ))}
       </div>
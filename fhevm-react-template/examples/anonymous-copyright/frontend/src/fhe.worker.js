@@ -0,0 +1,8 @@
+/**
+ * FHE worker
+ * Runs the FHEVM instance off the main thread so encryption does not freeze the UI
+ */
+
+import { exposeFhevmWorker } from '@fhevm/sdk';
+
+exposeFhevmWorker();
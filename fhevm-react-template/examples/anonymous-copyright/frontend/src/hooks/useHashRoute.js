@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+
+const currentRoute = () => window.location.hash.slice(1) || '/';
+
+/**
+ * Split a route into its path and query, e.g. '/search?q=song'
+ *
+ * @returns {{ path: string, query: string }}
+ */
+export const splitRoute = (route) => {
+  const index = route.indexOf('?');
+  return index === -1 ? { path: route, query: '' } : { path: route.slice(0, index), query: route.slice(index + 1) };
+};
+
+/**
+ * Route after the `#` of the URL, e.g. '/verify-certificate' or '/search?q=song'
+ *
+ * Hash routes need no server configuration, so pages deep-link on any static host.
+ */
+export const useHashRoute = () => {
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(currentRoute());
+
+    window.addEventListener('hashchange', handleHashChange);
+    return () => {
+      window.removeEventListener('hashchange', handleHashChange);
+    };
+  }, []);
+
+  return route;
+};
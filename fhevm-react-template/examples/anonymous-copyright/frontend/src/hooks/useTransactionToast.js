@@ -0,0 +1,28 @@
+import { useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+
+const STAGE_MESSAGES = {
+  encrypting: 'Encrypting with FHE...',
+  signing: 'Confirm the transaction in your wallet...',
+  pending: 'Waiting for confirmation...'
+};
+
+/**
+ * Mirror a useFhevmTransaction run in a single toast
+ *
+ * Shows a loading toast per stage and an error toast when the transaction
+ * fails or is replaced. Success toasts stay with the caller, which knows
+ * what the emitted events mean.
+ */
+export const useTransactionToast = ({ status, error }, id, messages = {}) => {
+  const message = messages[status] || STAGE_MESSAGES[status];
+
+  useEffect(() => {
+    if (message) {
+      toast.loading(message, { id });
+    } else if ((status === 'failed' || status === 'replaced') && error) {
+      console.error('Transaction failed:', error);
+      toast.error(error.code === 'USER_REJECTED' ? 'Transaction rejected' : error.message, { id });
+    }
+  }, [status, error, message, id]);
+};
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Category of a registered work, or '' while unknown
+ *
+ * Lets verification and dispute forms fingerprint a file the same way the
+ * work was registered.
+ */
+export const useWorkCategory = (contract, workId) => {
+  const [category, setCategory] = useState('');
+
+  useEffect(() => {
+    if (!contract || workId === '' || isNaN(workId)) {
+      setCategory('');
+      return;
+    }
+
+    let cancelled = false;
+
+    contract
+      .getWorkInfo(parseInt(workId))
+      .then((info) => !cancelled && setCategory(info.category))
+      .catch(() => !cancelled && setCategory(''));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, workId]);
+
+  return category;
+};
@@ -1,10 +1,14 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { FhevmProvider } from '@fhevm/sdk/hooks';
 import App from './App';
+import { fhevmConfig } from './utils/fhe';
 import './index.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <FhevmProvider config={fhevmConfig}>
+      <App />
+    </FhevmProvider>
   </React.StrictMode>
 );
@@ -0,0 +1,324 @@
+/**
+ * Registration certificates for Anonymous Copyright
+ * A certificate records where and when a work was registered, together with
+ * the fingerprint kept in the browser. It is signed by the registrant's
+ * wallet and can be re-checked against the chain later.
+ */
+
+import { ethers } from 'ethers';
+import { getContract } from './contract';
+import { FINGERPRINT_METHODS, formatDigest } from './fingerprint';
+import { hammingDistance } from './perceptualHash';
+import { createPdf } from './pdf';
+
+export const CERTIFICATE_TYPE = 'AnonymousCopyrightRegistration';
+export const CERTIFICATE_VERSION = 1;
+
+const STORAGE_PREFIX = 'anonymous-copyright:certificate:';
+
+const FINGERPRINT_FIELDS = [
+  'fileName',
+  'fileSize',
+  'fileType',
+  'kind',
+  'method',
+  'algorithm',
+  'digest',
+  'perceptualHash',
+  'contentHash'
+];
+
+/**
+ * Build the certificate of a registration
+ */
+export const createCertificate = ({
+  workId,
+  transactionHash,
+  blockNumber,
+  timestamp,
+  contractAddress,
+  chainId,
+  title,
+  category,
+  registrant,
+  fingerprint
+}) => ({
+  type: CERTIFICATE_TYPE,
+  version: CERTIFICATE_VERSION,
+  workId: workId.toString(),
+  transactionHash,
+  blockNumber: Number(blockNumber),
+  timestamp: Number(timestamp),
+  contractAddress: ethers.getAddress(contractAddress),
+  chainId: Number(chainId),
+  title,
+  category,
+  registrant: ethers.getAddress(registrant),
+  fingerprint: Object.fromEntries(FINGERPRINT_FIELDS.map((field) => [field, fingerprint[field] ?? null]))
+});
+
+/**
+ * JSON with object keys sorted, so equal certificates serialize identically
+ */
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Sign a certificate with the registrant's wallet (EIP-191 personal message
+ * over the canonical JSON)
+ *
+ * @returns {Promise<{ certificate, signer, signature }>}
+ */
+export const signCertificate = async (certificate, signer) => ({
+  certificate,
+  signer: await signer.getAddress(),
+  signature: await signer.signMessage(canonicalJson(certificate))
+});
+
+/**
+ * Address that signed a certificate
+ */
+export const recoverCertificateSigner = ({ certificate, signature }) =>
+  ethers.verifyMessage(canonicalJson(certificate), signature);
+
+/**
+ * Parse a signed certificate file
+ *
+ * @throws {Error} If the text is not a signed registration certificate
+ */
+export const parseSignedCertificate = (text) => {
+  let signed;
+
+  try {
+    signed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const certificate = signed?.certificate;
+
+  if (certificate?.type !== CERTIFICATE_TYPE || typeof signed.signature !== 'string') {
+    throw new Error('The file is not a signed Anonymous Copyright certificate');
+  }
+
+  if (certificate.version !== CERTIFICATE_VERSION) {
+    throw new Error(`Unsupported certificate version: ${certificate.version}`);
+  }
+
+  return signed;
+};
+
+const storageKey = (chainId, contractAddress, workId) =>
+  `${STORAGE_PREFIX}${chainId}:${contractAddress.toLowerCase()}:${workId}`;
+
+/**
+ * Keep a certificate (signed or not) in the browser
+ */
+export const saveCertificate = (record) => {
+  const { chainId, contractAddress, workId } = record.certificate;
+  localStorage.setItem(storageKey(chainId, contractAddress, workId), JSON.stringify(record));
+};
+
+/**
+ * Certificate kept for a work, or null
+ *
+ * @returns {{ certificate, signer?, signature? } | null}
+ */
+export const loadCertificate = (chainId, contractAddress, workId) => {
+  const stored = localStorage.getItem(storageKey(chainId, contractAddress, workId));
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Base name of the files a certificate is exported to
+ */
+export const certificateFileName = ({ chainId, workId }) => `copyright-certificate-${chainId}-${workId}`;
+
+/**
+ * Signed certificate as a JSON file
+ */
+export const certificateToJson = (signed) => JSON.stringify(signed, null, 2);
+
+/**
+ * Signed certificate as a printable PDF
+ */
+export const certificateToPdf = ({ certificate, signer, signature }) => {
+  const { fingerprint } = certificate;
+  const field = (label, value, font = 'regular') => [
+    { text: label, font: 'bold', size: 9, gap: 6 },
+    { text: value, font, size: 10 }
+  ];
+
+  return createPdf([
+    { text: 'Certificate of Registration', font: 'bold', size: 22 },
+    { text: 'Anonymous Copyright Protection', size: 12, gap: 2 },
+    ...field('Work ID', `#${certificate.workId}`),
+    ...field('Title', certificate.title),
+    ...field('Category', certificate.category),
+    ...field('Registrant', certificate.registrant, 'mono'),
+    ...field('Registered at', `${new Date(certificate.timestamp * 1000).toISOString()} (block ${certificate.blockNumber})`),
+    ...field('Transaction', certificate.transactionHash, 'mono'),
+    ...field('Contract', `${certificate.contractAddress} on chain ${certificate.chainId}`, 'mono'),
+    { text: 'Fingerprint', font: 'bold', size: 14, gap: 16 },
+    ...field('File', `${fingerprint.fileName} (${fingerprint.fileType || 'unknown type'}, ${fingerprint.fileSize} bytes)`),
+    ...field(fingerprint.algorithm, formatDigest(fingerprint.digest), 'mono'),
+    ...(fingerprint.perceptualHash
+      ? field(FINGERPRINT_METHODS[fingerprint.method].label, formatDigest(fingerprint.perceptualHash), 'mono')
+      : []),
+    ...field('Encrypted content hash', String(fingerprint.contentHash), 'mono'),
+    { text: 'Signature', font: 'bold', size: 14, gap: 16 },
+    ...field('Signed by', signer, 'mono'),
+    ...field('Signature', signature, 'mono'),
+    {
+      text:
+        'The content hash is stored encrypted on-chain and the file was never uploaded. ' +
+        'Verify this certificate with its JSON file on the "Verify Certificate" page.',
+      size: 9,
+      gap: 20
+    }
+  ]);
+};
+
+/**
+ * Save data as a file through the browser
+ */
+export const downloadFile = (fileName, data, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const sameAddress = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Re-check a signed certificate against the chain
+ *
+ * Checks the signature, the network, the work record returned by
+ * `getWorkInfo` and the `WorkRegistered` log of the registration
+ * transaction. On-chain checks are skipped when the provider is on another chain.
+ *
+ * @returns {Promise<Array<{ id, label, ok, detail }>>}
+ */
+export const checkCertificate = async ({ certificate, signature }, provider) => {
+  const checks = [];
+  const check = (id, label, ok, detail) => checks.push({ id, label, ok, detail });
+
+  let signer = null;
+  try {
+    signer = recoverCertificateSigner({ certificate, signature });
+  } catch {
+    // Reported below
+  }
+  check(
+    'signature',
+    'Signed by the registrant',
+    sameAddress(signer, certificate.registrant),
+    signer ? `Signed by ${signer}` : 'The signature is malformed'
+  );
+
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== certificate.chainId) {
+    check('network', 'Network', false, `Issued on chain ${certificate.chainId}, but connected to chain ${chainId}`);
+    return checks;
+  }
+  check('network', 'Network', true, `Chain ${certificate.chainId}`);
+
+  const contract = getContract(provider, certificate.contractAddress);
+
+  try {
+    const info = await contract.getWorkInfo(certificate.workId);
+    const mismatches = [
+      info.title !== certificate.title && 'title',
+      info.category !== certificate.category && 'category',
+      !sameAddress(info.registrant, certificate.registrant) && 'registrant',
+      Number(info.timestamp) !== certificate.timestamp && 'timestamp'
+    ].filter(Boolean);
+
+    check(
+      'work',
+      'Work record (getWorkInfo)',
+      mismatches.length === 0,
+      mismatches.length ? `On-chain ${mismatches.join(', ')} differ` : `Work #${certificate.workId} matches`
+    );
+  } catch (error) {
+    check('work', 'Work record (getWorkInfo)', false, `Work #${certificate.workId} not found: ${error.shortMessage || error.message}`);
+  }
+
+  const receipt = await provider.getTransactionReceipt(certificate.transactionHash);
+  const event = receipt?.logs
+    .filter((log) => sameAddress(log.address, certificate.contractAddress))
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed?.name === 'WorkRegistered' && parsed.args.workId.toString() === certificate.workId);
+
+  let problem = null;
+  if (!receipt) {
+    problem = 'Transaction not found';
+  } else if (receipt.status !== 1) {
+    problem = 'Transaction reverted';
+  } else if (receipt.blockNumber !== certificate.blockNumber) {
+    problem = `Mined in block ${receipt.blockNumber}, not ${certificate.blockNumber}`;
+  } else if (!event) {
+    problem = `No WorkRegistered log for work #${certificate.workId}`;
+  } else if (!sameAddress(event.args.registrant, certificate.registrant)) {
+    problem = `Registered by ${event.args.registrant}`;
+  } else if (event.args.title !== certificate.title || Number(event.args.timestamp) !== certificate.timestamp) {
+    problem = 'The logged title or timestamp differ';
+  }
+
+  check(
+    'transaction',
+    'Registration log (WorkRegistered)',
+    !problem,
+    problem || `Block ${certificate.blockNumber}, transaction ${certificate.transactionHash}`
+  );
+
+  return checks;
+};
+
+/**
+ * Compare a freshly computed fingerprint with the one in a certificate
+ *
+ * Exact fingerprints match on the SHA-256 digest. Perceptual ones match on
+ * the content hash; the Hamming distance of the 64-bit hashes is reported too.
+ *
+ * @returns {{ ok: boolean, detail: string }}
+ */
+export const matchFingerprint = (expected, actual) => {
+  if (!expected.perceptualHash) {
+    return expected.digest === actual.digest
+      ? { ok: true, detail: 'The file is identical to the registered one' }
+      : { ok: false, detail: 'The file differs from the registered one' };
+  }
+
+  const distance = hammingDistance(BigInt(`0x${expected.perceptualHash}`), BigInt(`0x${actual.perceptualHash}`));
+
+  return {
+    ok: expected.contentHash === actual.contentHash,
+    detail:
+      expected.digest === actual.digest
+        ? 'The file is identical to the registered one'
+        : `${distance} of 64 bits differ from the registered ${FINGERPRINT_METHODS[expected.method].label}`
+  };
+};
@@ -1,21 +1,28 @@
 import { ethers } from 'ethers';
 import AnonymousCopyrightABI from '../contracts/AnonymousCopyright.json';
+import AnonymousCopyrightV2ABI from '../contracts/AnonymousCopyrightV2.json';
 
 const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS;
 const NETWORK = import.meta.env.VITE_NETWORK || 'sepolia';
 
+// 'v2' when VITE_CONTRACT_ADDRESS is an AnonymousCopyrightV2 deployment (deposits, Gateway dispute resolution)
+const CONTRACT_VERSION = import.meta.env.VITE_CONTRACT_VERSION === 'v2' ? 'v2' : 'v1';
+
+// First block searched for the account's own events, e.g. the disputes it filed
+const DEPLOY_BLOCK = Number(import.meta.env.VITE_CONTRACT_DEPLOY_BLOCK) || 0;
+
 if (!CONTRACT_ADDRESS) {
   console.warn('VITE_CONTRACT_ADDRESS not set in environment variables');
 }
 
-export const getContract = (signerOrProvider) => {
-  if (!CONTRACT_ADDRESS) {
+export const getContract = (signerOrProvider, address = CONTRACT_ADDRESS) => {
+  if (!address) {
     throw new Error('Contract address not configured');
   }
 
   return new ethers.Contract(
-    CONTRACT_ADDRESS,
-    AnonymousCopyrightABI.abi,
+    address,
+    (CONTRACT_VERSION === 'v2' ? AnonymousCopyrightV2ABI : AnonymousCopyrightABI).abi,
     signerOrProvider
   );
 };
@@ -67,4 +74,4 @@ export const switchToNetwork = async () => {
   }
 };
 
-export { CONTRACT_ADDRESS, NETWORK };
+export { CONTRACT_ADDRESS, CONTRACT_VERSION, DEPLOY_BLOCK, NETWORK };
@@ -0,0 +1,161 @@
+import { ethers } from 'ethers';
+
+/**
+ * Dispute workflow of AnonymousCopyrightV2
+ *
+ * A challenger files a dispute with a deposit. Either party then asks the
+ * Gateway to decrypt both fingerprints; its callback names the winner, who is
+ * credited the deposit. When the callback has not come within the dispute
+ * timeout, the challenger can take the deposit back.
+ */
+
+/**
+ * Dispute settings of the contract
+ *
+ * @returns {Promise<{ deposit: bigint, timeout: number, maxPerWork: number, paused: boolean }>}
+ */
+export const loadDisputeConfig = async (contract) => {
+  const config = await contract.getContractConfig();
+
+  return {
+    deposit: config.disputeDeposit,
+    timeout: Number(config.disputeTimeout),
+    maxPerWork: Number(config.maxDisputesPerWork),
+    paused: config.isPaused
+  };
+};
+
+/**
+ * One dispute, read from the public `disputes` mapping, which unlike
+ * `getDisputeInfo` includes when resolution was requested
+ *
+ * @returns {Promise<{ workId, disputeId, challenger, timestamp, deposit, resolved, winner, requestId, requestedAt }>}
+ */
+export const loadDispute = async (contract, workId, disputeId) => {
+  const record = await contract.disputes(workId, disputeId);
+
+  return {
+    workId: String(workId),
+    disputeId: Number(disputeId),
+    challenger: record.challenger,
+    timestamp: Number(record.timestamp),
+    deposit: record.depositAmount,
+    resolved: record.resolved,
+    winner: record.winner,
+    requestId: record.decryptionRequestId.toString(),
+    requestedAt: Number(record.requestTimestamp)
+  };
+};
+
+/**
+ * When the Gateway's answer to a resolution request is overdue, or null
+ * before resolution is requested
+ */
+export const disputeExpiresAt = (dispute, timeout) =>
+  dispute.requestId === '0' ? null : dispute.requestedAt + timeout;
+
+/**
+ * Where a dispute stands at `now` (unix seconds)
+ *
+ * - `open`: filed, resolution not requested yet
+ * - `resolving`: waiting for the Gateway's callback
+ * - `expired`: the callback is overdue; the challenger can claim the deposit back
+ * - `resolved`: the callback named the winner, who was credited the deposit
+ * - `refunded`: the challenger took the deposit back after the timeout
+ */
+export const disputeStatus = (dispute, timeout, now) => {
+  if (dispute.resolved) {
+    return dispute.winner === ethers.ZeroAddress ? 'refunded' : 'resolved';
+  }
+
+  const expiresAt = disputeExpiresAt(dispute, timeout);
+
+  if (expiresAt === null) {
+    return 'open';
+  }
+
+  // The contract accepts claims strictly after the timeout
+  return now > expiresAt ? 'expired' : 'resolving';
+};
+
+/**
+ * Remaining time as e.g. '23h 59m', '4m 10s' or '0s'
+ */
+export const formatCountdown = (seconds) => {
+  const left = Math.max(0, Math.ceil(seconds));
+  const hours = Math.floor(left / 3600);
+  const minutes = Math.floor((left % 3600) / 60);
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+
+  return minutes > 0 ? `${minutes}m ${left % 60}s` : `${left}s`;
+};
+
+/**
+ * `{ workId, disputeId }` of the disputes an account filed, from its DisputeFiled events
+ *
+ * @param fromBlock - First block searched
+ */
+export const findFiledDisputes = async (contract, account, fromBlock = 0) =>
+  (await contract.queryFilter(contract.filters.DisputeFiled(null, account), fromBlock)).map((event) => ({
+    workId: event.args.workId.toString(),
+    disputeId: Number(event.args.disputeId)
+  }));
+
+/**
+ * Every dispute an author is party to: those filed against their works and
+ * those they filed, newest first
+ *
+ * @param fromBlock - First block searched for the author's DisputeFiled events
+ * @returns {Promise<{ role: 'registrant' | 'challenger', title, ...dispute }[]>}
+ */
+export const loadAuthorDisputes = async (contract, account, fromBlock = 0) => {
+  const workIds = await contract.getAuthorWorks(account);
+  const received = await Promise.all(
+    workIds.map(async (workId) => {
+      const count = Number(await contract.getDisputeCount(workId));
+      return Array.from({ length: count }, (_, disputeId) => ({ workId: workId.toString(), disputeId, role: 'registrant' }));
+    })
+  );
+  const filed = (await findFiledDisputes(contract, account, fromBlock)).map((dispute) => ({
+    ...dispute,
+    role: 'challenger'
+  }));
+
+  const titles = new Map();
+  const titleOf = (workId) => {
+    if (!titles.has(workId)) {
+      titles.set(workId, contract.getWorkInfo(workId).then((info) => info.title));
+    }
+
+    return titles.get(workId);
+  };
+
+  const disputes = await Promise.all(
+    [...received.flat(), ...filed].map(async ({ workId, disputeId, role }) => ({
+      ...(await loadDispute(contract, workId, disputeId)),
+      role,
+      title: await titleOf(workId)
+    }))
+  );
+
+  return disputes.sort((a, b) => b.timestamp - a.timestamp || b.disputeId - a.disputeId);
+};
+
+/**
+ * Counts of an author's disputes by outcome
+ */
+export const summarizeDisputes = (disputes, account) => {
+  const mine = (address) => address.toLowerCase() === account.toLowerCase();
+
+  return {
+    total: disputes.length,
+    open: disputes.filter((dispute) => !dispute.resolved).length,
+    won: disputes.filter((dispute) => dispute.resolved && mine(dispute.winner)).length,
+    lost: disputes.filter(
+      (dispute) => dispute.resolved && dispute.winner !== ethers.ZeroAddress && !mine(dispute.winner)
+    ).length
+  };
+};
@@ -3,50 +3,36 @@
  * Integrates with @fhevm/sdk for encryption operations
  */
 
-import { createFhevmClient, encryptUint32, encryptUint64 } from '@fhevm/sdk';
-
-let fhevmClient = null;
+import {
+  createLocalStorageDecryptionRequestStorage,
+  encryptUint32,
+  encryptUint64
+} from '@fhevm/sdk';
+import { CONTRACT_ADDRESS, NETWORK } from './contract';
 
 /**
- * Initialize FHEVM client
+ * Configuration of the FHEVM client shared through FhevmProvider
  */
-export const initializeFHE = async (network, contractAddress) => {
-  if (fhevmClient) {
-    return fhevmClient;
-  }
-
-  try {
-    console.log('Initializing FHEVM client...', { network, contractAddress });
-
-    fhevmClient = await createFhevmClient({
-      network: network || 'sepolia',
-      contractAddress: contractAddress
-    });
-
-    console.log('FHEVM client initialized successfully');
-    return fhevmClient;
-  } catch (error) {
-    console.error('Failed to initialize FHEVM client:', error);
-    throw new Error('Failed to initialize FHE: ' + error.message);
-  }
+export const fhevmConfig = {
+  network: NETWORK,
+  contractAddress: CONTRACT_ADDRESS,
+  // Follow wallet chain and account switches
+  eip1193Provider: typeof window !== 'undefined' ? window.ethereum : undefined,
+  // Encryption and proof generation run in a Web Worker
+  worker: () => new Worker(new URL('../fhe.worker.js', import.meta.url), { type: 'module' })
 };
 
 /**
- * Get the current FHEVM client
+ * Verification requests waiting for their Gateway callback, kept across reloads
  */
-export const getFHEClient = () => {
-  if (!fhevmClient) {
-    throw new Error('FHEVM client not initialized. Call initializeFHE first.');
-  }
-  return fhevmClient;
-};
+export const verificationRequestStorage = createLocalStorageDecryptionRequestStorage(
+  'anonymous-copyright:verification:'
+);
 
 /**
  * Encrypt uint32 value (for content hashes)
  */
-export const encryptContentHash = async (value) => {
-  const client = getFHEClient();
-
+export const encryptContentHash = async (client, value) => {
   try {
     console.log('Encrypting content hash:', value);
     const encrypted = await encryptUint32(client, parseInt(value));
@@ -61,9 +47,7 @@ export const encryptContentHash = async (value) => {
 /**
  * Encrypt uint64 value (for author IDs)
  */
-export const encryptAuthorId = async (value) => {
-  const client = getFHEClient();
-
+export const encryptAuthorId = async (client, value) => {
   try {
     console.log('Encrypting author ID:', value);
     const encrypted = await encryptUint64(client, BigInt(value));
@@ -74,17 +58,3 @@ export const encryptAuthorId = async (value) => {
     throw new Error('Encryption failed: ' + error.message);
   }
 };
-
-/**
- * Check if FHEVM client is initialized
- */
-export const isFHEInitialized = () => {
-  return fhevmClient !== null;
-};
-
-/**
- * Reset FHEVM client (useful for network changes)
- */
-export const resetFHE = () => {
-  fhevmClient = null;
-};
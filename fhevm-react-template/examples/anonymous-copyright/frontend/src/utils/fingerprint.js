@@ -0,0 +1,201 @@
+/**
+ * Content fingerprinting for Anonymous Copyright
+ * Derives the encrypted uint32 content hash from the work's file
+ */
+
+import { chromaFingerprint, dHash, foldToUint32, pHash, toGrayscale, toHex64 } from './perceptualHash';
+
+export const FINGERPRINT_ALGORITHM = 'SHA-256';
+
+/**
+ * Ways of deriving the content hash
+ *
+ * `sha256` matches exact copies only. The perceptual methods hash what the
+ * work looks or sounds like, so resized, re-encoded or re-mastered copies of
+ * an image or recording keep (or nearly keep) their 64-bit hash.
+ */
+export const FINGERPRINT_METHODS = {
+  sha256: { label: 'Exact file (SHA-256)', kinds: null },
+  dhash: { label: 'Image difference hash (dHash)', kinds: ['image'] },
+  phash: { label: 'Image DCT hash (pHash)', kinds: ['image'] },
+  chroma: { label: 'Audio chroma fingerprint', kinds: ['audio'] }
+};
+
+/**
+ * Default fingerprint method per work category
+ */
+export const CATEGORY_METHODS = {
+  'Digital Art': 'dhash',
+  Photography: 'phash',
+  Music: 'chroma'
+};
+
+/**
+ * Fingerprint method preset for a work category
+ */
+export const getDefaultMethod = (category) => CATEGORY_METHODS[category] || 'sha256';
+
+// Images are scaled down to this size before hashing to bound memory use
+const MAX_IMAGE_SIDE = 1024;
+
+// Audio is decoded at a fixed rate so every browser hashes the same samples
+const AUDIO_SAMPLE_RATE = 22050;
+
+/**
+ * File types accepted by the fingerprint input
+ */
+export const FINGERPRINT_ACCEPT = 'image/*,audio/*,text/*,application/pdf,.txt,.md,.pdf';
+
+const TEXT_EXTENSIONS = /\.(txt|md|markdown|csv|json|html?|xml|rtf)$/i;
+
+/**
+ * Kind of content of a file: image, audio, text, pdf or other
+ */
+export const getContentKind = (file) => {
+  const type = file.type || '';
+
+  if (type.startsWith('image/')) return 'image';
+  if (type.startsWith('audio/')) return 'audio';
+  if (type === 'application/pdf' || /\.pdf$/i.test(file.name)) return 'pdf';
+  if (type.startsWith('text/') || TEXT_EXTENSIONS.test(file.name)) return 'text';
+  return 'other';
+};
+
+/**
+ * Bytes hashed for a file
+ *
+ * Text is hashed as UTF-8 without a byte order mark and with LF line endings,
+ * so the same text saved on another system keeps its fingerprint. Other
+ * files are hashed byte for byte.
+ */
+const readContent = async (file, kind) => {
+  const buffer = await file.arrayBuffer();
+
+  if (kind !== 'text') {
+    return buffer;
+  }
+
+  // TextDecoder drops the byte order mark
+  const text = new TextDecoder('utf-8').decode(buffer).replace(/\r\n?/g, '\n');
+  return new TextEncoder().encode(text);
+};
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Reduce a hex digest to the uint32 content hash stored by the contract
+ *
+ * The content hash is the first 4 bytes of the digest read as a big-endian
+ * unsigned integer. The contract rejects 0, so a zero prefix maps to 1.
+ */
+export const digestToContentHash = (digest) => {
+  const value = parseInt(digest.slice(0, 8), 16);
+  return value === 0 ? 1 : value;
+};
+
+/**
+ * Decode an image file to grayscale pixels
+ */
+const decodeImage = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  return { gray: toGrayscale(context.getImageData(0, 0, width, height).data, width, height), width, height };
+};
+
+/**
+ * Decode an audio file to mono samples
+ */
+const decodeAudio = async (file) => {
+  const context = new OfflineAudioContext(1, 1, AUDIO_SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(await file.arrayBuffer());
+  const samples = new Float32Array(buffer.length);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+
+    for (let i = 0; i < data.length; i++) {
+      samples[i] += data[i] / buffer.numberOfChannels;
+    }
+  }
+
+  return { samples, sampleRate: buffer.sampleRate };
+};
+
+/**
+ * 64-bit perceptual hash of a file
+ */
+const perceptualHashFile = async (file, method) => {
+  if (method === 'chroma') {
+    const { samples, sampleRate } = await decodeAudio(file);
+    return chromaFingerprint(samples, sampleRate);
+  }
+
+  const { gray, width, height } = await decodeImage(file);
+  return method === 'phash' ? pHash(gray, width, height) : dHash(gray, width, height);
+};
+
+/**
+ * Compute the fingerprint of a file
+ *
+ * The SHA-256 digest is always computed. With a perceptual method the
+ * content hash comes from the 64-bit `perceptualHash` (folded with
+ * `foldToUint32`) instead of the digest.
+ *
+ * @param file - File to fingerprint
+ * @param method - Key of FINGERPRINT_METHODS
+ * @returns {Promise<{ fileName, fileSize, fileType, kind, method, algorithm, digest, perceptualHash, contentHash }>}
+ */
+export const fingerprintFile = async (file, method = 'sha256') => {
+  const definition = FINGERPRINT_METHODS[method];
+  const kind = getContentKind(file);
+
+  if (!definition) {
+    throw new Error(`Unknown fingerprint method: ${method}`);
+  }
+
+  if (definition.kinds && !definition.kinds.includes(kind)) {
+    throw new Error(`${definition.label} needs an ${definition.kinds.join(' or ')} file`);
+  }
+
+  const content = await readContent(file, kind);
+  const digest = toHex(new Uint8Array(await crypto.subtle.digest(FINGERPRINT_ALGORITHM, content)));
+  const hash = method === 'sha256' ? null : await perceptualHashFile(file, method);
+
+  return {
+    fileName: file.name,
+    fileSize: file.size,
+    fileType: file.type,
+    kind,
+    method,
+    algorithm: FINGERPRINT_ALGORITHM,
+    digest,
+    perceptualHash: hash === null ? null : toHex64(hash),
+    contentHash: hash === null ? digestToContentHash(digest) : foldToUint32(hash)
+  };
+};
+
+/**
+ * Group a hex digest in blocks of 8 characters for display
+ */
+export const formatDigest = (digest) => digest.match(/.{1,8}/g).join(' ');
+
+/**
+ * Human-readable file size
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
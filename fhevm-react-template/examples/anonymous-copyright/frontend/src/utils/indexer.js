@@ -0,0 +1,119 @@
+/**
+ * Client of the event indexer's REST API (`indexer/` next to this app)
+ */
+
+export const INDEXER_URL = (import.meta.env.VITE_INDEXER_URL || 'http://localhost:4000').replace(/\/+$/, '');
+
+export const SEARCH_PAGE_SIZE = 12;
+
+// Search fields kept in the `#/search?...` URL
+const SEARCH_FIELDS = ['q', 'category', 'verified', 'disputed', 'registrant', 'from', 'to', 'sort'];
+
+const fetchIndexer = async (path) => {
+  const response = await fetch(INDEXER_URL + path);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(body.error || `Indexer answered ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return body;
+};
+
+/**
+ * Search state from the query of a `#/search` URL; missing fields are ''
+ */
+export const parseSearch = (params) => {
+  const page = Number(params.get('page'));
+
+  return {
+    ...Object.fromEntries(SEARCH_FIELDS.map((field) => [field, params.get(field)?.trim() ?? ''])),
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+};
+
+/**
+ * Query of the `#/search` URL for a search state, leaving out empty fields
+ */
+export const searchToParams = (search) => {
+  const params = new URLSearchParams();
+
+  SEARCH_FIELDS.forEach((field) => {
+    if (search[field]) {
+      params.set(field, search[field]);
+    }
+  });
+
+  if (search.page > 1) {
+    params.set('page', String(search.page));
+  }
+
+  return params;
+};
+
+/**
+ * Hash of the search page showing a search state
+ */
+export const searchHref = (search) => {
+  const query = searchToParams(search).toString();
+  return query ? `#/search?${query}` : '#/search';
+};
+
+/**
+ * One page of works matching a search state
+ *
+ * @returns {Promise<{ items, total, limit, offset, facets }>}
+ */
+export const searchWorks = (search) => {
+  const { page, ...filters } = search;
+  const params = searchToParams(filters);
+
+  params.set('limit', String(SEARCH_PAGE_SIZE));
+  params.set('offset', String((page - 1) * SEARCH_PAGE_SIZE));
+  return fetchIndexer(`/works?${params}`);
+};
+
+/**
+ * An indexed work with its disputes and verification requests, or null when
+ * the indexer has not seen it
+ */
+export const getIndexedWork = async (workId) => {
+  try {
+    return await fetchIndexer(`/works/${encodeURIComponent(workId)}`);
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * All indexed events of a work, in chain order
+ */
+export const getWorkEvents = async (workId) => {
+  const events = [];
+  let total = Infinity;
+
+  while (events.length < total) {
+    const page = await fetchIndexer(`/works/${encodeURIComponent(workId)}/events?limit=100&offset=${events.length}`);
+
+    if (page.items.length === 0) {
+      break;
+    }
+
+    events.push(...page.items);
+    total = page.total;
+  }
+
+  return events;
+};
+
+/**
+ * Link to share a work: the indexer's page carries the work's Open Graph
+ * tags for link previews and sends visitors on to `#/works/:id`
+ */
+export const workShareUrl = (workId) => `${INDEXER_URL}/share/works/${workId}`;
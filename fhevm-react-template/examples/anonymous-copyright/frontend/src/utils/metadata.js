@@ -0,0 +1,45 @@
+/**
+ * Page title and Open Graph tags of the current route
+ */
+
+const META_TAGS = {
+  description: ['name', 'description'],
+  ogTitle: ['property', 'og:title'],
+  ogDescription: ['property', 'og:description'],
+  ogUrl: ['property', 'og:url']
+};
+
+/**
+ * Set the document title and meta tags, creating missing tags
+ *
+ * Only clients running scripts see the change; link preview crawlers read the
+ * indexer's share page instead (see workShareUrl).
+ *
+ * @returns {Function} Restores the previous title and tags
+ */
+export const setPageMetadata = ({ title, description, url }) => {
+  const values = { description, ogTitle: title, ogDescription: description, ogUrl: url };
+  const previousTitle = document.title;
+  const restores = Object.entries(META_TAGS).map(([field, [attribute, name]]) => {
+    let tag = document.head.querySelector(`meta[${attribute}="${name}"]`);
+    const created = !tag;
+
+    if (created) {
+      tag = document.createElement('meta');
+      tag.setAttribute(attribute, name);
+      document.head.appendChild(tag);
+    }
+
+    const previous = tag.getAttribute('content');
+    tag.setAttribute('content', values[field]);
+
+    return () => (created ? tag.remove() : tag.setAttribute('content', previous));
+  });
+
+  document.title = title;
+
+  return () => {
+    document.title = previousTitle;
+    restores.forEach((restore) => restore());
+  };
+};
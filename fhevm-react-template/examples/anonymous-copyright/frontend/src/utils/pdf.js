@@ -0,0 +1,147 @@
+/**
+ * Minimal PDF writer for text documents
+ * Lays out lines of text on A4 pages with the standard PDF fonts, so
+ * certificates can be exported without a PDF library
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+const FONTS = {
+  regular: { name: 'F1', base: 'Helvetica', charWidth: 0.5 },
+  bold: { name: 'F2', base: 'Helvetica-Bold', charWidth: 0.55 },
+  mono: { name: 'F3', base: 'Courier', charWidth: 0.6 }
+};
+
+// WinAnsi codes of common punctuation outside Latin-1
+const WIN_ANSI = {
+  '€': 0x80,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '™': 0x99
+};
+
+/**
+ * Text as a PDF string literal
+ *
+ * Characters the standard fonts cannot show (outside WinAnsi) are replaced with '?'.
+ */
+const pdfString = (text) =>
+  '(' +
+  Array.from(String(text), (char) => {
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    return char.charCodeAt(0) > 255 ? '?' : char;
+  })
+    .join('')
+    .replace(/[\\()]/g, '\\$&') +
+  ')';
+
+/**
+ * Split text into lines that fit the page width (approximate for proportional fonts)
+ */
+const wrap = (text, font, size) => {
+  const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * font.charWidth));
+  const lines = [];
+
+  String(text)
+    .split('\n')
+    .forEach((paragraph) => {
+      let line = '';
+
+      paragraph.split(' ').forEach((word) => {
+        // Break words longer than a line, e.g. hex strings
+        while (word.length > maxChars) {
+          if (line) {
+            lines.push(line);
+            line = '';
+          }
+          lines.push(word.slice(0, maxChars));
+          word = word.slice(maxChars);
+        }
+
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length > maxChars) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+
+      lines.push(line);
+    });
+
+  return lines;
+};
+
+/**
+ * Create a PDF document from blocks of text
+ *
+ * @param blocks - `{ text, font?: 'regular' | 'bold' | 'mono', size?: number, gap?: number }`,
+ *   laid out top to bottom; `gap` adds space before the block
+ * @returns {Uint8Array} PDF file contents
+ */
+export const createPdf = (blocks) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  blocks.forEach(({ text, font = 'regular', size = 10, gap = 0 }) => {
+    const fontSpec = FONTS[font];
+    const lineHeight = size * 1.4;
+    y -= gap;
+
+    wrap(text, fontSpec, size).forEach((line) => {
+      if (y - lineHeight < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+
+      y -= lineHeight;
+      pages[pages.length - 1].push(
+        `BT /${fontSpec.name} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`
+      );
+    });
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3-5 fonts, then a page and its content stream per page
+  const fontObjects = Object.values(FONTS).map(
+    ({ base }) => `<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`
+  );
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    ...fontObjects
+  ];
+
+  pages.forEach((commands, i) => {
+    const content = commands.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // Every character is a single byte, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, (char) => char.charCodeAt(0));
+};
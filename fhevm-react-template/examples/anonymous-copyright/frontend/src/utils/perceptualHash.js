@@ -0,0 +1,253 @@
+/**
+ * Perceptual hashes for near-duplicate detection
+ * Pure functions over decoded pixels and samples, so they run the same in
+ * the browser and in tests
+ */
+
+/**
+ * Number of time segments of the audio chroma fingerprint (4 bits each)
+ */
+export const CHROMA_SEGMENTS = 16;
+
+const CHROMA_MIN_FREQUENCY = 110; // A2
+const CHROMA_MAX_FREQUENCY = 4000;
+const CHROMA_FRAMES_PER_SEGMENT = 4;
+const CHROMA_SILENCE = 12;
+
+/**
+ * Grayscale luminance (ITU-R BT.601) of RGBA pixels
+ */
+export const toGrayscale = (rgba, width, height) => {
+  const gray = new Float64Array(width * height);
+
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+
+  return gray;
+};
+
+/**
+ * Resize a grayscale image by averaging the source area under each target pixel
+ */
+export const resizeGray = (gray, width, height, targetWidth, targetHeight) => {
+  const resized = new Float64Array(targetWidth * targetHeight);
+  const scaleX = width / targetWidth;
+  const scaleY = height / targetHeight;
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = ty * scaleY;
+    const y1 = y0 + scaleY;
+
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = tx * scaleX;
+      const x1 = x0 + scaleX;
+      let sum = 0;
+      let area = 0;
+
+      for (let y = Math.floor(y0); y < Math.min(Math.ceil(y1), height); y++) {
+        const weightY = Math.min(y1, y + 1) - Math.max(y0, y);
+
+        for (let x = Math.floor(x0); x < Math.min(Math.ceil(x1), width); x++) {
+          const weight = weightY * (Math.min(x1, x + 1) - Math.max(x0, x));
+          sum += gray[y * width + x] * weight;
+          area += weight;
+        }
+      }
+
+      resized[ty * targetWidth + tx] = area > 0 ? sum / area : 0;
+    }
+  }
+
+  return resized;
+};
+
+/**
+ * Difference hash: 64 bits telling whether each pixel of a 9x8 thumbnail is
+ * darker than its right neighbour, row by row
+ */
+export const dHash = (gray, width, height) => {
+  const thumbnail = resizeGray(gray, width, height, 9, 8);
+  let hash = 0n;
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const bit = thumbnail[y * 9 + x] < thumbnail[y * 9 + x + 1] ? 1n : 0n;
+      hash = (hash << 1n) | bit;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * DCT hash: 64 bits telling whether each of the 8x8 lowest DCT coefficients
+ * of a 32x32 thumbnail is above their median (the DC term is left out of the median)
+ */
+export const pHash = (gray, width, height) => {
+  const size = 32;
+  const thumbnail = resizeGray(gray, width, height, size, size);
+  const coefficients = [];
+
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+
+      for (let y = 0; y < size; y++) {
+        const cosY = Math.cos(((2 * y + 1) * v * Math.PI) / (2 * size));
+
+        for (let x = 0; x < size; x++) {
+          sum += thumbnail[y * size + x] * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size)) * cosY;
+        }
+      }
+
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  return coefficients.reduce((hash, value) => (hash << 1n) | (value > median ? 1n : 0n), 0n);
+};
+
+/**
+ * In-place radix-2 FFT of a power-of-two length signal
+ */
+const fft = (re, im) => {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+
+    for (let start = 0; start < n; start += length) {
+      for (let k = 0; k < length / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + length / 2;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+};
+
+/**
+ * Energy per pitch class (C = 0 ... B = 11) of one Hann-windowed frame
+ */
+const addChroma = (chroma, samples, start, frameSize, sampleRate) => {
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+
+  for (let i = 0; i < frameSize; i++) {
+    const sample = samples[start + i] || 0;
+    re[i] = sample * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (frameSize - 1)));
+  }
+
+  fft(re, im);
+
+  for (let k = 1; k < frameSize / 2; k++) {
+    const frequency = (k * sampleRate) / frameSize;
+
+    if (frequency >= CHROMA_MIN_FREQUENCY && frequency <= CHROMA_MAX_FREQUENCY) {
+      const pitchClass = (((Math.round(12 * Math.log2(frequency / 440)) + 9) % 12) + 12) % 12;
+      chroma[pitchClass] += re[k] * re[k] + im[k] * im[k];
+    }
+  }
+};
+
+/**
+ * Audio chroma fingerprint: the dominant pitch class of each of 16 equal
+ * time segments, 4 bits each (12 marks silence)
+ *
+ * Pitch classes survive resampling, re-encoding and volume changes, so
+ * copies of a recording keep their fingerprint.
+ *
+ * @param samples - Mono samples in [-1, 1]
+ * @param sampleRate - Sample rate in Hz
+ */
+export const chromaFingerprint = (samples, sampleRate) => {
+  // About a quarter of a second per frame, for semitone resolution at 110 Hz
+  let frameSize = 256;
+  while (frameSize < sampleRate / 4) {
+    frameSize <<= 1;
+  }
+
+  const segmentLength = samples.length / CHROMA_SEGMENTS;
+  let hash = 0n;
+
+  for (let segment = 0; segment < CHROMA_SEGMENTS; segment++) {
+    const chroma = new Float64Array(12);
+    const start = Math.floor(segment * segmentLength);
+    const span = Math.max(0, Math.floor(segmentLength) - frameSize);
+
+    for (let frame = 0; frame < CHROMA_FRAMES_PER_SEGMENT; frame++) {
+      const offset = Math.floor((span * frame) / (CHROMA_FRAMES_PER_SEGMENT - 1));
+      addChroma(chroma, samples, start + offset, frameSize, sampleRate);
+    }
+
+    let dominant = CHROMA_SILENCE;
+    let energy = 1e-9;
+
+    chroma.forEach((value, pitchClass) => {
+      if (value > energy) {
+        energy = value;
+        dominant = pitchClass;
+      }
+    });
+
+    hash = (hash << 4n) | BigInt(dominant);
+  }
+
+  return hash;
+};
+
+/**
+ * Fold a 64-bit perceptual hash into the uint32 content hash stored by the contract
+ *
+ * The high 32 bits are XORed with the low 32 bits. The contract rejects 0,
+ * so a zero fold maps to 1.
+ */
+export const foldToUint32 = (hash) => {
+  const value = Number(((hash >> 32n) ^ hash) & 0xffffffffn);
+  return value === 0 ? 1 : value;
+};
+
+/**
+ * Number of differing bits between two hashes
+ */
+export const hammingDistance = (a, b) => {
+  let diff = a ^ b;
+  let count = 0;
+
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return count;
+};
+
+/**
+ * 64-bit hash as 16 hex characters
+ */
+export const toHex64 = (hash) => hash.toString(16).padStart(16, '0');
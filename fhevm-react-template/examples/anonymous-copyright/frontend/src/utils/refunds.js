@@ -0,0 +1,127 @@
+import { findFiledDisputes, loadDispute, loadDisputeConfig } from './disputes';
+
+/**
+ * Refunds owed to an account
+ *
+ * Verification fees and dispute deposits can be claimed back once the
+ * Gateway's answer is overdue. V1 credits a claimed fee to the account's
+ * `pendingRefunds`; V2 pays timeout claims out directly and credits
+ * verification deposits and dispute prizes to `pendingRefunds` when the
+ * Gateway answers. `withdrawRefund` pays the balance out on both.
+ */
+
+// One verification request of the account, read the way its contract version exposes it
+const loadVerificationRequest = async (contract, version, requestId) => {
+  if (version === 'v2') {
+    const status = await contract.getVerificationStatus(requestId);
+
+    return {
+      workId: status.workId.toString(),
+      amount: status.depositAmount,
+      requestedAt: Number(status.requestTimestamp),
+      settled: status.completed || status.refunded
+    };
+  }
+
+  // V1 keeps no amount; the refund clears feePaid
+  const request = await contract.verificationRequests(requestId);
+
+  return {
+    workId: request.workId.toString(),
+    amount: null,
+    requestedAt: Number(request.timestamp),
+    settled: request.processed || !request.feePaid
+  };
+};
+
+/**
+ * Requests of an account whose fee or deposit can still come back, soonest first
+ *
+ * Verification requests are found through the account's VerificationRequested
+ * events, and on V2 dispute deposits through its DisputeFiled events. Requests
+ * the Gateway answered or that were already refunded are left out, as are
+ * disputes whose resolution was never requested (their deposit stays with the
+ * dispute).
+ *
+ * @param version - 'v1' or 'v2'
+ * @param fromBlock - First block searched for the account's events
+ * @returns {Promise<{ key, kind: 'verification' | 'dispute', requestId, workId, disputeId, amount, requestedAt, expiresAt }[]>}
+ */
+export const loadRefundableRequests = async (contract, account, version, fromBlock = 0) => {
+  const [events, verificationTimeout] = await Promise.all([
+    contract.queryFilter(contract.filters.VerificationRequested(null, account), fromBlock),
+    contract.VERIFICATION_TIMEOUT()
+  ]);
+
+  const verifications = await Promise.all(
+    events.map(async (event) => {
+      const requestId = event.args.requestId.toString();
+      const request = await loadVerificationRequest(contract, version, requestId);
+
+      return {
+        key: `verification-${requestId}`,
+        kind: 'verification',
+        requestId,
+        workId: request.workId,
+        disputeId: null,
+        amount: request.amount,
+        requestedAt: request.requestedAt,
+        expiresAt: request.requestedAt + Number(verificationTimeout),
+        settled: request.settled
+      };
+    })
+  );
+
+  let deposits = [];
+
+  if (version === 'v2') {
+    const [filed, config] = await Promise.all([
+      findFiledDisputes(contract, account, fromBlock),
+      loadDisputeConfig(contract)
+    ]);
+
+    deposits = await Promise.all(
+      filed.map(async ({ workId, disputeId }) => {
+        const dispute = await loadDispute(contract, workId, disputeId);
+
+        return {
+          key: `dispute-${workId}-${disputeId}`,
+          kind: 'dispute',
+          requestId: dispute.requestId,
+          workId,
+          disputeId,
+          amount: dispute.deposit,
+          requestedAt: dispute.requestedAt,
+          expiresAt: dispute.requestedAt + config.timeout,
+          settled: dispute.resolved || dispute.requestId === '0'
+        };
+      })
+    );
+  }
+
+  return [...verifications, ...deposits]
+    .filter((request) => !request.settled)
+    .map(({ settled, ...request }) => request)
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+};
+
+/**
+ * Whether a request can be claimed at `now` (unix seconds); the contracts
+ * accept claims strictly after the timeout
+ */
+export const isClaimable = (request, now) => now > request.expiresAt;
+
+/**
+ * Send the claim of one refundable request
+ *
+ * @returns {Promise<TransactionResponse>}
+ */
+export const claimRefund = (contract, version, request) => {
+  if (request.kind === 'dispute') {
+    return contract.claimDisputeTimeout(request.workId, request.disputeId);
+  }
+
+  return version === 'v2'
+    ? contract.claimVerificationTimeout(request.requestId)
+    : contract.claimVerificationRefund(request.requestId);
+};
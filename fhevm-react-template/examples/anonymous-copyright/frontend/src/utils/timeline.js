@@ -0,0 +1,139 @@
+import { ethers } from 'ethers';
+
+/**
+ * Chronological history of a work, merged from the indexer's events and the
+ * contract's own records
+ */
+
+export const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const disputeStatus = (dispute) => {
+  if (!dispute) {
+    return null;
+  }
+
+  if (!dispute.resolved) {
+    return 'Open';
+  }
+
+  return dispute.winner === ethers.ZeroAddress
+    ? 'Resolved without a winner'
+    : `Resolved, won by ${shortAddress(dispute.winner)}`;
+};
+
+// Timeline entry fields of each indexed event
+const EVENT_ENTRIES = {
+  WorkRegistered: ({ args }) => ({
+    kind: 'registered',
+    title: 'Work registered',
+    detail: `“${args.title}”`,
+    account: args.registrant
+  }),
+  WorkVerified: ({ args }) => ({
+    kind: 'verified',
+    title: 'Marked as verified',
+    account: args.verifier
+  }),
+  DisputeFiled: ({ args }, disputes) => ({
+    kind: 'dispute-filed',
+    title: `Dispute #${args.disputeId} filed`,
+    detail: disputeStatus(disputes.find((dispute) => dispute.disputeId === Number(args.disputeId))),
+    account: args.challenger
+  }),
+  DisputeResolved: ({ args }) => ({
+    kind: 'dispute-resolved',
+    title: `Dispute #${args.disputeId} resolved`,
+    detail: args.winner === ethers.ZeroAddress ? 'No winner' : `Won by ${shortAddress(args.winner)}`,
+    account: args.winner === ethers.ZeroAddress ? null : args.winner
+  }),
+  VerificationRequested: ({ args }) => ({
+    kind: 'verification-requested',
+    title: 'Verification requested',
+    detail: `Decryption request ${args.requestId}`,
+    account: args.requester
+  }),
+  VerificationProcessed: ({ args }) => ({
+    kind: 'verification-processed',
+    title: args.isMatch ? 'Verification callback: match' : 'Verification callback: no match',
+    detail: `Decryption request ${args.requestId}; the Gateway ${
+      args.isMatch ? 'confirmed the file matches' : 'found the file does not match'
+    } the registered fingerprint`
+  }),
+  RefundIssued: ({ args }) => ({
+    kind: 'refund',
+    title: 'Verification fee refunded',
+    detail: `${ethers.formatEther(args.amount)} ETH${args.requestId ? ` for request ${args.requestId}` : ''}`,
+    account: args.recipient
+  }),
+  TimeoutClaimed: ({ args }) => ({
+    kind: 'timeout-claimed',
+    title: `Dispute #${args.disputeId} timeout claimed`,
+    account: args.claimant
+  })
+};
+
+/**
+ * Timeline entries of a work, oldest first
+ *
+ * Indexed events give every entry its transaction. Without them (indexer not
+ * reachable or behind) registration and disputes still come from the
+ * contract, without transaction links.
+ *
+ * @param work - `{ registrant, timestamp }` of the work
+ * @param disputes - `getDisputeInfo` records as `{ disputeId, challenger, timestamp, resolved, winner }`
+ * @param events - Indexed events of the work (`/works/:id/events` items)
+ * @returns {{ key, kind, timestamp, title, detail, account, transactionHash, blockNumber }[]}
+ */
+export const buildTimeline = ({ work, disputes = [], events = [] }) => {
+  const entries = [];
+  const add = (entry) => entries.push({ detail: null, account: null, transactionHash: null, blockNumber: null, ...entry });
+  const indexedDisputes = new Set(
+    events.filter((event) => event.name === 'DisputeFiled').map((event) => Number(event.args.disputeId))
+  );
+
+  events
+    .filter((event) => EVENT_ENTRIES[event.name])
+    .forEach((event) => {
+      add({
+        key: `${event.blockNumber}:${event.logIndex}`,
+        ...EVENT_ENTRIES[event.name](event, disputes),
+        timestamp: event.timestamp,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex
+      });
+    });
+
+  if (work && !events.some((event) => event.name === 'WorkRegistered')) {
+    add({
+      key: 'registered',
+      kind: 'registered',
+      title: 'Work registered',
+      account: work.registrant,
+      timestamp: work.timestamp
+    });
+  }
+
+  disputes
+    .filter((dispute) => !indexedDisputes.has(dispute.disputeId))
+    .forEach((dispute) => {
+      add({
+        key: `dispute-${dispute.disputeId}`,
+        kind: 'dispute-filed',
+        title: `Dispute #${dispute.disputeId} filed`,
+        detail: disputeStatus(dispute),
+        account: dispute.challenger,
+        timestamp: dispute.timestamp
+      });
+    });
+
+  // Entries without a block (read from the contract) go last within their second
+  return entries
+    .sort(
+      (a, b) =>
+        a.timestamp - b.timestamp ||
+        (a.blockNumber ?? Infinity) - (b.blockNumber ?? Infinity) ||
+        (a.logIndex ?? 0) - (b.logIndex ?? 0)
+    )
+    .map(({ logIndex, ...entry }) => entry);
+};
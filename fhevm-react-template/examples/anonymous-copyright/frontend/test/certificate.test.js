@@ -0,0 +1,240 @@
+import { describe, expect, it } from 'vitest';
+import { ethers } from 'ethers';
+import AnonymousCopyrightABI from '../src/contracts/AnonymousCopyright.json';
+import {
+  canonicalJson,
+  certificateToPdf,
+  checkCertificate,
+  createCertificate,
+  matchFingerprint,
+  parseSignedCertificate,
+  recoverCertificateSigner,
+  signCertificate
+} from '../src/utils/certificate';
+import { createPdf } from '../src/utils/pdf';
+
+/**
+ * Certificate tests against an in-memory chain: a fake provider answering
+ * getWorkInfo calls and serving the registration receipt
+ */
+
+const iface = new ethers.Interface(AnonymousCopyrightABI.abi);
+const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+const contractAddress = '0x' + 'c0'.repeat(20);
+const transactionHash = '0x' + 'ab'.repeat(32);
+
+const work = {
+  workId: 7n,
+  title: 'Morning Light',
+  category: 'Photography',
+  registrant: wallet.address,
+  timestamp: 1700000000n
+};
+
+const fingerprint = {
+  fileName: 'light.jpg',
+  fileSize: 123456,
+  fileType: 'image/jpeg',
+  kind: 'image',
+  method: 'phash',
+  algorithm: 'SHA-256',
+  digest: 'ab'.repeat(32),
+  perceptualHash: 'b232cdcc693b4a78',
+  contentHash: 0xdb099cb4
+};
+
+const certificate = createCertificate({
+  ...work,
+  transactionHash,
+  blockNumber: 42,
+  contractAddress,
+  chainId: 11155111n,
+  fingerprint
+});
+
+const createProvider = ({ chainId = 11155111n, info = work, receipt = {} } = {}) => {
+  const log = iface.encodeEventLog('WorkRegistered', [work.workId, work.registrant, work.title, work.timestamp]);
+
+  return {
+    getNetwork: async () => ({ chainId }),
+    call: async ({ data }) => {
+      const { name } = iface.parseTransaction({ data });
+      if (name !== 'getWorkInfo') throw new Error(`Unexpected call: ${name}`);
+      if (!info) throw new Error('execution reverted: Invalid work ID');
+      return iface.encodeFunctionResult('getWorkInfo', [
+        info.title,
+        info.category,
+        info.registrant,
+        false,
+        false,
+        info.timestamp
+      ]);
+    },
+    getTransactionReceipt: async (hash) =>
+      hash === transactionHash && receipt
+        ? { status: 1, blockNumber: 42, logs: [{ address: contractAddress, ...log }], ...receipt }
+        : null
+  };
+};
+
+const failed = (checks) => checks.filter((check) => !check.ok).map((check) => check.id);
+
+describe('canonicalJson', () => {
+  it('sorts object keys at every level', () => {
+    expect(canonicalJson({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: null } })).toBe(
+      '{"a":{"c":null,"d":[2,{"e":4,"f":3}]},"b":1}'
+    );
+  });
+});
+
+describe('createCertificate', () => {
+  it('normalizes numbers and addresses and keeps the fingerprint', () => {
+    expect(certificate).toMatchObject({
+      type: 'AnonymousCopyrightRegistration',
+      version: 1,
+      workId: '7',
+      blockNumber: 42,
+      timestamp: 1700000000,
+      chainId: 11155111,
+      contractAddress: ethers.getAddress(contractAddress),
+      fingerprint
+    });
+  });
+
+  it('fills fingerprint fields missing from a manual hash', () => {
+    const { fingerprint: manual } = createCertificate({ ...certificate, fingerprint: { contentHash: '5' } });
+    expect(manual).toMatchObject({ contentHash: '5', digest: null, perceptualHash: null });
+  });
+});
+
+describe('signCertificate', () => {
+  it('signs with the registrant wallet and round-trips through JSON', async () => {
+    const signed = await signCertificate(certificate, wallet);
+    const parsed = parseSignedCertificate(JSON.stringify(signed));
+
+    expect(signed.signer).toBe(wallet.address);
+    expect(recoverCertificateSigner(parsed)).toBe(wallet.address);
+  });
+
+  it('no longer recovers the registrant once the certificate is edited', async () => {
+    const signed = await signCertificate(certificate, wallet);
+    const edited = { ...signed, certificate: { ...certificate, title: 'Evening Light' } };
+
+    expect(recoverCertificateSigner(edited)).not.toBe(wallet.address);
+  });
+});
+
+describe('parseSignedCertificate', () => {
+  it('rejects files that are not signed certificates', () => {
+    expect(() => parseSignedCertificate('not json')).toThrow('not valid JSON');
+    expect(() => parseSignedCertificate(JSON.stringify({ certificate }))).toThrow('not a signed');
+    expect(() =>
+      parseSignedCertificate(JSON.stringify({ certificate: { ...certificate, version: 2 }, signature: '0x' }))
+    ).toThrow('Unsupported certificate version');
+  });
+});
+
+describe('checkCertificate', () => {
+  it('passes a certificate matching the chain', async () => {
+    const checks = await checkCertificate(await signCertificate(certificate, wallet), createProvider());
+
+    expect(checks.map((check) => check.id)).toEqual(['signature', 'network', 'work', 'transaction']);
+    expect(failed(checks)).toEqual([]);
+  });
+
+  it('fails a certificate signed by someone else', async () => {
+    const other = ethers.Wallet.createRandom();
+    const checks = await checkCertificate(await signCertificate(certificate, other), createProvider());
+
+    expect(failed(checks)).toEqual(['signature']);
+  });
+
+  it('stops at the network check on another chain', async () => {
+    const checks = await checkCertificate(
+      await signCertificate(certificate, wallet),
+      createProvider({ chainId: 1n })
+    );
+
+    expect(failed(checks)).toEqual(['network']);
+    expect(checks).toHaveLength(2);
+  });
+
+  it('reports a work record that differs', async () => {
+    const checks = await checkCertificate(
+      await signCertificate(certificate, wallet),
+      createProvider({ info: { ...work, title: 'Other' } })
+    );
+
+    expect(failed(checks)).toEqual(['work']);
+    expect(checks[2].detail).toContain('title');
+  });
+
+  it('reports a missing work', async () => {
+    const checks = await checkCertificate(await signCertificate(certificate, wallet), createProvider({ info: null }));
+    expect(failed(checks)).toEqual(['work']);
+  });
+
+  it('reports a transaction from another block or without the log', async () => {
+    const signed = await signCertificate(certificate, wallet);
+
+    const moved = await checkCertificate(signed, createProvider({ receipt: { blockNumber: 43 } }));
+    expect(moved[3]).toMatchObject({ ok: false, detail: 'Mined in block 43, not 42' });
+
+    const unrelated = await checkCertificate(signed, createProvider({ receipt: { logs: [] } }));
+    expect(unrelated[3]).toMatchObject({ ok: false, detail: 'No WorkRegistered log for work #7' });
+
+    const missing = await checkCertificate(signed, createProvider({ receipt: null }));
+    expect(missing[3]).toMatchObject({ ok: false, detail: 'Transaction not found' });
+  });
+});
+
+describe('matchFingerprint', () => {
+  it('matches exact fingerprints on the digest', () => {
+    const exact = { ...fingerprint, method: 'sha256', perceptualHash: null };
+
+    expect(matchFingerprint(exact, exact).ok).toBe(true);
+    expect(matchFingerprint(exact, { ...exact, digest: 'cd'.repeat(32) }).ok).toBe(false);
+  });
+
+  it('matches perceptual fingerprints on the content hash and reports the distance', () => {
+    const copy = { ...fingerprint, digest: 'cd'.repeat(32) };
+    const edited = { ...copy, perceptualHash: 'b232cccc793b4678', contentHash: 1 };
+
+    expect(matchFingerprint(fingerprint, copy)).toEqual({
+      ok: true,
+      detail: '0 of 64 bits differ from the registered Image DCT hash (pHash)'
+    });
+    expect(matchFingerprint(fingerprint, edited)).toMatchObject({ ok: false, detail: expect.stringMatching(/^4 of 64/) });
+  });
+});
+
+describe('createPdf', () => {
+  const text = (bytes) => String.fromCharCode(...bytes);
+
+  it('writes a PDF whose cross-reference offsets point at its objects', () => {
+    const pdf = text(createPdf([{ text: 'Hello (world) \\ ünïcödé ✓', font: 'bold', size: 20 }]));
+    const offsets = pdf
+      .slice(pdf.indexOf('xref'))
+      .split('\n')
+      .filter((line) => line.endsWith(' n '))
+      .map((line) => parseInt(line, 10));
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    offsets.forEach((offset, i) => expect(pdf.slice(offset)).toMatch(new RegExp(`^${i + 1} 0 obj`)));
+    expect(pdf).toContain('(Hello \\(world\\) \\\\ ünïcödé ?) Tj');
+  });
+
+  it('starts new pages when the text does not fit', () => {
+    const pdf = text(createPdf(Array.from({ length: 100 }, (_, i) => ({ text: `Line ${i}` }))));
+    expect(pdf).toContain('/Count 2');
+  });
+
+  it('renders a signed certificate', async () => {
+    const pdf = text(certificateToPdf(await signCertificate(certificate, wallet)));
+
+    expect(pdf).toContain('(Certificate of Registration) Tj');
+    expect(pdf).toContain(`(${transactionHash}) Tj`);
+    expect(pdf).toContain('(b232cdcc 693b4a78) Tj');
+  });
+});
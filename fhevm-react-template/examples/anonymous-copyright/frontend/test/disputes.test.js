@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { ethers } from 'ethers';
+import { disputeStatus, formatCountdown, loadAuthorDisputes, summarizeDisputes } from '../src/utils/disputes';
+
+const ALICE = ethers.getAddress('0x' + 'a1'.repeat(20));
+const BOB = ethers.getAddress('0x' + 'b0'.repeat(20));
+const CAROL = ethers.getAddress('0x' + 'c0'.repeat(20));
+
+const DEPOSIT = ethers.parseEther('0.005');
+const TIMEOUT = 24 * 60 * 60;
+
+const dispute = (fields) => ({
+  challenger: BOB,
+  timestamp: 1000,
+  deposit: DEPOSIT,
+  resolved: false,
+  winner: ethers.ZeroAddress,
+  requestId: '0',
+  requestedAt: 0,
+  ...fields
+});
+
+// Stand-in for AnonymousCopyrightV2: works by ID, their disputes and DisputeFiled logs
+const fakeContract = (works) => ({
+  filters: {
+    DisputeFiled: (workId, challenger) => ({ challenger })
+  },
+  getAuthorWorks: async (author) =>
+    Object.keys(works)
+      .filter((id) => works[id].registrant === author)
+      .map(BigInt),
+  getDisputeCount: async (workId) => BigInt(works[workId].disputes.length),
+  getWorkInfo: async (workId) => ({ title: works[workId].title }),
+  disputes: async (workId, disputeId) => {
+    const record = works[workId].disputes[disputeId];
+    return {
+      challenger: record.challenger,
+      timestamp: BigInt(record.timestamp),
+      depositAmount: DEPOSIT,
+      resolved: record.resolved ?? false,
+      winner: record.winner ?? ethers.ZeroAddress,
+      decryptionRequestId: BigInt(record.requestId ?? 0),
+      requestTimestamp: BigInt(record.requestedAt ?? 0)
+    };
+  },
+  queryFilter: async ({ challenger }) =>
+    Object.entries(works).flatMap(([workId, work]) =>
+      work.disputes
+        .map((record, disputeId) => ({ record, disputeId }))
+        .filter(({ record }) => record.challenger === challenger)
+        .map(({ disputeId }) => ({ args: { workId: BigInt(workId), disputeId: BigInt(disputeId) } }))
+    )
+});
+
+describe('disputeStatus', () => {
+  it('follows a dispute from filing to the timeout', () => {
+    expect(disputeStatus(dispute(), TIMEOUT, 2000)).toBe('open');
+
+    const requested = dispute({ requestId: '77', requestedAt: 2000 });
+    expect(disputeStatus(requested, TIMEOUT, 2000 + TIMEOUT)).toBe('resolving');
+    expect(disputeStatus(requested, TIMEOUT, 2001 + TIMEOUT)).toBe('expired');
+  });
+
+  it('tells a verdict from a timeout refund', () => {
+    expect(disputeStatus(dispute({ resolved: true, winner: ALICE }), TIMEOUT, 2000)).toBe('resolved');
+    expect(disputeStatus(dispute({ resolved: true, requestId: '77', requestedAt: 2000 }), TIMEOUT, 2000)).toBe(
+      'refunded'
+    );
+  });
+});
+
+describe('formatCountdown', () => {
+  it('shows the two largest units', () => {
+    expect(formatCountdown(TIMEOUT - 1)).toBe('23h 59m');
+    expect(formatCountdown(250)).toBe('4m 10s');
+    expect(formatCountdown(9.2)).toBe('10s');
+    expect(formatCountdown(-5)).toBe('0s');
+  });
+});
+
+describe('loadAuthorDisputes', () => {
+  const works = {
+    1: {
+      registrant: ALICE,
+      title: 'Morning Light',
+      disputes: [
+        { challenger: BOB, timestamp: 1000, resolved: true, winner: ALICE },
+        { challenger: CAROL, timestamp: 3000, requestId: 77, requestedAt: 3100 }
+      ]
+    },
+    2: {
+      registrant: CAROL,
+      title: 'Night Song',
+      disputes: [{ challenger: ALICE, timestamp: 2000, resolved: true, winner: CAROL }]
+    }
+  };
+
+  it('collects disputes on the author\'s works and those they filed, newest first', async () => {
+    const disputes = await loadAuthorDisputes(fakeContract(works), ALICE);
+
+    expect(disputes.map(({ workId, disputeId, role, title }) => ({ workId, disputeId, role, title }))).toEqual([
+      { workId: '1', disputeId: 1, role: 'registrant', title: 'Morning Light' },
+      { workId: '2', disputeId: 0, role: 'challenger', title: 'Night Song' },
+      { workId: '1', disputeId: 0, role: 'registrant', title: 'Morning Light' }
+    ]);
+    expect(disputes[0]).toMatchObject({ requestId: '77', requestedAt: 3100, deposit: DEPOSIT });
+    expect(summarizeDisputes(disputes, ALICE.toLowerCase())).toEqual({ total: 3, open: 1, won: 1, lost: 1 });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { runInNewContext } from 'node:vm';
+import * as frontend from '../src/utils/fingerprint';
+
+// The static site's classic script, run with the browser globals it uses
+const loadStaticFingerprint = () =>
+  runInNewContext(
+    `${readFileSync(fileURLToPath(new URL('../../public/fingerprint.js', import.meta.url)), 'utf8')}
+    ({ digestToContentHash, fingerprintFile });`,
+    { crypto, TextDecoder, TextEncoder }
+  );
+
+const ABC_DIGEST = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+const text = (...parts) => new File(parts, 'work.txt', { type: 'text/plain' });
+
+describe.each([
+  ['frontend', frontend],
+  ['static site', loadStaticFingerprint()]
+])('%s fingerprint', (_, { digestToContentHash, fingerprintFile }) => {
+  describe('digestToContentHash', () => {
+    it('reads the first 4 bytes as a big-endian uint32', () => {
+      expect(digestToContentHash(ABC_DIGEST)).toBe(0xba7816bf);
+      expect(digestToContentHash('00000102' + 'ff'.repeat(28))).toBe(0x0102);
+      expect(digestToContentHash('ffffffff' + '00'.repeat(28))).toBe(2 ** 32 - 1);
+    });
+
+    it('maps a zero prefix to 1', () => {
+      expect(digestToContentHash('00000000' + 'ff'.repeat(28))).toBe(1);
+    });
+  });
+
+  describe('fingerprintFile', () => {
+    it('hashes the file with SHA-256', async () => {
+      const fingerprint = await fingerprintFile(text('abc'));
+
+      expect(fingerprint).toMatchObject({ kind: 'text', algorithm: 'SHA-256', digest: ABC_DIGEST });
+      expect(fingerprint.contentHash).toBe(3128432319);
+    });
+
+    it('hashes CRLF, CR and LF text alike', async () => {
+      const { digest } = await fingerprintFile(text('line one\nline two\n'));
+
+      expect((await fingerprintFile(text('line one\r\nline two\r\n'))).digest).toBe(digest);
+      expect((await fingerprintFile(text('line one\rline two\r'))).digest).toBe(digest);
+    });
+
+    it('drops the byte order mark of text', async () => {
+      const bom = new Uint8Array([0xef, 0xbb, 0xbf]);
+
+      expect((await fingerprintFile(text(bom, 'abc'))).digest).toBe(ABC_DIGEST);
+    });
+
+    it('hashes other files byte for byte', async () => {
+      const image = (content) => new File([content], 'art.png', { type: 'image/png' });
+      const { digest } = await fingerprintFile(image('a\nb'));
+
+      expect((await fingerprintFile(image('a\r\nb'))).digest).not.toBe(digest);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Generates the fixture media used by the perceptual hash tests
+ *
+ * Run with `node test/fixtures/generate.js`. The output is deterministic, so
+ * regenerating leaves the committed fixtures unchanged.
+ *
+ * Images (24-bit BMP):
+ * - artwork.bmp          64x64 original
+ * - artwork-resized.bmp  48x48 bilinear downscale of the original
+ * - artwork-edited.bmp   original brightened with added noise
+ * - other.bmp            unrelated 64x64 image
+ *
+ * Audio (mono PCM WAV, 6 seconds):
+ * - melody.wav           16-bit, 8 kHz original
+ * - melody-reencoded.wav 8-bit, 11.025 kHz copy at lower volume with noise
+ * - other.wav            unrelated melody, 8-bit, 8 kHz
+ */
+
+import { writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const OUTPUT_DIR = dirname(fileURLToPath(import.meta.url));
+const AUDIO_SECONDS = 6;
+
+// Deterministic pseudo-random numbers in [0, 1)
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 2 ** 32;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const encodeBmp = (width, height, pixel) => {
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const buffer = Buffer.alloc(54 + rowSize * height);
+
+  buffer.write('BM', 0);
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(54, 10);
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  buffer.writeUInt32LE(rowSize * height, 34);
+
+  for (let y = 0; y < height; y++) {
+    // Rows are stored bottom-up
+    const row = 54 + (height - 1 - y) * rowSize;
+
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = pixel(x, y).map((value) => clamp(Math.round(value), 0, 255));
+      buffer[row + x * 3] = b;
+      buffer[row + x * 3 + 1] = g;
+      buffer[row + x * 3 + 2] = r;
+    }
+  }
+
+  return buffer;
+};
+
+const encodeWav = (samples, sampleRate, bitsPerSample) => {
+  const bytesPerSample = bitsPerSample / 8;
+  const buffer = Buffer.alloc(44 + samples.length * bytesPerSample);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(buffer.length - 8, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * bytesPerSample, 28);
+  buffer.writeUInt16LE(bytesPerSample, 32);
+  buffer.writeUInt16LE(bitsPerSample, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * bytesPerSample, 40);
+
+  samples.forEach((sample, i) => {
+    const value = clamp(sample, -1, 1);
+
+    if (bitsPerSample === 8) {
+      buffer[44 + i] = Math.round(value * 127) + 128;
+    } else {
+      buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+    }
+  });
+
+  return buffer;
+};
+
+// Diagonal gradient with a dark disc and a bright bar
+const artwork = (x, y) => {
+  const base = 40 + 2.5 * x + 1.2 * y;
+  const inDisc = (x - 22) ** 2 + (y - 26) ** 2 < 12 ** 2;
+  const inBar = x > 38 && x < 56 && y > 8 && y < 52;
+
+  if (inDisc) return [20, 30, 90];
+  if (inBar) return [240, 220, 120];
+  return [base, base * 0.8, 200 - base * 0.5];
+};
+
+// Concentric rings over a vertical gradient
+const other = (x, y) => {
+  const ring = Math.sin(Math.hypot(x - 40, y - 20) / 3) * 80;
+  return [120 + ring, 200 - 2 * y, 60 + ring / 2];
+};
+
+const bilinear = (image, width, height, targetWidth, targetHeight) => (x, y) => {
+  const sx = clamp(((x + 0.5) * width) / targetWidth - 0.5, 0, width - 1);
+  const sy = clamp(((y + 0.5) * height) / targetHeight - 0.5, 0, height - 1);
+  const x0 = Math.floor(sx);
+  const y0 = Math.floor(sy);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = sx - x0;
+  const fy = sy - y0;
+
+  return [0, 1, 2].map(
+    (channel) =>
+      image(x0, y0)[channel] * (1 - fx) * (1 - fy) +
+      image(x1, y0)[channel] * fx * (1 - fy) +
+      image(x0, y1)[channel] * (1 - fx) * fy +
+      image(x1, y1)[channel] * fx * fy
+  );
+};
+
+const noisy = (image, seed) => {
+  const random = createRandom(seed);
+  const noise = Array.from({ length: 64 * 64 }, () => (random() - 0.5) * 16);
+  return (x, y) => image(x, y).map((value) => value * 1.05 + 12 + noise[y * 64 + x]);
+};
+
+// MIDI note numbers, one per fingerprint segment
+const MELODY = [60, 64, 67, 72, 71, 67, 64, 62, 60, 65, 69, 72, 70, 67, 65, 60];
+const OTHER_MELODY = [57, 57, 59, 61, 62, 61, 59, 66, 64, 63, 61, 59, 58, 56, 54, 54];
+
+// Notes with a few harmonics and a short fade at each end
+const synthesize = (notes, sampleRate, volume = 0.5) => {
+  const samples = new Float64Array(AUDIO_SECONDS * sampleRate);
+  const noteLength = samples.length / notes.length;
+  const fade = Math.floor(0.01 * sampleRate);
+
+  for (let i = 0; i < samples.length; i++) {
+    const note = Math.floor(i / noteLength);
+    const position = i - Math.floor(note * noteLength);
+    const frequency = 440 * 2 ** ((notes[note] - 69) / 12);
+    const t = i / sampleRate;
+    const envelope = Math.min(1, position / fade, (noteLength - position) / fade);
+
+    samples[i] =
+      volume *
+      envelope *
+      (Math.sin(2 * Math.PI * frequency * t) +
+        0.5 * Math.sin(4 * Math.PI * frequency * t) +
+        0.25 * Math.sin(6 * Math.PI * frequency * t)) /
+      1.75;
+  }
+
+  return samples;
+};
+
+const withNoise = (samples, seed, amount) => {
+  const random = createRandom(seed);
+  return samples.map((sample) => sample + (random() - 0.5) * amount);
+};
+
+const write = (name, buffer) => {
+  writeFileSync(join(OUTPUT_DIR, name), buffer);
+  console.log(`${name} (${buffer.length} bytes)`);
+};
+
+write('artwork.bmp', encodeBmp(64, 64, artwork));
+write('artwork-resized.bmp', encodeBmp(48, 48, bilinear(artwork, 64, 64, 48, 48)));
+write('artwork-edited.bmp', encodeBmp(64, 64, noisy(artwork, 7)));
+write('other.bmp', encodeBmp(64, 64, other));
+
+write('melody.wav', encodeWav(synthesize(MELODY, 8000), 8000, 16));
+write('melody-reencoded.wav', encodeWav(withNoise(synthesize(MELODY, 11025, 0.3), 11, 0.02), 11025, 8));
+write('other.wav', encodeWav(synthesize(OTHER_MELODY, 8000), 8000, 8));
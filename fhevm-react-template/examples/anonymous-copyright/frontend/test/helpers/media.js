@@ -0,0 +1,53 @@
+/**
+ * Minimal decoders for the fixture media
+ * Stand in for the canvas and Web Audio decoding done in the browser
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const fixturePath = (name) => fileURLToPath(new URL(`../fixtures/${name}`, import.meta.url));
+
+/**
+ * Decode an uncompressed 24-bit BMP fixture to RGBA pixels
+ */
+export const readBmp = (name) => {
+  const buffer = readFileSync(fixturePath(name));
+  const offset = buffer.readUInt32LE(10);
+  const width = buffer.readInt32LE(18);
+  const height = buffer.readInt32LE(22);
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = offset + (height - 1 - y) * rowSize;
+
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      pixels[i] = buffer[row + x * 3 + 2];
+      pixels[i + 1] = buffer[row + x * 3 + 1];
+      pixels[i + 2] = buffer[row + x * 3];
+      pixels[i + 3] = 255;
+    }
+  }
+
+  return { pixels, width, height };
+};
+
+/**
+ * Decode a mono 8- or 16-bit PCM WAV fixture to samples in [-1, 1]
+ */
+export const readWav = (name) => {
+  const buffer = readFileSync(fixturePath(name));
+  const sampleRate = buffer.readUInt32LE(24);
+  const bitsPerSample = buffer.readUInt16LE(34);
+  const length = buffer.readUInt32LE(40) / (bitsPerSample / 8);
+  const samples = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    samples[i] =
+      bitsPerSample === 8 ? (buffer[44 + i] - 128) / 128 : buffer.readInt16LE(44 + i * 2) / 32768;
+  }
+
+  return { samples, sampleRate };
+};
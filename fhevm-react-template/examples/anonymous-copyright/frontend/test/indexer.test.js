@@ -0,0 +1,93 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  INDEXER_URL,
+  getIndexedWork,
+  getWorkEvents,
+  parseSearch,
+  searchHref,
+  searchToParams,
+  searchWorks,
+  workShareUrl
+} from '../src/utils/indexer';
+
+const respond = (status, body) => vi.fn(async () => ({ ok: status < 400, status, json: async () => body }));
+
+describe('search URLs', () => {
+  it('parses a search from the route query', () => {
+    expect(parseSearch(new URLSearchParams('q=%20night%20&verified=true&page=3'))).toEqual({
+      q: 'night',
+      category: '',
+      verified: 'true',
+      disputed: '',
+      registrant: '',
+      from: '',
+      to: '',
+      sort: '',
+      page: 3
+    });
+    expect(parseSearch(new URLSearchParams('page=0')).page).toBe(1);
+    expect(parseSearch(new URLSearchParams('page=two')).page).toBe(1);
+  });
+
+  it('leaves empty fields and the first page out of the URL', () => {
+    expect(searchToParams({ q: 'song', category: '', page: 1 }).toString()).toBe('q=song');
+    expect(searchHref({ q: 'night song', category: 'Music', page: 2 })).toBe(
+      '#/search?q=night+song&category=Music&page=2'
+    );
+    expect(searchHref({ q: '', page: 1 })).toBe('#/search');
+  });
+
+  it('round-trips a search through its URL', () => {
+    const search = parseSearch(new URLSearchParams('q=light&from=2024-01-01&to=2024-12-31&disputed=false&page=2'));
+    expect(parseSearch(new URLSearchParams(searchHref(search).split('?')[1]))).toEqual(search);
+  });
+});
+
+describe('indexer client', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('requests one page of works', async () => {
+    const fetch = respond(200, { items: [], total: 0 });
+    vi.stubGlobal('fetch', fetch);
+
+    await searchWorks({ ...parseSearch(new URLSearchParams('q=light&category=Music')), page: 3 });
+
+    expect(fetch).toHaveBeenCalledWith(`${INDEXER_URL}/works?q=light&category=Music&limit=12&offset=24`);
+  });
+
+  it('reports the error of the API', async () => {
+    vi.stubGlobal('fetch', respond(400, { error: 'registrant must be an address' }));
+
+    await expect(searchWorks(parseSearch(new URLSearchParams('registrant=0x1')))).rejects.toMatchObject({
+      message: 'registrant must be an address',
+      status: 400
+    });
+  });
+
+  it('answers null for works the indexer has not seen', async () => {
+    vi.stubGlobal('fetch', respond(404, { error: 'Work #9 is not indexed' }));
+    expect(await getIndexedWork('9')).toBeNull();
+
+    vi.stubGlobal('fetch', respond(500, { error: 'Internal error' }));
+    await expect(getIndexedWork('9')).rejects.toThrow('Internal error');
+  });
+
+  it('collects every page of a work\'s events', async () => {
+    const fetch = vi.fn(async (url) => {
+      const offset = Number(new URL(url).searchParams.get('offset'));
+      const items = Array.from({ length: Math.min(100, 150 - offset) }, (_, i) => ({ logIndex: offset + i }));
+      return { ok: true, status: 200, json: async () => ({ items, total: 150 }) };
+    });
+    vi.stubGlobal('fetch', fetch);
+
+    expect((await getWorkEvents('3')).map((event) => event.logIndex)).toEqual([...Array(150).keys()]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch).toHaveBeenLastCalledWith(`${INDEXER_URL}/works/3/events?limit=100&offset=100`);
+  });
+
+  it('shares works through the indexer\'s preview page', () => {
+    expect(workShareUrl(3)).toBe(`${INDEXER_URL}/share/works/3`);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, expect, it } from 'vitest';
+import {
+  chromaFingerprint,
+  dHash,
+  foldToUint32,
+  hammingDistance,
+  pHash,
+  resizeGray,
+  toGrayscale,
+  toHex64
+} from '../src/utils/perceptualHash';
+import { fingerprintFile, getDefaultMethod } from '../src/utils/fingerprint';
+import { readBmp, readWav } from './helpers/media';
+
+/**
+ * Perceptual hash tests against the fixture media in test/fixtures
+ * (regenerate with `node test/fixtures/generate.js`)
+ */
+
+// Near-duplicates may differ in a few bits; unrelated media in about half of them
+const NEAR_DUPLICATE_DISTANCE = 6;
+const DIFFERENT_DISTANCE = 20;
+
+const hashImage = (hash, name) => {
+  const { pixels, width, height } = readBmp(name);
+  return hash(toGrayscale(pixels, width, height), width, height);
+};
+
+const hashAudio = (name) => {
+  const { samples, sampleRate } = readWav(name);
+  return chromaFingerprint(samples, sampleRate);
+};
+
+describe('resizeGray', () => {
+  it('averages the source area under each target pixel', () => {
+    const gray = Float64Array.from([0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110, 120, 130, 140, 150]);
+    expect(Array.from(resizeGray(gray, 4, 4, 2, 2))).toEqual([25, 45, 105, 125]);
+  });
+
+  it('keeps a uniform image uniform at fractional scales', () => {
+    const gray = new Float64Array(7 * 5).fill(42);
+    resizeGray(gray, 7, 5, 3, 2).forEach((value) => expect(value).toBeCloseTo(42));
+  });
+});
+
+describe.each([
+  ['dHash', dHash],
+  ['pHash', pHash]
+])('%s', (_, hash) => {
+  const original = hashImage(hash, 'artwork.bmp');
+
+  it('is deterministic', () => {
+    expect(hashImage(hash, 'artwork.bmp')).toBe(original);
+  });
+
+  it('matches a resized copy', () => {
+    expect(hammingDistance(original, hashImage(hash, 'artwork-resized.bmp'))).toBeLessThanOrEqual(
+      NEAR_DUPLICATE_DISTANCE
+    );
+  });
+
+  it('matches a brightened, noisy copy', () => {
+    expect(hammingDistance(original, hashImage(hash, 'artwork-edited.bmp'))).toBeLessThanOrEqual(
+      NEAR_DUPLICATE_DISTANCE
+    );
+  });
+
+  it('tells an unrelated image apart', () => {
+    expect(hammingDistance(original, hashImage(hash, 'other.bmp'))).toBeGreaterThanOrEqual(
+      DIFFERENT_DISTANCE
+    );
+  });
+});
+
+describe('chromaFingerprint', () => {
+  const original = hashAudio('melody.wav');
+
+  it('encodes the dominant pitch class of each segment', () => {
+    // C E G C B G E D C F A C Bb G F C
+    expect(toHex64(original)).toBe('0470b7420590a750');
+  });
+
+  it('matches a resampled, quieter, noisy copy exactly', () => {
+    expect(hashAudio('melody-reencoded.wav')).toBe(original);
+  });
+
+  it('tells an unrelated melody apart', () => {
+    expect(hammingDistance(original, hashAudio('other.wav'))).toBeGreaterThanOrEqual(DIFFERENT_DISTANCE);
+  });
+
+  it('marks silent segments', () => {
+    expect(toHex64(chromaFingerprint(new Float32Array(8000 * 4), 8000))).toBe('cccccccccccccccc');
+  });
+});
+
+describe('foldToUint32', () => {
+  it('XORs the high and low 32 bits', () => {
+    expect(foldToUint32(0x12345678_9abcdef0n)).toBe(0x88888888);
+    expect(foldToUint32(0x00000000_00000001n)).toBe(1);
+    expect(foldToUint32(0xffffffff_00000000n)).toBe(0xffffffff);
+  });
+
+  it('maps a zero fold to 1', () => {
+    expect(foldToUint32(0x0000abcd_0000abcdn)).toBe(1);
+    expect(foldToUint32(0n)).toBe(1);
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts differing bits', () => {
+    expect(hammingDistance(0n, 0n)).toBe(0);
+    expect(hammingDistance(0b1011n, 0b0001n)).toBe(2);
+    expect(hammingDistance(0n, 0xffffffffffffffffn)).toBe(64);
+  });
+});
+
+describe('fingerprintFile', () => {
+  const image = () => new File([new Uint8Array([1, 2, 3])], 'art.png', { type: 'image/png' });
+
+  it('presets the method from the category', () => {
+    expect(getDefaultMethod('Digital Art')).toBe('dhash');
+    expect(getDefaultMethod('Photography')).toBe('phash');
+    expect(getDefaultMethod('Music')).toBe('chroma');
+    expect(getDefaultMethod('Literature')).toBe('sha256');
+    expect(getDefaultMethod('')).toBe('sha256');
+  });
+
+  it('keeps the SHA-256 content hash for the exact method', async () => {
+    const fingerprint = await fingerprintFile(new File(['hello'], 'work.txt', { type: 'text/plain' }));
+
+    expect(fingerprint.method).toBe('sha256');
+    expect(fingerprint.perceptualHash).toBeNull();
+    expect(fingerprint.contentHash).toBe(0x2cf24dba);
+  });
+
+  it('rejects a perceptual method that does not fit the file', async () => {
+    await expect(fingerprintFile(image(), 'chroma')).rejects.toThrow('needs an audio file');
+    await expect(fingerprintFile(new File(['x'], 'a.txt'), 'dhash')).rejects.toThrow('needs an image file');
+  });
+
+  it('rejects an unknown method', async () => {
+    await expect(fingerprintFile(image(), 'md5')).rejects.toThrow('Unknown fingerprint method');
+  });
+});
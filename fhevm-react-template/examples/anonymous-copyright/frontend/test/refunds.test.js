@@ -0,0 +1,141 @@
+import { describe, expect, it, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { claimRefund, isClaimable, loadRefundableRequests } from '../src/utils/refunds';
+
+const ALICE = ethers.getAddress('0x' + 'a1'.repeat(20));
+
+const DEPOSIT = ethers.parseEther('0.001');
+const DISPUTE_DEPOSIT = ethers.parseEther('0.005');
+const HOUR = 60 * 60;
+
+const requested = (workId, requestId) => ({ args: { workId: BigInt(workId), requestId: BigInt(requestId) } });
+
+// Stand-in for the contracts: the account's events and the records they point to
+const fakeContract = ({ requests, verifications = {}, statuses = {}, disputes = {} }) => ({
+  filters: {
+    VerificationRequested: () => 'VerificationRequested',
+    DisputeFiled: () => 'DisputeFiled'
+  },
+  queryFilter: async (filter) =>
+    filter === 'VerificationRequested'
+      ? requests
+      : Object.keys(disputes).map((key) => {
+          const [workId, disputeId] = key.split('-');
+          return { args: { workId: BigInt(workId), disputeId: BigInt(disputeId) } };
+        }),
+  VERIFICATION_TIMEOUT: async () => BigInt(HOUR),
+  verificationRequests: async (requestId) => verifications[requestId],
+  getVerificationStatus: async (requestId) => statuses[requestId],
+  getContractConfig: async () => ({
+    disputeDeposit: DISPUTE_DEPOSIT,
+    disputeTimeout: BigInt(24 * HOUR),
+    maxDisputesPerWork: 10n,
+    isPaused: false
+  }),
+  disputes: async (workId, disputeId) => disputes[`${workId}-${disputeId}`]
+});
+
+const status = (fields) => ({
+  requester: ALICE,
+  workId: 1n,
+  depositAmount: DEPOSIT,
+  requestTimestamp: 1000n,
+  completed: false,
+  refunded: false,
+  ...fields
+});
+
+const dispute = (fields) => ({
+  challenger: ALICE,
+  timestamp: 900n,
+  depositAmount: DISPUTE_DEPOSIT,
+  resolved: false,
+  winner: ethers.ZeroAddress,
+  decryptionRequestId: 0n,
+  requestTimestamp: 0n,
+  ...fields
+});
+
+describe('loadRefundableRequests', () => {
+  it('lists unanswered V2 verification requests and dispute deposits, soonest first', async () => {
+    const contract = fakeContract({
+      requests: [requested(1, 11), requested(2, 12), requested(3, 13)],
+      statuses: {
+        11: status({ requestTimestamp: 5000n }),
+        12: status({ workId: 2n, completed: true }),
+        13: status({ workId: 3n, refunded: true })
+      },
+      disputes: {
+        '4-0': dispute({ decryptionRequestId: 77n, requestTimestamp: 2000n }),
+        '4-1': dispute(),
+        '5-0': dispute({ decryptionRequestId: 78n, requestTimestamp: 2000n, resolved: true, winner: ALICE })
+      }
+    });
+
+    const refunds = await loadRefundableRequests(contract, ALICE, 'v2');
+
+    expect(refunds).toEqual([
+      {
+        key: 'verification-11',
+        kind: 'verification',
+        requestId: '11',
+        workId: '1',
+        disputeId: null,
+        amount: DEPOSIT,
+        requestedAt: 5000,
+        expiresAt: 5000 + HOUR
+      },
+      {
+        key: 'dispute-4-0',
+        kind: 'dispute',
+        requestId: '77',
+        workId: '4',
+        disputeId: 0,
+        amount: DISPUTE_DEPOSIT,
+        requestedAt: 2000,
+        expiresAt: 2000 + 24 * HOUR
+      }
+    ]);
+  });
+
+  it('reads V1 requests from the verificationRequests mapping', async () => {
+    const record = (fields) => ({ workId: 1n, requester: ALICE, timestamp: 1000n, processed: false, feePaid: true, ...fields });
+    const contract = fakeContract({
+      requests: [requested(1, 21), requested(1, 22), requested(1, 23)],
+      verifications: {
+        21: record(),
+        22: record({ processed: true }),
+        23: record({ feePaid: false })
+      }
+    });
+
+    const refunds = await loadRefundableRequests(contract, ALICE, 'v1');
+
+    expect(refunds.map(({ requestId, amount, expiresAt }) => ({ requestId, amount, expiresAt }))).toEqual([
+      { requestId: '21', amount: null, expiresAt: 1000 + HOUR }
+    ]);
+  });
+});
+
+describe('claims', () => {
+  it('become possible strictly after the timeout', () => {
+    expect(isClaimable({ expiresAt: 4600 }, 4600)).toBe(false);
+    expect(isClaimable({ expiresAt: 4600 }, 4601)).toBe(true);
+  });
+
+  it('call the claim function of the request and contract version', () => {
+    const contract = {
+      claimVerificationRefund: vi.fn(),
+      claimVerificationTimeout: vi.fn(),
+      claimDisputeTimeout: vi.fn()
+    };
+
+    claimRefund(contract, 'v1', { kind: 'verification', requestId: '21' });
+    claimRefund(contract, 'v2', { kind: 'verification', requestId: '11' });
+    claimRefund(contract, 'v2', { kind: 'dispute', workId: '4', disputeId: 0 });
+
+    expect(contract.claimVerificationRefund).toHaveBeenCalledWith('21');
+    expect(contract.claimVerificationTimeout).toHaveBeenCalledWith('11');
+    expect(contract.claimDisputeTimeout).toHaveBeenCalledWith('4', 0);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { ethers } from 'ethers';
+import { buildTimeline } from '../src/utils/timeline';
+
+const ALICE = ethers.getAddress('0x' + 'a1'.repeat(20));
+const BOB = ethers.getAddress('0x' + 'b0'.repeat(20));
+
+const work = { registrant: ALICE, timestamp: 1000 };
+
+let logIndex = 0;
+const event = (name, blockNumber, timestamp, args) => ({
+  name,
+  blockNumber,
+  logIndex: logIndex++,
+  transactionHash: ethers.id(`${name} ${blockNumber}`),
+  timestamp,
+  args
+});
+
+const events = [
+  event('WorkRegistered', 10, 1000, { workId: '1', registrant: ALICE, title: 'Morning Light', timestamp: '1000' }),
+  event('VerificationRequested', 11, 1012, { workId: '1', requester: BOB, requestId: '42' }),
+  event('DisputeFiled', 12, 1024, { workId: '1', challenger: BOB, disputeId: '0' }),
+  event('VerificationProcessed', 13, 1036, { requestId: '42', workId: '1', isMatch: false }),
+  event('RefundIssued', 14, 1048, { recipient: BOB, amount: '1000000000000000', requestId: '42', workId: '1' }),
+  event('TimeoutClaimed', 15, 1060, { workId: '1', disputeId: '0', claimant: BOB })
+];
+
+const disputes = [
+  { disputeId: 0, challenger: BOB, timestamp: 1024, resolved: false, winner: ethers.ZeroAddress },
+  { disputeId: 1, challenger: BOB, timestamp: 1030, resolved: true, winner: ALICE }
+];
+
+describe('buildTimeline', () => {
+  it('orders indexed events and contract disputes chronologically', () => {
+    const timeline = buildTimeline({ work, disputes, events });
+
+    expect(timeline.map((entry) => entry.title)).toEqual([
+      'Work registered',
+      'Verification requested',
+      'Dispute #0 filed',
+      'Dispute #1 filed',
+      'Verification callback: no match',
+      'Verification fee refunded',
+      'Dispute #0 timeout claimed'
+    ]);
+    expect(timeline[4].detail).toContain('does not match');
+    expect(timeline[5]).toMatchObject({
+      kind: 'refund',
+      detail: '0.001 ETH for request 42',
+      account: BOB,
+      transactionHash: events[4].transactionHash,
+      blockNumber: 14
+    });
+  });
+
+  it('takes the status of disputes from the contract', () => {
+    const timeline = buildTimeline({ work, disputes, events });
+
+    expect(timeline.find((entry) => entry.title === 'Dispute #0 filed')).toMatchObject({
+      detail: 'Open',
+      transactionHash: events[2].transactionHash
+    });
+    expect(timeline.find((entry) => entry.title === 'Dispute #1 filed')).toMatchObject({
+      detail: `Resolved, won by ${ALICE.slice(0, 6)}...${ALICE.slice(-4)}`,
+      transactionHash: null
+    });
+  });
+
+  it('falls back to the contract records without indexed events', () => {
+    expect(buildTimeline({ work, disputes })).toEqual([
+      expect.objectContaining({ kind: 'registered', account: ALICE, timestamp: 1000, transactionHash: null }),
+      expect.objectContaining({ kind: 'dispute-filed', timestamp: 1024, detail: 'Open' }),
+      expect.objectContaining({ kind: 'dispute-filed', timestamp: 1030 })
+    ]);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Parts of the AnonymousCopyright ABI the indexer reads
+ */
+
+/**
+ * Events followed by the indexer
+ */
+export const INDEXED_EVENTS = [
+  'event WorkRegistered(uint256 indexed workId, address indexed registrant, string title, uint256 timestamp)',
+  'event WorkVerified(uint256 indexed workId, address indexed verifier)',
+  'event DisputeFiled(uint256 indexed workId, address indexed challenger, uint256 disputeId)',
+  'event DisputeResolved(uint256 indexed workId, uint256 disputeId, address winner)',
+  'event VerificationRequested(uint256 indexed workId, address indexed requester, uint256 requestId)',
+  'event VerificationProcessed(uint256 indexed requestId, uint256 indexed workId, bool isMatch)',
+  'event RefundIssued(address indexed recipient, uint256 amount)',
+  'event TimeoutClaimed(uint256 indexed workId, uint256 indexed disputeId, address indexed claimant)'
+];
+
+export const CONTRACT_ABI = [
+  ...INDEXED_EVENTS,
+  'function getWorkInfo(uint256 _workId) view returns (address registrant, uint256 timestamp, bool verified, bool disputed, uint256 disputeCount, string title, string category)',
+  'function requestIdToWorkId(uint256 requestId) view returns (uint256)',
+  'function claimVerificationRefund(uint256 requestId)'
+];
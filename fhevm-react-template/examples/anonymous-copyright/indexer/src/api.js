@@ -0,0 +1,311 @@
+/**
+ * Read-only REST API over the indexer database
+ */
+
+import { createServer } from 'node:http';
+import { ethers } from 'ethers';
+import {
+  WORK_SORTS,
+  getMeta,
+  getStats,
+  getTip,
+  getWork,
+  getWorkFacets,
+  listEvents,
+  listRefunds,
+  listWorks
+} from './db.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Request error answered with a status code and `{ error }` body
+ */
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+const integerParam = (query, name, fallback) => {
+  const raw = query.get(name);
+
+  if (raw === null || raw === '') {
+    return fallback;
+  }
+
+  if (!/^\d+$/.test(raw)) {
+    throw new ApiError(400, `${name} must be a non-negative integer`);
+  }
+
+  return Number(raw);
+};
+
+const booleanParam = (query, name) => {
+  const raw = query.get(name);
+
+  if (raw === null || raw === '') {
+    return undefined;
+  }
+
+  if (raw !== 'true' && raw !== 'false') {
+    throw new ApiError(400, `${name} must be true or false`);
+  }
+
+  return raw === 'true';
+};
+
+const addressParam = (query, name) => {
+  const raw = query.get(name);
+
+  if (raw === null || raw === '') {
+    return undefined;
+  }
+
+  if (!ethers.isAddress(raw)) {
+    throw new ApiError(400, `${name} must be an address`);
+  }
+
+  return ethers.getAddress(raw);
+};
+
+// Unix seconds, or a YYYY-MM-DD day (UTC) taken from its first or last second
+const dateParam = (query, name, { endOfDay = false } = {}) => {
+  const raw = query.get(name);
+
+  if (raw === null || raw === '') {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(raw)) {
+    return Number(raw);
+  }
+
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? Date.parse(`${raw}T00:00:00Z`) : NaN;
+
+  if (Number.isNaN(day)) {
+    throw new ApiError(400, `${name} must be a YYYY-MM-DD date or unix seconds`);
+  }
+
+  return day / 1000 + (endOfDay ? 86399 : 0);
+};
+
+const sortParam = (query) => {
+  const raw = query.get('sort');
+
+  if (raw === null || raw === '') {
+    return undefined;
+  }
+
+  if (!WORK_SORTS.includes(raw)) {
+    throw new ApiError(400, `sort must be one of ${WORK_SORTS.join(', ')}`);
+  }
+
+  return raw;
+};
+
+const workFilters = (query) => ({
+  q: query.get('q') || undefined,
+  registrant: addressParam(query, 'registrant'),
+  category: query.get('category') || undefined,
+  verified: booleanParam(query, 'verified'),
+  disputed: booleanParam(query, 'disputed'),
+  from: dateParam(query, 'from'),
+  to: dateParam(query, 'to', { endOfDay: true }),
+  sort: sortParam(query)
+});
+
+const paging = (query) => ({
+  limit: Math.min(integerParam(query, 'limit', DEFAULT_LIMIT), MAX_LIMIT),
+  offset: integerParam(query, 'offset', 0)
+});
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Link preview of a work; crawlers read its Open Graph tags, people are sent on to the app
+const sharePage = (work, appUrl) => {
+  const url = `${appUrl}/#/works/${work.workId}`;
+  const title = `${work.title} · Anonymous Copyright`;
+  const description = [
+    work.category,
+    `work #${work.workId} registered ${new Date(work.timestamp * 1000).toISOString().slice(0, 10)}`,
+    work.verified ? 'verified' : 'not verified yet',
+    `${work.disputeCount} ${work.disputeCount === 1 ? 'dispute' : 'disputes'}`
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="Anonymous Copyright">
+  <meta property="og:title" content="${escapeHtml(work.title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(url)}">
+  <meta name="twitter:card" content="summary">
+  <link rel="canonical" href="${escapeHtml(url)}">
+  <meta http-equiv="refresh" content="0; url=${escapeHtml(url)}">
+</head>
+<body>
+  <p><a href="${escapeHtml(url)}">${escapeHtml(work.title)}</a></p>
+</body>
+</html>
+`;
+};
+
+const workIdParam = (raw) => {
+  if (!/^\d+$/.test(raw)) {
+    throw new ApiError(400, 'Work ID must be a positive integer');
+  }
+
+  return Number(raw);
+};
+
+/**
+ * Routes as [method, pattern, handler(db, params, query, options), content type]
+ */
+const ROUTES = [
+  [
+    'GET',
+    /^\/status$/,
+    (db) => {
+      const startBlock = getMeta(db, 'start_block');
+
+      return {
+        chainId: getMeta(db, 'chain_id'),
+        contractAddress: getMeta(db, 'contract_address'),
+        startBlock: startBlock === null ? null : Number(startBlock),
+        indexedBlock: getTip(db)?.number ?? null
+      };
+    }
+  ],
+  ['GET', /^\/stats$/, (db) => getStats(db)],
+  [
+    'GET',
+    /^\/works$/,
+    (db, params, query) => {
+      const filters = workFilters(query);
+      return { ...listWorks(db, filters, paging(query)), facets: getWorkFacets(db, filters) };
+    }
+  ],
+  [
+    'GET',
+    /^\/works\/([^/]+)$/,
+    (db, [id]) => {
+      const work = getWork(db, workIdParam(id));
+
+      if (!work) {
+        throw new ApiError(404, `Work #${id} is not indexed`);
+      }
+
+      return work;
+    }
+  ],
+  [
+    'GET',
+    /^\/works\/([^/]+)\/events$/,
+    (db, [id], query) => listEvents(db, { workId: workIdParam(id) }, paging(query))
+  ],
+  [
+    'GET',
+    /^\/events$/,
+    (db, params, query) =>
+      listEvents(
+        db,
+        {
+          name: query.get('name') || undefined,
+          workId: query.has('workId') ? integerParam(query, 'workId') : undefined,
+          account: addressParam(query, 'account')
+        },
+        paging(query)
+      )
+  ],
+  [
+    'GET',
+    /^\/refunds$/,
+    (db, params, query) => listRefunds(db, { recipient: addressParam(query, 'recipient') }, paging(query))
+  ],
+  [
+    'GET',
+    /^\/share\/works\/([^/]+)$/,
+    (db, [id], query, { appUrl }) => {
+      const work = getWork(db, workIdParam(id));
+
+      if (!work) {
+        throw new ApiError(404, `Work #${id} is not indexed`);
+      }
+
+      return sharePage(work, appUrl);
+    },
+    'text/html; charset=utf-8'
+  ]
+];
+
+/**
+ * Create the API server (call `listen` to start it)
+ *
+ * Routes:
+ * - `GET /status` – chain, contract and last indexed block
+ * - `GET /stats` – registry-wide counters
+ * - `GET /works?q&registrant&category&verified&disputed&from&to&sort&limit&offset` – search
+ *   works; answers the page with `facets` (counts by category and status)
+ * - `GET /works/:id` – a work with its disputes and verification requests
+ * - `GET /works/:id/events` – events of a work in chain order
+ * - `GET /events?name&workId&account&limit&offset` – all indexed events
+ * - `GET /refunds?recipient&limit&offset` – issued refunds
+ * - `GET /share/works/:id` – HTML page with the work's Open Graph tags that
+ *   redirects to `appUrl`'s `#/works/:id`; share this link instead of the app's
+ *
+ * Lists answer `{ items, total, limit, offset }`; errors answer `{ error }`.
+ */
+export const createApiServer = ({ db, corsOrigin = '*', appUrl = 'http://localhost:3000', logger = console }) =>
+  createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body, contentType = 'application/json') => {
+      res.writeHead(status, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': corsOrigin
+      });
+      res.end(contentType === 'application/json' ? JSON.stringify(body) : body);
+    };
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': corsOrigin,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS'
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      for (const [method, pattern, handler, contentType] of ROUTES) {
+        const match = url.pathname.match(pattern);
+
+        if (match) {
+          if (req.method !== method) {
+            throw new ApiError(405, `${req.method} is not allowed`);
+          }
+
+          send(200, handler(db, match.slice(1), url.searchParams, { appUrl }), contentType);
+          return;
+        }
+      }
+
+      throw new ApiError(404, `No route for ${url.pathname}`);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        send(error.status, { error: error.message });
+      } else {
+        logger.error(`${req.method} ${req.url} failed:`, error);
+        send(500, { error: 'Internal error' });
+      }
+    }
+  });
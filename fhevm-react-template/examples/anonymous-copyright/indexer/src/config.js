@@ -0,0 +1,44 @@
+import { ethers } from 'ethers';
+
+const integer = (env, name, fallback) => {
+  const raw = env[name];
+
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+  }
+
+  return value;
+};
+
+/**
+ * Read the indexer configuration from environment variables (see .env.example)
+ *
+ * @throws {Error} If a variable is missing or malformed
+ */
+export const loadConfig = (env = process.env) => {
+  if (!env.RPC_URL) {
+    throw new Error('RPC_URL is not set');
+  }
+
+  if (!env.CONTRACT_ADDRESS || !ethers.isAddress(env.CONTRACT_ADDRESS)) {
+    throw new Error('CONTRACT_ADDRESS must be the address of the AnonymousCopyright contract');
+  }
+
+  return {
+    rpcUrl: env.RPC_URL,
+    contractAddress: ethers.getAddress(env.CONTRACT_ADDRESS),
+    startBlock: integer(env, 'START_BLOCK', 0),
+    confirmations: integer(env, 'CONFIRMATIONS', 2),
+    batchSize: Math.max(1, integer(env, 'BATCH_SIZE', 2000)),
+    pollInterval: integer(env, 'POLL_INTERVAL', 12000),
+    databasePath: env.DATABASE_PATH || './data/indexer.db',
+    port: integer(env, 'PORT', 4000),
+    corsOrigin: env.CORS_ORIGIN || '*',
+    appUrl: (env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '')
+  };
+};
@@ -0,0 +1,533 @@
+/**
+ * SQLite storage of the indexer
+ *
+ * `events` holds every indexed log as received. The other tables are
+ * projections of it (current state of works, disputes, verification requests
+ * and refunds); they are rebuilt from `events` after a reorg. `works_search`
+ * is an FTS5 index over the titles and categories of `works`.
+ */
+
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    work_id INTEGER,
+    account TEXT,
+    args TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_work ON events (work_id);
+  CREATE INDEX IF NOT EXISTS events_account ON events (account);
+  CREATE INDEX IF NOT EXISTS events_name ON events (name);
+
+  CREATE TABLE IF NOT EXISTS works (
+    work_id INTEGER PRIMARY KEY,
+    title TEXT NOT NULL,
+    category TEXT,
+    registrant TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    verified INTEGER NOT NULL DEFAULT 0,
+    disputed INTEGER NOT NULL DEFAULT 0,
+    dispute_count INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS works_registrant ON works (registrant);
+  CREATE INDEX IF NOT EXISTS works_category ON works (category);
+  CREATE INDEX IF NOT EXISTS works_timestamp ON works (timestamp);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS works_search USING fts5 (
+    title,
+    category,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TABLE IF NOT EXISTS disputes (
+    work_id INTEGER NOT NULL,
+    dispute_id INTEGER NOT NULL,
+    challenger TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    resolved INTEGER NOT NULL DEFAULT 0,
+    winner TEXT,
+    resolved_at INTEGER,
+    resolved_transaction_hash TEXT,
+    PRIMARY KEY (work_id, dispute_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS verification_requests (
+    request_id TEXT PRIMARY KEY,
+    work_id INTEGER NOT NULL,
+    requester TEXT,
+    timestamp INTEGER,
+    transaction_hash TEXT,
+    processed INTEGER NOT NULL DEFAULT 0,
+    is_match INTEGER,
+    processed_at INTEGER,
+    processed_transaction_hash TEXT
+  );
+  CREATE INDEX IF NOT EXISTS verification_requests_work ON verification_requests (work_id);
+
+  CREATE TABLE IF NOT EXISTS refunds (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS refunds_recipient ON refunds (recipient);
+`;
+
+/**
+ * Open (and create if needed) the indexer database
+ *
+ * @param path - Database file, or ':memory:'
+ */
+export const openDatabase = (path) => {
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  // Databases created before the search index existed
+  const { works, indexed } = db
+    .prepare('SELECT (SELECT COUNT(*) FROM works) AS works, (SELECT COUNT(*) FROM works_search) AS indexed')
+    .get();
+
+  if (works !== indexed) {
+    db.exec(
+      `DELETE FROM works_search;
+       INSERT INTO works_search (rowid, title, category) SELECT work_id, title, category FROM works;`
+    );
+  }
+
+  return db;
+};
+
+/**
+ * Value stored under a meta key, or null
+ */
+export const getMeta = (db, key) => db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+
+export const setMeta = (db, key, value) =>
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value').run(key, String(value));
+
+/**
+ * Last indexed block, or null before the first batch
+ *
+ * @returns {{ number, hash, timestamp } | null}
+ */
+export const getTip = (db) => {
+  const number = getMeta(db, 'indexed_block');
+  return number === null ? null : db.prepare('SELECT * FROM blocks WHERE number = ?').get(Number(number)) ?? null;
+};
+
+/**
+ * Recorded blocks, newest first, for finding where a reorg forked
+ */
+export const listBlocks = (db) => db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC').all();
+
+// Apply one event to the projections
+const PROJECTIONS = {
+  WorkRegistered: (db, event, args) => {
+    db.prepare(
+      `INSERT OR REPLACE INTO works (work_id, title, category, registrant, timestamp, block_number, transaction_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      event.workId,
+      args.title,
+      args.category,
+      args.registrant,
+      Number(args.timestamp),
+      event.blockNumber,
+      event.transactionHash
+    );
+    db.prepare('DELETE FROM works_search WHERE rowid = ?').run(event.workId);
+    db.prepare('INSERT INTO works_search (rowid, title, category) VALUES (?, ?, ?)').run(
+      event.workId,
+      args.title,
+      args.category
+    );
+  },
+
+  WorkVerified: (db, event) => db.prepare('UPDATE works SET verified = 1 WHERE work_id = ?').run(event.workId),
+
+  DisputeFiled: (db, event, args) => {
+    db.prepare(
+      `INSERT OR REPLACE INTO disputes (work_id, dispute_id, challenger, timestamp, transaction_hash)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(event.workId, Number(args.disputeId), args.challenger, event.timestamp, event.transactionHash);
+    db.prepare('UPDATE works SET disputed = 1, dispute_count = dispute_count + 1 WHERE work_id = ?').run(event.workId);
+  },
+
+  DisputeResolved: (db, event, args) =>
+    db
+      .prepare(
+        `UPDATE disputes SET resolved = 1, winner = ?, resolved_at = ?, resolved_transaction_hash = ?
+         WHERE work_id = ? AND dispute_id = ?`
+      )
+      .run(args.winner, event.timestamp, event.transactionHash, event.workId, Number(args.disputeId)),
+
+  VerificationRequested: (db, event, args) =>
+    db
+      .prepare(
+        `INSERT INTO verification_requests (request_id, work_id, requester, timestamp, transaction_hash)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (request_id) DO UPDATE SET
+           requester = excluded.requester, timestamp = excluded.timestamp, transaction_hash = excluded.transaction_hash`
+      )
+      .run(args.requestId, event.workId, args.requester, event.timestamp, event.transactionHash),
+
+  // Upsert: the request may predate the start block
+  VerificationProcessed: (db, event, args) =>
+    db
+      .prepare(
+        `INSERT INTO verification_requests
+           (request_id, work_id, processed, is_match, processed_at, processed_transaction_hash)
+         VALUES (?, ?, 1, ?, ?, ?)
+         ON CONFLICT (request_id) DO UPDATE SET
+           processed = 1, is_match = excluded.is_match, processed_at = excluded.processed_at,
+           processed_transaction_hash = excluded.processed_transaction_hash`
+      )
+      .run(args.requestId, event.workId, args.isMatch ? 1 : 0, event.timestamp, event.transactionHash),
+
+  RefundIssued: (db, event, args) =>
+    db
+      .prepare(
+        `INSERT OR REPLACE INTO refunds (block_number, log_index, recipient, amount, timestamp, transaction_hash)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(event.blockNumber, event.logIndex, args.recipient, args.amount, event.timestamp, event.transactionHash)
+};
+
+const applyEvent = (db, event) => PROJECTIONS[event.name]?.(db, event, event.args);
+
+/**
+ * Store a batch of events and the blocks they came from, and advance the tip
+ *
+ * @param events - Decoded events in chain order
+ * @param blocks - `{ number, hash, timestamp }` of the blocks holding events and of the batch's last block
+ * @param tip - Number of the batch's last block
+ */
+export const storeBatch = (db, events, blocks, tip) =>
+  db.transaction(() => {
+    const insertBlock = db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)');
+    const insertEvent = db.prepare(
+      `INSERT OR REPLACE INTO events
+         (block_number, log_index, block_hash, transaction_hash, name, work_id, account, args, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+
+    blocks.forEach((block) => insertBlock.run(block.number, block.hash, block.timestamp));
+
+    events.forEach((event) => {
+      insertEvent.run(
+        event.blockNumber,
+        event.logIndex,
+        event.blockHash,
+        event.transactionHash,
+        event.name,
+        event.workId,
+        event.account,
+        JSON.stringify(event.args),
+        event.timestamp
+      );
+      applyEvent(db, event);
+    });
+
+    setMeta(db, 'indexed_block', tip);
+  })();
+
+/**
+ * Drop everything after a block and rebuild the projections from the remaining events
+ */
+export const rollback = (db, blockNumber) =>
+  db.transaction(() => {
+    db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+    db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+    db.exec(
+      'DELETE FROM works; DELETE FROM works_search; DELETE FROM disputes; DELETE FROM verification_requests; DELETE FROM refunds;'
+    );
+
+    db.prepare('SELECT * FROM events ORDER BY block_number, log_index')
+      .all()
+      .forEach((row) => applyEvent(db, rowToEvent(row)));
+
+    if (blockNumber >= 0 && db.prepare('SELECT 1 FROM blocks WHERE number = ?').get(blockNumber)) {
+      setMeta(db, 'indexed_block', blockNumber);
+    } else {
+      db.prepare("DELETE FROM meta WHERE key = 'indexed_block'").run();
+    }
+  })();
+
+/**
+ * Forget recorded block hashes older than a block, except the tip's
+ */
+export const pruneBlocks = (db, beforeBlock) => db.prepare('DELETE FROM blocks WHERE number < ?').run(beforeBlock);
+
+const rowToEvent = (row) => ({
+  blockNumber: row.block_number,
+  logIndex: row.log_index,
+  blockHash: row.block_hash,
+  transactionHash: row.transaction_hash,
+  name: row.name,
+  workId: row.work_id,
+  account: row.account,
+  args: JSON.parse(row.args),
+  timestamp: row.timestamp
+});
+
+const rowToWork = (row) => ({
+  workId: row.work_id,
+  title: row.title,
+  category: row.category,
+  registrant: row.registrant,
+  timestamp: row.timestamp,
+  blockNumber: row.block_number,
+  transactionHash: row.transaction_hash,
+  verified: Boolean(row.verified),
+  disputed: Boolean(row.disputed),
+  disputeCount: row.dispute_count
+});
+
+const rowToDispute = (row) => ({
+  disputeId: row.dispute_id,
+  challenger: row.challenger,
+  timestamp: row.timestamp,
+  transactionHash: row.transaction_hash,
+  resolved: Boolean(row.resolved),
+  winner: row.winner,
+  resolvedAt: row.resolved_at,
+  resolvedTransactionHash: row.resolved_transaction_hash
+});
+
+const rowToVerificationRequest = (row) => ({
+  requestId: row.request_id,
+  workId: row.work_id,
+  requester: row.requester,
+  timestamp: row.timestamp,
+  transactionHash: row.transaction_hash,
+  processed: Boolean(row.processed),
+  isMatch: row.is_match === null ? null : Boolean(row.is_match),
+  processedAt: row.processed_at,
+  processedTransactionHash: row.processed_transaction_hash
+});
+
+const rowToRefund = (row) => ({
+  recipient: row.recipient,
+  amount: row.amount,
+  timestamp: row.timestamp,
+  blockNumber: row.block_number,
+  transactionHash: row.transaction_hash
+});
+
+// WHERE clause from optional equality filters, skipping undefined values
+const where = (filters) => {
+  const entries = Object.entries(filters).filter(([, value]) => value !== undefined);
+
+  return {
+    clause: entries.length ? `WHERE ${entries.map(([column]) => `${column} = ?`).join(' AND ')}` : '',
+    params: entries.map(([, value]) => value)
+  };
+};
+
+const page = (db, table, filters, order, { limit, offset }, map) => {
+  const { clause, params } = where(filters);
+
+  return {
+    items: db
+      .prepare(`SELECT * FROM ${table} ${clause} ORDER BY ${order} LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(map),
+    total: db.prepare(`SELECT COUNT(*) AS count FROM ${table} ${clause}`).get(...params).count,
+    limit,
+    offset
+  };
+};
+
+/**
+ * FTS5 query matching every word of a search text as a prefix, or undefined
+ * when the text has no words
+ *
+ * @example toMatchQuery('night so') // '"night"* "so"*'
+ */
+export const toMatchQuery = (text) => {
+  const words = String(text ?? '').match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map((word) => `"${word}"*`).join(' ') : undefined;
+};
+
+export const WORK_SORTS = ['newest', 'oldest', 'relevance'];
+
+// Work filters as [name, SQL condition]; values come from `workParams`
+const WORK_CONDITIONS = [
+  ['q', 'works_search MATCH ?'],
+  ['registrant', 'works.registrant = ?'],
+  ['category', 'works.category = ?'],
+  ['verified', 'works.verified = ?'],
+  ['disputed', 'works.disputed = ?'],
+  ['from', 'works.timestamp >= ?'],
+  ['to', 'works.timestamp <= ?']
+];
+
+const workParams = ({ q, registrant, category, verified, disputed, from, to }) => ({
+  q: toMatchQuery(q),
+  registrant,
+  category,
+  verified: verified === undefined ? undefined : Number(verified),
+  disputed: disputed === undefined ? undefined : Number(disputed),
+  from,
+  to
+});
+
+// FROM and WHERE of a works query, optionally leaving out one filter
+const workQuery = (filters, without) => {
+  const values = workParams(filters);
+  const active = WORK_CONDITIONS.filter(([name]) => name !== without && values[name] !== undefined);
+  const from = values.q ? 'works JOIN works_search ON works_search.rowid = works.work_id' : 'works';
+
+  return {
+    sql: `FROM ${from}${active.length ? ` WHERE ${active.map(([, condition]) => condition).join(' AND ')}` : ''}`,
+    params: active.map(([name]) => values[name])
+  };
+};
+
+const WORK_ORDERS = {
+  newest: 'works.work_id DESC',
+  oldest: 'works.work_id ASC',
+  relevance: 'works_search.rank, works.work_id DESC'
+};
+
+/**
+ * Works matching a search
+ *
+ * `q` matches words of titles and categories by prefix, so 'night so' finds
+ * "Night Song". `from` and `to` bound the registration timestamp (seconds,
+ * inclusive). `sort` is one of WORK_SORTS and defaults to relevance when there
+ * is a search text and to newest first otherwise; without a search text
+ * relevance falls back to newest first.
+ *
+ * @param filters - `{ q?, registrant?, category?, verified?, disputed?, from?, to?, sort? }`
+ */
+export const listWorks = (db, filters = {}, { limit, offset }) => {
+  const { sql, params } = workQuery(filters);
+  const searching = toMatchQuery(filters.q) !== undefined;
+  const sort = filters.sort ?? (searching ? 'relevance' : 'newest');
+  const order = WORK_ORDERS[sort === 'relevance' && !searching ? 'newest' : sort];
+
+  return {
+    items: db
+      .prepare(`SELECT works.* ${sql} ORDER BY ${order} LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(rowToWork),
+    total: db.prepare(`SELECT COUNT(*) AS count ${sql}`).get(...params).count,
+    limit,
+    offset
+  };
+};
+
+/**
+ * Counts of the works matching a search by category, verified and disputed
+ *
+ * Each facet is counted with every filter except its own, so the counts show
+ * what choosing another value would return.
+ *
+ * @returns {{ category: { value, count }[], verified: { true, false }, disputed: { true, false } }}
+ */
+export const getWorkFacets = (db, filters = {}) => {
+  const counts = (column) => {
+    const { sql, params } = workQuery(filters, column);
+    return db
+      .prepare(`SELECT works.${column} AS value, COUNT(*) AS count ${sql} GROUP BY works.${column}`)
+      .all(...params);
+  };
+  const flags = (column) => {
+    const rows = counts(column);
+    const count = (flag) => rows.find((row) => row.value === Number(flag))?.count ?? 0;
+
+    return { true: count(true), false: count(false) };
+  };
+
+  return {
+    category: counts('category')
+      .filter((row) => row.value !== null)
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    verified: flags('verified'),
+    disputed: flags('disputed')
+  };
+};
+
+/**
+ * A work with its disputes and verification requests, or null
+ */
+export const getWork = (db, workId) => {
+  const row = db.prepare('SELECT * FROM works WHERE work_id = ?').get(workId);
+
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...rowToWork(row),
+    disputes: db.prepare('SELECT * FROM disputes WHERE work_id = ? ORDER BY dispute_id').all(workId).map(rowToDispute),
+    verificationRequests: db
+      .prepare('SELECT * FROM verification_requests WHERE work_id = ? ORDER BY timestamp, request_id')
+      .all(workId)
+      .map(rowToVerificationRequest)
+  };
+};
+
+/**
+ * Indexed events in chain order
+ *
+ * @param filters - `{ name?, workId?, account? }`
+ */
+export const listEvents = (db, { name, workId, account } = {}, paging) =>
+  page(
+    db,
+    'events',
+    { name, work_id: workId, account },
+    'block_number, log_index',
+    paging,
+    rowToEvent
+  );
+
+/**
+ * Refunds, newest first
+ */
+export const listRefunds = (db, { recipient } = {}, paging) =>
+  page(db, 'refunds', { recipient }, 'block_number DESC, log_index DESC', paging, rowToRefund);
+
+/**
+ * Registry-wide counters
+ */
+export const getStats = (db) => ({
+  ...db
+    .prepare(
+      `SELECT COUNT(*) AS totalWorks,
+              COALESCE(SUM(verified), 0) AS verifiedWorks,
+              COALESCE(SUM(disputed), 0) AS disputedWorks,
+              COUNT(DISTINCT registrant) AS authors
+       FROM works`
+    )
+    .get(),
+  totalDisputes: db.prepare('SELECT COUNT(*) AS count FROM disputes').get().count,
+  verificationRequests: db.prepare('SELECT COUNT(*) AS count FROM verification_requests').get().count
+});
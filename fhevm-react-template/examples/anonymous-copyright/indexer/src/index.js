@@ -0,0 +1,41 @@
+/**
+ * Anonymous Copyright indexer: syncs contract events into SQLite and serves the REST API
+ */
+
+import 'dotenv/config';
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { ethers } from 'ethers';
+import { createApiServer } from './api.js';
+import { loadConfig } from './config.js';
+import { openDatabase } from './db.js';
+import { createIndexer } from './indexer.js';
+
+const config = loadConfig();
+
+if (config.databasePath !== ':memory:') {
+  mkdirSync(dirname(config.databasePath), { recursive: true });
+}
+
+const db = openDatabase(config.databasePath);
+const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+const indexer = createIndexer({ provider, db, ...config });
+const server = createApiServer({ db, corsOrigin: config.corsOrigin, appUrl: config.appUrl });
+
+server.listen(config.port, () => {
+  console.log(`Indexing ${config.contractAddress} from block ${config.startBlock}`);
+  console.log(`API listening on http://localhost:${config.port}`);
+});
+
+indexer.start();
+
+const shutdown = () => {
+  indexer.stop();
+  server.close(() => {
+    db.close();
+    process.exit(0);
+  });
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,223 @@
+/**
+ * Follows the AnonymousCopyright contract's events into the database
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABI, INDEXED_EVENTS } from './abi.js';
+import { getMeta, getTip, listBlocks, pruneBlocks, rollback, setMeta, storeBatch } from './db.js';
+
+/**
+ * Block hashes kept behind the tip for detecting reorgs
+ */
+export const REORG_WINDOW = 1000;
+
+// Argument naming the account behind each event
+const ACCOUNT_ARGS = {
+  WorkRegistered: 'registrant',
+  WorkVerified: 'verifier',
+  DisputeFiled: 'challenger',
+  DisputeResolved: 'winner',
+  VerificationRequested: 'requester',
+  RefundIssued: 'recipient',
+  TimeoutClaimed: 'claimant'
+};
+
+// BigInts become strings so arguments survive JSON
+const plain = (value) => (typeof value === 'bigint' ? value.toString() : value);
+
+/**
+ * Create an indexer over a provider and an open database
+ *
+ * `sync()` indexes up to `confirmations` blocks behind the head and returns
+ * the number of new events. `start()` keeps syncing every `pollInterval` ms.
+ * A reorg is detected by comparing the stored hash of the last indexed block
+ * with the chain; the database is then rolled back to the newest stored
+ * block still on the chain and indexing resumes from there.
+ */
+export const createIndexer = ({
+  provider,
+  db,
+  contractAddress,
+  startBlock = 0,
+  confirmations = 2,
+  batchSize = 2000,
+  pollInterval = 12000,
+  logger = console
+}) => {
+  const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, provider);
+  const topics = INDEXED_EVENTS.map((event) => ethers.EventFragment.from(event).topicHash);
+  let timer = null;
+  let stopped = true;
+
+  const fetchBlock = async (number) => {
+    const block = await provider.getBlock(number);
+
+    if (!block) {
+      throw new Error(`Block ${number} is not available yet`);
+    }
+
+    return { number: block.number, hash: block.hash, timestamp: block.timestamp };
+  };
+
+  // The database must keep following the same contract on the same chain
+  const checkMeta = async () => {
+    const chainId = (await provider.getNetwork()).chainId.toString();
+    const expected = { chain_id: chainId, contract_address: contractAddress, start_block: String(startBlock) };
+
+    Object.entries(expected).forEach(([key, value]) => {
+      const stored = getMeta(db, key);
+
+      if (stored === null) {
+        setMeta(db, key, value);
+      } else if (stored !== value) {
+        throw new Error(`The database was built for ${key} ${stored}, not ${value}; use a new DATABASE_PATH`);
+      }
+    });
+  };
+
+  const handleReorg = async () => {
+    const tip = getTip(db);
+
+    if (!tip || (await provider.getBlock(tip.number))?.hash === tip.hash) {
+      return;
+    }
+
+    let ancestor = startBlock - 1;
+    for (const block of listBlocks(db)) {
+      if ((await provider.getBlock(block.number))?.hash === block.hash) {
+        ancestor = block.number;
+        break;
+      }
+    }
+
+    rollback(db, ancestor);
+    logger.warn(`Reorg detected at block ${tip.number}; rolled back to block ${ancestor}`);
+  };
+
+  // Request and work of a refund claimed with claimVerificationRefund, or {}
+  const refundedRequest = async (transactionHash) => {
+    try {
+      const call = contract.interface.parseTransaction(await provider.getTransaction(transactionHash));
+
+      if (call?.name !== 'claimVerificationRefund') {
+        return {};
+      }
+
+      const workId = await contract.requestIdToWorkId(call.args.requestId);
+      return workId === 0n ? {} : { requestId: call.args.requestId.toString(), workId: workId.toString() };
+    } catch (error) {
+      logger.warn(`Could not read the refund transaction ${transactionHash}: ${error.shortMessage || error.message}`);
+      return {};
+    }
+  };
+
+  const decode = async (logs) => {
+    const blocks = new Map();
+    const events = [];
+
+    for (const log of logs) {
+      const parsed = contract.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+
+      if (!blocks.has(log.blockNumber)) {
+        blocks.set(log.blockNumber, await fetchBlock(log.blockNumber));
+      }
+
+      const block = blocks.get(log.blockNumber);
+      if (block.hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} changed while indexing; retrying`);
+      }
+
+      const args = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, plain(parsed.args[i])]));
+
+      // The category is not part of the event; it never changes once registered
+      if (parsed.name === 'WorkRegistered') {
+        try {
+          args.category = (await contract.getWorkInfo(args.workId)).category;
+        } catch (error) {
+          logger.warn(`Could not read the category of work #${args.workId}: ${error.shortMessage || error.message}`);
+          args.category = null;
+        }
+      }
+
+      // RefundIssued names no work; the refunded request leads to it
+      if (parsed.name === 'RefundIssued') {
+        Object.assign(args, await refundedRequest(log.transactionHash));
+      }
+
+      events.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        name: parsed.name,
+        workId: args.workId === undefined ? null : Number(args.workId),
+        account: args[ACCOUNT_ARGS[parsed.name]] ?? null,
+        args,
+        timestamp: block.timestamp
+      });
+    }
+
+    return { events, blocks: [...blocks.values()] };
+  };
+
+  const sync = async () => {
+    await checkMeta();
+    await handleReorg();
+
+    const target = (await provider.getBlockNumber()) - confirmations;
+    let from = (getTip(db)?.number ?? startBlock - 1) + 1;
+    let indexed = 0;
+
+    while (from <= target) {
+      const to = Math.min(from + batchSize - 1, target);
+      const logs = await provider.getLogs({ address: contractAddress, topics: [topics], fromBlock: from, toBlock: to });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      const { events, blocks } = await decode(logs);
+      const last = blocks.find((block) => block.number === to) ?? (await fetchBlock(to));
+
+      storeBatch(db, events, [...blocks, last], to);
+      pruneBlocks(db, to - REORG_WINDOW);
+
+      if (events.length) {
+        logger.info(`Indexed ${events.length} events in blocks ${from}-${to}`);
+      }
+
+      indexed += events.length;
+      from = to + 1;
+    }
+
+    return indexed;
+  };
+
+  const poll = async () => {
+    try {
+      await sync();
+    } catch (error) {
+      logger.error(`Sync failed: ${error.shortMessage || error.message}`);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(poll, pollInterval);
+    }
+  };
+
+  return {
+    sync,
+
+    start() {
+      if (stopped) {
+        stopped = false;
+        poll();
+      }
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+};
@@ -0,0 +1,165 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createApiServer } from '../src/api.js';
+import { openDatabase } from '../src/db.js';
+import { createIndexer } from '../src/indexer.js';
+import { ALICE, BOB, CONTRACT_ADDRESS, createChain } from './helpers/chain.js';
+
+describe('createApiServer', () => {
+  let server;
+  let baseUrl;
+
+  const get = async (path) => {
+    const response = await fetch(baseUrl + path);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    const chain = createChain();
+    chain
+      .mine([chain.registered(1, ALICE, 'Morning Light', 'Photography')])
+      .mine([chain.registered(2, BOB, 'Night Song', 'Music'), ['WorkVerified', [2, BOB]]])
+      .mine([chain.registered(3, ALICE, 'Evening Light <3', 'Photography'), ['DisputeFiled', [3, BOB, 0]]])
+      .mine([['VerificationRequested', [1, BOB, 9]], ['RefundIssued', [BOB, 500n]]]);
+
+    const db = openDatabase(':memory:');
+    await createIndexer({
+      provider: chain.provider,
+      db,
+      contractAddress: CONTRACT_ADDRESS,
+      startBlock: 1,
+      confirmations: 0,
+      logger: { info() {}, warn() {}, error() {} }
+    }).sync();
+
+    server = createApiServer({ db, corsOrigin: 'https://example.org', appUrl: 'https://app.example.org' });
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it('reports the indexing status', async () => {
+    const { body, headers } = await get('/status');
+
+    expect(body).toEqual({ chainId: '31337', contractAddress: CONTRACT_ADDRESS, startBlock: 1, indexedBlock: 4 });
+    expect(headers.get('access-control-allow-origin')).toBe('https://example.org');
+  });
+
+  it('counts works, disputes and authors', async () => {
+    expect((await get('/stats')).body).toEqual({
+      totalWorks: 3,
+      verifiedWorks: 1,
+      disputedWorks: 1,
+      authors: 2,
+      totalDisputes: 1,
+      verificationRequests: 1
+    });
+  });
+
+  it('lists works newest first with filters and paging', async () => {
+    const all = await get('/works');
+    expect(all.body).toMatchObject({ total: 3, limit: 20, offset: 0 });
+    expect(all.body.items.map((work) => work.workId)).toEqual([3, 2, 1]);
+
+    const photos = await get(`/works?category=Photography&registrant=${ALICE.toLowerCase()}&limit=1&offset=1`);
+    expect(photos.body).toMatchObject({ total: 2, limit: 1, offset: 1, items: [{ workId: 1 }] });
+
+    expect((await get('/works?verified=true')).body.items.map((work) => work.workId)).toEqual([2]);
+    expect((await get('/works?disputed=false')).body.items.map((work) => work.workId)).toEqual([2, 1]);
+    expect((await get('/works?limit=1000')).body.limit).toBe(100);
+  });
+
+  it('searches titles and categories by word prefix', async () => {
+    const ids = async (path) => (await get(path)).body.items.map((work) => work.workId);
+
+    // 'Morning Light' is the closer match: it has fewer other words
+    expect(await ids('/works?q=light')).toEqual([1, 3]);
+    expect(await ids('/works?q=light&sort=newest')).toEqual([3, 1]);
+    expect(await ids('/works?q=NIG%20so')).toEqual([2]);
+    expect(await ids('/works?q=photo&disputed=false')).toEqual([1]);
+    expect(await ids('/works?q=%22%3A*')).toEqual([3, 2, 1]);
+    expect((await get('/works?q=sunrise')).body.total).toBe(0);
+  });
+
+  it('filters by registration date', async () => {
+    const ids = async (path) => (await get(path)).body.items.map((work) => work.workId);
+
+    expect(await ids('/works?from=1700000020&to=1700000030')).toEqual([2]);
+    expect(await ids('/works?from=2023-11-14&to=2023-11-14')).toEqual([3, 2, 1]);
+    expect(await ids('/works?to=2023-11-13')).toEqual([]);
+  });
+
+  it('counts each facet without its own filter', async () => {
+    expect((await get('/works?q=light')).body.facets).toEqual({
+      category: [{ value: 'Photography', count: 2 }],
+      verified: { true: 0, false: 2 },
+      disputed: { true: 1, false: 1 }
+    });
+    expect((await get('/works?category=Music')).body).toMatchObject({
+      total: 1,
+      facets: {
+        category: [
+          { value: 'Photography', count: 2 },
+          { value: 'Music', count: 1 }
+        ],
+        verified: { true: 1, false: 0 }
+      }
+    });
+  });
+
+  it('returns a work with its disputes and verification requests', async () => {
+    expect((await get('/works/3')).body).toMatchObject({
+      workId: 3,
+      title: 'Evening Light <3',
+      disputes: [{ disputeId: 0, challenger: BOB, resolved: false }],
+      verificationRequests: []
+    });
+    expect((await get('/works/1')).body.verificationRequests).toEqual([
+      expect.objectContaining({ requestId: '9', requester: BOB, processed: false, isMatch: null })
+    ]);
+  });
+
+  it('lists events of a work and across the registry', async () => {
+    expect((await get('/works/2/events')).body.items.map((event) => event.name)).toEqual([
+      'WorkRegistered',
+      'WorkVerified'
+    ]);
+    expect((await get(`/events?account=${BOB}`)).body.total).toBe(5);
+    expect((await get('/events?name=DisputeFiled')).body.items[0]).toMatchObject({
+      workId: 3,
+      account: BOB,
+      args: { workId: '3', challenger: BOB, disputeId: '0' }
+    });
+  });
+
+  it('lists refunds by recipient', async () => {
+    expect((await get(`/refunds?recipient=${BOB}`)).body.items).toEqual([
+      expect.objectContaining({ recipient: BOB, amount: '500' })
+    ]);
+    expect((await get(`/refunds?recipient=${ALICE}`)).body.total).toBe(0);
+  });
+
+  it('serves a share page with the Open Graph tags of a work', async () => {
+    const response = await fetch(`${baseUrl}/share/works/3`);
+    const html = await response.text();
+
+    expect(response.headers.get('content-type')).toBe('text/html; charset=utf-8');
+    expect(html).toContain('<meta property="og:title" content="Evening Light &#60;3">');
+    expect(html).toContain(
+      '<meta property="og:description" content="Photography · work #3 registered 2023-11-14 · not verified yet · 1 dispute">'
+    );
+    expect(html).toContain('<meta http-equiv="refresh" content="0; url=https://app.example.org/#/works/3">');
+    expect(await get('/share/works/99')).toMatchObject({ status: 404 });
+  });
+
+  it('answers errors as JSON', async () => {
+    expect(await get('/works/99')).toMatchObject({ status: 404, body: { error: 'Work #99 is not indexed' } });
+    expect(await get('/works/abc')).toMatchObject({ status: 400 });
+    expect(await get('/works?verified=yes')).toMatchObject({ status: 400, body: { error: 'verified must be true or false' } });
+    expect(await get('/works?registrant=0x123')).toMatchObject({ status: 400 });
+    expect(await get('/works?limit=-1')).toMatchObject({ status: 400 });
+    expect(await get('/works?sort=title')).toMatchObject({ status: 400 });
+    expect(await get('/works?from=yesterday')).toMatchObject({ status: 400 });
+    expect(await get('/nowhere')).toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * In-memory chain serving the provider calls the indexer makes
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACT_ABI } from '../../src/abi.js';
+
+export const CONTRACT_ADDRESS = ethers.getAddress('0x' + 'c0'.repeat(20));
+
+export const ALICE = ethers.getAddress('0x' + 'a1'.repeat(20));
+export const BOB = ethers.getAddress('0x' + 'b0'.repeat(20));
+
+const iface = new ethers.Interface(CONTRACT_ABI);
+
+/**
+ * Create a chain holding only a genesis block
+ *
+ * `mine(events)` appends a block whose logs are the given `[name, args]`
+ * events, each in its own transaction; an optional third element
+ * `[functionName, args]` is the call that transaction made. `reorg(depth)`
+ * drops the newest blocks so that the next blocks mined get different hashes.
+ */
+export const createChain = ({ chainId = 31337n } = {}) => {
+  const blocks = [];
+  const categories = new Map();
+  const requests = new Map();
+  const transactions = new Map();
+  let fork = 0;
+
+  const chain = {
+    mine(events = []) {
+      const number = blocks.length;
+      const hash = ethers.id(`block ${number} fork ${fork}`);
+
+      blocks.push({
+        number,
+        hash,
+        timestamp: 1700000000 + number * 12,
+        logs: events.map(([name, args, call], index) => {
+          const transactionHash = ethers.id(`${hash} tx ${index}`);
+
+          transactions.set(transactionHash, call ? iface.encodeFunctionData(...call) : '0x');
+          if (name === 'VerificationRequested') {
+            requests.set(BigInt(args[2]), BigInt(args[0]));
+          }
+
+          return {
+            ...iface.encodeEventLog(name, args),
+            address: CONTRACT_ADDRESS,
+            blockNumber: number,
+            blockHash: hash,
+            transactionHash,
+            index
+          };
+        })
+      });
+
+      return chain;
+    },
+
+    // Mine empty blocks
+    advance(count) {
+      for (let i = 0; i < count; i++) {
+        chain.mine();
+      }
+
+      return chain;
+    },
+
+    reorg(depth) {
+      blocks.splice(blocks.length - depth);
+      fork++;
+      return chain;
+    },
+
+    // WorkRegistered event, remembering the category getWorkInfo returns
+    registered(workId, registrant, title, category) {
+      categories.set(workId, category);
+      return ['WorkRegistered', [workId, registrant, title, 1700000000 + blocks.length * 12]];
+    },
+
+    block: (number) => blocks[number],
+
+    provider: {
+      getNetwork: async () => ({ chainId }),
+      getBlockNumber: async () => blocks.length - 1,
+      getBlock: async (number) => {
+        const block = blocks[number];
+        return block ? { number: block.number, hash: block.hash, timestamp: block.timestamp } : null;
+      },
+      getLogs: async ({ address, topics: [topics], fromBlock, toBlock }) =>
+        blocks
+          .slice(fromBlock, toBlock + 1)
+          .flatMap((block) => block.logs)
+          .filter((log) => log.address === address && topics.includes(log.topics[0])),
+      getTransaction: async (hash) =>
+        transactions.has(hash) ? { hash, to: CONTRACT_ADDRESS, data: transactions.get(hash), value: 0n } : null,
+      call: async ({ data }) => {
+        const { name, args } = iface.parseTransaction({ data });
+
+        if (name === 'requestIdToWorkId') {
+          return iface.encodeFunctionResult(name, [requests.get(args[0]) ?? 0n]);
+        }
+
+        const workId = Number(args[0]);
+
+        if (!categories.has(workId)) {
+          throw new Error('execution reverted: Invalid work ID');
+        }
+
+        return iface.encodeFunctionResult('getWorkInfo', [ALICE, 0, false, false, 0, '', categories.get(workId)]);
+      }
+    }
+  };
+
+  return chain.mine();
+};
@@ -0,0 +1,171 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { getTip, getWork, listEvents, listRefunds, listWorks, openDatabase } from '../src/db.js';
+import { createIndexer } from '../src/indexer.js';
+import { ALICE, BOB, CONTRACT_ADDRESS, createChain } from './helpers/chain.js';
+
+const silent = { info() {}, warn() {}, error() {} };
+const ALL = { limit: 100, offset: 0 };
+
+describe('createIndexer', () => {
+  let chain;
+  let db;
+  const indexer = (options = {}) =>
+    createIndexer({
+      provider: chain.provider,
+      db,
+      contractAddress: CONTRACT_ADDRESS,
+      startBlock: 1,
+      confirmations: 0,
+      logger: silent,
+      ...options
+    });
+
+  beforeEach(() => {
+    chain = createChain();
+    db = openDatabase(':memory:');
+  });
+
+  it('projects the registry from its events', async () => {
+    chain
+      .mine([chain.registered(1, ALICE, 'Morning Light', 'Photography')])
+      .mine([chain.registered(2, BOB, 'Night Song', 'Music'), ['WorkVerified', [2, BOB]]])
+      .mine([['DisputeFiled', [1, BOB, 0]], ['VerificationRequested', [2, ALICE, 77]]])
+      .mine([['DisputeResolved', [1, 0, ALICE]], ['VerificationProcessed', [77, 2, true]]])
+      .mine([['RefundIssued', [ALICE, 1000n]]]);
+
+    expect(await indexer().sync()).toBe(8);
+
+    expect(getWork(db, 1)).toMatchObject({
+      title: 'Morning Light',
+      category: 'Photography',
+      registrant: ALICE,
+      verified: false,
+      disputed: true,
+      disputeCount: 1,
+      disputes: [{ disputeId: 0, challenger: BOB, resolved: true, winner: ALICE }]
+    });
+    expect(getWork(db, 2)).toMatchObject({
+      category: 'Music',
+      verified: true,
+      verificationRequests: [{ requestId: '77', requester: ALICE, processed: true, isMatch: true }]
+    });
+    expect(listRefunds(db, {}, ALL).items).toEqual([
+      expect.objectContaining({ recipient: ALICE, amount: '1000', blockNumber: 5 })
+    ]);
+    expect(listEvents(db, { account: BOB }, ALL).items.map((event) => event.name)).toEqual([
+      'WorkRegistered',
+      'WorkVerified',
+      'DisputeFiled'
+    ]);
+  });
+
+  it('links refunds and timeout claims to their work', async () => {
+    chain
+      .mine([chain.registered(1, ALICE, 'Morning Light', 'Photography')])
+      .mine([['VerificationRequested', [1, BOB, 42]], ['DisputeFiled', [1, BOB, 0]]])
+      .mine([
+        ['RefundIssued', [BOB, 1000n], ['claimVerificationRefund', [42]]],
+        ['TimeoutClaimed', [1, 0, BOB]],
+        ['RefundIssued', [ALICE, 5n]]
+      ]);
+
+    await indexer().sync();
+
+    expect(listEvents(db, { workId: 1 }, ALL).items.map((event) => event.name)).toEqual([
+      'WorkRegistered',
+      'VerificationRequested',
+      'DisputeFiled',
+      'RefundIssued',
+      'TimeoutClaimed'
+    ]);
+    expect(listEvents(db, { name: 'RefundIssued' }, ALL).items.map((event) => [event.workId, event.args])).toEqual([
+      [1, { recipient: BOB, amount: '1000', requestId: '42', workId: '1' }],
+      [null, { recipient: ALICE, amount: '5' }]
+    ]);
+    expect(listEvents(db, { name: 'TimeoutClaimed' }, ALL).items[0]).toMatchObject({ account: BOB });
+  });
+
+  it('stays the given number of confirmations behind the head', async () => {
+    chain.mine([chain.registered(1, ALICE, 'A', 'Music')]).advance(1).mine([chain.registered(2, ALICE, 'B', 'Music')]);
+
+    await indexer({ confirmations: 1 }).sync();
+
+    expect(getTip(db).number).toBe(2);
+    expect(listWorks(db, {}, ALL).total).toBe(1);
+  });
+
+  it('indexes in batches and resumes where it stopped', async () => {
+    for (let id = 1; id <= 5; id++) {
+      chain.mine([chain.registered(id, ALICE, `Work ${id}`, 'Software')]).advance(2);
+    }
+
+    const batched = indexer({ batchSize: 4 });
+    expect(await batched.sync()).toBe(5);
+    expect(await batched.sync()).toBe(0);
+
+    chain.mine([chain.registered(6, BOB, 'Work 6', 'Other')]);
+    expect(await batched.sync()).toBe(1);
+    expect(listWorks(db, {}, ALL).items.map((work) => work.workId)).toEqual([6, 5, 4, 3, 2, 1]);
+  });
+
+  it('starts at the start block', async () => {
+    chain.mine([chain.registered(1, ALICE, 'Before', 'Music')]).mine([chain.registered(2, ALICE, 'After', 'Music')]);
+
+    await indexer({ startBlock: 2 }).sync();
+
+    expect(listWorks(db, {}, ALL).items.map((work) => work.title)).toEqual(['After']);
+  });
+
+  it('keeps the result of a verification requested before the start block', async () => {
+    chain.mine([['VerificationRequested', [1, ALICE, 5]]]).mine([['VerificationProcessed', [5, 1, false]]]);
+
+    await indexer({ startBlock: 2 }).sync();
+
+    expect(listEvents(db, { name: 'VerificationProcessed' }, ALL).total).toBe(1);
+    expect(db.prepare('SELECT processed, is_match FROM verification_requests').get()).toEqual({
+      processed: 1,
+      is_match: 0
+    });
+  });
+
+  it('rolls back orphaned blocks after a reorg', async () => {
+    chain
+      .mine([chain.registered(1, ALICE, 'Kept', 'Music')])
+      .mine([['DisputeFiled', [1, BOB, 0]]])
+      .mine([chain.registered(2, BOB, 'Orphaned', 'Music')]);
+
+    const follower = indexer();
+    await follower.sync();
+    expect(listWorks(db, {}, ALL).total).toBe(2);
+
+    // Blocks 2 and 3 are replaced by a branch with other events
+    chain.reorg(2).mine([chain.registered(2, BOB, 'Replacement', 'Other')]).advance(2);
+
+    expect(await follower.sync()).toBe(1);
+    expect(getWork(db, 1)).toMatchObject({ title: 'Kept', disputed: false, disputeCount: 0, disputes: [] });
+    expect(getWork(db, 2)).toMatchObject({ title: 'Replacement', category: 'Other' });
+    expect(listWorks(db, { q: 'orphaned' }, ALL).total).toBe(0);
+    expect(listWorks(db, { q: 'replacement' }, ALL).total).toBe(1);
+    expect(listEvents(db, {}, ALL).items.map((event) => event.blockHash)).toEqual([
+      chain.block(1).hash,
+      chain.block(2).hash
+    ]);
+    expect(getTip(db)).toMatchObject({ number: 4, hash: chain.block(4).hash });
+  });
+
+  it('reindexes from the start when no stored block survived the reorg', async () => {
+    chain.mine([chain.registered(1, ALICE, 'Orphaned', 'Music')]);
+    await indexer().sync();
+
+    chain.reorg(2).mine().mine([chain.registered(1, BOB, 'Replacement', 'Music')]);
+    await indexer().sync();
+
+    expect(listWorks(db, {}, ALL).items).toEqual([expect.objectContaining({ title: 'Replacement', registrant: BOB })]);
+  });
+
+  it('refuses a database built for another contract', async () => {
+    await indexer().sync();
+
+    await expect(indexer({ contractAddress: ALICE }).sync()).rejects.toThrow('use a new DATABASE_PATH');
+  });
+});
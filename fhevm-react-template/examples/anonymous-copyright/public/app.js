@@ -1,5 +1,22 @@
 // Contract configuration
 const CONTRACT_ADDRESS = "0xe2851b2B971E3F95f325764c25ffd52E9c8bf80a";
+
+// Event indexer (see ../indexer) serving work search
+const INDEXER_URL = "http://localhost:4000";
+const SEARCH_PAGE_SIZE = 12;
+const EXPLORER_URL = "https://sepolia.etherscan.io";
+
+// Timeline wording of the indexed events
+const EVENT_LABELS = {
+    WorkRegistered: () => 'Work registered',
+    WorkVerified: () => 'Marked as verified',
+    DisputeFiled: (args) => `Dispute #${args.disputeId} filed`,
+    DisputeResolved: (args) => `Dispute #${args.disputeId} resolved`,
+    VerificationRequested: (args) => `Verification requested (request ${args.requestId})`,
+    VerificationProcessed: (args) => `Verification callback: ${args.isMatch ? 'match' : 'no match'}`,
+    RefundIssued: (args) => `Verification fee refunded (${ethers.utils.formatEther(args.amount)} ETH)`,
+    TimeoutClaimed: (args) => `Dispute #${args.disputeId} timeout claimed`
+};
 const CONTRACT_ABI = [
     "function registerAuthor(uint64 _authorId) external",
     "function registerWork(uint32 _contentHash, string calldata _title, string calldata _category) external returns (uint256)",
@@ -27,13 +44,33 @@ let provider;
 let signer;
 let contract;
 let userAddress;
+let searchPage = 1;
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
     checkWalletConnection();
+    handleRoute();
 });
 
+// Shareable work links: #/works/<id> opens the work in Browse Works
+window.addEventListener('hashchange', handleRoute);
+
+function handleRoute() {
+    const match = window.location.hash.match(/^#\/works\/(\d+)$/);
+
+    if (match) {
+        switchTab('browse');
+        document.getElementById('browseWorkId').value = match[1];
+
+        if (contract) {
+            handleLoadWork();
+        } else {
+            showNotification(`Connect your wallet to load work #${match[1]}`, 'info');
+        }
+    }
+}
+
 // Setup all event listeners
 function setupEventListeners() {
     document.getElementById('connectBtn').addEventListener('click', connectWallet);
@@ -43,6 +80,20 @@ function setupEventListeners() {
     document.getElementById('disputeForm').addEventListener('submit', handleFileDispute);
     document.getElementById('resolveForm').addEventListener('submit', handleResolveDispute);
     document.getElementById('loadWorkBtn').addEventListener('click', handleLoadWork);
+    document.getElementById('searchForm').addEventListener('submit', handleSearch);
+    document.getElementById('searchPrevBtn').addEventListener('click', () => changeSearchPage(-1));
+    document.getElementById('searchNextBtn').addEventListener('click', () => changeSearchPage(1));
+
+    // Content hashes are computed from the chosen file
+    document.querySelectorAll('input[type="file"][data-hash-input]').forEach(input => {
+        const output = document.getElementById(input.dataset.digestOutput);
+        output.dataset.help = output.textContent;
+
+        input.addEventListener('change', handleFingerprintFile);
+        input.form.addEventListener('reset', () => {
+            output.textContent = output.dataset.help;
+        });
+    });
 
     // Tab switching
     document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -95,6 +146,7 @@ async function connectWallet() {
 
         // Load initial data
         await loadStats();
+        handleRoute();
 
         // Listen for account changes
         window.ethereum.on('accountsChanged', handleAccountsChanged);
@@ -150,6 +202,32 @@ async function handleRegisterAuthor(e) {
     }
 }
 
+// Fill the content hash from the chosen file and show its full digest
+async function handleFingerprintFile(e) {
+    const file = e.target.files[0];
+    const hashInput = document.getElementById(e.target.dataset.hashInput);
+    const output = document.getElementById(e.target.dataset.digestOutput);
+
+    hashInput.value = '';
+    output.textContent = output.dataset.help;
+
+    if (!file) {
+        return;
+    }
+
+    try {
+        output.textContent = 'Computing fingerprint...';
+        const fingerprint = await fingerprintFile(file);
+
+        hashInput.value = fingerprint.contentHash;
+        output.textContent = `${fingerprint.algorithm} (${fingerprint.kind}): ${formatDigest(fingerprint.digest)}`;
+    } catch (error) {
+        console.error('Error fingerprinting file:', error);
+        output.textContent = output.dataset.help;
+        showNotification('Could not read the file: ' + error.message, 'error');
+    }
+}
+
 // Submit work
 async function handleSubmitWork(e) {
     e.preventDefault();
@@ -302,18 +380,21 @@ async function handleLoadWork() {
     try {
         showTxStatus('Loading work details...');
         const work = await contract.getWorkInfo(workId);
+        const disputes = await Promise.all(
+            [...Array(work.disputeCount.toNumber()).keys()].map(id => contract.getDisputeInfo(workId, id))
+        );
 
         const workDetailsDiv = document.getElementById('workDetails');
         workDetailsDiv.innerHTML = `
             <div class="work-detail-card">
-                <h3>${work.title}</h3>
+                <h3>${escapeHtml(work.title)}</h3>
                 <div class="detail-row">
                     <span class="label">Work ID:</span>
                     <span class="value">${workId}</span>
                 </div>
                 <div class="detail-row">
                     <span class="label">Category:</span>
-                    <span class="value">${work.category}</span>
+                    <span class="value">${escapeHtml(work.category)}</span>
                 </div>
                 <div class="detail-row">
                     <span class="label">Registrant:</span>
@@ -334,10 +415,24 @@ async function handleLoadWork() {
                     <span class="label">Dispute Count:</span>
                     <span class="value">${work.disputeCount.toString()}</span>
                 </div>
+                ${disputes.map((dispute, id) => `
+                <div class="detail-row">
+                    <span class="label">Dispute #${id}:</span>
+                    <span class="value">
+                        ${dispute.challenger.substring(0, 6)}...${dispute.challenger.substring(38)},
+                        ${new Date(dispute.timestamp * 1000).toLocaleString()},
+                        ${dispute.resolved ? `resolved (winner ${dispute.winner.substring(0, 6)}...${dispute.winner.substring(38)})` : 'open'}
+                    </span>
+                </div>`).join('')}
+                <h4>Timeline</h4>
+                <ol id="workTimeline" class="work-timeline"><li class="no-data">Loading timeline...</li></ol>
             </div>
         `;
 
+        // Keep the URL shareable
+        history.replaceState(null, '', `#/works/${workId}`);
         hideTxStatus();
+        await loadWorkTimeline(workId);
     } catch (error) {
         console.error('Error loading work:', error);
         hideTxStatus();
@@ -345,6 +440,120 @@ async function handleLoadWork() {
     }
 }
 
+// Chronological list of a work's indexed events with transaction links
+async function loadWorkTimeline(workId) {
+    const timeline = document.getElementById('workTimeline');
+
+    try {
+        const response = await fetch(`${INDEXER_URL}/works/${workId}/events?limit=100`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Indexer answered ${response.status}`);
+        }
+
+        timeline.innerHTML = result.items
+            .filter(event => EVENT_LABELS[event.name])
+            .map(event => `
+                <li>
+                    <span class="timeline-date">${new Date(event.timestamp * 1000).toLocaleString()}</span>
+                    <span>${escapeHtml(EVENT_LABELS[event.name](event.args))}</span>
+                    <a href="${EXPLORER_URL}/tx/${event.transactionHash}" target="_blank" rel="noopener noreferrer">tx ${event.transactionHash.substring(0, 10)}...</a>
+                </li>`)
+            .join('') || '<li class="no-data">No indexed events yet</li>';
+    } catch (error) {
+        console.error('Error loading timeline:', error);
+        timeline.innerHTML = '<li class="no-data">The timeline needs the event indexer</li>';
+    }
+}
+
+// Search works through the indexer
+async function handleSearch(e) {
+    e.preventDefault();
+    searchPage = 1;
+    await loadSearchResults();
+}
+
+function changeSearchPage(step) {
+    searchPage += step;
+    loadSearchResults();
+}
+
+async function loadSearchResults() {
+    const fields = {
+        q: 'searchQuery',
+        category: 'searchCategory',
+        verified: 'searchVerified',
+        disputed: 'searchDisputed',
+        from: 'searchFrom',
+        to: 'searchTo',
+        registrant: 'searchRegistrant'
+    };
+    const params = new URLSearchParams();
+
+    Object.entries(fields).forEach(([name, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) {
+            params.set(name, value);
+        }
+    });
+    params.set('limit', SEARCH_PAGE_SIZE);
+    params.set('offset', (searchPage - 1) * SEARCH_PAGE_SIZE);
+
+    try {
+        const response = await fetch(`${INDEXER_URL}/works?${params}`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Indexer answered ${response.status}`);
+        }
+
+        const resultsDiv = document.getElementById('searchResults');
+        const pageCount = Math.max(1, Math.ceil(result.total / SEARCH_PAGE_SIZE));
+        const first = result.offset + 1;
+
+        resultsDiv.innerHTML = '';
+        result.items.forEach(work => {
+            const card = createWorkCard(work.workId.toString(), work);
+            card.classList.add('search-result');
+            card.title = 'Show work details';
+            card.addEventListener('click', () => {
+                const hash = `#/works/${work.workId}`;
+                if (window.location.hash === hash) {
+                    handleRoute();
+                } else {
+                    window.location.hash = hash;
+                }
+            });
+            resultsDiv.appendChild(card);
+        });
+
+        document.getElementById('searchSummary').textContent = result.total === 0
+            ? 'No works found'
+            : `Showing ${first}-${first + result.items.length - 1} of ${result.total} works`;
+
+        document.getElementById('searchPager').style.display = pageCount > 1 ? 'flex' : 'none';
+        document.getElementById('searchPage').textContent = `Page ${searchPage} of ${pageCount}`;
+        document.getElementById('searchPrevBtn').disabled = searchPage <= 1;
+        document.getElementById('searchNextBtn').disabled = searchPage >= pageCount;
+
+        updateCategoryCounts(result.facets.category);
+    } catch (error) {
+        console.error('Error searching works:', error);
+        showNotification('Search failed: ' + error.message, 'error');
+    }
+}
+
+// Show how many works each category would return
+function updateCategoryCounts(categoryFacets) {
+    document.querySelectorAll('#searchCategory option').forEach(option => {
+        if (option.value) {
+            const facet = categoryFacets.find(f => f.value === option.value);
+            option.textContent = `${option.value} (${facet ? facet.count : 0})`;
+        }
+    });
+}
+
 // Load statistics
 async function loadStats() {
     if (!contract || !userAddress) return;
@@ -404,10 +613,10 @@ function createWorkCard(workId, work) {
     card.className = 'work-card';
 
     card.innerHTML = `
-        <h3>${work.title}</h3>
+        <h3><a href="#/works/${workId}">${escapeHtml(work.title)}</a></h3>
         <div class="work-info">
             <p><strong>ID:</strong> ${workId}</p>
-            <p><strong>Category:</strong> ${work.category}</p>
+            <p><strong>Category:</strong> ${escapeHtml(work.category)}</p>
             <p><strong>Registered:</strong> ${new Date(work.timestamp * 1000).toLocaleDateString()}</p>
             <p><strong>Disputes:</strong> ${work.disputeCount.toString()}</p>
         </div>
@@ -420,6 +629,13 @@ function createWorkCard(workId, work) {
     return card;
 }
 
+// Titles and categories are chosen by any author
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
 // Switch tabs
 function switchTab(tabName) {
     // Update tab buttons
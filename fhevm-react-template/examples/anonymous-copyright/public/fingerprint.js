@@ -0,0 +1,58 @@
+// Content fingerprinting: derive the uint32 content hash from the work's file
+// Same algorithm as frontend/src/utils/fingerprint.js
+
+const FINGERPRINT_ALGORITHM = 'SHA-256';
+const TEXT_EXTENSIONS = /\.(txt|md|markdown|csv|json|html?|xml|rtf)$/i;
+
+// Kind of content of a file: image, audio, text, pdf or other
+function getContentKind(file) {
+    const type = file.type || '';
+
+    if (type.startsWith('image/')) return 'image';
+    if (type.startsWith('audio/')) return 'audio';
+    if (type === 'application/pdf' || /\.pdf$/i.test(file.name)) return 'pdf';
+    if (type.startsWith('text/') || TEXT_EXTENSIONS.test(file.name)) return 'text';
+    return 'other';
+}
+
+// Text is hashed as UTF-8 without BOM and with LF line endings; other files byte for byte
+async function readContent(file, kind) {
+    const buffer = await file.arrayBuffer();
+
+    if (kind !== 'text') {
+        return buffer;
+    }
+
+    // TextDecoder drops the byte order mark
+    const text = new TextDecoder('utf-8').decode(buffer).replace(/\r\n?/g, '\n');
+    return new TextEncoder().encode(text);
+}
+
+// First 4 bytes of the digest as a big-endian uint32; the contract rejects 0, so 0 maps to 1
+function digestToContentHash(digest) {
+    const value = parseInt(digest.slice(0, 8), 16);
+    return value === 0 ? 1 : value;
+}
+
+// Compute the fingerprint of a file
+async function fingerprintFile(file) {
+    const kind = getContentKind(file);
+    const content = await readContent(file, kind);
+    const bytes = new Uint8Array(await crypto.subtle.digest(FINGERPRINT_ALGORITHM, content));
+    const digest = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+    return {
+        fileName: file.name,
+        fileSize: file.size,
+        fileType: file.type,
+        kind,
+        algorithm: FINGERPRINT_ALGORITHM,
+        digest,
+        contentHash: digestToContentHash(digest)
+    };
+}
+
+// Group a hex digest in blocks of 8 characters for display
+function formatDigest(digest) {
+    return digest.match(/.{1,8}/g).join(' ');
+}
@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { createFhevmClient, encryptUint32, encryptUint64 } from '@fhevm/sdk';
+import { isAddress } from 'ethers';
+import { getServerClient, encryptUint32, encryptUint64 } from '@fhevm/sdk/server';
 
 /**
  * POST /api/fhe/encrypt
@@ -8,7 +9,8 @@ import { createFhevmClient, encryptUint32, encryptUint64 } from '@fhevm/sdk';
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json();
-    const { value, type = 'uint32', network = 'sepolia', contractAddress } = body;
+    const { value, type = 'uint32', network = 'sepolia', userAddress } = body;
+    const contractAddress = body.contractAddress || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
 
     // Validation
     if (value === undefined || value === null) {
@@ -25,11 +27,23 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // Initialize FHEVM client
-    const client = await createFhevmClient({
-      network,
-      contractAddress: contractAddress || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS,
-    });
+    // The input is only accepted from the account it is bound to
+    if (!isAddress(userAddress)) {
+      return NextResponse.json(
+        { error: 'A valid userAddress is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!isAddress(contractAddress)) {
+      return NextResponse.json(
+        { error: 'A valid contractAddress is required' },
+        { status: 400 }
+      );
+    }
+
+    // Shared FHEVM client for this network (keys are fetched once per process)
+    const client = await getServerClient(network, { contractAddress });
 
     // Perform encryption
     let encrypted;
@@ -41,7 +55,7 @@ export async function POST(request: NextRequest) {
           { status: 400 }
         );
       }
-      encrypted = await encryptUint32(client, numValue);
+      encrypted = await encryptUint32(client, numValue, { contractAddress, userAddress });
     } else {
       try {
         const bigIntValue = BigInt(value);
@@ -51,7 +65,7 @@ export async function POST(request: NextRequest) {
             { status: 400 }
           );
         }
-        encrypted = await encryptUint64(client, bigIntValue);
+        encrypted = await encryptUint64(client, bigIntValue, { contractAddress, userAddress });
       } catch {
         return NextResponse.json(
           { error: 'Invalid uint64 value' },
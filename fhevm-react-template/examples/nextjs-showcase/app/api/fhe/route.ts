@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { createFhevmClient, encryptUint32, encryptUint64 } from '@fhevm/sdk';
+import { isAddress } from 'ethers';
+import { getServerClient, encryptUint32, encryptUint64 } from '@fhevm/sdk/server';
 
 /**
  * POST /api/fhe
@@ -8,7 +9,8 @@ import { createFhevmClient, encryptUint32, encryptUint64 } from '@fhevm/sdk';
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json();
-    const { operation, value, type, network, contractAddress } = body;
+    const { operation, value, type, network, userAddress } = body;
+    const contractAddress = body.contractAddress || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
 
     if (!operation) {
       return NextResponse.json(
@@ -17,11 +19,15 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // Initialize FHEVM client
-    const client = await createFhevmClient({
-      network: network || 'sepolia',
-      contractAddress: contractAddress || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS,
-    });
+    if (!isAddress(contractAddress)) {
+      return NextResponse.json(
+        { error: 'A valid contractAddress is required' },
+        { status: 400 }
+      );
+    }
+
+    // Shared FHEVM client for this network (keys are fetched once per process)
+    const client = await getServerClient(network || 'sepolia', { contractAddress });
 
     let result;
 
@@ -34,10 +40,18 @@ export async function POST(request: NextRequest) {
           );
         }
 
+        // The input is only accepted from the account it is bound to
+        if (!isAddress(userAddress)) {
+          return NextResponse.json(
+            { error: 'A valid userAddress is required for encryption' },
+            { status: 400 }
+          );
+        }
+
         if (type === 'uint32') {
-          result = await encryptUint32(client, parseInt(value, 10));
+          result = await encryptUint32(client, parseInt(value, 10), { contractAddress, userAddress });
         } else if (type === 'uint64') {
-          result = await encryptUint64(client, BigInt(value));
+          result = await encryptUint64(client, BigInt(value), { contractAddress, userAddress });
         } else {
           return NextResponse.json(
             { error: 'Invalid encryption type. Use uint32 or uint64' },
@@ -50,7 +64,7 @@ export async function POST(request: NextRequest) {
         result = {
           network: network || 'sepolia',
           ready: true,
-          contractAddress: contractAddress || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS,
+          contractAddress,
         };
         break;
 
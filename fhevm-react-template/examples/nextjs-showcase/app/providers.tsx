@@ -0,0 +1,20 @@
+'use client';
+
+import React, { useMemo } from 'react';
+import { FhevmProvider } from '@fhevm/sdk/hooks';
+import { getDefaultConfig } from '@/lib/fhe/client';
+
+/**
+ * Shares one FHEVM client, signer and permit cache with every page
+ */
+export default function Providers({ children }: { children: React.ReactNode }) {
+  const config = useMemo(
+    () => ({
+      ...getDefaultConfig(),
+      eip1193Provider: typeof window !== 'undefined' ? (window as any).ethereum : undefined,
+    }),
+    []
+  );
+
+  return <FhevmProvider config={config}>{children}</FhevmProvider>;
+}
@@ -1,15 +1,14 @@
 'use client';
 
 import React, { useState } from 'react';
-import { useEncrypt } from '@fhevm/sdk/hooks';
-import { useFHE } from '../fhe/FHEProvider';
+import { useEncrypt, useFhevm } from '@fhevm/sdk/hooks';
 import Card from '../ui/Card';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 
 export default function MedicalExample() {
-  const { client, isReady } = useFHE();
-  const { encrypt, isEncrypting } = useEncrypt(client);
+  const { isReady } = useFhevm();
+  const { encrypt, isEncrypting } = useEncrypt();
 
   const [heartRate, setHeartRate] = useState('');
   const [bloodPressure, setBloodPressure] = useState('');
@@ -1,15 +1,14 @@
 'use client';
 
 import React, { useState } from 'react';
-import { useEncrypt } from '@fhevm/sdk/hooks';
-import { useFHE } from './FHEProvider';
+import { useEncrypt, useFhevm } from '@fhevm/sdk/hooks';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 import Card from '../ui/Card';
 
 export default function EncryptionDemo() {
-  const { client, isReady } = useFHE();
-  const { encrypt, isEncrypting, error } = useEncrypt(client);
+  const { isReady } = useFhevm();
+  const { encrypt, isEncrypting, error } = useEncrypt();
 
   const [value, setValue] = useState('');
   const [type, setType] = useState<'uint32' | 'uint64'>('uint32');
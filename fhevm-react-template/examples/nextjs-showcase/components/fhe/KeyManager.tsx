@@ -1,12 +1,12 @@
 'use client';
 
 import React, { useState } from 'react';
-import { useFHE } from './FHEProvider';
+import { useFhevm } from '@fhevm/sdk/hooks';
 import Card from '../ui/Card';
 import Button from '../ui/Button';
 
 export default function KeyManager() {
-  const { config, isReady } = useFHE();
+  const { config, isReady } = useFhevm();
   const [keyInfo, setKeyInfo] = useState<any>(null);
   const [loading, setLoading] = useState(false);
 
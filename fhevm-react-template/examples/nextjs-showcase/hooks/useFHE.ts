@@ -1,4 +1,4 @@
 /**
- * Main FHE hook - re-exports the SDK's useFhevmClient
+ * Main FHE hooks - re-exports the SDK's provider and hooks
  */
-export { useFhevmClient, useEncrypt, useDecrypt } from '@fhevm/sdk/hooks';
+export { useFhevm, useFhevmClient, useEncrypt, useDecrypt } from '@fhevm/sdk/hooks';
@@ -3,23 +3,30 @@
  * These operations can be performed on the server without exposing sensitive data
  */
 
-import { createFhevmClient, encryptUint32, encryptUint64 } from '@fhevm/sdk';
-import type { FhevmConfig } from '@fhevm/sdk';
+import { getServerClient, encryptUint32, encryptUint64 } from '@fhevm/sdk/server';
 
 /**
  * Server-side encryption helper
+ *
+ * Uses the process-wide client for the network, so public keys are only
+ * fetched once per process (and cached on disk across restarts). The input
+ * is bound to `contractAddress` and to `userAddress`, the account that will
+ * send it.
  */
 export async function serverEncrypt(
   value: number | bigint,
   type: 'uint32' | 'uint64',
-  config: FhevmConfig
+  userAddress: string,
+  contractAddress: string = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS!,
+  network: string = 'sepolia'
 ) {
-  const client = await createFhevmClient(config);
+  const client = await getServerClient(network, { contractAddress });
+  const options = { contractAddress, userAddress };
 
   if (type === 'uint32') {
-    return await encryptUint32(client, value as number);
+    return await encryptUint32(client, value as number, options);
   } else {
-    return await encryptUint64(client, value as bigint);
+    return await encryptUint64(client, value as bigint, options);
   }
 }
 
@@ -0,0 +1,9 @@
+/** @type {import('jest').Config} */
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/test'],
+  transform: {
+    // Type errors are reported by tsc, not the test run
+    '^.+\\.tsx?$': ['ts-jest', { diagnostics: false }]
+  }
+};
@@ -3,7 +3,7 @@ import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
 import dts from 'rollup-plugin-dts';
 
-const external = ['react', 'ethers', 'fhevmjs'];
+const external = ['react', 'vue', 'ethers', 'fhevmjs', 'fs/promises', 'os', 'path'];
 
 export default [
   // Main bundle
@@ -38,11 +38,89 @@ export default [
       {
         file: 'dist/hooks.js',
         format: 'cjs',
-        sourcemap: true
+        sourcemap: true,
+        // Next.js app router: hooks and FhevmProvider only run in client components
+        banner: "'use client';"
       },
       {
         file: 'dist/hooks.esm.js',
         format: 'esm',
+        sourcemap: true,
+        banner: "'use client';"
+      }
+    ],
+    external,
+    plugins: [
+      resolve(),
+      commonjs(),
+      typescript({
+        tsconfig: './tsconfig.json',
+        declaration: false
+      })
+    ]
+  },
+  // Server bundle (no React)
+  {
+    input: 'src/server.ts',
+    output: [
+      {
+        file: 'dist/server.js',
+        format: 'cjs',
+        sourcemap: true
+      },
+      {
+        file: 'dist/server.esm.js',
+        format: 'esm',
+        sourcemap: true
+      }
+    ],
+    external,
+    plugins: [
+      resolve(),
+      commonjs(),
+      typescript({
+        tsconfig: './tsconfig.json',
+        declaration: false
+      })
+    ]
+  },
+  // Vue composables bundle
+  {
+    input: 'src/vue.ts',
+    output: [
+      {
+        file: 'dist/vue.js',
+        format: 'cjs',
+        sourcemap: true
+      },
+      {
+        file: 'dist/vue.esm.js',
+        format: 'esm',
+        sourcemap: true
+      }
+    ],
+    external,
+    plugins: [
+      resolve(),
+      commonjs(),
+      typescript({
+        tsconfig: './tsconfig.json',
+        declaration: false
+      })
+    ]
+  },
+  // Svelte stores bundle
+  {
+    input: 'src/svelte.ts',
+    output: [
+      {
+        file: 'dist/svelte.js',
+        format: 'cjs',
+        sourcemap: true
+      },
+      {
+        file: 'dist/svelte.esm.js',
+        format: 'esm',
         sourcemap: true
       }
     ],
@@ -56,6 +134,24 @@ export default [
       })
     ]
   },
+  // Codegen CLI (fhevm-codegen)
+  {
+    input: 'src/cli.ts',
+    output: {
+      file: 'dist/cli.js',
+      format: 'cjs',
+      banner: '#!/usr/bin/env node'
+    },
+    external,
+    plugins: [
+      resolve(),
+      commonjs(),
+      typescript({
+        tsconfig: './tsconfig.json',
+        declaration: false
+      })
+    ]
+  },
   // Type definitions
   {
     input: 'src/index.ts',
@@ -72,5 +168,29 @@ export default [
       format: 'esm'
     },
     plugins: [dts()]
+  },
+  {
+    input: 'src/server.ts',
+    output: {
+      file: 'dist/server.d.ts',
+      format: 'esm'
+    },
+    plugins: [dts()]
+  },
+  {
+    input: 'src/vue.ts',
+    output: {
+      file: 'dist/vue.d.ts',
+      format: 'esm'
+    },
+    plugins: [dts()]
+  },
+  {
+    input: 'src/svelte.ts',
+    output: {
+      file: 'dist/svelte.d.ts',
+      format: 'esm'
+    },
+    plugins: [dts()]
   }
 ];
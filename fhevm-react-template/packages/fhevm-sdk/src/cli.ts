@@ -0,0 +1,83 @@
+/**
+ * fhevm-codegen: generate typed contract wrappers from Hardhat artifacts
+ *
+ * Usage: fhevm-codegen <artifact.json | artifacts dir>... [--out dir] [--sdk module]
+ *
+ * @packageDocumentation
+ */
+
+import { mkdir, readFile, readdir, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { generateFhevmContract } from './core/codegen';
+
+const USAGE = 'Usage: fhevm-codegen <artifact.json | artifacts dir>... [--out dir] [--sdk module]';
+
+/**
+ * List artifact files, walking directories and skipping debug and build-info files
+ */
+async function findArtifacts(input: string): Promise<string[]> {
+  if (!(await stat(input)).isDirectory()) {
+    return [input];
+  }
+
+  const entries = await readdir(input, { withFileTypes: true });
+  const nested = await Promise.all(
+    entries
+      .filter((entry) =>
+        entry.isDirectory()
+          ? entry.name !== 'build-info'
+          : entry.name.endsWith('.json') && !entry.name.endsWith('.dbg.json')
+      )
+      .map((entry) => findArtifacts(path.join(input, entry.name)))
+  );
+
+  return nested.flat();
+}
+
+async function main(argv: string[]): Promise<void> {
+  const inputs: string[] = [];
+  let outDir = 'fhevm-contracts';
+  let sdkImport: string | undefined;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      outDir = argv[++i];
+    } else if (argv[i] === '--sdk') {
+      sdkImport = argv[++i];
+    } else if (argv[i] === '--help' || argv[i] === '-h') {
+      console.log(USAGE);
+      return;
+    } else {
+      inputs.push(argv[i]);
+    }
+  }
+
+  if (inputs.length === 0 || !outDir) {
+    throw new Error(USAGE);
+  }
+
+  const files = (await Promise.all(inputs.map(findArtifacts))).flat();
+  await mkdir(outDir, { recursive: true });
+
+  for (const file of files) {
+    const artifact = JSON.parse(await readFile(file, 'utf8'));
+
+    if (!Array.isArray(artifact) && !Array.isArray(artifact?.abi)) {
+      continue;
+    }
+
+    const name = artifact.contractName || path.basename(file, '.json');
+    const target = path.join(outDir, `${name}.ts`);
+
+    await writeFile(
+      target,
+      generateFhevmContract(name, artifact, { sdkImport, source: path.basename(file) })
+    );
+    console.log(`Generated ${target}`);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message || error);
+  process.exit(1);
+});
@@ -1,25 +1,41 @@
-import { createInstance } from 'fhevmjs';
 import type { Provider } from 'ethers';
-import type { FhevmClient, FhevmClientConfig } from '../types';
+import type {
+  FhevmClient,
+  FhevmClientConfig,
+  FhevmClientStatus,
+  FhevmProgressEvent,
+  FhevmWorkerTarget,
+  NetworkConfig
+} from '../types';
 import { ClientNotInitializedError, NetworkError } from '../types';
-
-/**
- * Network configurations
- */
-const NETWORK_CONFIGS = {
-  sepolia: {
-    chainId: 11155111,
-    rpcUrl: 'https://rpc.sepolia.org'
-  },
-  localhost: {
-    chainId: 31337,
-    rpcUrl: 'http://127.0.0.1:8545'
-  }
-};
+import { wrapError } from './errors';
+import { findNetworkByChainId, getNetworkConfig, validateNetworkConfig } from './networks';
+import { createPermitCache } from './permits';
+import { MOCK_NETWORK } from './mock';
+import { createNetworkInstance } from './instance';
+import { connectWorker, type WorkerConnection } from './worker';
+import { DEFAULT_RETRY_POLICY, resolveRetryPolicy, withRetry } from './retry';
 
 /**
  * Create and initialize FHEVM client
  *
+ * When an EIP-1193 provider is given, `client.account` starts as the
+ * wallet's connected account (`eth_accounts`, which never prompts) and the
+ * client follows its `chainChanged` and `accountsChanged` events: a chain
+ * switch marks the client `stale` and re-creates the instance (re-fetching
+ * public keys) for the network registered with the new chain ID. Call
+ * `dispose()` to detach the listeners.
+ *
+ * Public key fetches, proof generation and decryption requests made with
+ * the client follow `config.retry` (see RetryPolicy); `config.signal`
+ * cancels the initial key fetch. A `config.publicKey` fetched earlier skips
+ * the key download altogether (see `@fhevm/sdk/server` for a persistent cache).
+ *
+ * With `config.worker`, the FHE instance runs in a Web Worker or
+ * worker_threads Worker serving `exposeFhevmWorker`, and every core function
+ * keeps working unchanged. Pass a factory to let the client terminate the
+ * worker on `dispose()`; `onProgress` reports each call handled by the worker.
+ *
  * @param config - Client configuration
  * @returns Promise<FhevmClient>
  *
@@ -29,42 +45,283 @@ const NETWORK_CONFIGS = {
  *   network: 'sepolia',
  *   contractAddress: '0x...'
  * });
+ *
+ * // Unregistered network with an inline configuration
+ * const custom = await createFhevmClient({
+ *   network: 'devnet',
+ *   contractAddress: '0x...',
+ *   networkConfig: {
+ *     chainId: 9000,
+ *     rpcUrl: 'http://127.0.0.1:8545',
+ *     gatewayUrl: 'http://127.0.0.1:7077'
+ *   }
+ * });
+ *
+ * // Offline mock backend for tests and CI
+ * const mock = await createFhevmClient({ network: 'mock', contractAddress: '0x...' });
+ *
+ * // Custom retry policy with telemetry
+ * const resilient = await createFhevmClient({
+ *   network: 'sepolia',
+ *   contractAddress: '0x...',
+ *   retry: {
+ *     maxAttempts: 5,
+ *     timeout: 15000,
+ *     onRetry: ({ operation, attempt, error }) => console.warn(operation, attempt, error)
+ *   }
+ * });
+ *
+ * // Follow the wallet's chain and account
+ * const wallet = await createFhevmClient({
+ *   network: 'sepolia',
+ *   contractAddress: '0x...',
+ *   eip1193Provider: window.ethereum
+ * });
+ * const unsubscribe = wallet.subscribe((c) => console.log(c.status, c.chainId));
+ * wallet.dispose();
+ *
+ * // Run encryption and proof generation off the main thread
+ * const offloaded = await createFhevmClient({
+ *   network: 'sepolia',
+ *   contractAddress: '0x...',
+ *   worker: () => new Worker(new URL('./fhevm.worker.ts', import.meta.url), { type: 'module' })
+ * });
+ * offloaded.onProgress((event) => console.log(event.method, event.stage));
  * ```
  */
 export async function createFhevmClient(
   config: FhevmClientConfig
 ): Promise<FhevmClient> {
+  const progressListeners = new Set<(event: FhevmProgressEvent) => void>();
+  const ownsWorker = typeof config.worker === 'function';
+  let workerTarget: FhevmWorkerTarget | null = null;
+  let connection: WorkerConnection | null = null;
+
+  const closeWorker = () => {
+    connection?.close();
+    if (ownsWorker) {
+      workerTarget?.terminate?.();
+    }
+  };
+
   try {
-    const networkConfig = NETWORK_CONFIGS[config.network as keyof typeof NETWORK_CONFIGS];
+    const networkConfig = config.networkConfig || getNetworkConfig(config.network);
 
     if (!networkConfig) {
-      throw new NetworkError(`Unsupported network: ${config.network}`);
+      throw new NetworkError(`Unsupported network: ${config.network}`, {
+        code: 'UNSUPPORTED_NETWORK',
+        details: { network: config.network }
+      });
+    }
+
+    if (config.networkConfig) {
+      validateNetworkConfig(config.networkConfig);
     }
 
     const chainId = config.chainId || networkConfig.chainId;
+    const retryPolicy = resolveRetryPolicy(DEFAULT_RETRY_POLICY, config.retry);
 
-    // Create fhevmjs instance
-    const instance = await createInstance({
-      chainId,
-      networkUrl: networkConfig.rpcUrl,
-      gatewayUrl: 'https://gateway.zama.ai'
-    });
+    if (config.worker) {
+      workerTarget = typeof config.worker === 'function' ? config.worker() : config.worker;
+      connection = connectWorker(workerTarget, (event) => {
+        progressListeners.forEach((listener) => listener(event));
+      });
+    }
+
+    const loadInstance = (
+      network: string,
+      nextConfig: NetworkConfig,
+      nextChainId: number,
+      publicKey?: string
+    ) =>
+      connection
+        ? connection.createInstance(network, nextConfig, nextChainId, publicKey)
+        : createNetworkInstance(network, nextConfig, nextChainId, publicKey);
+
+    const instance = await withRetry(
+      retryPolicy,
+      'keyFetch',
+      () => loadInstance(config.network, networkConfig, chainId, config.publicKey),
+      { signal: config.signal }
+    );
+
+    const listeners = new Set<(client: FhevmClient) => void>();
+    const eip1193 = config.eip1193Provider;
+    let disposed = false;
+    let generation = 0;
+
+    const setStatus = (status: FhevmClientStatus, error: Error | null = null) => {
+      client.status = status;
+      client.isReady = status === 'ready';
+      client.error = error;
+      listeners.forEach((listener) => listener(client));
+    };
+
+    const reload = async (network: string, nextConfig: NetworkConfig, nextChainId: number) => {
+      const current = ++generation;
+      setStatus('loading');
+
+      try {
+        const nextInstance = await withRetry(retryPolicy, 'keyFetch', () =>
+          loadInstance(network, nextConfig, nextChainId)
+        );
+
+        // A newer reload or dispose() happened while keys were being fetched
+        if (disposed || current !== generation) {
+          return;
+        }
+
+        client.network = network;
+        client.chainId = nextChainId;
+        client.networkConfig = { ...nextConfig, chainId: nextChainId };
+        client.instance = nextInstance;
+        setStatus('ready');
+      } catch (error: any) {
+        if (!disposed && current === generation) {
+          setStatus(
+            'error',
+            wrapError(NetworkError, error, 'Failed to reload FHEVM client', { network })
+          );
+        }
+      }
+    };
+
+    const handleChainChanged = (chainIdHex: string) => {
+      const nextChainId = Number(chainIdHex);
+
+      if (disposed || nextChainId === client.chainId) {
+        return;
+      }
+
+      setStatus('stale');
+
+      const network = findNetworkByChainId(nextChainId);
+      const nextConfig = network && getNetworkConfig(network);
+
+      if (!network || !nextConfig) {
+        generation++;
+        setStatus(
+          'error',
+          new NetworkError(`Unsupported chain: ${nextChainId}`, {
+            code: 'UNSUPPORTED_NETWORK',
+            details: { network: nextChainId }
+          })
+        );
+        return;
+      }
+
+      reload(network, nextConfig, nextChainId);
+    };
+
+    const handleAccountsChanged = (accounts: string[]) => {
+      if (disposed) {
+        return;
+      }
+
+      client.account = accounts[0] || null;
+      listeners.forEach((listener) => listener(client));
+    };
 
     const client: FhevmClient = {
       network: config.network,
       contractAddress: config.contractAddress,
       provider: config.provider as Provider,
       chainId,
+      networkConfig: { ...networkConfig, chainId },
+      permits: createPermitCache(config.permitCache),
+      retryPolicy,
+      status: 'ready',
       isReady: true,
-      instance
+      error: null,
+      account: null,
+      instance,
+      subscribe(listener) {
+        listeners.add(listener);
+        return () => {
+          listeners.delete(listener);
+        };
+      },
+      onProgress(listener) {
+        progressListeners.add(listener);
+        return () => {
+          progressListeners.delete(listener);
+        };
+      },
+      refresh() {
+        if (disposed) {
+          return Promise.reject(new ClientNotInitializedError());
+        }
+        setStatus('stale');
+        return reload(client.network, client.networkConfig, client.chainId);
+      },
+      dispose() {
+        if (disposed) {
+          return;
+        }
+
+        disposed = true;
+        eip1193?.removeListener('chainChanged', handleChainChanged);
+        eip1193?.removeListener('accountsChanged', handleAccountsChanged);
+        closeWorker();
+        client.instance = undefined;
+        setStatus('idle');
+        listeners.clear();
+        progressListeners.clear();
+      }
     };
 
+    if (eip1193) {
+      eip1193.on('chainChanged', handleChainChanged);
+      eip1193.on('accountsChanged', handleAccountsChanged);
+
+      // A wallet that cannot list its accounts leaves the account unset
+      const accounts: string[] = await eip1193
+        .request({ method: 'eth_accounts' })
+        .catch(() => []);
+
+      // accountsChanged may have fired while the request was pending
+      if (client.account === null) {
+        client.account = accounts[0] || null;
+      }
+    }
+
     return client;
   } catch (error: any) {
-    throw new NetworkError(error.message || 'Failed to create FHEVM client');
+    closeWorker();
+    throw wrapError(NetworkError, error, 'Failed to create FHEVM client', {
+      network: config.network
+    });
   }
 }
 
+/**
+ * Create an FHEVM client backed by the offline mock instance
+ *
+ * Equivalent to `createFhevmClient({ ...config, network: 'mock' })`. No
+ * network access is needed, which makes it suitable for unit tests, CI and
+ * the Hardhat in-process network.
+ *
+ * @param config - Client configuration without the network name
+ * @returns Promise<FhevmClient>
+ *
+ * @example
+ * ```typescript
+ * const client = await createMockFhevmClient({ contractAddress: '0x...' });
+ *
+ * const encrypted = await encryptUint32(client, 42, { userAddress });
+ * const value = await userDecrypt(client, encrypted.handles[0], contractAddress, userAddress, signer);
+ * // 42
+ *
+ * // Seed the oracle with a handle computed by a contract (async with a worker)
+ * await client.instance.setCleartext(await contract.getResult(), true);
+ * ```
+ */
+export async function createMockFhevmClient(
+  config: Omit<FhevmClientConfig, 'network'>
+): Promise<FhevmClient> {
+  return createFhevmClient({ ...config, network: MOCK_NETWORK });
+}
+
 /**
  * Check if client is ready
  *
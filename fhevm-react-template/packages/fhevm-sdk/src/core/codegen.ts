@@ -0,0 +1,226 @@
+import type { AbiEntry, AbiParameter, ContractAbiSource, EncryptedType } from '../types';
+import { getEncryptedInputLayout, getExternalType, getFunctionKeys, readAbi } from './contract';
+
+/**
+ * Options of generateFhevmContract
+ */
+export interface CodegenOptions {
+  /** Module the generated code imports the SDK from (default: '@fhevm/sdk') */
+  sdkImport?: string;
+  /** Source file named in the header comment */
+  source?: string;
+}
+
+/**
+ * TypeScript type accepted for a plaintext encrypted value
+ */
+const ENCRYPTED_VALUE_TYPES: Record<EncryptedType, string> = {
+  bool: 'boolean',
+  uint8: 'number | bigint',
+  uint16: 'number | bigint',
+  uint32: 'number | bigint',
+  uint64: 'number | bigint',
+  uint128: 'number | bigint',
+  uint256: 'number | bigint',
+  address: 'string'
+};
+
+/**
+ * Split `uint256[2][]` into `uint256` and `[2][]`
+ */
+function splitArray(type: string): [string, string] {
+  const index = type.indexOf('[');
+  return index === -1 ? [type, ''] : [type.slice(0, index), type.slice(index)];
+}
+
+/**
+ * Repeat `[]` once per array dimension
+ */
+function arraySuffix(dimensions: string): string {
+  return '[]'.repeat((dimensions.match(/\[/g) || []).length);
+}
+
+/**
+ * Property name of a tuple component, quoted when not an identifier
+ */
+function propertyName(name: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * TypeScript type accepted by ethers for an input parameter
+ */
+function inputType(param: AbiParameter): string {
+  const [base, dimensions] = splitArray(param.type);
+  let type: string;
+
+  if (base === 'tuple') {
+    const fields = (param.components || []).map(
+      (component, index) => `${propertyName(component.name || `${index}`)}: ${inputType(component)}`
+    );
+    type = `{ ${fields.join('; ')} }`;
+  } else if (/^u?int\d*$/.test(base)) {
+    type = 'BigNumberish';
+  } else if (base === 'bool') {
+    type = 'boolean';
+  } else if (base === 'address') {
+    type = 'AddressLike';
+  } else if (base === 'string') {
+    type = 'string';
+  } else if (/^bytes\d*$/.test(base)) {
+    type = 'BytesLike';
+  } else {
+    type = 'unknown';
+  }
+
+  return dimensions ? `(${type})${arraySuffix(dimensions)}` : type;
+}
+
+/**
+ * TypeScript type returned by ethers for an output parameter
+ */
+function outputType(param: AbiParameter): string {
+  const [base, dimensions] = splitArray(param.type);
+  let type: string;
+
+  if (base === 'tuple') {
+    type = 'Result';
+  } else if (/^u?int\d*$/.test(base)) {
+    type = 'bigint';
+  } else if (base === 'bool') {
+    type = 'boolean';
+  } else {
+    type = 'string';
+  }
+
+  return dimensions ? `${type}${arraySuffix(dimensions)}` : type;
+}
+
+/**
+ * Parameter name usable as a TypeScript identifier
+ */
+function parameterName(param: AbiParameter, index: number, used: Set<string>): string {
+  let name = (param.name || '').replace(/[^\w$]/g, '') || `arg${index}`;
+
+  if (/^\d/.test(name) || used.has(name)) {
+    name = `arg${index}`;
+  }
+
+  used.add(name);
+  return name;
+}
+
+/**
+ * Interface member for one ABI function
+ */
+function methodSignature(key: string, fragment: AbiEntry): string {
+  const layout = getEncryptedInputLayout(fragment);
+  const used = new Set<string>();
+  const params: string[] = [];
+
+  (fragment.inputs || []).forEach((param, index) => {
+    if (layout && index === layout.proofIndex) {
+      return;
+    }
+
+    const name = parameterName(param, index, used);
+    const encrypted = layout ? getExternalType(param) : null;
+    params.push(`${name}: ${encrypted ? ENCRYPTED_VALUE_TYPES[encrypted] : inputType(param)}`);
+  });
+
+  const readOnly = fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+  let returns: string;
+
+  if (readOnly) {
+    const outputs = fragment.outputs || [];
+    returns = outputs.length === 0 ? 'void' : outputs.length === 1 ? outputType(outputs[0]) : 'Result';
+  } else {
+    params.push('overrides?: Overrides');
+    returns = 'ContractTransactionResponse';
+  }
+
+  const encryptedNote = layout
+    ? `  /** Encrypts ${layout.encrypted.map(({ name }) => name).join(', ')} and adds the input proof */\n`
+    : '';
+
+  return `${encryptedNote}  ${propertyName(key)}(${params.join(', ')}): Promise<${returns}>;`;
+}
+
+/**
+ * Generate a typed TypeScript wrapper for a contract ABI
+ *
+ * The module exports the ABI, a `<Name>Contract` interface and a
+ * `connect<Name>` function built on createFhevmContract. Encrypted
+ * parameters (`externalEuintXX`, `externalEbool`, `externalEaddress`) are
+ * typed as plaintext values and the `inputProof` parameter is left out.
+ * Plaintext parameters, including integers a contract encrypts itself with
+ * `FHE.asEuintXX`, keep their ethers types and are sent unencrypted.
+ *
+ * @param name - Contract name, used for the exported identifiers
+ * @param abi - JSON ABI or Hardhat artifact
+ * @param options - Import path of the SDK and source file name
+ * @returns TypeScript source
+ *
+ * @example
+ * ```typescript
+ * import { generateFhevmContract } from '@fhevm/sdk';
+ *
+ * const source = generateFhevmContract('AnonymousCopyright', artifact);
+ * await writeFile('src/contracts/AnonymousCopyright.ts', source);
+ * ```
+ */
+export function generateFhevmContract(
+  name: string,
+  abi: ContractAbiSource,
+  options: CodegenOptions = {}
+): string {
+  const entries = readAbi(abi);
+  const typeName = name.replace(/[^\w$]/g, '');
+  const abiName = `${typeName.charAt(0).toLowerCase()}${typeName.slice(1)}Abi`;
+  const methods = getFunctionKeys(entries).map(({ key, fragment }) => methodSignature(key, fragment));
+  const sdkImport = options.sdkImport || '@fhevm/sdk';
+  const body = methods.join('\n');
+  const ethersTypes = [
+    'AddressLike',
+    'BigNumberish',
+    'BytesLike',
+    'Contract',
+    'ContractRunner',
+    'ContractTransactionResponse',
+    'Overrides',
+    'Result'
+  ].filter(
+    (type) => type === 'Contract' || type === 'ContractRunner' || new RegExp(`\\b${type}\\b`).test(body)
+  );
+
+  return [
+    `// Generated by fhevm-codegen${options.source ? ` from ${options.source}` : ''}. Do not edit.`,
+    '',
+    'import type {',
+    ethersTypes.map((type) => `  ${type}`).join(',\n'),
+    "} from 'ethers';",
+    `import { createFhevmContract } from '${sdkImport}';`,
+    `import type { FhevmClient } from '${sdkImport}';`,
+    '',
+    `export const ${abiName} = ${JSON.stringify(entries, null, 2)} as const;`,
+    '',
+    `export interface ${typeName}Contract {`,
+    '  readonly contract: Contract;',
+    body,
+    '}',
+    '',
+    `/**`,
+    ` * Connect to ${typeName}, encrypting encrypted inputs automatically`,
+    ` *`,
+    ` * Only externalE* parameters are encrypted; other arguments are sent as plaintext.`,
+    ` */`,
+    `export function connect${typeName}(`,
+    '  client: FhevmClient,',
+    '  address: string,',
+    '  runner: ContractRunner | null',
+    `): ${typeName}Contract {`,
+    `  return createFhevmContract(client, address, ${abiName}, runner) as unknown as ${typeName}Contract;`,
+    '}',
+    ''
+  ].join('\n');
+}
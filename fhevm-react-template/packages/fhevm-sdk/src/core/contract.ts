@@ -0,0 +1,230 @@
+import { Contract } from 'ethers';
+import type { ContractRunner, InterfaceAbi } from 'ethers';
+import type {
+  AbiEntry,
+  AbiParameter,
+  ContractAbiSource,
+  EncryptedInputLayout,
+  EncryptedType,
+  FhevmClient,
+  FhevmContract
+} from '../types';
+import { ContractError } from '../types';
+import { decodeContractError } from '../utils/errors';
+import { createEncryptedInput } from './input';
+
+/**
+ * Encrypted input handle types of @fhevm/solidity, by plaintext type
+ */
+const EXTERNAL_TYPES: Record<string, EncryptedType> = {
+  externalEbool: 'bool',
+  externalEuint8: 'uint8',
+  externalEuint16: 'uint16',
+  externalEuint32: 'uint32',
+  externalEuint64: 'uint64',
+  externalEuint128: 'uint128',
+  externalEuint256: 'uint256',
+  externalEaddress: 'address'
+};
+
+/**
+ * EncryptedInputBuilder method adding a value of each type
+ */
+const BUILDER_METHODS = {
+  bool: 'addBool',
+  uint8: 'add8',
+  uint16: 'add16',
+  uint32: 'add32',
+  uint64: 'add64',
+  uint128: 'add128',
+  uint256: 'add256',
+  address: 'addAddress'
+} as const;
+
+/**
+ * Get the JSON ABI of an ABI or Hardhat artifact
+ */
+export function readAbi(source: ContractAbiSource): readonly AbiEntry[] {
+  return Array.isArray(source) ? source : (source as { abi: readonly AbiEntry[] }).abi;
+}
+
+/**
+ * Get the plaintext type behind an `externalE*` parameter, if it is one
+ */
+export function getExternalType(param: AbiParameter): EncryptedType | null {
+  const match = /(externalE(?:bool|uint\d+|address))$/.exec(param.internalType || '');
+  return match ? EXTERNAL_TYPES[match[1]] || null : null;
+}
+
+/**
+ * Format a parameter type as used in function signatures, e.g. `(uint256,address)[]`
+ */
+export function formatParameterType(param: AbiParameter): string {
+  if (param.type.startsWith('tuple')) {
+    const components = (param.components || []).map(formatParameterType).join(',');
+    return `(${components})${param.type.slice('tuple'.length)}`;
+  }
+
+  return param.type;
+}
+
+/**
+ * Find the encrypted parameters of a function and its input proof parameter
+ *
+ * The proof is the `bytes` parameter named like `inputProof`, or the last
+ * `bytes` parameter when none is.
+ *
+ * @param fragment - ABI function entry
+ * @returns EncryptedInputLayout, or null when the function takes no encrypted input
+ */
+export function getEncryptedInputLayout(fragment: AbiEntry): EncryptedInputLayout | null {
+  const inputs = fragment.inputs || [];
+  const encrypted: EncryptedInputLayout['encrypted'] = [];
+
+  inputs.forEach((param, index) => {
+    const type = getExternalType(param);
+    if (type) {
+      encrypted.push({ index, name: param.name || `arg${index}`, type });
+    }
+  });
+
+  if (encrypted.length === 0) {
+    return null;
+  }
+
+  const proofs = inputs
+    .map((param, index) => ({ param, index }))
+    .filter(({ param }) => param.type === 'bytes');
+  const proof = proofs.find(({ param }) => /proof/i.test(param.name || '')) || proofs[proofs.length - 1];
+
+  return proof ? { encrypted, proofIndex: proof.index } : null;
+}
+
+/**
+ * Key of each ABI function: its name, or its signature when overloaded
+ */
+export function getFunctionKeys(abi: readonly AbiEntry[]): { key: string; fragment: AbiEntry }[] {
+  const functions = abi.filter((entry) => entry.type === 'function' && entry.name);
+  const counts = new Map<string, number>();
+
+  functions.forEach((fragment) => {
+    counts.set(fragment.name!, (counts.get(fragment.name!) || 0) + 1);
+  });
+
+  return functions.map((fragment) => ({
+    key:
+      counts.get(fragment.name!)! > 1
+        ? `${fragment.name}(${(fragment.inputs || []).map(formatParameterType).join(',')})`
+        : fragment.name!,
+    fragment
+  }));
+}
+
+/**
+ * Replace plaintext values of encrypted parameters with handles and insert the proof
+ */
+async function encryptArguments(
+  client: FhevmClient,
+  address: string,
+  runner: ContractRunner | null,
+  fragment: AbiEntry,
+  layout: EncryptedInputLayout,
+  args: unknown[]
+): Promise<unknown[]> {
+  const inputs = fragment.inputs || [];
+  const plainCount = inputs.length - 1;
+  const values = inputs.map((_, index) =>
+    index === layout.proofIndex ? null : args[index < layout.proofIndex ? index : index - 1]
+  );
+  const overrides = args.slice(plainCount);
+
+  const signer = runner as { getAddress?: () => Promise<string> } | null;
+  const userAddress = signer?.getAddress ? await signer.getAddress() : client.account;
+
+  if (!userAddress) {
+    throw new ContractError(`${fragment.name} takes encrypted inputs and needs a signer`, {
+      code: 'INVALID_STATE',
+      details: { operation: fragment.name }
+    });
+  }
+
+  const builder = createEncryptedInput(client, address, userAddress);
+  layout.encrypted.forEach(({ index, type }) => {
+    (builder[BUILDER_METHODS[type]] as (value: unknown) => unknown)(values[index]);
+  });
+
+  const encrypted = await builder.encrypt();
+
+  layout.encrypted.forEach(({ index }, position) => {
+    values[index] = encrypted.handles[position];
+  });
+  values[layout.proofIndex] = encrypted.inputProof;
+
+  return [...values, ...overrides];
+}
+
+/**
+ * Wrap a contract so encrypted inputs are encrypted automatically
+ *
+ * Functions with `externalEuintXX` / `externalEbool` / `externalEaddress`
+ * parameters take plaintext values in their place and no `inputProof`
+ * argument: the values are packed into one encrypted input bound to the
+ * contract and the signer's address, and the handles and proof are put in
+ * the right positions. Other functions are passed through. Reverts are
+ * rethrown as ContractError via decodeContractError.
+ *
+ * Only `externalE*` parameters are encrypted. A contract taking plaintext
+ * integers and encrypting them on-chain (`FHE.asEuint32(uint32)`) gets its
+ * arguments passed through as is, so they are public in the transaction;
+ * such values can only be kept private by changing the contract to take
+ * `externalEuint32` and an input proof.
+ *
+ * For typed methods, generate a wrapper with `fhevm-codegen` instead.
+ *
+ * @param client - FHEVM client
+ * @param address - Contract address
+ * @param abi - JSON ABI or Hardhat artifact
+ * @param runner - Signer sending transactions (or provider for read-only use)
+ * @returns FhevmContract
+ * @throws {EncryptionError} If a value cannot be encrypted
+ * @throws {ContractError} If the call reverts or no signer is available for encrypted inputs
+ *
+ * @example
+ * ```typescript
+ * import artifact from './artifacts/contracts/Vault.sol/Vault.json';
+ *
+ * // function deposit(externalEuint64 amount, bytes calldata inputProof)
+ * const vault = createFhevmContract(client, vaultAddress, artifact, signer);
+ * const tx = await vault.deposit(1000n);
+ * await tx.wait();
+ * ```
+ */
+export function createFhevmContract(
+  client: FhevmClient,
+  address: string,
+  abi: ContractAbiSource,
+  runner: ContractRunner | null
+): FhevmContract {
+  const entries = readAbi(abi);
+  const contract = new Contract(address, entries as InterfaceAbi, runner);
+  const wrapper: Record<string, unknown> = { contract };
+
+  getFunctionKeys(entries).forEach(({ key, fragment }) => {
+    const layout = getEncryptedInputLayout(fragment);
+    const method = contract.getFunction(key);
+
+    wrapper[key] = async (...args: unknown[]) => {
+      const callArgs = layout
+        ? await encryptArguments(client, address, runner, fragment, layout, args)
+        : args;
+
+      try {
+        return await method(...callArgs);
+      } catch (error: any) {
+        throw decodeContractError(error, contract.interface);
+      }
+    };
+  });
+
+  return wrapper as FhevmContract;
+}
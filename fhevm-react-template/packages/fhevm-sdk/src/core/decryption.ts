@@ -1,17 +1,54 @@
-import type { Signer } from 'ethers';
-import type { FhevmClient } from '../types';
+import { AbiCoder, Contract } from 'ethers';
+import type { EventLog, Signer } from 'ethers';
+import type {
+  CallOptions,
+  FhevmClient,
+  DecryptedValue,
+  PublicDecryptOptions,
+  PublicDecryptionResult
+} from '../types';
 import { DecryptionError } from '../types';
 import { ensureClientReady } from './client';
+import { wrapError } from './errors';
+import { decodeDecryptedValue, encodeCleartexts } from './handles';
+import { MOCK_NETWORK } from './mock';
+import { withRetry } from './retry';
+
+/**
+ * Gateway contract events and function that carry public decryptions
+ */
+const GATEWAY_ABI = [
+  'event EventDecryption(uint256 indexed requestID, uint256[] cts, address contractCaller, bytes4 callbackSelector, uint256 msgValue, uint256 maxTimestamp, bool passSignaturesToCaller)',
+  'event ResultCallback(uint256 indexed requestID, bool success, bytes result)',
+  'function fulfillRequest(uint256 requestID, bytes decryptedCts, bytes[] signatures)',
+  // Decryption oracle of FHE.requestDecryption, answered through the contract's own callback
+  'event DecryptionRequest(uint256 indexed counter, uint256 requestID, bytes32[] cts, address contractCaller, bytes4 callbackSelector)'
+];
+
+/**
+ * Cleartexts of handles, in order, with the proof of their decryption
+ */
+interface PublicCleartexts {
+  cleartexts: bigint[];
+  decryptionProof: string;
+}
 
 /**
  * Decrypt an encrypted value for a specific user using EIP-712 signature
  *
+ * The signature is taken from the client's permit cache, so the wallet is
+ * only asked to sign when no valid permit exists for this user and contract.
+ *
+ * The cleartext is typed after the handle's FHE type (see DecryptedValue);
+ * pass the expected type as a type argument to narrow the result.
+ *
  * @param client - FHEVM client
  * @param encryptedValue - Encrypted value handle from contract
  * @param contractAddress - Contract address where value is stored
  * @param userAddress - User's Ethereum address
  * @param signer - Ethers signer for EIP-712 signature
- * @returns Promise<bigint>
+ * @param options - Abort signal and retry policy overrides
+ * @returns Promise<DecryptedValue>
  *
  * @example
  * ```typescript
@@ -30,71 +67,294 @@ import { ensureClientReady } from './client';
  * );
  *
  * console.log('Decrypted value:', decryptedValue.toString());
+ *
+ * // ebool handle
+ * const isMatch = await userDecrypt<boolean>(client, matchHandle, ...);
  * ```
  */
-export async function userDecrypt(
+export async function userDecrypt<T extends DecryptedValue = DecryptedValue>(
   client: FhevmClient,
   encryptedValue: string,
   contractAddress: string,
   userAddress: string,
-  signer: Signer
-): Promise<bigint> {
-  try {
-    ensureClientReady(client);
+  signer: Signer,
+  options?: CallOptions
+): Promise<T> {
+  const [decrypted] = await decryptHandles<T>(
+    client,
+    [encryptedValue],
+    contractAddress,
+    userAddress,
+    signer,
+    options
+  );
 
-    if (!encryptedValue || !contractAddress || !userAddress) {
-      throw new DecryptionError('Missing required parameters');
-    }
-
-    // Generate EIP-712 signature for decryption permission
-    const signature = await client.instance.generateToken({
-      verifyingContract: contractAddress,
-      signer
-    });
-
-    // Request decryption from gateway
-    const decrypted = await client.instance.decrypt(
-      encryptedValue,
-      signature
-    );
-
-    return BigInt(decrypted);
-  } catch (error: any) {
-    throw new DecryptionError(error.message || 'Failed to decrypt value');
-  }
+  return decrypted;
 }
 
 /**
  * Batch decrypt multiple encrypted values
  *
+ * All handles are authorized by a single cached permit, so the wallet
+ * prompts at most once. fhevmjs reencrypts one handle per gateway request;
+ * the requests run concurrently, each under the retry policy.
+ *
  * @param client - FHEVM client
  * @param encryptedValues - Array of encrypted value handles
  * @param contractAddress - Contract address
  * @param userAddress - User's address
  * @param signer - Ethers signer
- * @returns Promise<bigint[]>
+ * @param options - Abort signal and retry policy overrides
+ * @returns Promise<DecryptedValue[]> in the same order as the handles
  */
-export async function batchDecrypt(
+export async function batchDecrypt<T extends DecryptedValue = DecryptedValue>(
   client: FhevmClient,
   encryptedValues: string[],
   contractAddress: string,
   userAddress: string,
-  signer: Signer
-): Promise<bigint[]> {
+  signer: Signer,
+  options?: CallOptions
+): Promise<T[]> {
   ensureClientReady(client);
 
-  const results: bigint[] = [];
+  if (encryptedValues.length === 0) {
+    return [];
+  }
+
+  return decryptHandles<T>(
+    client,
+    encryptedValues,
+    contractAddress,
+    userAddress,
+    signer,
+    options
+  );
+}
+
+/**
+ * Reencrypt handles for the user with a cached permit and decode the cleartexts
+ */
+async function decryptHandles<T extends DecryptedValue>(
+  client: FhevmClient,
+  handles: string[],
+  contractAddress: string,
+  userAddress: string,
+  signer: Signer,
+  options?: CallOptions
+): Promise<T[]> {
+  try {
+    ensureClientReady(client);
+
+    if (handles.some((handle) => !handle) || !contractAddress || !userAddress) {
+      throw new DecryptionError('Missing required parameters', { code: 'INVALID_VALUE' });
+    }
+
+    // Reuse the EIP-712 permit for this user and contract when possible
+    const permit = await client.permits.get(client, signer, userAddress, contractAddress);
+
+    const results = await Promise.all(
+      handles.map((handle) =>
+        withRetry<bigint>(
+          client.retryPolicy,
+          'decrypt',
+          () =>
+            client.instance.reencrypt(
+              BigInt(handle),
+              permit.privateKey,
+              permit.publicKey,
+              permit.signature,
+              permit.contractAddress,
+              permit.userAddress
+            ),
+          options
+        )
+      )
+    );
+
+    return handles.map((handle, index) => decodeDecryptedValue(handle, results[index]) as T);
+  } catch (error: any) {
+    throw wrapError(DecryptionError, error, 'Failed to decrypt value', {
+      network: client?.network,
+      handle: handles.length === 1 ? handles[0] : undefined
+    });
+  }
+}
+
+/**
+ * Read the Gateway's answer to the latest decryption request covering all handles
+ *
+ * The request is found through the Gateway contract's EventDecryption logs
+ * and its answer in the `fulfillRequest` call that emitted ResultCallback.
+ * `decryptedCts` holds one 32-byte word per requested ciphertext. Requests
+ * made through the decryption oracle, and answers sent inside another call
+ * (e.g. a relayer's multicall), cannot be read this way.
+ */
+async function readGatewayCleartexts(
+  client: FhevmClient,
+  handles: string[],
+  fromBlock: number
+): Promise<PublicCleartexts> {
+  const address = client.networkConfig.gatewayContractAddress;
+
+  if (!address) {
+    throw new DecryptionError(`No gatewayContractAddress configured for ${client.network}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { network: client.network }
+    });
+  }
+
+  const gateway = new Contract(address, GATEWAY_ABI, client.provider);
+  const wanted = handles.map((handle) => BigInt(handle));
+  const requests = (await gateway.queryFilter(
+    gateway.filters.EventDecryption(),
+    fromBlock
+  )) as EventLog[];
+  const request = requests
+    .reverse()
+    .find((log) => wanted.every((handle) => log.args.cts.includes(handle)));
+
+  if (!request) {
+    const oracleRequests = (await gateway.queryFilter(
+      gateway.filters.DecryptionRequest(),
+      fromBlock
+    )) as EventLog[];
+    const viaOracle = oracleRequests.some((log) => {
+      const cts = log.args.cts.map((ct: string) => BigInt(ct));
+      return wanted.every((handle) => cts.includes(handle));
+    });
+
+    if (viaOracle) {
+      throw new DecryptionError(
+        'Handles were requested with FHE.requestDecryption; read the cleartexts from the contract callback',
+        { code: 'UNSUPPORTED_DECRYPTION_FLOW', details: { handle: handles[0] } }
+      );
+    }
+
+    throw new DecryptionError('No Gateway decryption request covers these handles', {
+      code: 'NOT_FOUND',
+      details: { handle: handles[0] }
+    });
+  }
+
+  const requestId: bigint = request.args.requestID;
+  const [fulfillment] = await gateway.queryFilter(
+    gateway.filters.ResultCallback(requestId),
+    request.blockNumber
+  );
+  if (!fulfillment) {
+    throw new DecryptionError(`Gateway decryption request ${requestId} is not fulfilled yet`, {
+      code: 'NOT_FOUND',
+      details: { requestId: requestId.toString() }
+    });
+  }
+
+  const transaction = await client.provider.getTransaction(fulfillment.transactionHash);
+  const call = transaction && gateway.interface.parseTransaction(transaction);
 
-  for (const value of encryptedValues) {
-    const decrypted = await userDecrypt(
-      client,
-      value,
-      contractAddress,
-      userAddress,
-      signer
+  if (!call || call.name !== 'fulfillRequest') {
+    throw new DecryptionError(
+      `Gateway decryption request ${requestId} was not fulfilled by a direct fulfillRequest call`,
+      {
+        code: 'UNSUPPORTED_DECRYPTION_FLOW',
+        details: { requestId: requestId.toString(), transactionHash: fulfillment.transactionHash }
+      }
     );
-    results.push(decrypted);
   }
 
-  return results;
+  const cts: bigint[] = [...request.args.cts];
+  const words = AbiCoder.defaultAbiCoder().decode(
+    cts.map(() => 'uint256'),
+    call.args.decryptedCts
+  );
+
+  return {
+    cleartexts: wanted.map((handle) => words[cts.indexOf(handle)] as bigint),
+    decryptionProof: AbiCoder.defaultAbiCoder().encode(['bytes[]'], [call.args.signatures])
+  };
+}
+
+/**
+ * Read cleartexts from the mock instance's decryption oracle
+ */
+async function readMockCleartexts(
+  client: FhevmClient,
+  handles: string[]
+): Promise<PublicCleartexts> {
+  // Awaited so that worker-backed instances, whose methods are async, work too
+  const cleartexts = await Promise.all(
+    handles.map((handle) => client.instance.getCleartext(handle) as bigint)
+  );
+
+  return { cleartexts, decryptionProof: '0x' };
+}
+
+/**
+ * Read values a contract has had the Gateway decrypt publicly
+ *
+ * fhevmjs has no public decryption call: a contract requests decryption
+ * from the Gateway contract, and the Gateway answers on chain with the
+ * cleartexts and the KMS signatures over them. This reads that answer for
+ * the latest request covering all handles, so no signature is needed. The
+ * network must set `gatewayContractAddress`; on the mock network the values
+ * come from the decryption oracle and the proof is empty.
+ *
+ * Only the fhevm 0.5 Gateway flow (EventDecryption answered by a direct
+ * `fulfillRequest` transaction) is supported. Contracts using
+ * `FHE.requestDecryption` / `FHE.checkSignatures` receive the cleartexts in
+ * their own callback, which this cannot find: read them from the contract's
+ * state or events instead. Both cases raise UNSUPPORTED_DECRYPTION_FLOW.
+ *
+ * @param client - FHEVM client
+ * @param handles - Handles of a fulfilled Gateway decryption request
+ * @param options - First block searched, abort signal and retry policy overrides
+ * @returns Promise<PublicDecryptionResult> with values in the same order as the handles
+ * @throws {DecryptionError} NOT_FOUND if no request covers the handles or it is not fulfilled yet
+ * @throws {DecryptionError} UNSUPPORTED_DECRYPTION_FLOW if the handles were requested through the
+ * decryption oracle, or the answer was not a direct `fulfillRequest` call
+ *
+ * @example
+ * ```typescript
+ * import { publicDecrypt } from '@fhevm/sdk';
+ *
+ * const { values } = await publicDecrypt(client, [encryptedOutcome], {
+ *   fromBlock: deployBlock
+ * });
+ *
+ * console.log('Dispute outcome:', values[0]);
+ * ```
+ */
+export async function publicDecrypt(
+  client: FhevmClient,
+  handles: string[],
+  options: PublicDecryptOptions = {}
+): Promise<PublicDecryptionResult> {
+  try {
+    ensureClientReady(client);
+
+    if (handles.length === 0 || handles.some((handle) => !handle)) {
+      throw new DecryptionError('Missing required parameters', { code: 'INVALID_VALUE' });
+    }
+
+    const { cleartexts, decryptionProof } = await withRetry<PublicCleartexts>(
+      client.retryPolicy,
+      'publicDecrypt',
+      () =>
+        client.network === MOCK_NETWORK
+          ? readMockCleartexts(client, handles)
+          : readGatewayCleartexts(client, handles, options.fromBlock ?? 0),
+      options
+    );
+
+    return {
+      handles: [...handles],
+      values: handles.map((handle, index) => decodeDecryptedValue(handle, cleartexts[index])),
+      abiEncodedValues: encodeCleartexts(handles, cleartexts),
+      decryptionProof
+    };
+  } catch (error: any) {
+    throw wrapError(DecryptionError, error, 'Failed to publicly decrypt values', {
+      network: client?.network,
+      handle: handles.length === 1 ? handles[0] : undefined
+    });
+  }
 }
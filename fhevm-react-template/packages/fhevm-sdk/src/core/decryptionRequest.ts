@@ -0,0 +1,436 @@
+import { ZeroAddress } from 'ethers';
+import type { BigNumberish, Contract, EventLog, Signer } from 'ethers';
+import type {
+  DecryptionRequestFlow,
+  DecryptionRequestOptions,
+  DecryptionRequestState,
+  DecryptionRequestStorage,
+  DecryptionRequestStore,
+  FhevmTransactionEvent,
+  PendingDecryptionRequest
+} from '../types';
+import { ContractError, FhevmError } from '../types';
+import { decodeContractError } from '../utils/errors';
+import { createStore } from './store';
+import { createTransactionStore } from './transaction';
+
+/**
+ * Refund timeout used when the contract does not expose `VERIFICATION_TIMEOUT()` (1 hour)
+ */
+export const DEFAULT_VERIFICATION_TIMEOUT = 60 * 60;
+
+/**
+ * Longest delay setTimeout accepts
+ */
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Verification flows of the AnonymousCopyright contracts, told apart by their claim function
+ */
+const VERIFICATION_FLOWS: DecryptionRequestFlow[] = [
+  {
+    // V2: getVerificationStatus(requestId)
+    resultEvent: 'VerificationCompleted',
+    claimFunction: 'claimVerificationTimeout',
+    read: async (contract, requestId) => {
+      const [requester, workId, , requestTimestamp, completed, refunded] =
+        await contract.getFunction('getVerificationStatus')(requestId);
+      return {
+        requester,
+        workId: workId.toString(),
+        requestedAt: Number(requestTimestamp),
+        fulfilled: completed,
+        refunded
+      };
+    }
+  },
+  {
+    // V1: public verificationRequests mapping; feePaid is cleared by the refund
+    resultEvent: 'VerificationProcessed',
+    claimFunction: 'claimVerificationRefund',
+    read: async (contract, requestId) => {
+      const [workId, requester, timestamp, , processed, feePaid] =
+        await contract.getFunction('verificationRequests')(requestId);
+      return {
+        requester,
+        workId: workId.toString(),
+        requestedAt: Number(timestamp),
+        fulfilled: processed,
+        refunded: !processed && !feePaid
+      };
+    }
+  }
+];
+
+/**
+ * Create a decryption request storage that keeps requests in memory
+ *
+ * Requests are lost when the page is reloaded. This is the default storage.
+ *
+ * @returns DecryptionRequestStorage
+ */
+export function createMemoryDecryptionRequestStorage(): DecryptionRequestStorage {
+  const requests = new Map<string, PendingDecryptionRequest>();
+
+  return {
+    get: async (key) => requests.get(key) || null,
+    set: async (key, request) => {
+      requests.set(key, request);
+    },
+    delete: async (key) => {
+      requests.delete(key);
+    },
+    list: async () => Array.from(requests.values())
+  };
+}
+
+/**
+ * Create a decryption request storage backed by window.localStorage
+ *
+ * @param prefix - Key prefix used to namespace requests (default: 'fhevm:request:')
+ * @returns DecryptionRequestStorage
+ */
+export function createLocalStorageDecryptionRequestStorage(
+  prefix: string = 'fhevm:request:'
+): DecryptionRequestStorage {
+  const storage = () => {
+    if (typeof localStorage === 'undefined') {
+      throw new FhevmError('localStorage is not available', 'STORAGE_UNAVAILABLE');
+    }
+    return localStorage;
+  };
+
+  return {
+    get: async (key) => {
+      const raw = storage().getItem(prefix + key);
+      return raw ? (JSON.parse(raw) as PendingDecryptionRequest) : null;
+    },
+    set: async (key, request) => {
+      storage().setItem(prefix + key, JSON.stringify(request));
+    },
+    delete: async (key) => {
+      storage().removeItem(prefix + key);
+    },
+    list: async () => {
+      const store = storage();
+      const requests: PendingDecryptionRequest[] = [];
+
+      for (let i = 0; i < store.length; i++) {
+        const key = store.key(i);
+        const raw = key && key.startsWith(prefix) ? store.getItem(key) : null;
+        if (raw) {
+          requests.push(JSON.parse(raw) as PendingDecryptionRequest);
+        }
+      }
+
+      return requests;
+    }
+  };
+}
+
+/**
+ * Storage key of a decryption request
+ */
+export function decryptionRequestKey(
+  chainId: number,
+  contractAddress: string,
+  requestId: BigNumberish
+): string {
+  return `${chainId}:${contractAddress.toLowerCase()}:${BigInt(requestId)}`;
+}
+
+/**
+ * Complete the flow of a contract from the detected verification flow and overrides
+ */
+async function resolveFlow(
+  contract: Contract,
+  overrides: Partial<DecryptionRequestFlow> = {}
+): Promise<Required<DecryptionRequestFlow>> {
+  const detected = VERIFICATION_FLOWS.find(
+    ({ claimFunction }) => contract.interface.getFunction(claimFunction) !== null
+  );
+  const flow = { ...detected, ...overrides };
+
+  if (!flow.resultEvent || !flow.claimFunction || !flow.read) {
+    throw new ContractError('Cannot tell how the contract reports decryption requests; pass options.flow', {
+      code: 'INVALID_STATE',
+      details: { operation: 'trackDecryptionRequest' }
+    });
+  }
+
+  let timeout = flow.timeout;
+
+  if (timeout === undefined) {
+    timeout = contract.interface.getFunction('VERIFICATION_TIMEOUT')
+      ? Number(await contract.getFunction('VERIFICATION_TIMEOUT')())
+      : DEFAULT_VERIFICATION_TIMEOUT;
+  }
+
+  return { ...(flow as DecryptionRequestFlow), timeout };
+}
+
+/**
+ * Convert an event log to the event shape of transaction stores
+ */
+function toEvent(log: EventLog): FhevmTransactionEvent {
+  return { name: log.eventName, args: log.args, address: log.address, logIndex: log.index };
+}
+
+/**
+ * Create a store following a Gateway decryption request until its callback arrives
+ *
+ * Requests such as `requestVerifyWork` only emit a request ID; the result
+ * comes later in a callback event (`VerificationProcessed` on V1,
+ * `VerificationCompleted` on V2). The store reads the request from the
+ * contract, watches for the callback event and keeps the request in
+ * `options.storage` while it is pending, so it can be picked up again after
+ * a reload. Once the contract's `VERIFICATION_TIMEOUT` has passed without a
+ * callback, `status` becomes `expired` and `claim()` calls
+ * `claimVerificationTimeout` (V2) or `claimVerificationRefund` (V1; the
+ * refund is then taken with `withdrawRefund()`).
+ *
+ * Expiry uses the local clock; a claim sent before the chain agrees fails
+ * with code `TOO_EARLY`.
+ *
+ * @param requestId - Request ID emitted with the request
+ * @param options - Contract (connected to a signer to claim), storage and start block
+ * @returns DecryptionRequestStore
+ *
+ * @example
+ * ```typescript
+ * const storage = createLocalStorageDecryptionRequestStorage();
+ * const request = createDecryptionRequestStore(requestId, { contract, storage, fromBlock });
+ *
+ * request.subscribe(({ status, result, expiresAt }) => {
+ *   if (status === 'fulfilled') showMatch(result.args.isMatch);
+ *   if (status === 'expired') claimButton.hidden = false;
+ * });
+ *
+ * claimButton.onclick = () => request.claim();
+ * ```
+ */
+export function createDecryptionRequestStore(
+  requestId: BigNumberish,
+  options: DecryptionRequestOptions
+): DecryptionRequestStore {
+  const { contract } = options;
+  const id = BigInt(requestId);
+  const storage = options.storage || createMemoryDecryptionRequestStorage();
+  const runner = contract.runner as Partial<Signer> | null;
+  const claimTransaction = createTransactionStore(null, {
+    contract,
+    signer: runner?.sendTransaction ? (runner as Signer) : null
+  });
+  const store = createStore<DecryptionRequestState>({
+    status: 'loading',
+    request: null,
+    result: null,
+    expiresAt: null,
+    canClaim: false,
+    refund: claimTransaction.get(),
+    error: null
+  });
+
+  let setup: {
+    flow: Required<DecryptionRequestFlow>;
+    key: string;
+    contractAddress: string;
+    chainId: number;
+    fromBlock: number;
+  } | null = null;
+  let listening = false;
+  let disposed = false;
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const unsubscribeClaim = claimTransaction.subscribe((refund) => store.set({ refund }));
+
+  const onResult = (...params: any[]) => {
+    const log = params[params.length - 1]?.log as EventLog | undefined;
+
+    if (log?.args && BigInt(log.args.requestId) === id) {
+      finish({ status: 'fulfilled', result: toEvent(log) });
+    }
+  };
+
+  const stopWatching = () => {
+    clearTimeout(timer);
+    if (listening && setup) {
+      listening = false;
+      contract.off(setup.flow.resultEvent, onResult).catch(() => undefined);
+    }
+  };
+
+  const finish = (patch: Partial<DecryptionRequestState>) => {
+    stopWatching();
+    store.set({ ...patch, canClaim: false });
+    if (setup) {
+      storage.delete(setup.key).catch(() => undefined);
+    }
+  };
+
+  const checkExpiry = () => {
+    clearTimeout(timer);
+    const { expiresAt } = store.get();
+
+    if (disposed || expiresAt === null) {
+      return;
+    }
+
+    const remaining = expiresAt * 1000 - Date.now();
+
+    if (remaining <= 0) {
+      store.set({ status: 'expired', canClaim: true });
+      return;
+    }
+
+    store.set({ status: 'pending', canClaim: false });
+    timer = setTimeout(checkExpiry, Math.min(remaining, MAX_TIMER_DELAY));
+  };
+
+  const findResult = async (): Promise<FhevmTransactionEvent | null> => {
+    if (!setup) {
+      return null;
+    }
+
+    try {
+      const logs = await contract.queryFilter(setup.flow.resultEvent, setup.fromBlock);
+      const log = logs.find(
+        (entry): entry is EventLog => 'args' in entry && BigInt(entry.args.requestId) === id
+      );
+      return log ? toEvent(log) : null;
+    } catch {
+      // Providers limit log ranges; the request is still known to be fulfilled
+      return null;
+    }
+  };
+
+  const refresh = async () => {
+    if (!setup) {
+      return;
+    }
+
+    try {
+      const record = await setup.flow.read(contract, id);
+
+      if (!record.requester || record.requester === ZeroAddress) {
+        throw new ContractError(`Decryption request ${id} not found`, {
+          code: 'NOT_FOUND',
+          details: { requestId: id.toString() }
+        });
+      }
+
+      const request: PendingDecryptionRequest = {
+        requestId: id.toString(),
+        contractAddress: setup.contractAddress,
+        chainId: setup.chainId,
+        requester: record.requester,
+        workId: record.workId,
+        requestedAt: record.requestedAt,
+        fromBlock: setup.fromBlock
+      };
+
+      // Claims are accepted once block.timestamp > requestedAt + timeout
+      store.set({ request, expiresAt: record.requestedAt + setup.flow.timeout + 1, error: null });
+
+      if (disposed) {
+        return;
+      }
+
+      if (record.fulfilled) {
+        const result = store.get().result || (await findResult());
+        finish({ status: 'fulfilled', result });
+      } else if (record.refunded) {
+        finish({ status: 'claimed' });
+      } else {
+        await storage.set(setup.key, request);
+        checkExpiry();
+      }
+    } catch (error: any) {
+      store.set({ error: decodeContractError(error, contract.interface) });
+    }
+  };
+
+  const start = async () => {
+    try {
+      const provider = contract.runner?.provider;
+
+      if (!provider) {
+        throw new ContractError('Tracking a decryption request needs a contract connected to a provider', {
+          code: 'INVALID_STATE',
+          details: { operation: 'trackDecryptionRequest' }
+        });
+      }
+
+      const [flow, contractAddress, network] = await Promise.all([
+        resolveFlow(contract, options.flow),
+        contract.getAddress(),
+        provider.getNetwork()
+      ]);
+      const chainId = Number(network.chainId);
+      const key = decryptionRequestKey(chainId, contractAddress, id);
+      const saved = await storage.get(key);
+      const fromBlock = options.fromBlock ?? saved?.fromBlock ?? (await provider.getBlockNumber());
+
+      if (disposed) {
+        return;
+      }
+
+      setup = { flow, key, contractAddress, chainId, fromBlock };
+
+      if (saved) {
+        store.set({ request: saved, expiresAt: saved.requestedAt + flow.timeout + 1 });
+      }
+
+      // Listen before reading, so a callback mined in between is not missed
+      await contract.on(flow.resultEvent, onResult);
+      listening = true;
+
+      if (disposed) {
+        stopWatching();
+        return;
+      }
+
+      await refresh();
+    } catch (error: any) {
+      store.set({ error: decodeContractError(error, contract.interface) });
+    }
+  };
+
+  start();
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+    refresh,
+
+    async claim() {
+      const { status } = store.get();
+
+      if (status !== 'expired' || !setup) {
+        throw new FhevmError(
+          status === 'pending'
+            ? 'Decryption request has not timed out yet'
+            : `Decryption request cannot be refunded (status: ${status})`,
+          status === 'pending' ? 'TOO_EARLY' : 'INVALID_STATE'
+        );
+      }
+
+      const result = await claimTransaction.send({
+        submit: () => contract.getFunction(setup!.flow.claimFunction)(id)
+      });
+
+      if (result) {
+        finish({ status: 'claimed' });
+      }
+
+      return result;
+    },
+
+    dispose() {
+      disposed = true;
+      stopWatching();
+      unsubscribeClaim();
+      claimTransaction.reset();
+    }
+  };
+}
@@ -1,12 +1,116 @@
-import type { FhevmClient, EncryptedValue, EncryptionRequest } from '../types';
+import type {
+  EncryptOptions,
+  EncryptedInputBuilder,
+  FhevmClient,
+  EncryptedType,
+  EncryptedValue,
+  EncryptionRequest
+} from '../types';
 import { EncryptionError } from '../types';
 import { ensureClientReady } from './client';
+import { wrapError } from './errors';
+import { createEncryptedInput } from './input';
+
+/**
+ * Encrypt one value into an input of its own
+ *
+ * The input is bound to `options.contractAddress` and `options.userAddress`,
+ * by default the client's contract and connected account.
+ */
+async function encryptSingle(
+  client: FhevmClient,
+  type: EncryptedType,
+  add: (input: EncryptedInputBuilder) => EncryptedInputBuilder,
+  options: EncryptOptions = {}
+): Promise<EncryptedValue> {
+  try {
+    ensureClientReady(client);
+
+    const userAddress = options.userAddress ?? client.account;
+
+    if (!userAddress) {
+      throw new EncryptionError('No user address: connect an account or pass options.userAddress', {
+        code: 'INVALID_ADDRESS',
+        details: { type }
+      });
+    }
+
+    const input = createEncryptedInput(
+      client,
+      options.contractAddress ?? client.contractAddress,
+      userAddress
+    );
+    const { handles, inputProof } = await add(input).encrypt(options);
+
+    return { handles, inputProof, type };
+  } catch (error: any) {
+    throw wrapError(EncryptionError, error, `Failed to encrypt ${type}`, {
+      type,
+      network: client?.network
+    });
+  }
+}
+
+/**
+ * Encrypt a boolean value
+ *
+ * @param client - FHEVM client
+ * @param value - Value to encrypt
+ * @param options - Input binding, abort signal and retry policy overrides
+ * @returns Promise<EncryptedValue>
+ *
+ * @example
+ * ```typescript
+ * const encrypted = await encryptBool(client, true);
+ * await contract.setFlag(encrypted.handles[0], encrypted.inputProof);
+ * ```
+ */
+export async function encryptBool(
+  client: FhevmClient,
+  value: boolean,
+  options?: EncryptOptions
+): Promise<EncryptedValue> {
+  return encryptSingle(client, 'bool', (input) => input.addBool(value), options);
+}
+
+/**
+ * Encrypt a uint8 value
+ *
+ * @param client - FHEVM client
+ * @param value - Value to encrypt (0 to 2^8-1)
+ * @param options - Input binding, abort signal and retry policy overrides
+ * @returns Promise<EncryptedValue>
+ */
+export async function encryptUint8(
+  client: FhevmClient,
+  value: number | bigint,
+  options?: EncryptOptions
+): Promise<EncryptedValue> {
+  return encryptSingle(client, 'uint8', (input) => input.add8(value), options);
+}
+
+/**
+ * Encrypt a uint16 value
+ *
+ * @param client - FHEVM client
+ * @param value - Value to encrypt (0 to 2^16-1)
+ * @param options - Input binding, abort signal and retry policy overrides
+ * @returns Promise<EncryptedValue>
+ */
+export async function encryptUint16(
+  client: FhevmClient,
+  value: number | bigint,
+  options?: EncryptOptions
+): Promise<EncryptedValue> {
+  return encryptSingle(client, 'uint16', (input) => input.add16(value), options);
+}
 
 /**
  * Encrypt a uint32 value
  *
  * @param client - FHEVM client
  * @param value - Value to encrypt (0 to 2^32-1)
+ * @param options - Input binding, abort signal and retry policy overrides
  * @returns Promise<EncryptedValue>
  *
  * @example
@@ -22,25 +126,10 @@ import { ensureClientReady } from './client';
  */
 export async function encryptUint32(
   client: FhevmClient,
-  value: number
+  value: number | bigint,
+  options?: EncryptOptions
 ): Promise<EncryptedValue> {
-  try {
-    ensureClientReady(client);
-
-    if (value < 0 || value > 0xFFFFFFFF) {
-      throw new EncryptionError('Value must be between 0 and 2^32-1');
-    }
-
-    const encrypted = await client.instance.encrypt32(value);
-
-    return {
-      handles: [encrypted.handle],
-      inputProof: encrypted.inputProof,
-      type: 'uint32'
-    };
-  } catch (error: any) {
-    throw new EncryptionError(error.message || 'Failed to encrypt uint32');
-  }
+  return encryptSingle(client, 'uint32', (input) => input.add32(value), options);
 }
 
 /**
@@ -48,6 +137,7 @@ export async function encryptUint32(
  *
  * @param client - FHEVM client
  * @param value - Value to encrypt (0 to 2^64-1)
+ * @param options - Input binding, abort signal and retry policy overrides
  * @returns Promise<EncryptedValue>
  *
  * @example
@@ -58,61 +148,144 @@ export async function encryptUint32(
  */
 export async function encryptUint64(
   client: FhevmClient,
-  value: number | bigint
+  value: number | bigint,
+  options?: EncryptOptions
 ): Promise<EncryptedValue> {
-  try {
-    ensureClientReady(client);
+  return encryptSingle(client, 'uint64', (input) => input.add64(value), options);
+}
 
-    const bigIntValue = typeof value === 'bigint' ? value : BigInt(value);
+/**
+ * Encrypt a uint128 value
+ *
+ * @param client - FHEVM client
+ * @param value - Value to encrypt (0 to 2^128-1)
+ * @param options - Input binding, abort signal and retry policy overrides
+ * @returns Promise<EncryptedValue>
+ */
+export async function encryptUint128(
+  client: FhevmClient,
+  value: number | bigint,
+  options?: EncryptOptions
+): Promise<EncryptedValue> {
+  return encryptSingle(client, 'uint128', (input) => input.add128(value), options);
+}
 
-    if (bigIntValue < 0n || bigIntValue > 0xFFFFFFFFFFFFFFFFn) {
-      throw new EncryptionError('Value must be between 0 and 2^64-1');
-    }
+/**
+ * Encrypt an Ethereum address
+ *
+ * @param client - FHEVM client
+ * @param value - Address to encrypt
+ * @param options - Input binding, abort signal and retry policy overrides
+ * @returns Promise<EncryptedValue>
+ *
+ * @example
+ * ```typescript
+ * const encrypted = await encryptAddress(client, '0x...');
+ * await contract.setBeneficiary(encrypted.handles[0], encrypted.inputProof);
+ * ```
+ */
+export async function encryptAddress(
+  client: FhevmClient,
+  value: string,
+  options?: EncryptOptions
+): Promise<EncryptedValue> {
+  return encryptSingle(client, 'address', (input) => input.addAddress(value), options);
+}
 
-    const encrypted = await client.instance.encrypt64(bigIntValue);
+/**
+ * Encrypt functions for the unsigned integer types
+ */
+const UINT_ENCRYPTORS = {
+  uint8: encryptUint8,
+  uint16: encryptUint16,
+  uint32: encryptUint32,
+  uint64: encryptUint64,
+  uint128: encryptUint128
+};
 
-    return {
-      handles: [encrypted.handle],
-      inputProof: encrypted.inputProof,
-      type: 'uint64'
-    };
-  } catch (error: any) {
-    throw new EncryptionError(error.message || 'Failed to encrypt uint64');
+/**
+ * Encrypt a value of any supported type
+ *
+ * fhevmjs 0.5 cannot encrypt euint256 inputs, so `'uint256'` is rejected
+ * with UNSUPPORTED_TYPE.
+ *
+ * @param client - FHEVM client
+ * @param type - Plaintext type of the value
+ * @param value - Value to encrypt
+ * @param options - Input binding, abort signal and retry policy overrides
+ * @returns Promise<EncryptedValue>
+ * @throws {EncryptionError} If the type is not supported or the value does not match it
+ *
+ * @example
+ * ```typescript
+ * const encrypted = await encryptValue(client, 'uint16', 1024);
+ * ```
+ */
+export async function encryptValue(
+  client: FhevmClient,
+  type: EncryptedType,
+  value: EncryptionRequest['value'],
+  options?: EncryptOptions
+): Promise<EncryptedValue> {
+  switch (type) {
+    case 'bool':
+      return encryptBool(client, value as boolean, options);
+    case 'address':
+      return encryptAddress(client, value as string, options);
+    case 'uint8':
+    case 'uint16':
+    case 'uint32':
+    case 'uint64':
+    case 'uint128':
+      if (typeof value !== 'number' && typeof value !== 'bigint') {
+        throw new EncryptionError(`Value for ${type} must be a number or bigint`, {
+          code: 'INVALID_VALUE',
+          details: { value, type }
+        });
+      }
+      return UINT_ENCRYPTORS[type](client, value, options);
+    default:
+      throw new EncryptionError(`Unsupported encryption type: ${type}`, {
+        code: 'UNSUPPORTED_TYPE',
+        details: { type }
+      });
   }
 }
 
 /**
  * Encrypt multiple values in batch
  *
+ * Each value gets its own input proof. To pass several encrypted arguments
+ * to one contract call under a single proof, use createEncryptedInput instead.
+ *
  * @param client - FHEVM client
  * @param values - Array of encryption requests
- * @returns Promise<EncryptedValue[]>
+ * @param options - Input binding, abort signal and retry policy overrides
+ * @returns Promise<EncryptedValue[]> in the same order as the requests
+ * @throws {EncryptionError} If any request has an unsupported type or invalid value
  *
  * @example
  * ```typescript
  * const encrypted = await batchEncrypt(client, [
  *   { type: 'uint32', value: 123 },
  *   { type: 'uint64', value: 456789n },
- *   { type: 'uint32', value: 999 }
+ *   { type: 'bool', value: true },
+ *   { type: 'address', value: '0x...' }
  * ]);
  * ```
  */
 export async function batchEncrypt(
   client: FhevmClient,
-  values: EncryptionRequest[]
+  values: EncryptionRequest[],
+  options?: EncryptOptions
 ): Promise<EncryptedValue[]> {
   ensureClientReady(client);
 
   const results: EncryptedValue[] = [];
 
   for (const request of values) {
-    if (request.type === 'uint32') {
-      const encrypted = await encryptUint32(client, request.value as number);
-      results.push(encrypted);
-    } else if (request.type === 'uint64') {
-      const encrypted = await encryptUint64(client, request.value);
-      results.push(encrypted);
-    }
+    const encrypted = await encryptValue(client, request.type, request.value, options);
+    results.push(encrypted);
   }
 
   return results;
@@ -0,0 +1,45 @@
+import type { FhevmErrorDetails, FhevmErrorOptions } from '../types';
+import { FhevmError } from '../types';
+import { isUserRejection } from '../utils/errors';
+
+/**
+ * Constructor of an SDK error class taking a message and options
+ */
+type FhevmErrorClass<E extends FhevmError> = new (
+  message: string,
+  options?: FhevmErrorOptions
+) => E;
+
+/**
+ * Wrap a caught error into the SDK error class of the calling module
+ *
+ * An error that already has the target class is rethrown as is, so
+ * validation errors keep their code instead of being wrapped twice. Other
+ * SDK errors keep their code and details; anything else gets the class's
+ * default code (or USER_REJECTED for a declined wallet prompt) and is kept
+ * as `cause`.
+ *
+ * @param ErrorClass - SDK error class to produce
+ * @param error - Caught error
+ * @param fallback - Message used when the caught error has none
+ * @param details - Context to attach
+ * @returns Error of the target class
+ */
+export function wrapError<E extends FhevmError>(
+  ErrorClass: FhevmErrorClass<E>,
+  error: any,
+  fallback: string,
+  details?: FhevmErrorDetails
+): E {
+  if (error instanceof ErrorClass) {
+    return error;
+  }
+
+  const inner = error instanceof FhevmError ? error : null;
+
+  return new ErrorClass(error?.message || fallback, {
+    code: inner ? inner.code : isUserRejection(error) ? 'USER_REJECTED' : undefined,
+    cause: error,
+    details: { ...details, ...inner?.details }
+  });
+}
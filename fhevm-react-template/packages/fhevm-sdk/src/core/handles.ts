@@ -0,0 +1,134 @@
+import { AbiCoder, getAddress, toBeHex } from 'ethers';
+import type { DecryptedValue, EncryptedType } from '../types';
+import { DecryptionError } from '../types';
+
+/**
+ * FHE type identifiers stored in byte 30 of a ciphertext handle
+ */
+const HANDLE_TYPES: Record<number, EncryptedType> = {
+  0: 'bool',
+  2: 'uint8',
+  3: 'uint16',
+  4: 'uint32',
+  5: 'uint64',
+  6: 'uint128',
+  7: 'address',
+  8: 'uint256'
+};
+
+const HANDLE_TYPE_BYTE = 30;
+
+/**
+ * Solidity type of the cleartext behind each FHE type
+ */
+const ABI_TYPES: Record<EncryptedType, string> = {
+  bool: 'bool',
+  uint8: 'uint8',
+  uint16: 'uint16',
+  uint32: 'uint32',
+  uint64: 'uint64',
+  uint128: 'uint128',
+  uint256: 'uint256',
+  address: 'address'
+};
+
+/**
+ * Get the type identifier written into byte 30 of a handle
+ *
+ * @param type - Encrypted type
+ * @returns number
+ */
+export function handleTypeId(type: EncryptedType): number {
+  const entry = Object.entries(HANDLE_TYPES).find(([, value]) => value === type);
+
+  if (!entry) {
+    throw new DecryptionError(`Unsupported handle type: ${type}`, {
+      code: 'UNSUPPORTED_TYPE',
+      details: { value: type }
+    });
+  }
+
+  return Number(entry[0]);
+}
+
+/**
+ * Read the FHE type of a ciphertext handle
+ *
+ * A handle is 32 bytes; byte 30 holds the type of the encrypted value.
+ *
+ * @param handle - Ciphertext handle as a 0x-prefixed hex string
+ * @returns EncryptedType
+ * @throws {DecryptionError} If the handle is malformed or its type is not supported
+ *
+ * @example
+ * ```typescript
+ * const type = getHandleType(await contract.getEncryptedFlag());
+ * // 'bool'
+ * ```
+ */
+export function getHandleType(handle: string): EncryptedType {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(handle)) {
+    throw new DecryptionError(`Invalid handle: ${handle}`, {
+      code: 'INVALID_HANDLE',
+      details: { handle }
+    });
+  }
+
+  const offset = 2 + HANDLE_TYPE_BYTE * 2;
+  const typeId = parseInt(handle.slice(offset, offset + 2), 16);
+  const type = HANDLE_TYPES[typeId];
+
+  if (!type) {
+    throw new DecryptionError(`Unsupported handle type: ${typeId}`, {
+      code: 'UNSUPPORTED_TYPE',
+      details: { handle, value: typeId }
+    });
+  }
+
+  return type;
+}
+
+/**
+ * Convert a raw cleartext into the JavaScript type matching the handle
+ *
+ * ebool becomes a boolean, euint8/16/32 a number, euint64/128/256 a bigint
+ * and eaddress a checksummed address string.
+ *
+ * @param handle - Ciphertext handle the cleartext belongs to
+ * @param raw - Cleartext as returned by the gateway
+ * @returns DecryptedValue
+ */
+export function decodeDecryptedValue(
+  handle: string,
+  raw: bigint | number | boolean | string
+): DecryptedValue {
+  const type = getHandleType(handle);
+  const value = typeof raw === 'boolean' ? (raw ? 1n : 0n) : BigInt(raw);
+
+  switch (type) {
+    case 'bool':
+      return value !== 0n;
+    case 'uint8':
+    case 'uint16':
+    case 'uint32':
+      return Number(value);
+    case 'address':
+      return getAddress(toBeHex(value, 20));
+    default:
+      return value;
+  }
+}
+
+/**
+ * ABI-encode the cleartexts of handles in order, as a contract callback takes them
+ *
+ * @param handles - Ciphertext handles
+ * @param cleartexts - Raw cleartext of each handle
+ * @returns Hex string of the encoded values
+ */
+export function encodeCleartexts(handles: string[], cleartexts: bigint[]): string {
+  return AbiCoder.defaultAbiCoder().encode(
+    handles.map((handle) => ABI_TYPES[getHandleType(handle)]),
+    handles.map((handle, index) => decodeDecryptedValue(handle, cleartexts[index]))
+  );
+}
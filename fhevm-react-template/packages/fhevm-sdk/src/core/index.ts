@@ -2,6 +2,51 @@
  * Core FHEVM SDK functions
  */
 
-export { createFhevmClient, ensureClientReady } from './client';
-export { encryptUint32, encryptUint64, batchEncrypt } from './encryption';
-export { userDecrypt, batchDecrypt } from './decryption';
+export { createFhevmClient, createMockFhevmClient, ensureClientReady } from './client';
+export { createMockInstance, MOCK_NETWORK } from './mock';
+export { registerNetwork, getNetworkConfig, getRegisteredNetworks } from './networks';
+export {
+  encryptBool,
+  encryptUint8,
+  encryptUint16,
+  encryptUint32,
+  encryptUint64,
+  encryptUint128,
+  encryptAddress,
+  encryptValue,
+  batchEncrypt
+} from './encryption';
+export { createEncryptedInput } from './input';
+export { getHandleType, decodeDecryptedValue } from './handles';
+export { userDecrypt, batchDecrypt, publicDecrypt } from './decryption';
+export {
+  createPermitCache,
+  createMemoryPermitStorage,
+  createLocalStoragePermitStorage,
+  createIndexedDBPermitStorage
+} from './permits';
+export { withRetry, isRetryableError, DEFAULT_RETRY_POLICY } from './retry';
+export { exposeFhevmWorker } from './worker';
+export { createFhevmContract, getEncryptedInputLayout } from './contract';
+export { generateFhevmContract } from './codegen';
+export {
+  createTransactionStore,
+  decodeReceiptEvents,
+  DEFAULT_SPEED_UP_FACTOR
+} from './transaction';
+export {
+  createDecryptionRequestStore,
+  createMemoryDecryptionRequestStorage,
+  createLocalStorageDecryptionRequestStorage,
+  decryptionRequestKey,
+  DEFAULT_VERIFICATION_TIMEOUT
+} from './decryptionRequest';
+export type { CodegenOptions } from './codegen';
+export {
+  createClientStore,
+  createEncryptStore,
+  createEncryptedInputStore,
+  createDecryptStore,
+  createPublicDecryptStore
+} from './store';
+export type { ClientSource } from './store';
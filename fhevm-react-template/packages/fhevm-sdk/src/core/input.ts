@@ -0,0 +1,191 @@
+import { hexlify, isAddress } from 'ethers';
+import type {
+  FhevmClient,
+  EncryptedType,
+  EncryptedInput,
+  EncryptedInputBuilder
+} from '../types';
+import { EncryptionError } from '../types';
+import { ensureClientReady } from './client';
+import { wrapError } from './errors';
+import { withRetry } from './retry';
+
+/**
+ * Check that a value fits into an unsigned integer of the given bit width
+ *
+ * @param value - Value to check
+ * @param bits - Bit width of the target type
+ * @returns The value as a bigint
+ * @throws {EncryptionError} If the value is not an integer or out of range
+ */
+export function toUint(value: number | bigint, bits: number): bigint {
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    throw new EncryptionError(`Value must be an integer between 0 and 2^${bits}-1`, {
+      code: 'INVALID_VALUE',
+      details: { value, type: `uint${bits}` as EncryptedType }
+    });
+  }
+
+  const bigIntValue = typeof value === 'bigint' ? value : BigInt(value);
+
+  if (bigIntValue < 0n || bigIntValue > (1n << BigInt(bits)) - 1n) {
+    throw new EncryptionError(`Value must be between 0 and 2^${bits}-1`, {
+      code: 'VALUE_OUT_OF_RANGE',
+      details: { value, type: `uint${bits}` as EncryptedType }
+    });
+  }
+
+  return bigIntValue;
+}
+
+/**
+ * Convert a handle or proof returned by fhevmjs to a hex string
+ */
+function toHex(value: Uint8Array | string): string {
+  return typeof value === 'string' ? value : hexlify(value);
+}
+
+/**
+ * Create a builder that packs several values into one encrypted input
+ *
+ * All values share a single input proof bound to the contract and user
+ * address, so a contract call taking several encrypted arguments needs only
+ * one proof. Handles are returned in the order the values were added.
+ * `add256` throws an UNSUPPORTED_TYPE EncryptionError: fhevmjs 0.5 cannot
+ * encrypt euint256 inputs.
+ *
+ * @param client - FHEVM client
+ * @param contractAddress - Contract that will consume the input
+ * @param userAddress - Address that will send the transaction
+ * @returns EncryptedInputBuilder
+ * @throws {EncryptionError} If an address is invalid or a value is out of range
+ *
+ * @example
+ * ```typescript
+ * const input = await createEncryptedInput(client, contractAddress, userAddress)
+ *   .add32(contentHash)
+ *   .add64(authorId)
+ *   .addBool(true)
+ *   .encrypt();
+ *
+ * await contract.submit(
+ *   input.handles[0],
+ *   input.handles[1],
+ *   input.handles[2],
+ *   input.inputProof
+ * );
+ * ```
+ */
+export function createEncryptedInput(
+  client: FhevmClient,
+  contractAddress: string,
+  userAddress: string
+): EncryptedInputBuilder {
+  ensureClientReady(client);
+
+  if (!isAddress(contractAddress)) {
+    throw new EncryptionError(`Invalid contract address: ${contractAddress}`, {
+      code: 'INVALID_ADDRESS',
+      details: { value: contractAddress }
+    });
+  }
+
+  if (!isAddress(userAddress)) {
+    throw new EncryptionError(`Invalid user address: ${userAddress}`, {
+      code: 'INVALID_ADDRESS',
+      details: { value: userAddress }
+    });
+  }
+
+  const input = client.instance.createEncryptedInput(contractAddress, userAddress);
+  const types: EncryptedType[] = [];
+  let sealed = false;
+
+  const add = (type: EncryptedType, append: () => void): EncryptedInputBuilder => {
+    if (sealed) {
+      throw new EncryptionError('Encrypted input has already been encrypted', {
+        code: 'INVALID_STATE'
+      });
+    }
+
+    append();
+    types.push(type);
+    return builder;
+  };
+
+  const addUint = (type: EncryptedType, bits: number, value: number | bigint) =>
+    add(type, () => {
+      toUint(value, bits);
+
+      // fhevmjs 0.5 has no euint256 inputs
+      if (typeof input[`add${bits}`] !== 'function') {
+        throw new EncryptionError(`Encrypted ${type} inputs are not supported by fhevmjs`, {
+          code: 'UNSUPPORTED_TYPE',
+          details: { type }
+        });
+      }
+
+      input[`add${bits}`](value);
+    });
+
+  const builder: EncryptedInputBuilder = {
+    addBool: (value) =>
+      add('bool', () => {
+        if (typeof value !== 'boolean') {
+          throw new EncryptionError('Value must be a boolean', {
+            code: 'INVALID_VALUE',
+            details: { value, type: 'bool' }
+          });
+        }
+        input.addBool(value);
+      }),
+    add8: (value) => addUint('uint8', 8, value),
+    add16: (value) => addUint('uint16', 16, value),
+    add32: (value) => addUint('uint32', 32, value),
+    add64: (value) => addUint('uint64', 64, value),
+    add128: (value) => addUint('uint128', 128, value),
+    add256: (value) => addUint('uint256', 256, value),
+    addAddress: (value) =>
+      add('address', () => {
+        if (!isAddress(value)) {
+          throw new EncryptionError(`Invalid address: ${value}`, {
+            code: 'INVALID_ADDRESS',
+            details: { value, type: 'address' }
+          });
+        }
+        input.addAddress(value);
+      }),
+    encrypt: async (options) => {
+      if (types.length === 0) {
+        throw new EncryptionError('Encrypted input has no values', {
+          code: 'INVALID_STATE'
+        });
+      }
+
+      sealed = true;
+
+      try {
+        const encrypted = await withRetry(
+          client.retryPolicy,
+          'encrypt',
+          async () => input.encrypt(),
+          options
+        );
+
+        return {
+          handles: encrypted.handles.map(toHex),
+          inputProof: toHex(encrypted.inputProof),
+          types: [...types],
+          contractAddress,
+          userAddress
+        };
+      } catch (error: any) {
+        throw wrapError(EncryptionError, error, 'Failed to encrypt input', {
+          network: client.network
+        });
+      }
+    }
+  };
+
+  return builder;
+}
@@ -0,0 +1,62 @@
+import type { NetworkConfig } from '../types';
+import { NetworkError } from '../types';
+import { MOCK_NETWORK, createMockInstance } from './mock';
+
+/**
+ * Read the hex-encoded network public key from a `publicKeyUrl` response
+ *
+ * Endpoints commonly serve the key with a trailing newline, which fhevmjs
+ * would reject.
+ */
+export async function readPublicKey(response: Response): Promise<string> {
+  return (await response.text()).trim();
+}
+
+/**
+ * Download the hex-encoded network public key served at `publicKeyUrl`
+ */
+async function fetchNetworkPublicKey(publicKeyUrl: string): Promise<string> {
+  const response = await fetch(publicKeyUrl);
+
+  if (!response.ok) {
+    throw new NetworkError(`Public key request failed with status ${response.status}`, {
+      details: { url: publicKeyUrl, status: response.status }
+    });
+  }
+
+  return readPublicKey(response);
+}
+
+/**
+ * Create the fhevmjs instance for a network, or the offline mock for the mock network
+ *
+ * Creating a real instance fetches the network's public key, unless a
+ * previously fetched `publicKey` is given: from `publicKeyUrl` when the
+ * network has one, otherwise fhevmjs reads it from the chain at `rpcUrl`.
+ * fhevmjs is imported on first use, so importing the SDK during server-side
+ * rendering does not load its WASM.
+ */
+export async function createNetworkInstance(
+  network: string,
+  networkConfig: NetworkConfig,
+  chainId: number,
+  publicKey?: string
+): Promise<any> {
+  if (network === MOCK_NETWORK) {
+    return createMockInstance(chainId);
+  }
+
+  const { createInstance } = await import('fhevmjs');
+
+  if (!publicKey && networkConfig.publicKeyUrl) {
+    publicKey = await fetchNetworkPublicKey(networkConfig.publicKeyUrl);
+  }
+
+  return createInstance({
+    chainId,
+    networkUrl: networkConfig.rpcUrl,
+    gatewayUrl: networkConfig.gatewayUrl,
+    aclAddress: networkConfig.aclAddress,
+    publicKey
+  });
+}
@@ -0,0 +1,199 @@
+import {
+  Wallet,
+  concat,
+  getBytes,
+  hexlify,
+  isAddress,
+  keccak256,
+  solidityPacked,
+  toBeHex,
+  verifyTypedData
+} from 'ethers';
+import type { EncryptedType } from '../types';
+import { DecryptionError } from '../types';
+import { getHandleType, handleTypeId } from './handles';
+
+/**
+ * Name of the offline mock network
+ */
+export const MOCK_NETWORK = 'mock';
+
+const EIP712_DOMAIN_TYPE = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' }
+];
+
+/**
+ * Message type of a reencryption signature, optionally for a delegated account
+ */
+const reencryptTypes = (delegated: boolean) => ({
+  Reencrypt: [
+    { name: 'publicKey', type: 'bytes' },
+    ...(delegated ? [{ name: 'delegatedAccount', type: 'address' }] : [])
+  ]
+});
+
+/**
+ * Create an fhevmjs-compatible instance that runs fully offline
+ *
+ * Ciphertexts are never produced: each encrypted value gets a deterministic
+ * handle (derived from the chain ID and a counter, with the FHE type in
+ * byte 30) and its plaintext is kept in an in-memory decryption oracle.
+ * Input proofs are the packed handles, and reencryption signatures are
+ * checked with a real EIP-712 signature recovery. Methods mirror the
+ * fhevmjs 0.5 instance, including which ones are synchronous and the byte
+ * arrays returned by an encrypted input.
+ *
+ * @param chainId - Chain ID used for handles and EIP-712 domains
+ * @returns Mock instance exposing the same surface as the fhevmjs instance,
+ * plus setCleartext/getCleartext to seed and inspect the oracle
+ */
+export function createMockInstance(chainId: number) {
+  // Same domain as the fhevmjs reencryption request
+  const domainFor = (verifyingContract: string) => ({
+    name: 'Authorization token',
+    version: '1',
+    chainId,
+    verifyingContract
+  });
+  const cleartexts = new Map<string, bigint>();
+  let counter = 0;
+
+  const createHandle = (type: EncryptedType, value: bigint): string => {
+    const bytes = getBytes(
+      keccak256(solidityPacked(['string', 'uint256', 'uint256'], ['fhevm-mock', chainId, counter++]))
+    );
+    bytes[30] = handleTypeId(type);
+    bytes[31] = 0;
+
+    const handle = hexlify(bytes);
+    cleartexts.set(handle, value);
+    return handle;
+  };
+
+  const toProof = (handles: string[]): string =>
+    concat([toBeHex(handles.length, 1), ...handles]);
+
+  const readCleartext = (handle: string): bigint => {
+    const value = cleartexts.get(handle.toLowerCase());
+    if (value === undefined) {
+      throw new DecryptionError(`Unknown handle: ${handle}`, {
+        code: 'INVALID_HANDLE',
+        details: { handle }
+      });
+    }
+    return value;
+  };
+
+  return {
+    createEncryptedInput: (_contractAddress: string, _userAddress: string) => {
+      const values: [EncryptedType, bigint][] = [];
+      const input = {
+        addBool: (value: boolean) => add('bool', value),
+        add8: (value: number | bigint) => add('uint8', value),
+        add16: (value: number | bigint) => add('uint16', value),
+        add32: (value: number | bigint) => add('uint32', value),
+        add64: (value: number | bigint) => add('uint64', value),
+        add128: (value: number | bigint) => add('uint128', value),
+        addAddress: (value: string) => add('address', value),
+        getValues: () => values.map(([, value]) => value),
+        resetValues: () => {
+          values.length = 0;
+          return input;
+        },
+        encrypt: () => {
+          const handles = values.map(([type, value]) => createHandle(type, value));
+          return {
+            handles: handles.map((handle) => getBytes(handle)),
+            inputProof: getBytes(toProof(handles))
+          };
+        }
+      };
+      const add = (type: EncryptedType, value: number | bigint | boolean | string) => {
+        values.push([type, toBigInt(value)]);
+        return input;
+      };
+      return input;
+    },
+
+    // Keys are hex without a 0x prefix, as fhevmjs returns them
+    generateKeypair: () => {
+      const wallet = Wallet.createRandom();
+      return {
+        publicKey: wallet.signingKey.publicKey.slice(2),
+        privateKey: wallet.privateKey.slice(2)
+      };
+    },
+
+    createEIP712: (publicKey: string, contractAddress: string, delegatedAccount?: string) => {
+      if (!isAddress(contractAddress)) {
+        throw new Error('Invalid contract address.');
+      }
+
+      return {
+        domain: domainFor(contractAddress),
+        types: { EIP712Domain: EIP712_DOMAIN_TYPE, ...reencryptTypes(!!delegatedAccount) },
+        primaryType: 'Reencrypt',
+        message: delegatedAccount
+          ? { publicKey: `0x${publicKey}`, delegatedAccount }
+          : { publicKey: `0x${publicKey}` }
+      };
+    },
+
+    reencrypt: async (
+      handle: bigint,
+      _privateKey: string,
+      publicKey: string,
+      signature: string,
+      contractAddress: string,
+      userAddress: string
+    ): Promise<bigint> => {
+      if (userAddress.toLowerCase() === contractAddress.toLowerCase()) {
+        throw new Error('userAddress should not be equal to contractAddress when requesting reencryption!');
+      }
+
+      const signerAddress = verifyTypedData(
+        domainFor(contractAddress),
+        reencryptTypes(false),
+        { publicKey: `0x${publicKey}` },
+        signature
+      );
+
+      if (signerAddress.toLowerCase() !== userAddress.toLowerCase()) {
+        throw new DecryptionError('Reencryption was not signed by the user', {
+          code: 'UNAUTHORIZED'
+        });
+      }
+
+      return readCleartext(toBeHex(handle, 32));
+    },
+
+    getPublicKey: () => null,
+
+    /**
+     * Seed the oracle with the plaintext of a handle produced elsewhere,
+     * e.g. the result of an FHE operation computed by a contract
+     */
+    setCleartext: (handle: string, value: number | bigint | boolean | string) => {
+      getHandleType(handle);
+      cleartexts.set(handle.toLowerCase(), toBigInt(value));
+    },
+
+    /**
+     * Read the plaintext behind a handle
+     */
+    getCleartext: (handle: string): bigint => readCleartext(handle)
+  };
+}
+
+/**
+ * Convert a plaintext of any supported type to a bigint
+ */
+function toBigInt(value: number | bigint | boolean | string): bigint {
+  if (typeof value === 'boolean') {
+    return value ? 1n : 0n;
+  }
+  return BigInt(value);
+}
@@ -0,0 +1,177 @@
+import { isAddress } from 'ethers';
+import type { NetworkConfig } from '../types';
+import { NetworkError } from '../types';
+
+/**
+ * Built-in network configurations
+ */
+const DEFAULT_NETWORKS: Record<string, NetworkConfig> = {
+  sepolia: {
+    chainId: 11155111,
+    rpcUrl: 'https://rpc.sepolia.org',
+    gatewayUrl: 'https://gateway.zama.ai'
+  },
+  localhost: {
+    chainId: 31337,
+    rpcUrl: 'http://127.0.0.1:8545',
+    gatewayUrl: 'https://gateway.zama.ai'
+  },
+  // Offline mock backend; the URLs are never contacted
+  mock: {
+    chainId: 31337,
+    rpcUrl: 'http://127.0.0.1:8545',
+    gatewayUrl: 'http://127.0.0.1:8545'
+  }
+};
+
+const registry = new Map<string, NetworkConfig>(Object.entries(DEFAULT_NETWORKS));
+
+/**
+ * Check that a string is an absolute http(s) or ws(s) URL
+ */
+function isValidUrl(url: string): boolean {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a network configuration
+ *
+ * @param config - Network configuration to validate
+ * @throws {NetworkError} If any field is missing or malformed
+ */
+export function validateNetworkConfig(config: NetworkConfig): void {
+  if (!config) {
+    throw new NetworkError('Network configuration is required', {
+      code: 'INVALID_NETWORK_CONFIG'
+    });
+  }
+
+  if (!Number.isSafeInteger(config.chainId) || config.chainId <= 0) {
+    throw new NetworkError(`Invalid chainId: ${config.chainId}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { value: config.chainId }
+    });
+  }
+
+  if (!config.rpcUrl || !isValidUrl(config.rpcUrl)) {
+    throw new NetworkError(`Invalid rpcUrl: ${config.rpcUrl}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { value: config.rpcUrl }
+    });
+  }
+
+  if (!config.gatewayUrl || !isValidUrl(config.gatewayUrl)) {
+    throw new NetworkError(`Invalid gatewayUrl: ${config.gatewayUrl}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { value: config.gatewayUrl }
+    });
+  }
+
+  if (config.publicKeyUrl !== undefined && !isValidUrl(config.publicKeyUrl)) {
+    throw new NetworkError(`Invalid publicKeyUrl: ${config.publicKeyUrl}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { value: config.publicKeyUrl }
+    });
+  }
+
+  if (config.aclAddress !== undefined && !isAddress(config.aclAddress)) {
+    throw new NetworkError(`Invalid aclAddress: ${config.aclAddress}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { value: config.aclAddress }
+    });
+  }
+
+  if (config.kmsVerifierAddress !== undefined && !isAddress(config.kmsVerifierAddress)) {
+    throw new NetworkError(`Invalid kmsVerifierAddress: ${config.kmsVerifierAddress}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { value: config.kmsVerifierAddress }
+    });
+  }
+
+  if (config.gatewayContractAddress !== undefined && !isAddress(config.gatewayContractAddress)) {
+    throw new NetworkError(`Invalid gatewayContractAddress: ${config.gatewayContractAddress}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { value: config.gatewayContractAddress }
+    });
+  }
+}
+
+/**
+ * Register a network so it can be used by name in createFhevmClient
+ *
+ * Registering an existing name replaces its configuration, which allows
+ * overriding the built-in `sepolia`, `localhost` and `mock` entries.
+ *
+ * @param name - Network name
+ * @param config - Network configuration
+ * @throws {NetworkError} If the name or configuration is invalid
+ *
+ * @example
+ * ```typescript
+ * registerNetwork('staging', {
+ *   chainId: 9000,
+ *   rpcUrl: 'https://rpc.staging.example.com',
+ *   gatewayUrl: 'http://localhost:7077',
+ *   aclAddress: '0x...',
+ *   kmsVerifierAddress: '0x...'
+ * });
+ *
+ * const client = await createFhevmClient({
+ *   network: 'staging',
+ *   contractAddress: '0x...'
+ * });
+ * ```
+ */
+export function registerNetwork(name: string, config: NetworkConfig): void {
+  if (!name || typeof name !== 'string') {
+    throw new NetworkError('Network name is required', {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { value: name }
+    });
+  }
+
+  validateNetworkConfig(config);
+  registry.set(name, { ...config });
+}
+
+/**
+ * Get the configuration of a registered network
+ *
+ * @param name - Network name
+ * @returns NetworkConfig or undefined if the network is not registered
+ */
+export function getNetworkConfig(name: string): NetworkConfig | undefined {
+  const config = registry.get(name);
+  return config ? { ...config } : undefined;
+}
+
+/**
+ * Find a registered network by chain ID
+ *
+ * The mock network is never returned.
+ *
+ * @param chainId - Chain ID
+ * @returns Network name or undefined if no network uses this chain ID
+ */
+export function findNetworkByChainId(chainId: number): string | undefined {
+  for (const [name, config] of registry) {
+    if (name !== 'mock' && config.chainId === chainId) {
+      return name;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * List the names of all registered networks
+ *
+ * @returns string[]
+ */
+export function getRegisteredNetworks(): string[] {
+  return Array.from(registry.keys());
+}
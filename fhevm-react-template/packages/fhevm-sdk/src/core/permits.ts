@@ -0,0 +1,271 @@
+import type { Signer } from 'ethers';
+import type {
+  FhevmClient,
+  DecryptionPermit,
+  PermitCache,
+  PermitCacheOptions,
+  PermitStorage
+} from '../types';
+import { DecryptionError } from '../types';
+
+const SECONDS_PER_DAY = 86400;
+const DEFAULT_DURATION_DAYS = 1;
+
+/**
+ * Create a permit storage that keeps permits in memory
+ *
+ * Permits are lost when the page is reloaded. This is the default storage.
+ *
+ * @returns PermitStorage
+ */
+export function createMemoryPermitStorage(): PermitStorage {
+  const permits = new Map<string, DecryptionPermit>();
+
+  return {
+    get: async (key) => permits.get(key) || null,
+    set: async (key, permit) => {
+      permits.set(key, permit);
+    },
+    delete: async (key) => {
+      permits.delete(key);
+    },
+    clear: async () => {
+      permits.clear();
+    }
+  };
+}
+
+/**
+ * Create a permit storage backed by window.localStorage
+ *
+ * Note that the permit's private key is stored in plain text and is readable
+ * by any script running on the same origin.
+ *
+ * @param prefix - Key prefix used to namespace permits (default: 'fhevm:permit:')
+ * @returns PermitStorage
+ */
+export function createLocalStoragePermitStorage(
+  prefix: string = 'fhevm:permit:'
+): PermitStorage {
+  const storage = () => {
+    if (typeof localStorage === 'undefined') {
+      throw new DecryptionError('localStorage is not available', {
+        code: 'STORAGE_UNAVAILABLE'
+      });
+    }
+    return localStorage;
+  };
+
+  return {
+    get: async (key) => {
+      const raw = storage().getItem(prefix + key);
+      return raw ? (JSON.parse(raw) as DecryptionPermit) : null;
+    },
+    set: async (key, permit) => {
+      storage().setItem(prefix + key, JSON.stringify(permit));
+    },
+    delete: async (key) => {
+      storage().removeItem(prefix + key);
+    },
+    clear: async () => {
+      const store = storage();
+      const keys: string[] = [];
+
+      for (let i = 0; i < store.length; i++) {
+        const key = store.key(i);
+        if (key && key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+
+      keys.forEach((key) => store.removeItem(key));
+    }
+  };
+}
+
+/**
+ * Create a permit storage backed by IndexedDB
+ *
+ * @param dbName - Database name (default: 'fhevm-permits')
+ * @param storeName - Object store name (default: 'permits')
+ * @returns PermitStorage
+ */
+export function createIndexedDBPermitStorage(
+  dbName: string = 'fhevm-permits',
+  storeName: string = 'permits'
+): PermitStorage {
+  let dbPromise: Promise<IDBDatabase> | null = null;
+
+  const openDb = (): Promise<IDBDatabase> => {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(
+        new DecryptionError('IndexedDB is not available', { code: 'STORAGE_UNAVAILABLE' })
+      );
+    }
+
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return dbPromise;
+  };
+
+  const run = async <T>(
+    mode: IDBTransactionMode,
+    operation: (store: IDBObjectStore) => IDBRequest
+  ): Promise<T> => {
+    const db = await openDb();
+
+    return new Promise<T>((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result as T);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    get: async (key) => {
+      const permit = await run<DecryptionPermit | undefined>('readonly', (store) =>
+        store.get(key)
+      );
+      return permit || null;
+    },
+    set: async (key, permit) => {
+      await run('readwrite', (store) => store.put(permit, key));
+    },
+    delete: async (key) => {
+      await run('readwrite', (store) => store.delete(key));
+    },
+    clear: async () => {
+      await run('readwrite', (store) => store.clear());
+    }
+  };
+}
+
+/**
+ * Build the cache key for a (user, contract, chainId) triple
+ */
+function permitKey(chainId: number, userAddress: string, contractAddress: string): string {
+  return `${chainId}:${userAddress.toLowerCase()}:${contractAddress.toLowerCase()}`;
+}
+
+/**
+ * Check whether a permit is still usable
+ */
+function isPermitValid(permit: DecryptionPermit, now: number = Date.now() / 1000): boolean {
+  return permit.expiresAt > now;
+}
+
+/**
+ * Create a decryption permit cache
+ *
+ * A permit is a keypair plus the user's EIP-712 signature authorizing it
+ * for one contract (fhevmjs signs reencryption requests per contract).
+ * Caching it means the wallet prompts for a signature once per (user,
+ * contract, chainId) until the permit expires, instead of once per
+ * decryption. The gateway does not check expiry: `durationDays` only bounds
+ * how long the cache reuses a signature.
+ *
+ * @param options - Storage backend and permit duration
+ * @returns PermitCache
+ *
+ * @example
+ * ```typescript
+ * const client = await createFhevmClient({
+ *   network: 'sepolia',
+ *   contractAddress: '0x...',
+ *   permitCache: {
+ *     storage: createLocalStoragePermitStorage(),
+ *     durationDays: 7
+ *   }
+ * });
+ *
+ * // Sign out
+ * await client.permits.revoke(userAddress, contractAddress, client.chainId);
+ * ```
+ */
+export function createPermitCache(options: PermitCacheOptions = {}): PermitCache {
+  const storage = options.storage || createMemoryPermitStorage();
+  const durationDays = options.durationDays ?? DEFAULT_DURATION_DAYS;
+  const pending = new Map<string, Promise<DecryptionPermit>>();
+
+  if (!Number.isInteger(durationDays) || durationDays <= 0) {
+    throw new DecryptionError(`Invalid permit duration: ${durationDays} days`, {
+      code: 'INVALID_PERMIT',
+      details: { value: durationDays }
+    });
+  }
+
+  const createPermit = async (
+    client: FhevmClient,
+    signer: Signer,
+    userAddress: string,
+    contractAddress: string
+  ): Promise<DecryptionPermit> => {
+    // Awaited so that worker-backed instances, whose methods are async, work too
+    const { publicKey, privateKey } = await client.instance.generateKeypair();
+    const startTimestamp = Math.floor(Date.now() / 1000);
+    const eip712 = await client.instance.createEIP712(publicKey, contractAddress);
+
+    const signature = await signer.signTypedData(
+      eip712.domain,
+      { [eip712.primaryType]: eip712.types[eip712.primaryType] },
+      eip712.message
+    );
+
+    return {
+      publicKey,
+      privateKey,
+      signature,
+      userAddress,
+      contractAddress,
+      chainId: client.chainId,
+      startTimestamp,
+      durationDays,
+      expiresAt: startTimestamp + durationDays * SECONDS_PER_DAY
+    };
+  };
+
+  return {
+    async get(client, signer, userAddress, contractAddress) {
+      const key = permitKey(client.chainId, userAddress, contractAddress);
+      const cached = await storage.get(key);
+
+      if (cached && isPermitValid(cached)) {
+        return cached;
+      }
+
+      // Concurrent callers share one signature prompt
+      let request = pending.get(key);
+
+      if (!request) {
+        request = createPermit(client, signer, userAddress, contractAddress)
+          .then(async (permit) => {
+            await storage.set(key, permit);
+            return permit;
+          })
+          .finally(() => {
+            pending.delete(key);
+          });
+        pending.set(key, request);
+      }
+
+      return request;
+    },
+
+    async revoke(userAddress, contractAddress, chainId) {
+      await storage.delete(permitKey(chainId, userAddress, contractAddress));
+    },
+
+    async clear() {
+      await storage.clear();
+    }
+  };
+}
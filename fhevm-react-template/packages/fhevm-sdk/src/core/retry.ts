@@ -0,0 +1,225 @@
+import type { CallOptions, RetryOperation, RetryPolicy } from '../types';
+import { FhevmError, NetworkError } from '../types';
+
+/**
+ * Error codes of transient failures, from the SDK and from ethers providers
+ */
+const RETRYABLE_CODES = new Set(['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR']);
+
+/**
+ * Messages of transport failures raised by fetch, Node sockets and fhevmjs
+ */
+const TRANSIENT_MESSAGE =
+  /fetch failed|network|timed? ?out|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|Gateway didn't respon|Impossible to (?:fetch|send)|HTTP error! status: (?:429|5\d\d)|Error performing eth_call/i;
+
+/**
+ * Whether a failed call is worth retrying
+ *
+ * Only network and timeout failures are retried. SDK errors with any other
+ * code (validation, authorization, NOT_FOUND, configuration) and errors
+ * fhevmjs raises for invalid input fail the same way on every attempt.
+ *
+ * @param error - Error thrown by an attempt
+ * @returns boolean
+ */
+export function isRetryableError(error: any): boolean {
+  if (error instanceof FhevmError) {
+    return RETRYABLE_CODES.has(error.code);
+  }
+
+  if (typeof error?.code === 'string' && RETRYABLE_CODES.has(error.code)) {
+    return true;
+  }
+
+  if (typeof error?.message === 'string' && TRANSIENT_MESSAGE.test(error.message)) {
+    return true;
+  }
+
+  return error?.cause ? isRetryableError(error.cause) : false;
+}
+
+/**
+ * Default retry policy for gateway and relayer calls
+ */
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 3,
+  initialDelay: 500,
+  maxDelay: 10000,
+  backoffFactor: 2,
+  jitter: 0.2,
+  timeout: 30000,
+  shouldRetry: isRetryableError
+};
+
+/**
+ * Merge a partial policy over a base policy
+ *
+ * @param base - Base policy
+ * @param overrides - Fields to override
+ * @returns RetryPolicy
+ */
+export function resolveRetryPolicy(
+  base: RetryPolicy = DEFAULT_RETRY_POLICY,
+  overrides?: Partial<RetryPolicy>
+): RetryPolicy {
+  return { ...base, ...overrides };
+}
+
+/**
+ * Delay before the given retry, with exponential backoff and jitter
+ */
+function backoffDelay(policy: RetryPolicy, attempt: number): number {
+  const exponential = policy.initialDelay * Math.pow(policy.backoffFactor, attempt - 1);
+  const capped = Math.min(exponential, policy.maxDelay);
+  const spread = capped * policy.jitter;
+
+  return Math.max(0, Math.round(capped - spread + Math.random() * spread * 2));
+}
+
+/**
+ * Error raised when a call is cancelled through its AbortSignal
+ */
+function abortError(signal: AbortSignal): Error {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+
+  return new NetworkError('Operation aborted', { code: 'ABORTED' });
+}
+
+function isAbortError(error: any): boolean {
+  return error?.name === 'AbortError' || error?.code === 'ABORTED';
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal as AbortSignal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run one attempt, failing it after the policy timeout or on abort
+ */
+function runAttempt<T>(
+  operation: (signal: AbortSignal) => Promise<T>,
+  name: RetryOperation,
+  timeout: number,
+  signal?: AbortSignal
+): Promise<T> {
+  const controller = new AbortController();
+
+  return new Promise<T>((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      cleanup();
+      controller.abort();
+      reject(abortError(signal as AbortSignal));
+    };
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            cleanup();
+            controller.abort();
+            reject(
+              new NetworkError(`${name} timed out after ${timeout}ms`, {
+                code: 'TIMEOUT',
+                details: { operation: name }
+              })
+            );
+          }, timeout)
+        : undefined;
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Deferred so a synchronous throw rejects the attempt and still cleans up
+    Promise.resolve()
+      .then(() => operation(controller.signal))
+      .then(
+        (value) => {
+          cleanup();
+          resolve(value);
+        },
+        (error) => {
+          cleanup();
+          reject(error);
+        }
+      );
+  });
+}
+
+/**
+ * Run a gateway or relayer call under a retry policy
+ *
+ * Each attempt is bounded by `policy.timeout`. Failed attempts that
+ * `policy.shouldRetry` accepts (by default network and timeout failures,
+ * see isRetryableError) are retried with exponential backoff and jitter up
+ * to `policy.maxAttempts`; every retry is reported through `policy.onRetry`.
+ * Aborting `options.signal` stops immediately and is never retried.
+ *
+ * @param policy - Retry policy
+ * @param name - Operation name reported to onRetry
+ * @param operation - Call to run; receives a signal aborted on timeout
+ * @param options - Per-call signal and policy overrides
+ * @returns Promise resolving to the operation result
+ *
+ * @example
+ * ```typescript
+ * const keys = await withRetry(client.retryPolicy, 'keyFetch', () => fetchKeys(), {
+ *   signal: controller.signal
+ * });
+ * ```
+ */
+export async function withRetry<T>(
+  policy: RetryPolicy,
+  name: RetryOperation,
+  operation: (signal: AbortSignal) => Promise<T>,
+  options: CallOptions = {}
+): Promise<T> {
+  const resolved = resolveRetryPolicy(policy, options.retry);
+  const maxAttempts = Math.max(1, resolved.maxAttempts);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runAttempt(operation, name, resolved.timeout, options.signal);
+    } catch (error: any) {
+      const retryable =
+        attempt < maxAttempts &&
+        !isAbortError(error) &&
+        (!resolved.shouldRetry || resolved.shouldRetry(error));
+
+      if (!retryable) {
+        throw error;
+      }
+
+      const delay = backoffDelay(resolved, attempt);
+      resolved.onRetry?.({ operation: name, attempt, maxAttempts, delay, error });
+
+      await sleep(delay, options.signal);
+    }
+  }
+}
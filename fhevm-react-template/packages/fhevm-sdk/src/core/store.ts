@@ -0,0 +1,303 @@
+import type { Signer } from 'ethers';
+import type {
+  DecryptedValue,
+  EncryptedInput,
+  EncryptOptions,
+  EncryptedInputBuilder,
+  EncryptedType,
+  EncryptedValue,
+  EncryptionRequest,
+  FhevmClient,
+  FhevmClientConfig,
+  FhevmClientState,
+  FhevmClientStore,
+  FhevmJobState,
+  FhevmJobStore,
+  FhevmStore,
+  FhevmWorkerOperation,
+  PublicDecryptOptions,
+  PublicDecryptionResult
+} from '../types';
+import { ClientNotInitializedError } from '../types';
+import { createFhevmClient } from './client';
+import { encryptValue } from './encryption';
+import { createEncryptedInput } from './input';
+import { userDecrypt, publicDecrypt } from './decryption';
+
+/**
+ * Client given to a job store: a client, a client store, or a getter
+ */
+export type ClientSource =
+  | FhevmClient
+  | null
+  | FhevmStore<FhevmClientState>
+  | (() => FhevmClient | null);
+
+/**
+ * Create a store holding an immutable state object
+ *
+ * Follows the Svelte store contract: `subscribe` calls the listener with the
+ * current state right away and returns an unsubscribe function.
+ */
+export function createStore<T extends object>(
+  initial: T
+): FhevmStore<T> & { set(patch: Partial<T>): void } {
+  let state = initial;
+  const listeners = new Set<(state: T) => void>();
+
+  return {
+    get: () => state,
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(state);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    set(patch) {
+      state = { ...state, ...patch };
+      listeners.forEach((listener) => listener(state));
+    }
+  };
+}
+
+/**
+ * Resolve the current client of a ClientSource
+ */
+export function currentClient(source: ClientSource): FhevmClient | null {
+  if (typeof source === 'function') {
+    return source();
+  }
+
+  if (source && 'get' in source) {
+    return source.get().client;
+  }
+
+  return source;
+}
+
+/**
+ * Create a store that creates an FHEVM client and follows its status
+ *
+ * This is the framework-agnostic state behind `useFhevmClient`: subscribe
+ * from any UI layer, call `reload()` to re-create the client and
+ * `dispose()` when the view goes away.
+ *
+ * @param config - Client configuration
+ * @returns FhevmClientStore
+ *
+ * @example
+ * ```typescript
+ * const store = createClientStore({ network: 'sepolia', contractAddress: '0x...' });
+ *
+ * const unsubscribe = store.subscribe(({ status, error }) => {
+ *   statusLabel.textContent = error ? error.message : status;
+ * });
+ * ```
+ */
+export function createClientStore(config: FhevmClientConfig): FhevmClientStore {
+  const store = createStore<FhevmClientState>({
+    client: null,
+    status: 'idle',
+    isReady: false,
+    error: null
+  });
+  let generation = 0;
+  let current: FhevmClient | null = null;
+  let unsubscribe: (() => void) | null = null;
+
+  const release = () => {
+    generation++;
+    unsubscribe?.();
+    unsubscribe = null;
+    current?.dispose();
+    current = null;
+  };
+
+  const start = async () => {
+    release();
+    const started = generation;
+    store.set({ client: null, status: 'loading', isReady: false, error: null });
+
+    try {
+      const client = await createFhevmClient(config);
+
+      // Reloaded or disposed while the client was being created
+      if (started !== generation) {
+        client.dispose();
+        return;
+      }
+
+      current = client;
+      unsubscribe = client.subscribe((updated) => {
+        store.set({ status: updated.status, isReady: updated.isReady, error: updated.error });
+      });
+      store.set({ client, status: client.status, isReady: client.isReady, error: client.error });
+    } catch (error: any) {
+      if (started === generation) {
+        store.set({ status: 'error', isReady: false, error });
+      }
+    }
+  };
+
+  start();
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+    reload() {
+      start();
+    },
+    dispose() {
+      release();
+      store.set({ client: null, status: 'idle', isReady: false, error: null });
+    }
+  };
+}
+
+/**
+ * Create a store tracking calls of an SDK operation
+ *
+ * `run` never throws: failures end up in `state.error` and resolve to null.
+ * While a call is pending, worker progress events for `operations` are
+ * published as `state.progress`.
+ */
+function createJobStore<A extends unknown[], R>(
+  source: ClientSource,
+  operations: FhevmWorkerOperation[],
+  task: (client: FhevmClient, ...args: A) => Promise<R>
+): FhevmJobStore<A, R> {
+  const store = createStore<FhevmJobState<R>>({
+    isPending: false,
+    error: null,
+    progress: null,
+    result: null
+  });
+  let pending = 0;
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+
+    async run(...args) {
+      const client = currentClient(source);
+
+      if (!client) {
+        store.set({ error: new ClientNotInitializedError() });
+        return null;
+      }
+
+      pending++;
+      store.set({ isPending: true, error: null, progress: null });
+
+      const stopProgress = client.onProgress((event) => {
+        if (operations.includes(event.operation)) {
+          store.set({ progress: event });
+        }
+      });
+
+      try {
+        const result = await task(client, ...args);
+        store.set({ result });
+        return result;
+      } catch (error: any) {
+        store.set({ error });
+        return null;
+      } finally {
+        stopProgress();
+        pending--;
+        if (pending === 0) {
+          store.set({ isPending: false, progress: null });
+        }
+      }
+    },
+
+    reset() {
+      store.set({ error: null, progress: null, result: null });
+    }
+  };
+}
+
+/**
+ * Create a store for encrypting single values
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @returns Job store whose `run(value, type = 'uint32', options)` encrypts a value,
+ * with options as in encryptValue
+ *
+ * @example
+ * ```typescript
+ * const encryption = createEncryptStore(clientStore);
+ * encryption.subscribe(({ isPending }) => (button.disabled = isPending));
+ *
+ * const encrypted = await encryption.run(42, 'uint32', { userAddress });
+ * ```
+ */
+export function createEncryptStore(
+  client: ClientSource
+): FhevmJobStore<
+  [value: EncryptionRequest['value'], type?: EncryptedType, options?: EncryptOptions],
+  EncryptedValue
+> {
+  return createJobStore(
+    client,
+    ['encrypt'],
+    (current, value, type: EncryptedType = 'uint32', options?: EncryptOptions) =>
+      encryptValue(current, type, value, options)
+  );
+}
+
+/**
+ * Create a store for building multi-value encrypted inputs
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @returns Job store whose `run(contractAddress, userAddress, build)` encrypts an input
+ */
+export function createEncryptedInputStore(
+  client: ClientSource
+): FhevmJobStore<
+  [
+    contractAddress: string,
+    userAddress: string,
+    build: (builder: EncryptedInputBuilder) => EncryptedInputBuilder
+  ],
+  EncryptedInput
+> {
+  return createJobStore(client, ['encrypt'], (current, contractAddress, userAddress, build) =>
+    build(createEncryptedInput(current, contractAddress, userAddress)).encrypt()
+  );
+}
+
+/**
+ * Create a store for user decryption
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @returns Job store whose `run(handle, contractAddress, userAddress, signer)` decrypts a handle
+ */
+export function createDecryptStore<T extends DecryptedValue = DecryptedValue>(
+  client: ClientSource
+): FhevmJobStore<
+  [encryptedValue: string, contractAddress: string, userAddress: string, signer: Signer],
+  T
+> {
+  return createJobStore(
+    client,
+    ['permit', 'decrypt'],
+    (current, encryptedValue, contractAddress, userAddress, signer) =>
+      userDecrypt<T>(current, encryptedValue, contractAddress, userAddress, signer)
+  );
+}
+
+/**
+ * Create a store for public decryption
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @returns Job store whose `run(handles, options)` publicly decrypts handles
+ */
+export function createPublicDecryptStore(
+  client: ClientSource
+): FhevmJobStore<[handles: string[], options?: PublicDecryptOptions], PublicDecryptionResult> {
+  return createJobStore(client, ['publicDecrypt'], (current, handles, options) =>
+    publicDecrypt(current, handles, options)
+  );
+}
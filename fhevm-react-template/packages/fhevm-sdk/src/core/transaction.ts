@@ -0,0 +1,324 @@
+import { Interface } from 'ethers';
+import type { Signer, TransactionReceipt, TransactionResponse } from 'ethers';
+import type {
+  FhevmTransactionEvent,
+  FhevmTransactionOptions,
+  FhevmTransactionReplacement,
+  FhevmTransactionResult,
+  FhevmTransactionState,
+  FhevmTransactionStore
+} from '../types';
+import { ClientNotInitializedError, ContractError, FhevmError } from '../types';
+import { decodeContractError } from '../utils/errors';
+import { createStore, currentClient } from './store';
+import type { ClientSource } from './store';
+
+/**
+ * Default fee multiplier of speed-ups and cancellations
+ *
+ * Nodes only accept a replacement paying at least 10% more; 25% leaves room
+ * for base fee movement.
+ */
+export const DEFAULT_SPEED_UP_FACTOR = 1.25;
+
+const INITIAL_STATE: FhevmTransactionState = {
+  status: 'idle',
+  hash: null,
+  receipt: null,
+  events: [],
+  replacement: null,
+  error: null
+};
+
+/**
+ * Decode the events of a receipt that belong to a contract interface
+ *
+ * Logs the interface does not know (other contracts, unknown events) are
+ * skipped.
+ *
+ * @param receipt - Transaction receipt
+ * @param contractInterface - Contract interface
+ * @returns Decoded events in log order
+ */
+export function decodeReceiptEvents(
+  receipt: TransactionReceipt,
+  contractInterface: Interface
+): FhevmTransactionEvent[] {
+  return receipt.logs.flatMap((log) => {
+    try {
+      const parsed = contractInterface.parseLog(log);
+      return parsed
+        ? [{ name: parsed.name, args: parsed.args, address: log.address, logIndex: log.index }]
+        : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Get the interface used to decode events and errors
+ */
+function resolveInterface(contract: FhevmTransactionOptions['contract']): Interface | undefined {
+  if (!contract) {
+    return undefined;
+  }
+
+  if (contract instanceof Interface) {
+    return contract;
+  }
+
+  if ('interface' in contract && contract.interface instanceof Interface) {
+    return contract.interface;
+  }
+
+  return 'contract' in contract ? contract.contract?.interface : undefined;
+}
+
+/**
+ * Multiply a fee, rounding up
+ */
+function bumpFee(fee: bigint, factor: number): bigint {
+  return (fee * BigInt(Math.round(factor * 100)) + 99n) / 100n;
+}
+
+/**
+ * Fees for a transaction replacing `tx`: its own fees bumped, and at least the current network fees
+ */
+async function replacementFees(tx: TransactionResponse, signer: Signer, factor: number) {
+  const current = await signer.provider?.getFeeData().catch(() => null);
+  const atLeast = (fee: bigint, floor?: bigint | null) => (floor && floor > fee ? floor : fee);
+
+  if (tx.maxFeePerGas != null && tx.maxPriorityFeePerGas != null) {
+    return {
+      maxFeePerGas: atLeast(bumpFee(tx.maxFeePerGas, factor), current?.maxFeePerGas),
+      maxPriorityFeePerGas: atLeast(
+        bumpFee(tx.maxPriorityFeePerGas, factor),
+        current?.maxPriorityFeePerGas
+      )
+    };
+  }
+
+  return { gasPrice: atLeast(bumpFee(tx.gasPrice, factor), current?.gasPrice) };
+}
+
+/**
+ * Create a store running contract transactions as a state machine
+ *
+ * `send` goes through `encrypting` → `signing` → `pending` and ends in
+ * `confirmed`, `failed` or `replaced`. Failures are decoded with
+ * decodeContractError, so a declined wallet prompt ends `failed` with code
+ * `USER_REJECTED`. Events of `options.contract` are decoded from the
+ * receipt. A newer `send` or `reset` stops tracking the previous one.
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @param options - Contract whose events are decoded, and signer for cancel/speed-up
+ * @returns FhevmTransactionStore
+ *
+ * @example
+ * ```typescript
+ * const transaction = createTransactionStore(clientStore, { contract, signer });
+ * transaction.subscribe(({ status, hash }) => render(status, hash));
+ *
+ * const result = await transaction.send({
+ *   // Bound to the account that sends the transaction
+ *   encrypt: async (client) =>
+ *     encryptUint32(client, contentHash, { userAddress: await signer.getAddress() }),
+ *   submit: (encrypted) => contract.registerWork(encrypted.handles[0], encrypted.inputProof, title, category)
+ * });
+ *
+ * const registered = result?.events.find((event) => event.name === 'WorkRegistered');
+ * ```
+ */
+export function createTransactionStore(
+  client: ClientSource,
+  options: FhevmTransactionOptions = {}
+): FhevmTransactionStore {
+  const store = createStore<FhevmTransactionState>(INITIAL_STATE);
+  const contractInterface = resolveInterface(options.contract);
+  let run = 0;
+  let controller: AbortController | null = null;
+  let pending: TransactionResponse | null = null;
+
+  const requireSigner = (action: string): Signer => {
+    if (!options.signer) {
+      throw new FhevmError(`A signer is needed to ${action} a transaction`, 'INVALID_STATE');
+    }
+    return options.signer;
+  };
+
+  const requirePending = (action: string): TransactionResponse => {
+    if (store.get().status !== 'pending' || !pending) {
+      throw new FhevmError(`No pending transaction to ${action}`, 'INVALID_STATE');
+    }
+    return pending;
+  };
+
+  const confirm = (current: number, hash: string, receipt: TransactionReceipt | null) => {
+    if (!receipt) {
+      throw new ContractError('Transaction was not mined', { details: { hash } });
+    }
+
+    const events = contractInterface ? decodeReceiptEvents(receipt, contractInterface) : [];
+    if (current === run) {
+      store.set({ status: 'confirmed', hash, receipt, events });
+    }
+    return { hash, receipt, events };
+  };
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+
+    async send(request): Promise<FhevmTransactionResult | null> {
+      const current = ++run;
+      controller?.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+      pending = null;
+      store.set(INITIAL_STATE);
+
+      const fail = (error: Error) => {
+        if (current === run) {
+          store.set({ status: 'failed', error });
+        }
+        return null;
+      };
+
+      let encrypted: any;
+
+      if (request.encrypt) {
+        const fhevmClient = currentClient(client);
+
+        if (!fhevmClient) {
+          return fail(new ClientNotInitializedError());
+        }
+
+        store.set({ status: 'encrypting' });
+
+        try {
+          encrypted = await request.encrypt(fhevmClient, signal);
+        } catch (error: any) {
+          return fail(error);
+        }
+
+        // Cancelled while encrypting: cancel() already set the state
+        if (signal.aborted) {
+          return null;
+        }
+      }
+
+      store.set({ status: 'signing' });
+
+      let response: TransactionResponse;
+
+      try {
+        response = await request.submit(encrypted);
+      } catch (error: any) {
+        return fail(decodeContractError(error, contractInterface));
+      }
+
+      if (current !== run) {
+        return null;
+      }
+
+      pending = response;
+      store.set({ status: 'pending', hash: response.hash });
+
+      try {
+        const receipt = await response.wait(request.confirmations ?? 1);
+        return confirm(current, response.hash, receipt);
+      } catch (error: any) {
+        if (current !== run) {
+          return null;
+        }
+
+        if (error?.code === 'TRANSACTION_REPLACED') {
+          const replacement: FhevmTransactionReplacement = {
+            hash: error.replacement?.hash || error.hash,
+            reason: error.reason
+          };
+          store.set({ replacement });
+
+          // Sped up: the same call was mined under another hash
+          if (replacement.reason === 'repriced' && error.receipt?.status === 1) {
+            return confirm(current, replacement.hash, error.receipt);
+          }
+
+          store.set({
+            status: 'replaced',
+            receipt: error.receipt || null,
+            error: new ContractError(
+              replacement.reason === 'cancelled' ? 'Transaction was cancelled' : 'Transaction was replaced',
+              { code: 'TRANSACTION_REPLACED', cause: error, details: { hash: replacement.hash } }
+            )
+          });
+          return null;
+        }
+
+        store.set({ receipt: error?.receipt || null });
+        return fail(decodeContractError(error, contractInterface));
+      } finally {
+        if (current === run) {
+          pending = null;
+        }
+      }
+    },
+
+    async cancel() {
+      if (store.get().status === 'encrypting') {
+        controller?.abort();
+        store.set({
+          status: 'failed',
+          error: new FhevmError('Transaction was cancelled', 'ABORTED')
+        });
+        return;
+      }
+
+      const tx = requirePending('cancel');
+      const signer = requireSigner('cancel');
+      const from = await signer.getAddress();
+
+      try {
+        await signer.sendTransaction({
+          to: from,
+          value: 0,
+          data: '0x',
+          nonce: tx.nonce,
+          chainId: tx.chainId,
+          ...(await replacementFees(tx, signer, DEFAULT_SPEED_UP_FACTOR))
+        });
+      } catch (error: any) {
+        throw decodeContractError(error);
+      }
+    },
+
+    async speedUp(factor = DEFAULT_SPEED_UP_FACTOR) {
+      const tx = requirePending('speed up');
+      const signer = requireSigner('speed up');
+
+      try {
+        const replacement = await signer.sendTransaction({
+          to: tx.to,
+          data: tx.data,
+          value: tx.value,
+          nonce: tx.nonce,
+          gasLimit: tx.gasLimit,
+          chainId: tx.chainId,
+          ...(await replacementFees(tx, signer, factor))
+        });
+        store.set({ replacement: { hash: replacement.hash, reason: 'repriced' } });
+      } catch (error: any) {
+        throw decodeContractError(error, contractInterface);
+      }
+    },
+
+    reset() {
+      run++;
+      controller?.abort();
+      controller = null;
+      pending = null;
+      store.set(INITIAL_STATE);
+    }
+  };
+}
@@ -0,0 +1,363 @@
+import type {
+  FhevmProgressEvent,
+  FhevmWorkerOperation,
+  FhevmWorkerTarget,
+  NetworkConfig
+} from '../types';
+import {
+  ClientNotInitializedError,
+  ContractError,
+  DecryptionError,
+  EncryptionError,
+  FhevmError,
+  NetworkError
+} from '../types';
+import { createNetworkInstance } from './instance';
+
+/**
+ * Instance methods that can be called through a worker, by operation
+ */
+const WORKER_METHODS: Record<string, FhevmWorkerOperation> = {
+  reencrypt: 'decrypt',
+  // Mock instances only: seed and read the decryption oracle for publicDecrypt
+  setCleartext: 'publicDecrypt',
+  getCleartext: 'publicDecrypt',
+  generateKeypair: 'permit',
+  createEIP712: 'permit',
+  getPublicKey: 'keyFetch'
+};
+
+/**
+ * Builder methods recorded on the main thread and replayed in the worker
+ */
+const INPUT_METHODS = [
+  'addBool',
+  'add8',
+  'add16',
+  'add32',
+  'add64',
+  'add128',
+  'addAddress'
+];
+
+/**
+ * SDK error classes rebuilt on the main thread, by name
+ */
+const ERROR_CLASSES: Record<string, new (message: string, options?: any) => FhevmError> = {
+  EncryptionError,
+  DecryptionError,
+  NetworkError,
+  ContractError
+};
+
+/**
+ * Error as sent across the worker boundary
+ */
+interface SerializedError {
+  name: string;
+  message: string;
+  code?: string;
+  details?: Record<string, unknown>;
+}
+
+/**
+ * Listen to messages on a browser or worker_threads endpoint
+ *
+ * @returns Function removing the listener
+ */
+function listen(target: FhevmWorkerTarget, listener: (data: any) => void): () => void {
+  if (typeof target.on === 'function') {
+    target.on('message', listener);
+    return () => {
+      target.off?.('message', listener);
+    };
+  }
+
+  if (typeof target.addEventListener !== 'function') {
+    throw new FhevmError('Worker target cannot receive messages', 'INVALID_STATE');
+  }
+
+  const handler = (event: { data: any }) => listener(event.data);
+  target.addEventListener('message', handler);
+  return () => {
+    target.removeEventListener?.('message', handler);
+  };
+}
+
+/**
+ * Convert an error into a plain object that survives postMessage
+ */
+function serializeError(error: any): SerializedError {
+  return {
+    name: error?.name || 'Error',
+    message: error?.message || String(error),
+    code: error instanceof FhevmError ? error.code : undefined,
+    details: error instanceof FhevmError ? error.details : undefined
+  };
+}
+
+/**
+ * Rebuild a worker error on the main thread
+ *
+ * SDK errors come back with their class, code and details, so the calling
+ * core function handles them exactly as if the instance ran locally.
+ */
+function deserializeError(error: SerializedError): Error {
+  if (!error.code) {
+    const rebuilt = new Error(error.message);
+    rebuilt.name = error.name;
+    return rebuilt;
+  }
+
+  const options = { code: error.code as FhevmError['code'], details: error.details };
+
+  if (error.name === 'ClientNotInitializedError') {
+    return new ClientNotInitializedError(options);
+  }
+
+  const ErrorClass = ERROR_CLASSES[error.name];
+  const rebuilt = ErrorClass
+    ? new ErrorClass('', options)
+    : new FhevmError('', options.code, options);
+
+  // Keep the message as formatted in the worker
+  rebuilt.message = error.message;
+  rebuilt.name = error.name;
+  return rebuilt;
+}
+
+/**
+ * Connection from the main thread to a worker running exposeFhevmWorker
+ */
+export interface WorkerConnection {
+  /**
+   * Create the FHE instance inside the worker and return a proxy for it
+   */
+  createInstance(
+    network: string,
+    networkConfig: NetworkConfig,
+    chainId: number,
+    publicKey?: string
+  ): Promise<any>;
+  /**
+   * Stop listening and reject pending calls
+   */
+  close(): void;
+}
+
+/**
+ * Connect to a worker and proxy FHE instance calls to it
+ *
+ * The proxy exposes the fhevmjs instance methods used by the SDK; each call
+ * becomes a message, so every method returns a promise.
+ *
+ * @param target - Worker or worker_threads Worker running exposeFhevmWorker
+ * @param onProgress - Receives queued, running, done and failed events per call
+ * @returns WorkerConnection
+ */
+export function connectWorker(
+  target: FhevmWorkerTarget,
+  onProgress: (event: FhevmProgressEvent) => void
+): WorkerConnection {
+  const pending = new Map<
+    number,
+    {
+      operation: FhevmWorkerOperation;
+      method: string;
+      queuedAt: number;
+      resolve: (value: any) => void;
+      reject: (error: Error) => void;
+    }
+  >();
+  let nextId = 0;
+  let closed = false;
+
+  const report = (id: number, stage: FhevmProgressEvent['stage']) => {
+    const call = pending.get(id);
+    if (call) {
+      onProgress({
+        id,
+        operation: call.operation,
+        method: call.method,
+        stage,
+        elapsed: Date.now() - call.queuedAt
+      });
+    }
+  };
+
+  const unlisten = listen(target, (message) => {
+    if (!message || !pending.has(message.id)) {
+      return;
+    }
+
+    const call = pending.get(message.id)!;
+
+    switch (message.type) {
+      case 'running':
+        report(message.id, 'running');
+        break;
+      case 'result':
+        report(message.id, 'done');
+        pending.delete(message.id);
+        call.resolve(message.value);
+        break;
+      case 'error':
+        report(message.id, 'failed');
+        pending.delete(message.id);
+        call.reject(deserializeError(message.error));
+        break;
+    }
+  });
+
+  const request = (
+    operation: FhevmWorkerOperation,
+    method: string,
+    message: Record<string, unknown>
+  ): Promise<any> => {
+    if (closed) {
+      return Promise.reject(new ClientNotInitializedError());
+    }
+
+    const id = ++nextId;
+
+    return new Promise((resolve, reject) => {
+      pending.set(id, { operation, method, queuedAt: Date.now(), resolve, reject });
+      report(id, 'queued');
+      target.postMessage({ id, ...message });
+    });
+  };
+
+  const proxy: Record<string, unknown> = {
+    createEncryptedInput(contractAddress: string, userAddress: string) {
+      const values: { method: string; value: unknown }[] = [];
+      const input: Record<string, unknown> = {
+        encrypt: () =>
+          request('encrypt', 'createEncryptedInput', {
+            type: 'input',
+            contractAddress,
+            userAddress,
+            values
+          })
+      };
+
+      INPUT_METHODS.forEach((method) => {
+        input[method] = (value: unknown) => {
+          values.push({ method, value });
+          return input;
+        };
+      });
+
+      return input;
+    }
+  };
+
+  Object.entries(WORKER_METHODS).forEach(([method, operation]) => {
+    proxy[method] = (...args: unknown[]) =>
+      request(operation, method, { type: 'call', method, args });
+  });
+
+  return {
+    async createInstance(network, networkConfig, chainId, publicKey) {
+      await request('keyFetch', 'createInstance', {
+        type: 'init',
+        network,
+        networkConfig,
+        chainId,
+        publicKey
+      });
+      return proxy;
+    },
+    close() {
+      if (closed) {
+        return;
+      }
+
+      closed = true;
+      unlisten();
+      pending.forEach((call) => call.reject(new ClientNotInitializedError()));
+      pending.clear();
+    }
+  };
+}
+
+/**
+ * Serve FHE instance calls from inside a worker
+ *
+ * Call this in the worker script and pass the worker to `createFhevmClient`
+ * as `worker`. Encryption, proof generation and decryption then run in the
+ * worker, keeping the main thread responsive.
+ *
+ * @param target - Endpoint to serve (default: the worker's global scope; pass `parentPort` in worker_threads)
+ * @returns Function that stops serving
+ *
+ * @example
+ * ```typescript
+ * // fhevm.worker.ts (browser)
+ * import { exposeFhevmWorker } from '@fhevm/sdk';
+ * exposeFhevmWorker();
+ *
+ * // fhevm.worker.js (Node)
+ * const { parentPort } = require('node:worker_threads');
+ * require('@fhevm/sdk').exposeFhevmWorker(parentPort);
+ *
+ * // main thread
+ * const client = await createFhevmClient({
+ *   network: 'sepolia',
+ *   contractAddress: '0x...',
+ *   worker: () => new Worker(new URL('./fhevm.worker.ts', import.meta.url), { type: 'module' })
+ * });
+ * ```
+ */
+export function exposeFhevmWorker(
+  target: FhevmWorkerTarget = globalThis as unknown as FhevmWorkerTarget
+): () => void {
+  let instance: any = null;
+
+  const handle = async (message: any): Promise<unknown> => {
+    if (message.type === 'init') {
+      instance = await createNetworkInstance(
+        message.network,
+        message.networkConfig,
+        message.chainId,
+        message.publicKey
+      );
+      return null;
+    }
+
+    if (!instance) {
+      throw new ClientNotInitializedError();
+    }
+
+    if (message.type === 'input') {
+      const input = instance.createEncryptedInput(message.contractAddress, message.userAddress);
+      message.values.forEach(({ method, value }: { method: string; value: unknown }) => {
+        if (!INPUT_METHODS.includes(method)) {
+          throw new FhevmError(`Unsupported input method: ${method}`, 'INVALID_STATE');
+        }
+        input[method](value);
+      });
+      return input.encrypt();
+    }
+
+    if (!(message.method in WORKER_METHODS)) {
+      throw new FhevmError(`Unsupported worker method: ${message.method}`, 'INVALID_STATE');
+    }
+
+    return instance[message.method](...message.args);
+  };
+
+  return listen(target, async (message) => {
+    if (!message || typeof message.id !== 'number') {
+      return;
+    }
+
+    target.postMessage({ id: message.id, type: 'running' });
+
+    try {
+      const value = await handle(message);
+      target.postMessage({ id: message.id, type: 'result', value });
+    } catch (error) {
+      target.postMessage({ id: message.id, type: 'error', error: serializeError(error) });
+    }
+  });
+}
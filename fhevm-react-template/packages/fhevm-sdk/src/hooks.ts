@@ -5,8 +5,18 @@
  */
 
 export {
+  FhevmProvider,
+  useFhevm,
   useFhevmClient,
   useEncrypt,
+  useEncryptedInput,
   useDecrypt,
-  useContract
+  usePublicDecrypt,
+  useContract,
+  useFhevmContract,
+  useFhevmTransaction,
+  useDecryptionRequest,
+  useFhevmProgress
 } from './hooks';
+export type { FhevmProviderProps } from './hooks';
+export type { FhevmContextValue } from './types';
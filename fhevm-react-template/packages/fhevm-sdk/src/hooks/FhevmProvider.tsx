@@ -0,0 +1,173 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { BrowserProvider } from 'ethers';
+import type { Signer } from 'ethers';
+import { FhevmError } from '../types';
+import type { FhevmClient, FhevmClientConfig, FhevmContextValue } from '../types';
+import { useFhevmClient } from './useFhevmClient';
+
+const FhevmContext = createContext<FhevmContextValue | null>(null);
+
+/**
+ * Props of FhevmProvider
+ */
+export interface FhevmProviderProps {
+  config: FhevmClientConfig;
+  /** Signer to share; when omitted it is resolved from `config.eip1193Provider` */
+  signer?: Signer | null;
+  children?: React.ReactNode;
+}
+
+/**
+ * Share one FHEVM client, signer and permit cache with a component tree
+ *
+ * The client is created in an effect, so rendering on the server never
+ * loads fhevmjs or its WASM; server-rendered markup sees `status: 'idle'`
+ * and the client is created after hydration.
+ *
+ * @param props - Client configuration, optional signer and children
+ * @returns Context provider
+ *
+ * @example
+ * ```typescript
+ * import { FhevmProvider, useFhevm, useEncrypt } from '@fhevm/sdk/hooks';
+ *
+ * function App() {
+ *   return (
+ *     <FhevmProvider
+ *       config={{ network: 'sepolia', contractAddress: '0x...', eip1193Provider: window.ethereum }}
+ *     >
+ *       <SubmitForm />
+ *     </FhevmProvider>
+ *   );
+ * }
+ *
+ * function SubmitForm() {
+ *   const { isReady, account } = useFhevm();
+ *   const { encrypt } = useEncrypt(); // uses the shared client
+ *   // ...
+ * }
+ * ```
+ */
+export function FhevmProvider({ config, signer, children }: FhevmProviderProps) {
+  const { client, status, isReady, error, reload } = useFhevmClient(config);
+  const [clientAccount, setClientAccount] = useState<string | null>(null);
+  const [wallet, setWallet] = useState<{ signer: Signer | null; account: string | null }>({
+    signer: null,
+    account: null
+  });
+  const eip1193 = config.eip1193Provider;
+
+  // Follow accountsChanged through the client
+  useEffect(() => {
+    if (!client) {
+      setClientAccount(null);
+      return;
+    }
+
+    setClientAccount(client.account);
+    return client.subscribe((updated) => setClientAccount(updated.account));
+  }, [client]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const resolveWallet = async () => {
+      if (signer) {
+        return { signer, account: await signer.getAddress() };
+      }
+
+      if (!eip1193) {
+        return { signer: null, account: null };
+      }
+
+      // eth_accounts never prompts, unlike getSigner() without an address
+      const account: string | null =
+        clientAccount || (await eip1193.request({ method: 'eth_accounts' }))[0] || null;
+
+      return {
+        signer: account ? await new BrowserProvider(eip1193).getSigner(account) : null,
+        account
+      };
+    };
+
+    resolveWallet()
+      .then((resolved) => {
+        if (!cancelled) {
+          setWallet(resolved);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setWallet({ signer: null, account: null });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [signer, eip1193, clientAccount]);
+
+  // Bind encryption through the shared client to the resolved account
+  useEffect(() => {
+    if (client && wallet.account && client.account !== wallet.account) {
+      client.account = wallet.account;
+    }
+  }, [client, wallet.account]);
+
+  const value = useMemo<FhevmContextValue>(
+    () => ({
+      config,
+      client,
+      status,
+      isReady,
+      error,
+      signer: wallet.signer,
+      account: wallet.account,
+      permits: client ? client.permits : null,
+      reload
+    }),
+    [config, client, status, isReady, error, wallet, reload]
+  );
+
+  return <FhevmContext.Provider value={value}>{children}</FhevmContext.Provider>;
+}
+
+/**
+ * React hook reading the client, signer and status shared by FhevmProvider
+ *
+ * @returns FhevmContextValue
+ * @throws {FhevmError} If called outside FhevmProvider
+ *
+ * @example
+ * ```typescript
+ * const { client, signer, account, isReady } = useFhevm();
+ *
+ * const value = await userDecrypt(client, handle, contractAddress, account, signer);
+ * ```
+ */
+export function useFhevm(): FhevmContextValue {
+  const context = useContext(FhevmContext);
+
+  if (!context) {
+    throw new FhevmError('useFhevm must be used within FhevmProvider', 'INVALID_STATE');
+  }
+
+  return context;
+}
+
+/**
+ * Read the FhevmProvider value, or null outside a provider
+ */
+export function useFhevmContext(): FhevmContextValue | null {
+  return useContext(FhevmContext);
+}
+
+/**
+ * Resolve the client a hook works with: the given one, or the provider's
+ *
+ * `undefined` means "not given"; an explicit `null` stays null.
+ */
+export function useResolvedClient(client: FhevmClient | null | undefined): FhevmClient | null {
+  const context = useFhevmContext();
+  return client === undefined ? (context ? context.client : null) : client;
+}
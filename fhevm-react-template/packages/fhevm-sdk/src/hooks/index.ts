@@ -2,7 +2,15 @@
  * React hooks for FHEVM SDK
  */
 
+export { FhevmProvider, useFhevm } from './FhevmProvider';
+export type { FhevmProviderProps } from './FhevmProvider';
 export { useFhevmClient } from './useFhevmClient';
 export { useEncrypt } from './useEncrypt';
+export { useEncryptedInput } from './useEncryptedInput';
 export { useDecrypt } from './useDecrypt';
+export { usePublicDecrypt } from './usePublicDecrypt';
 export { useContract } from './useContract';
+export { useFhevmContract } from './useFhevmContract';
+export { useFhevmTransaction } from './useFhevmTransaction';
+export { useDecryptionRequest } from './useDecryptionRequest';
+export { useFhevmProgress } from './useFhevmProgress';
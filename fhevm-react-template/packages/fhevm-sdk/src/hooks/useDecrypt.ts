@@ -1,13 +1,19 @@
-import { useState, useCallback } from 'react';
-import type { Signer } from 'ethers';
-import { userDecrypt } from '../core/decryption';
-import type { FhevmClient } from '../types';
+import { useMemo } from 'react';
+import { createDecryptStore } from '../core/store';
+import type { FhevmClient, DecryptedValue } from '../types';
+import { useStore } from './useStore';
+import { useResolvedClient } from './FhevmProvider';
 
 /**
  * React hook for decrypting values
  *
- * @param client - FHEVM client instance
- * @returns Object with decrypt function, loading state, and error
+ * The type argument narrows the decrypted value, e.g. `useDecrypt<boolean>()`
+ * for an ebool handle. Decryptions share the client's cached permit, so the
+ * wallet prompts once per user and contract; each handle is still its own
+ * gateway request, as fhevmjs 0.5 reencrypts one handle at a time.
+ *
+ * @param client - FHEVM client instance (default: the FhevmProvider client)
+ * @returns Object with decrypt function, loading state, error, and worker progress
  *
  * @example
  * ```typescript
@@ -15,7 +21,7 @@ import type { FhevmClient } from '../types';
  *
  * function ViewResult() {
  *   const { client } = useFhevmClient(config);
- *   const { decrypt, isDecrypting } = useDecrypt(client);
+ *   const { decrypt, isDecrypting } = useDecrypt<bigint>(client);
  *   const [result, setResult] = useState<bigint | null>(null);
  *
  *   const handleDecrypt = async (encryptedValue: string) => {
@@ -40,48 +46,17 @@ import type { FhevmClient } from '../types';
  * }
  * ```
  */
-export function useDecrypt(client: FhevmClient | null) {
-  const [isDecrypting, setIsDecrypting] = useState(false);
-  const [error, setError] = useState<Error | null>(null);
-
-  const decrypt = useCallback(
-    async (
-      encryptedValue: string,
-      contractAddress: string,
-      userAddress: string,
-      signer: Signer
-    ): Promise<bigint | null> => {
-      if (!client) {
-        setError(new Error('Client not initialized'));
-        return null;
-      }
-
-      try {
-        setIsDecrypting(true);
-        setError(null);
-
-        const decrypted = await userDecrypt(
-          client,
-          encryptedValue,
-          contractAddress,
-          userAddress,
-          signer
-        );
-
-        return decrypted;
-      } catch (err: any) {
-        setError(err);
-        return null;
-      } finally {
-        setIsDecrypting(false);
-      }
-    },
-    [client]
-  );
+export function useDecrypt<T extends DecryptedValue = DecryptedValue>(
+  client?: FhevmClient | null
+) {
+  const current = useResolvedClient(client);
+  const store = useMemo(() => createDecryptStore<T>(current), [current]);
+  const { isPending, error, progress } = useStore(store);
 
   return {
-    decrypt,
-    isDecrypting,
-    error
+    decrypt: store.run,
+    isDecrypting: isPending,
+    error,
+    progress
   };
 }
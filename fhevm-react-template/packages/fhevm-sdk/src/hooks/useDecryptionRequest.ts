@@ -0,0 +1,109 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import type { BigNumberish, Contract } from 'ethers';
+import { createDecryptionRequestStore } from '../core/decryptionRequest';
+import { FhevmError } from '../types';
+import type {
+  DecryptionRequestOptions,
+  DecryptionRequestState,
+  DecryptionRequestStore
+} from '../types';
+
+const IDLE_STATE: DecryptionRequestState = {
+  status: 'idle',
+  request: null,
+  result: null,
+  expiresAt: null,
+  canClaim: false,
+  refund: { status: 'idle', hash: null, receipt: null, events: [], replacement: null, error: null },
+  error: null
+};
+
+/**
+ * React hook following a Gateway decryption request until its callback arrives
+ *
+ * Watches for the callback event of `requestId`, keeps the request in
+ * `options.storage` while it is pending and switches to `expired` once the
+ * contract's timeout has passed, when `claim()` refunds the requester.
+ * Pass a null request ID to track nothing.
+ *
+ * @param requestId - Request ID emitted with the request, or null
+ * @param options - Contract (connected to a signer to claim), storage and start block
+ * @returns Request state with claim and refresh
+ *
+ * @example
+ * ```typescript
+ * import { createLocalStorageDecryptionRequestStorage } from '@fhevm/sdk';
+ * import { useDecryptionRequest } from '@fhevm/sdk/hooks';
+ *
+ * const storage = createLocalStorageDecryptionRequestStorage();
+ *
+ * function VerificationStatus({ contract, requestId }) {
+ *   const { status, result, expiresAt, canClaim, claim } = useDecryptionRequest(requestId, {
+ *     contract,
+ *     storage
+ *   });
+ *
+ *   if (status === 'fulfilled') {
+ *     return <p>{result?.args.isMatch ? 'Match' : 'No match'}</p>;
+ *   }
+ *
+ *   return canClaim ? (
+ *     <button onClick={claim}>Claim refund</button>
+ *   ) : (
+ *     <p>Waiting for the Gateway (refund after {new Date(expiresAt * 1000).toLocaleTimeString()})</p>
+ *   );
+ * }
+ * ```
+ */
+export function useDecryptionRequest(
+  requestId: BigNumberish | null | undefined,
+  options: Omit<DecryptionRequestOptions, 'contract'> & { contract: Contract | null }
+) {
+  const [state, setState] = useState<DecryptionRequestState>(IDLE_STATE);
+  const storeRef = useRef<DecryptionRequestStore | null>(null);
+  const { contract, storage, fromBlock } = options;
+  const id = requestId === null || requestId === undefined ? null : BigInt(requestId).toString();
+
+  // Read through a ref so an inline `flow` object does not restart tracking
+  const flowRef = useRef(options.flow);
+  flowRef.current = options.flow;
+
+  useEffect(() => {
+    if (id === null || !contract) {
+      setState(IDLE_STATE);
+      return;
+    }
+
+    const store = createDecryptionRequestStore(id, {
+      contract,
+      storage,
+      fromBlock,
+      flow: flowRef.current
+    });
+    const unsubscribe = store.subscribe(setState);
+    storeRef.current = store;
+
+    return () => {
+      storeRef.current = null;
+      store.dispose();
+      unsubscribe();
+    };
+  }, [id, contract, storage, fromBlock]);
+
+  const claim = useCallback(() => {
+    if (!storeRef.current) {
+      return Promise.reject(new FhevmError('No decryption request is tracked', 'INVALID_STATE'));
+    }
+    return storeRef.current.claim();
+  }, []);
+
+  const refresh = useCallback(async () => {
+    await storeRef.current?.refresh();
+  }, []);
+
+  return {
+    ...state,
+    claim,
+    refresh
+  };
+}
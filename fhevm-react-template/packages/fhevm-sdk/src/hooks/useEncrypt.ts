@@ -1,23 +1,28 @@
-import { useState, useCallback } from 'react';
-import { encryptUint32, encryptUint64 } from '../core/encryption';
-import type { FhevmClient, EncryptedValue } from '../types';
+import { useMemo } from 'react';
+import { createEncryptStore } from '../core/store';
+import type { FhevmClient } from '../types';
+import { useStore } from './useStore';
+import { useResolvedClient } from './FhevmProvider';
 
 /**
  * React hook for encrypting values
  *
- * @param client - FHEVM client instance
- * @returns Object with encrypt function, loading state, and error
+ * `encrypt(value, type = 'uint32', options)` takes the options of encryptValue.
+ *
+ * @param client - FHEVM client instance (default: the FhevmProvider client)
+ * @returns Object with encrypt function, loading state, error, and worker progress
  *
  * @example
  * ```typescript
  * import { useFhevmClient, useEncrypt } from '@fhevm/sdk/hooks';
  *
- * function SubmitForm() {
+ * function SubmitForm({ account }) {
  *   const { client, isReady } = useFhevmClient(config);
  *   const { encrypt, isEncrypting, error } = useEncrypt(client);
  *
  *   const handleSubmit = async (value: number) => {
- *     const encrypted = await encrypt(value);
+ *     // Bound to the account that will send the transaction
+ *     const encrypted = await encrypt(value, 'uint32', { userAddress: account });
  *     await contract.submit(encrypted.handles[0], encrypted.inputProof);
  *   };
  *
@@ -32,43 +37,15 @@ import type { FhevmClient, EncryptedValue } from '../types';
  * }
  * ```
  */
-export function useEncrypt(client: FhevmClient | null) {
-  const [isEncrypting, setIsEncrypting] = useState(false);
-  const [error, setError] = useState<Error | null>(null);
-
-  const encrypt = useCallback(
-    async (value: number | bigint, type: 'uint32' | 'uint64' = 'uint32'): Promise<EncryptedValue | null> => {
-      if (!client) {
-        setError(new Error('Client not initialized'));
-        return null;
-      }
-
-      try {
-        setIsEncrypting(true);
-        setError(null);
-
-        let encrypted: EncryptedValue;
-
-        if (type === 'uint32') {
-          encrypted = await encryptUint32(client, value as number);
-        } else {
-          encrypted = await encryptUint64(client, value);
-        }
-
-        return encrypted;
-      } catch (err: any) {
-        setError(err);
-        return null;
-      } finally {
-        setIsEncrypting(false);
-      }
-    },
-    [client]
-  );
+export function useEncrypt(client?: FhevmClient | null) {
+  const current = useResolvedClient(client);
+  const store = useMemo(() => createEncryptStore(current), [current]);
+  const { isPending, error, progress } = useStore(store);
 
   return {
-    encrypt,
-    isEncrypting,
-    error
+    encrypt: store.run,
+    isEncrypting: isPending,
+    error,
+    progress
   };
 }
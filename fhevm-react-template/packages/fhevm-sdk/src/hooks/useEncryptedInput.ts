@@ -0,0 +1,49 @@
+import { useMemo } from 'react';
+import { createEncryptedInputStore } from '../core/store';
+import type { FhevmClient } from '../types';
+import { useStore } from './useStore';
+import { useResolvedClient } from './FhevmProvider';
+
+/**
+ * React hook for encrypting several values under a single input proof
+ *
+ * @param client - FHEVM client instance (default: the FhevmProvider client)
+ * @returns Object with encryptInput function, loading state, error, and worker progress
+ *
+ * @example
+ * ```typescript
+ * import { useEncryptedInput } from '@fhevm/sdk/hooks';
+ *
+ * function RegisterForm() {
+ *   const { client } = useFhevmClient(config);
+ *   const { encryptInput, isEncrypting } = useEncryptedInput(client);
+ *
+ *   const handleSubmit = async () => {
+ *     const input = await encryptInput(contractAddress, userAddress, (builder) =>
+ *       builder.add32(contentHash).add64(authorId)
+ *     );
+ *     if (!input) return;
+ *
+ *     await contract.submit(input.handles[0], input.handles[1], input.inputProof);
+ *   };
+ *
+ *   return (
+ *     <button onClick={handleSubmit} disabled={isEncrypting}>
+ *       {isEncrypting ? 'Encrypting...' : 'Submit'}
+ *     </button>
+ *   );
+ * }
+ * ```
+ */
+export function useEncryptedInput(client?: FhevmClient | null) {
+  const current = useResolvedClient(client);
+  const store = useMemo(() => createEncryptedInputStore(current), [current]);
+  const { isPending, error, progress } = useStore(store);
+
+  return {
+    encryptInput: store.run,
+    isEncrypting: isPending,
+    error,
+    progress
+  };
+}
@@ -1,21 +1,27 @@
-import { useState, useEffect } from 'react';
-import { createFhevmClient } from '../core/client';
-import type { FhevmClient, FhevmClientConfig } from '../types';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createClientStore } from '../core/store';
+import type { FhevmClientConfig, FhevmClientState, FhevmClientStore } from '../types';
 
 /**
  * React hook for creating and managing FHEVM client
  *
+ * The client is disposed when the component unmounts or the configuration
+ * changes, so React StrictMode double mounts never leave a duplicate
+ * instance behind. With `eip1193Provider` set, status follows the wallet's
+ * chain switches (`stale` → `loading` → `ready`).
+ *
  * @param config - Client configuration
- * @returns Object with client, loading state, error, and reload function
+ * @returns Object with client, status, loading state, error, and reload function
  *
  * @example
  * ```typescript
  * import { useFhevmClient } from '@fhevm/sdk/hooks';
  *
  * function MyComponent() {
- *   const { client, isReady, error, reload } = useFhevmClient({
+ *   const { client, status, isReady, error, reload } = useFhevmClient({
  *     network: 'sepolia',
- *     contractAddress: '0x...'
+ *     contractAddress: '0x...',
+ *     eip1193Provider: window.ethereum
  *   });
  *
  *   if (error) {
@@ -23,7 +29,7 @@ import type { FhevmClient, FhevmClientConfig } from '../types';
  *   }
  *
  *   if (!isReady) {
- *     return <div>Initializing...</div>;
+ *     return <div>{status === 'stale' ? 'Switching network...' : 'Initializing...'}</div>;
  *   }
  *
  *   return <div>Client ready!</div>;
@@ -31,36 +37,32 @@ import type { FhevmClient, FhevmClientConfig } from '../types';
  * ```
  */
 export function useFhevmClient(config: FhevmClientConfig) {
-  const [client, setClient] = useState<FhevmClient | null>(null);
-  const [isReady, setIsReady] = useState(false);
-  const [error, setError] = useState<Error | null>(null);
-
-  const initializeClient = async () => {
-    try {
-      setIsReady(false);
-      setError(null);
-
-      const fhevmClient = await createFhevmClient(config);
-      setClient(fhevmClient);
-      setIsReady(true);
-    } catch (err: any) {
-      setError(err);
-      setIsReady(false);
-    }
-  };
+  const [state, setState] = useState<FhevmClientState>({
+    client: null,
+    status: 'idle',
+    isReady: false,
+    error: null
+  });
+  const storeRef = useRef<FhevmClientStore | null>(null);
 
   useEffect(() => {
-    initializeClient();
-  }, [config.network, config.contractAddress]);
+    const store = createClientStore(config);
+    const unsubscribe = store.subscribe(setState);
+    storeRef.current = store;
 
-  const reload = () => {
-    initializeClient();
-  };
+    return () => {
+      storeRef.current = null;
+      store.dispose();
+      unsubscribe();
+    };
+  }, [config.network, config.contractAddress, config.chainId, config.eip1193Provider]);
+
+  const reload = useCallback(() => {
+    storeRef.current?.reload();
+  }, []);
 
   return {
-    client,
-    isReady,
-    error,
+    ...state,
     reload
   };
 }
@@ -0,0 +1,42 @@
+import { useMemo } from 'react';
+import type { ContractRunner } from 'ethers';
+import { createFhevmContract } from '../core/contract';
+import type { ContractAbiSource, FhevmClient, FhevmContract } from '../types';
+import { useResolvedClient } from './FhevmProvider';
+
+/**
+ * React hook for a contract whose encrypted inputs are encrypted automatically
+ *
+ * @param address - Contract address
+ * @param abi - JSON ABI or Hardhat artifact (keep it stable, e.g. a module import)
+ * @param runner - Signer sending transactions
+ * @param client - FHEVM client instance (default: the FhevmProvider client)
+ * @returns FhevmContract, or null until the client and runner are available
+ *
+ * @example
+ * ```typescript
+ * import { useFhevm, useFhevmContract } from '@fhevm/sdk/hooks';
+ * import artifact from './Vault.json';
+ *
+ * function Deposit() {
+ *   const { signer } = useFhevm();
+ *   const vault = useFhevmContract(vaultAddress, artifact, signer);
+ *
+ *   // deposit(externalEuint64 amount, bytes inputProof)
+ *   return <button onClick={() => vault?.deposit(1000n)}>Deposit</button>;
+ * }
+ * ```
+ */
+export function useFhevmContract(
+  address: string,
+  abi: ContractAbiSource,
+  runner: ContractRunner | null,
+  client?: FhevmClient | null
+): FhevmContract | null {
+  const current = useResolvedClient(client);
+
+  return useMemo(
+    () => (current && runner && address ? createFhevmContract(current, address, abi, runner) : null),
+    [current, address, abi, runner]
+  );
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import { useResolvedClient } from './FhevmProvider';
+import type { FhevmClient, FhevmProgressEvent, FhevmWorkerOperation } from '../types';
+
+/**
+ * React hook for following calls handled by a worker-backed client
+ *
+ * Returns the latest progress event for the given operations. Clients
+ * created without `worker` never report progress, so the value stays null.
+ *
+ * @param client - FHEVM client instance (default: the FhevmProvider client)
+ * @param operations - Operations to follow (default: all)
+ * @returns Latest FhevmProgressEvent or null
+ *
+ * @example
+ * ```typescript
+ * import { useFhevmProgress } from '@fhevm/sdk/hooks';
+ *
+ * function EncryptionStatus({ client }: { client: FhevmClient | null }) {
+ *   const progress = useFhevmProgress(client, ['encrypt']);
+ *
+ *   if (progress?.stage === 'running') {
+ *     return <span>Generating proof in background ({progress.elapsed} ms)...</span>;
+ *   }
+ *
+ *   return null;
+ * }
+ * ```
+ */
+export function useFhevmProgress(
+  client?: FhevmClient | null,
+  operations?: FhevmWorkerOperation[]
+): FhevmProgressEvent | null {
+  const current = useResolvedClient(client);
+  const [progress, setProgress] = useState<FhevmProgressEvent | null>(null);
+  const operationsKey = operations ? operations.join(',') : '';
+
+  useEffect(() => {
+    setProgress(null);
+
+    if (!current) {
+      return;
+    }
+
+    const followed = operationsKey ? operationsKey.split(',') : null;
+
+    return current.onProgress((event) => {
+      if (!followed || followed.includes(event.operation)) {
+        setProgress(event);
+      }
+    });
+  }, [current, operationsKey]);
+
+  return progress;
+}
@@ -0,0 +1,66 @@
+import { useMemo } from 'react';
+import { createTransactionStore } from '../core/transaction';
+import type { FhevmClient, FhevmTransactionOptions } from '../types';
+import { useFhevmContext, useResolvedClient } from './FhevmProvider';
+import { useStore } from './useStore';
+
+/**
+ * React hook running a contract transaction: encrypt → sign → wait → decode events
+ *
+ * Status moves through `encrypting`, `signing` and `pending` to `confirmed`,
+ * `failed` (error decoded with decodeContractError, `USER_REJECTED` when the
+ * wallet prompt is declined) or `replaced`. Client and signer default to
+ * the FhevmProvider's.
+ *
+ * @param options - Contract whose events are decoded, signer, and client
+ * @returns Transaction state with send, cancel, speedUp and reset
+ *
+ * @example
+ * ```typescript
+ * import { useFhevm, useFhevmTransaction } from '@fhevm/sdk/hooks';
+ *
+ * function RegisterWork({ contract }) {
+ *   const { account } = useFhevm();
+ *   const { send, status, isBusy, cancel, speedUp } = useFhevmTransaction({ contract });
+ *
+ *   const register = async () => {
+ *     const result = await send({
+ *       encrypt: (client) => encryptUint32(client, contentHash, { userAddress: account }),
+ *       submit: (encrypted) =>
+ *         contract.registerWork(encrypted.handles[0], encrypted.inputProof, title, category)
+ *     });
+ *     const event = result?.events.find((e) => e.name === 'WorkRegistered');
+ *   };
+ *
+ *   return (
+ *     <>
+ *       <button onClick={register} disabled={isBusy}>Register ({status})</button>
+ *       {status === 'pending' && <button onClick={() => speedUp()}>Speed up</button>}
+ *     </>
+ *   );
+ * }
+ * ```
+ */
+export function useFhevmTransaction(
+  options: FhevmTransactionOptions & { client?: FhevmClient | null } = {}
+) {
+  const context = useFhevmContext();
+  const client = useResolvedClient(options.client);
+  const signer = options.signer === undefined ? (context ? context.signer : null) : options.signer;
+  const { contract } = options;
+
+  const store = useMemo(
+    () => createTransactionStore(client, { contract, signer }),
+    [client, contract, signer]
+  );
+  const state = useStore(store);
+
+  return {
+    ...state,
+    isBusy: state.status === 'encrypting' || state.status === 'signing' || state.status === 'pending',
+    send: store.send,
+    cancel: store.cancel,
+    speedUp: store.speedUp,
+    reset: store.reset
+  };
+}
@@ -0,0 +1,44 @@
+import { useMemo } from 'react';
+import { createPublicDecryptStore } from '../core/store';
+import type { FhevmClient } from '../types';
+import { useStore } from './useStore';
+import { useResolvedClient } from './FhevmProvider';
+
+/**
+ * React hook for reading publicly decryptable values
+ *
+ * @param client - FHEVM client instance (default: the FhevmProvider client)
+ * @returns Object with publicDecrypt function, last result, loading state, error, and worker progress
+ *
+ * @example
+ * ```typescript
+ * import { usePublicDecrypt } from '@fhevm/sdk/hooks';
+ *
+ * function DisputeOutcome({ handles }: { handles: string[] }) {
+ *   const { client } = useFhevmClient(config);
+ *   const { publicDecrypt, result, isDecrypting } = usePublicDecrypt(client);
+ *
+ *   return (
+ *     <div>
+ *       <button onClick={() => publicDecrypt(handles)} disabled={isDecrypting}>
+ *         Reveal outcome
+ *       </button>
+ *       {result && <div>Original hash matches: {String(result.values[0] === result.values[1])}</div>}
+ *     </div>
+ *   );
+ * }
+ * ```
+ */
+export function usePublicDecrypt(client?: FhevmClient | null) {
+  const current = useResolvedClient(client);
+  const store = useMemo(() => createPublicDecryptStore(current), [current]);
+  const { isPending, error, progress, result } = useStore(store);
+
+  return {
+    publicDecrypt: store.run,
+    result,
+    isDecrypting: isPending,
+    error,
+    progress
+  };
+}
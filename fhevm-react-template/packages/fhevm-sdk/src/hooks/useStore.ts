@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import type { FhevmStore } from '../types';
+
+/**
+ * Read the state of an SDK store and re-render when it changes
+ *
+ * @param store - Store created in core
+ * @returns Current store state
+ */
+export function useStore<T>(store: FhevmStore<T>): T {
+  return useSyncExternalStore(store.subscribe, store.get, store.get);
+}
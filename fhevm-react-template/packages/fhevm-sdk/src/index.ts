@@ -9,24 +9,117 @@
 // Core functions
 export {
   createFhevmClient,
+  createMockFhevmClient,
+  createMockInstance,
+  registerNetwork,
+  getNetworkConfig,
+  getRegisteredNetworks,
+  encryptBool,
+  encryptUint8,
+  encryptUint16,
   encryptUint32,
   encryptUint64,
+  encryptUint128,
+  encryptAddress,
+  encryptValue,
   batchEncrypt,
+  createEncryptedInput,
+  getHandleType,
+  decodeDecryptedValue,
   userDecrypt,
-  batchDecrypt
+  batchDecrypt,
+  publicDecrypt,
+  createPermitCache,
+  createMemoryPermitStorage,
+  createLocalStoragePermitStorage,
+  createIndexedDBPermitStorage,
+  withRetry,
+  isRetryableError,
+  DEFAULT_RETRY_POLICY,
+  exposeFhevmWorker,
+  createClientStore,
+  createEncryptStore,
+  createEncryptedInputStore,
+  createDecryptStore,
+  createPublicDecryptStore,
+  createFhevmContract,
+  getEncryptedInputLayout,
+  generateFhevmContract,
+  createTransactionStore,
+  decodeReceiptEvents,
+  DEFAULT_SPEED_UP_FACTOR,
+  createDecryptionRequestStore,
+  createMemoryDecryptionRequestStorage,
+  createLocalStorageDecryptionRequestStorage,
+  decryptionRequestKey,
+  DEFAULT_VERIFICATION_TIMEOUT
 } from './core';
+export type { ClientSource, CodegenOptions } from './core';
 
 // Types
 export type {
   FhevmClient,
   FhevmClientConfig,
+  FhevmClientStatus,
+  FhevmEip1193Provider,
+  FhevmWorkerTarget,
+  FhevmWorkerOperation,
+  FhevmProgressEvent,
+  FhevmStore,
+  FhevmClientState,
+  FhevmClientStore,
+  FhevmJobState,
+  FhevmJobStore,
+  FhevmContextValue,
+  FhevmContract,
+  AbiEntry,
+  AbiParameter,
+  ContractAbiSource,
+  EncryptedInputLayout,
+  FhevmTransactionStatus,
+  FhevmTransactionEvent,
+  FhevmTransactionReplacement,
+  FhevmTransactionState,
+  FhevmTransactionResult,
+  FhevmTransactionRequest,
+  FhevmTransactionOptions,
+  FhevmTransactionStore,
+  DecryptionRequestStatus,
+  PendingDecryptionRequest,
+  DecryptionRequestRecord,
+  DecryptionRequestFlow,
+  DecryptionRequestStorage,
+  DecryptionRequestOptions,
+  DecryptionRequestState,
+  DecryptionRequestStore,
+  NetworkConfig,
+  EncryptedType,
   EncryptedValue,
   EncryptionRequest,
-  DecryptionRequest
+  EncryptedInput,
+  EncryptedInputBuilder,
+  DecryptionRequest,
+  DecryptedValue,
+  DecryptedValueOf,
+  PublicDecryptionResult,
+  DecryptionPermit,
+  PermitStorage,
+  PermitCache,
+  PermitCacheOptions,
+  RetryPolicy,
+  RetryOperation,
+  RetryEvent,
+  CallOptions,
+  EncryptOptions,
+  PublicDecryptOptions,
+  FhevmErrorCode,
+  FhevmErrorDetails,
+  FhevmErrorOptions
 } from './types';
 
 // Errors
 export {
+  FhevmError,
   ClientNotInitializedError,
   EncryptionError,
   DecryptionError,
@@ -47,5 +140,6 @@ export {
   parseEncryptionError,
   parseDecryptionError,
   parseContractError,
+  decodeContractError,
   isUserRejection
 } from './utils';
@@ -0,0 +1,22 @@
+/**
+ * Server entry for FHEVM SDK
+ *
+ * Everything in the main entry plus a process-wide client pool and a
+ * persistent public key cache, without React. Use it from API routes,
+ * Hardhat scripts and other Node code.
+ *
+ * @packageDocumentation
+ */
+
+export * from './index';
+
+export {
+  getServerClient,
+  disposeServerClients,
+  createMemoryKeyCache,
+  createFileKeyCache,
+  fetchPublicKey,
+  DEFAULT_KEY_MAX_AGE
+} from './server/index';
+
+export type { PublicKeyRecord, PublicKeyCache, ServerClientOptions } from './types';
@@ -0,0 +1,11 @@
+/**
+ * Server-side client pool and public key cache
+ */
+
+export { getServerClient, disposeServerClients } from './pool';
+export {
+  createMemoryKeyCache,
+  createFileKeyCache,
+  fetchPublicKey,
+  DEFAULT_KEY_MAX_AGE
+} from './keys';
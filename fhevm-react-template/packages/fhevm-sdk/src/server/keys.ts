@@ -0,0 +1,144 @@
+import { mkdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { id } from 'ethers';
+import type { NetworkConfig, PublicKeyCache, PublicKeyRecord } from '../types';
+import { NetworkError } from '../types';
+import { readPublicKey } from '../core/instance';
+
+/**
+ * Default time a cached key is used without revalidation (24 hours)
+ */
+export const DEFAULT_KEY_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an in-memory public key cache
+ *
+ * Keys live for the lifetime of the process only.
+ *
+ * @returns PublicKeyCache
+ */
+export function createMemoryKeyCache(): PublicKeyCache {
+  const records = new Map<string, PublicKeyRecord>();
+
+  return {
+    get: async (key) => records.get(key) || null,
+    set: async (key, record) => {
+      records.set(key, record);
+    },
+    delete: async (key) => {
+      records.delete(key);
+    }
+  };
+}
+
+/**
+ * Create a public key cache persisted as JSON files
+ *
+ * Each network's key is stored in its own file, written atomically, so
+ * several processes (API routes, Hardhat scripts) can share the directory.
+ *
+ * @param directory - Cache directory (default: `<os tmpdir>/fhevm-keys`)
+ * @returns PublicKeyCache
+ *
+ * @example
+ * ```typescript
+ * import { createFileKeyCache, getServerClient } from '@fhevm/sdk/server';
+ *
+ * const client = await getServerClient('sepolia', {
+ *   contractAddress,
+ *   keyCache: createFileKeyCache('.fhevm/keys')
+ * });
+ * ```
+ */
+export function createFileKeyCache(
+  directory: string = join(tmpdir(), 'fhevm-keys')
+): PublicKeyCache {
+  const fileFor = (key: string) => join(directory, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(fileFor(key), 'utf8')) as PublicKeyRecord;
+      } catch (error: any) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async set(key, record) {
+      const file = fileFor(key);
+      const temporary = `${file}.${process.pid}.tmp`;
+
+      await mkdir(directory, { recursive: true });
+      await writeFile(temporary, JSON.stringify(record), 'utf8');
+      await rename(temporary, file);
+    },
+
+    async delete(key) {
+      await rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Version of a key that came without an ETag
+ */
+export function publicKeyVersion(publicKey: string): string {
+  return id(publicKey);
+}
+
+/**
+ * Fetch a network public key from `networkConfig.publicKeyUrl`
+ *
+ * When a cached record is given, the request is conditional on its version
+ * (`If-None-Match`) and a `304 Not Modified` answer returns the cached key
+ * with a refreshed timestamp.
+ *
+ * @param network - Network name
+ * @param networkConfig - Network configuration with a publicKeyUrl
+ * @param cached - Previously fetched record, if any
+ * @param signal - Aborts the request
+ * @returns Promise<PublicKeyRecord>
+ * @throws {NetworkError} If the endpoint is missing or the request fails
+ */
+export async function fetchPublicKey(
+  network: string,
+  networkConfig: NetworkConfig,
+  cached?: PublicKeyRecord | null,
+  signal?: AbortSignal
+): Promise<PublicKeyRecord> {
+  if (!networkConfig.publicKeyUrl) {
+    throw new NetworkError(`No publicKeyUrl configured for ${network}`, {
+      code: 'INVALID_NETWORK_CONFIG',
+      details: { network }
+    });
+  }
+
+  const response = await fetch(networkConfig.publicKeyUrl, {
+    headers: cached ? { 'If-None-Match': cached.version } : {},
+    signal
+  });
+
+  if (response.status === 304 && cached) {
+    return { ...cached, fetchedAt: Date.now() };
+  }
+
+  if (!response.ok) {
+    throw new NetworkError(`Public key request failed with status ${response.status}`, {
+      details: { network, status: response.status }
+    });
+  }
+
+  const publicKey = await readPublicKey(response);
+
+  return {
+    network,
+    chainId: networkConfig.chainId,
+    publicKey,
+    version: response.headers.get('etag') || publicKeyVersion(publicKey),
+    fetchedAt: Date.now()
+  };
+}
@@ -0,0 +1,194 @@
+import { id, isAddress } from 'ethers';
+import type {
+  FhevmClient,
+  NetworkConfig,
+  PublicKeyCache,
+  PublicKeyRecord,
+  ServerClientOptions
+} from '../types';
+import { FhevmError, NetworkError } from '../types';
+import { createFhevmClient } from '../core/client';
+import { getNetworkConfig } from '../core/networks';
+import { DEFAULT_RETRY_POLICY, resolveRetryPolicy, withRetry } from '../core/retry';
+import {
+  DEFAULT_KEY_MAX_AGE,
+  createFileKeyCache,
+  fetchPublicKey,
+  publicKeyVersion
+} from './keys';
+
+/**
+ * Process-wide clients, keyed by poolKey
+ */
+const pool = new Map<string, Promise<FhevmClient>>();
+
+let defaultKeyCache: PublicKeyCache | null = null;
+
+/**
+ * Key of a network's pooled client and cached public key
+ *
+ * Includes a digest of the RPC and public key endpoints, so a custom
+ * networkConfig pointing at another deployment never shares its client or key.
+ */
+function poolKey(network: string, networkConfig: NetworkConfig, chainId: number): string {
+  const endpoints = id(`${networkConfig.rpcUrl}|${networkConfig.publicKeyUrl || ''}`).slice(2, 10);
+  return `${network}-${chainId}-${endpoints}`;
+}
+
+/**
+ * Load a usable public key from the cache, revalidating it when it is too old
+ *
+ * Returns null when the instance has to download the key itself.
+ */
+async function loadPublicKey(
+  network: string,
+  options: ServerClientOptions,
+  cache: PublicKeyCache,
+  key: string
+): Promise<PublicKeyRecord | null> {
+  const networkConfig = options.networkConfig || getNetworkConfig(network)!;
+  const cached = await cache.get(key);
+  const maxAge = options.keyMaxAge ?? DEFAULT_KEY_MAX_AGE;
+
+  if (cached && Date.now() - cached.fetchedAt < maxAge) {
+    return cached;
+  }
+
+  if (!networkConfig.publicKeyUrl) {
+    return null;
+  }
+
+  const record = await withRetry(
+    resolveRetryPolicy(DEFAULT_RETRY_POLICY, options.retry),
+    'keyFetch',
+    (signal) => fetchPublicKey(network, networkConfig, cached, signal),
+    { signal: options.signal }
+  );
+  await cache.set(key, record);
+  return record;
+}
+
+/**
+ * Create a pooled client, reusing and refreshing the cached public key
+ */
+async function createServerClient(
+  network: string,
+  options: ServerClientOptions,
+  key: string
+): Promise<FhevmClient> {
+  const { keyCache, keyMaxAge, contractAddress, ...config } = options;
+  const cache =
+    keyCache === false ? null : keyCache || (defaultKeyCache ??= createFileKeyCache());
+  const record = cache ? await loadPublicKey(network, options, cache, key) : null;
+
+  const client = await createFhevmClient({
+    ...config,
+    network,
+    contractAddress,
+    publicKey: record?.publicKey
+  });
+
+  // The instance downloaded the key itself; keep it for the next process
+  if (cache && !record) {
+    const publicKey = await client.instance.getPublicKey?.();
+
+    if (typeof publicKey === 'string' && publicKey) {
+      await cache.set(key, {
+        network,
+        chainId: client.chainId,
+        publicKey,
+        version: publicKeyVersion(publicKey),
+        fetchedAt: Date.now()
+      });
+    }
+  }
+
+  return client;
+}
+
+/**
+ * Get the shared client for a network, creating it on first use
+ *
+ * Every caller in the process gets the same warm instance, so API routes and
+ * scripts stop re-downloading public keys on each request. The key itself is
+ * kept in `options.keyCache` across processes and revalidated after
+ * `options.keyMaxAge` (with an ETag check when the network has a
+ * `publicKeyUrl`). Options only apply when the client is first created, so
+ * `options.contractAddress` is only a default: pass `contractAddress` to
+ * encryption calls that target another contract.
+ *
+ * @param network - Network name
+ * @param options - Default contract address, client options, key cache and key max age
+ * @returns Promise<FhevmClient>
+ * @throws {FhevmError} If the contract address is missing or invalid
+ * @throws {NetworkError} If the network is not supported or the client cannot be created
+ *
+ * @example
+ * ```typescript
+ * // app/api/fhe/encrypt/route.ts
+ * import { getServerClient, encryptUint32 } from '@fhevm/sdk/server';
+ *
+ * export async function POST(request: Request) {
+ *   const { value, userAddress } = await request.json();
+ *   const client = await getServerClient('sepolia', {
+ *     contractAddress: process.env.CONTRACT_ADDRESS!
+ *   });
+ *   // Bound to the account that will send the transaction
+ *   return Response.json(await encryptUint32(client, value, { userAddress }));
+ * }
+ * ```
+ */
+export async function getServerClient(
+  network: string,
+  options: ServerClientOptions
+): Promise<FhevmClient> {
+  if (!isAddress(options?.contractAddress)) {
+    throw new FhevmError(`Invalid contract address: ${options?.contractAddress}`, 'INVALID_ADDRESS', {
+      details: { network, value: options?.contractAddress }
+    });
+  }
+
+  const networkConfig = options.networkConfig || getNetworkConfig(network);
+
+  if (!networkConfig) {
+    throw new NetworkError(`Unsupported network: ${network}`, {
+      code: 'UNSUPPORTED_NETWORK',
+      details: { network }
+    });
+  }
+
+  const key = poolKey(network, networkConfig, options.chainId || networkConfig.chainId);
+  let entry = pool.get(key);
+
+  if (!entry) {
+    entry = createServerClient(network, options, key);
+    pool.set(key, entry);
+
+    // Let the next caller retry after a failed creation
+    entry.catch(() => {
+      if (pool.get(key) === entry) {
+        pool.delete(key);
+      }
+    });
+  }
+
+  return entry;
+}
+
+/**
+ * Dispose every pooled client
+ *
+ * Call at the end of a script so the process can exit, or in tests to start
+ * from a cold pool. Cached public keys are kept.
+ */
+export async function disposeServerClients(): Promise<void> {
+  const entries = Array.from(pool.values());
+  pool.clear();
+
+  const clients = await Promise.allSettled(entries);
+  clients.forEach((result) => {
+    if (result.status === 'fulfilled') {
+      result.value.dispose();
+    }
+  });
+}
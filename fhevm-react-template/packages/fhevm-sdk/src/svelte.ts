@@ -0,0 +1,142 @@
+/**
+ * Svelte stores for FHEVM SDK
+ *
+ * The core stores already follow the Svelte store contract, so they work
+ * with `$store` syntax as is; these factories only give them Svelte-style
+ * names.
+ *
+ * @packageDocumentation
+ */
+
+import {
+  createClientStore,
+  createDecryptStore,
+  createEncryptStore,
+  createEncryptedInputStore,
+  createPublicDecryptStore
+} from './core/store';
+import type { ClientSource } from './core/store';
+import { createTransactionStore } from './core/transaction';
+import { createDecryptionRequestStore } from './core/decryptionRequest';
+import type { BigNumberish } from 'ethers';
+import type {
+  DecryptedValue,
+  DecryptionRequestOptions,
+  FhevmClientConfig,
+  FhevmTransactionOptions
+} from './types';
+
+/**
+ * Create a readable store holding an FHEVM client and its status
+ *
+ * Call `dispose()` from `onDestroy` when the client is owned by a component.
+ *
+ * @param config - Client configuration
+ * @returns FhevmClientStore
+ *
+ * @example
+ * ```svelte
+ * <script lang="ts">
+ *   import { onDestroy } from 'svelte';
+ *   import { fhevmClient, encryptStore } from '@fhevm/sdk/svelte';
+ *
+ *   // Account that will send the encrypted input
+ *   export let userAddress: string;
+ *
+ *   const client = fhevmClient({ network: 'sepolia', contractAddress: '0x...' });
+ *   const encryption = encryptStore(client);
+ *   onDestroy(client.dispose);
+ * </script>
+ *
+ * {#if $client.error}
+ *   <p>{$client.error.message}</p>
+ * {:else if $client.isReady}
+ *   <button
+ *     disabled={$encryption.isPending}
+ *     on:click={() => encryption.run(42, 'uint32', { userAddress })}
+ *   >
+ *     Encrypt
+ *   </button>
+ * {/if}
+ * ```
+ */
+export function fhevmClient(config: FhevmClientConfig) {
+  return createClientStore(config);
+}
+
+/**
+ * Create a store for encrypting values
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @returns Job store whose `run(value, type = 'uint32', options)` encrypts a value,
+ * with options as in encryptValue
+ */
+export function encryptStore(client: ClientSource) {
+  return createEncryptStore(client);
+}
+
+/**
+ * Create a store for building multi-value encrypted inputs
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @returns Job store whose `run(contractAddress, userAddress, build)` encrypts an input
+ */
+export function encryptedInputStore(client: ClientSource) {
+  return createEncryptedInputStore(client);
+}
+
+/**
+ * Create a store for user decryption
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @returns Job store whose `run(handle, contractAddress, userAddress, signer)` decrypts a handle
+ */
+export function decryptStore<T extends DecryptedValue = DecryptedValue>(client: ClientSource) {
+  return createDecryptStore<T>(client);
+}
+
+/**
+ * Create a store for public decryption
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @returns Job store whose `run(handles, options)` publicly decrypts handles, with the last result in state
+ */
+export function publicDecryptStore(client: ClientSource) {
+  return createPublicDecryptStore(client);
+}
+
+/**
+ * Create a store running contract transactions: encrypt → sign → wait → decode events
+ *
+ * @param client - Client, client store, or getter returning the current client
+ * @param options - Contract whose events are decoded, and signer for cancel/speed-up
+ * @returns FhevmTransactionStore
+ */
+export function transactionStore(client: ClientSource, options?: FhevmTransactionOptions) {
+  return createTransactionStore(client, options);
+}
+
+/**
+ * Create a store following a Gateway decryption request until its callback arrives
+ *
+ * Call `dispose()` from `onDestroy` to stop watching the callback event.
+ *
+ * @param requestId - Request ID emitted with the request
+ * @param options - Contract (connected to a signer to claim), storage and start block
+ * @returns DecryptionRequestStore
+ */
+export function decryptionRequestStore(requestId: BigNumberish, options: DecryptionRequestOptions) {
+  return createDecryptionRequestStore(requestId, options);
+}
+
+export type {
+  FhevmStore,
+  FhevmClientState,
+  FhevmClientStore,
+  FhevmJobState,
+  FhevmJobStore,
+  FhevmTransactionState,
+  FhevmTransactionStore,
+  DecryptionRequestState,
+  DecryptionRequestStore
+} from './types';
@@ -1,4 +1,29 @@
-import type { Provider, Signer } from 'ethers';
+import type {
+  Contract,
+  Eip1193Provider,
+  Interface,
+  Provider,
+  Result,
+  Signer,
+  TransactionReceipt,
+  TransactionResponse
+} from 'ethers';
+
+/**
+ * Network configuration used to create the fhevmjs instance
+ */
+export interface NetworkConfig {
+  chainId: number;
+  rpcUrl: string;
+  gatewayUrl: string;
+  aclAddress?: string;
+  /** Validated and kept for contract tooling; fhevmjs does not read it */
+  kmsVerifierAddress?: string;
+  /** Endpoint serving the hex-encoded public key, fetched instead of reading it from the chain */
+  publicKeyUrl?: string;
+  /** Gateway contract whose fulfilled decryption requests publicDecrypt reads */
+  gatewayContractAddress?: string;
+}
 
 /**
  * FHEVM Client configuration
@@ -8,8 +33,120 @@ export interface FhevmClientConfig {
   contractAddress: string;
   provider?: Provider;
   chainId?: number;
+  networkConfig?: NetworkConfig;
+  permitCache?: PermitCacheOptions;
+  eip1193Provider?: FhevmEip1193Provider;
+  retry?: Partial<RetryPolicy>;
+  signal?: AbortSignal;
+  worker?: FhevmWorkerTarget | (() => FhevmWorkerTarget);
+  publicKey?: string;
 }
 
+/**
+ * Gateway and relayer calls covered by the retry policy
+ */
+export type RetryOperation = 'keyFetch' | 'encrypt' | 'decrypt' | 'publicDecrypt';
+
+/**
+ * Retry attempt reported to RetryPolicy.onRetry
+ */
+export interface RetryEvent {
+  operation: RetryOperation;
+  attempt: number;
+  maxAttempts: number;
+  delay: number;
+  error: any;
+}
+
+/**
+ * Retry, timeout and backoff policy for gateway and relayer calls
+ */
+export interface RetryPolicy {
+  maxAttempts: number;
+  initialDelay: number;
+  maxDelay: number;
+  backoffFactor: number;
+  jitter: number;
+  timeout: number;
+  shouldRetry?: (error: any) => boolean;
+  onRetry?: (event: RetryEvent) => void;
+}
+
+/**
+ * Per-call options for gateway and relayer calls
+ */
+export interface CallOptions {
+  signal?: AbortSignal;
+  retry?: Partial<RetryPolicy>;
+}
+
+/**
+ * Per-call options for public decryption
+ */
+export interface PublicDecryptOptions extends CallOptions {
+  /** First block searched for the Gateway's decryption requests (default: 0) */
+  fromBlock?: number;
+}
+
+/**
+ * Per-call options for single-value encryption
+ */
+export interface EncryptOptions extends CallOptions {
+  /** Contract the input is bound to (default: the client's contract) */
+  contractAddress?: string;
+  /** Address that will send the input (default: the client's connected account) */
+  userAddress?: string;
+}
+
+/**
+ * EIP-1193 provider (e.g. window.ethereum) whose chainChanged and
+ * accountsChanged events the client follows
+ */
+export interface FhevmEip1193Provider extends Eip1193Provider {
+  on(event: string, listener: (...args: any[]) => void): unknown;
+  removeListener(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+/**
+ * Message endpoint the FHE instance can run behind
+ *
+ * Matches a browser Worker (or the worker's own global scope) as well as a
+ * Node worker_threads Worker (or its parentPort).
+ */
+export interface FhevmWorkerTarget {
+  postMessage(message: any): void;
+  // DOM endpoints type the listener for any event, so it takes `any`
+  addEventListener?(type: 'message', listener: (event: any) => void): void;
+  removeEventListener?(type: 'message', listener: (event: any) => void): void;
+  on?(event: 'message', listener: (data: any) => void): unknown;
+  off?(event: 'message', listener: (data: any) => void): unknown;
+  terminate?(): unknown;
+}
+
+/**
+ * Work that a worker-backed instance performs off the main thread
+ */
+export type FhevmWorkerOperation = RetryOperation | 'permit';
+
+/**
+ * Progress of a call handled by a worker-backed instance
+ */
+export interface FhevmProgressEvent {
+  /** Request identifier, shared by all events of one call */
+  id: number;
+  operation: FhevmWorkerOperation;
+  /** Instance method, e.g. 'createEncryptedInput' or 'reencrypt' */
+  method: string;
+  stage: 'queued' | 'running' | 'done' | 'failed';
+  /** Milliseconds since the call was queued */
+  elapsed: number;
+}
+
+/**
+ * FHEVM Client lifecycle status
+ */
+export type FhevmClientStatus = 'idle' | 'loading' | 'ready' | 'error' | 'stale';
+
 /**
  * FHEVM Client instance
  */
@@ -18,25 +155,75 @@ export interface FhevmClient {
   contractAddress: string;
   provider: Provider;
   chainId: number;
+  networkConfig: NetworkConfig;
+  permits: PermitCache;
+  retryPolicy: RetryPolicy;
+  status: FhevmClientStatus;
   isReady: boolean;
+  error: Error | null;
+  account: string | null;
   instance?: any;
+  subscribe(listener: (client: FhevmClient) => void): () => void;
+  onProgress(listener: (event: FhevmProgressEvent) => void): () => void;
+  refresh(): Promise<void>;
+  dispose(): void;
 }
 
+/**
+ * Plaintext types that can be encrypted into FHE ciphertexts
+ * (ebool, euint8, euint16, euint32, euint64, euint128, euint256, eaddress)
+ */
+export type EncryptedType =
+  | 'bool'
+  | 'uint8'
+  | 'uint16'
+  | 'uint32'
+  | 'uint64'
+  | 'uint128'
+  | 'uint256'
+  | 'address';
+
 /**
  * Encrypted value with input proof
  */
 export interface EncryptedValue {
   handles: string[];
   inputProof: string;
-  type: 'uint32' | 'uint64';
+  type: EncryptedType;
 }
 
 /**
  * Encryption request for batch operations
  */
 export interface EncryptionRequest {
-  type: 'uint32' | 'uint64';
-  value: number | bigint;
+  type: EncryptedType;
+  value: number | bigint | boolean | string;
+}
+
+/**
+ * Several encrypted values sharing a single input proof
+ */
+export interface EncryptedInput {
+  handles: string[];
+  inputProof: string;
+  types: EncryptedType[];
+  contractAddress: string;
+  userAddress: string;
+}
+
+/**
+ * Builder that packs several values into one encrypted input
+ */
+export interface EncryptedInputBuilder {
+  addBool(value: boolean): EncryptedInputBuilder;
+  add8(value: number | bigint): EncryptedInputBuilder;
+  add16(value: number | bigint): EncryptedInputBuilder;
+  add32(value: number | bigint): EncryptedInputBuilder;
+  add64(value: number | bigint): EncryptedInputBuilder;
+  add128(value: number | bigint): EncryptedInputBuilder;
+  add256(value: number | bigint): EncryptedInputBuilder;
+  addAddress(value: string): EncryptedInputBuilder;
+  encrypt(options?: CallOptions): Promise<EncryptedInput>;
 }
 
 /**
@@ -49,40 +236,550 @@ export interface DecryptionRequest {
   signer: Signer;
 }
 
+/**
+ * Cleartext of a decrypted handle, typed after the handle's FHE type:
+ * boolean for ebool, number for euint8/16/32, bigint for euint64/128/256
+ * and a checksummed address string for eaddress
+ */
+export type DecryptedValue = boolean | number | bigint | string;
+
+/**
+ * Cleartext type for a given encrypted type
+ */
+export type DecryptedValueOf<T extends EncryptedType> = T extends 'bool'
+  ? boolean
+  : T extends 'uint8' | 'uint16' | 'uint32'
+    ? number
+    : T extends 'address'
+      ? string
+      : bigint;
+
+/**
+ * Result of a public decryption
+ */
+export interface PublicDecryptionResult {
+  handles: string[];
+  values: DecryptedValue[];
+  abiEncodedValues: string;
+  decryptionProof: string;
+}
+
+/**
+ * Keypair and EIP-712 signature authorizing user decryption
+ * of a contract's handles
+ *
+ * The signature itself never expires; the cache stops using the permit
+ * at `expiresAt`, `durationDays` after it was signed.
+ */
+export interface DecryptionPermit {
+  publicKey: string;
+  privateKey: string;
+  signature: string;
+  userAddress: string;
+  contractAddress: string;
+  chainId: number;
+  startTimestamp: number;
+  durationDays: number;
+  expiresAt: number;
+}
+
+/**
+ * Storage backend for decryption permits
+ */
+export interface PermitStorage {
+  get(key: string): Promise<DecryptionPermit | null>;
+  set(key: string, permit: DecryptionPermit): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/**
+ * Decryption permit cache configuration
+ */
+export interface PermitCacheOptions {
+  storage?: PermitStorage;
+  durationDays?: number;
+}
+
+/**
+ * Cache of decryption permits keyed by (user, contract, chainId)
+ */
+export interface PermitCache {
+  get(
+    client: FhevmClient,
+    signer: Signer,
+    userAddress: string,
+    contractAddress: string
+  ): Promise<DecryptionPermit>;
+  revoke(userAddress: string, contractAddress: string, chainId: number): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/**
+ * Observable state container shared by the React, Vue and Svelte adapters
+ *
+ * Compatible with the Svelte store contract.
+ */
+export interface FhevmStore<T> {
+  get(): T;
+  subscribe(listener: (state: T) => void): () => void;
+}
+
+/**
+ * State of a client store
+ */
+export interface FhevmClientState {
+  client: FhevmClient | null;
+  status: FhevmClientStatus;
+  isReady: boolean;
+  error: Error | null;
+}
+
+/**
+ * Store that creates a client and follows its status
+ */
+export interface FhevmClientStore extends FhevmStore<FhevmClientState> {
+  reload(): void;
+  dispose(): void;
+}
+
+/**
+ * State of an encrypt or decrypt job store
+ */
+export interface FhevmJobState<R> {
+  isPending: boolean;
+  error: Error | null;
+  /** Latest worker progress event of the pending call */
+  progress: FhevmProgressEvent | null;
+  /** Result of the last successful call */
+  result: R | null;
+}
+
+/**
+ * Store tracking calls of one SDK operation
+ */
+export interface FhevmJobStore<A extends unknown[], R> extends FhevmStore<FhevmJobState<R>> {
+  run(...args: A): Promise<R | null>;
+  reset(): void;
+}
+
+/**
+ * Value shared by FhevmProvider and read with useFhevm
+ */
+export interface FhevmContextValue extends FhevmClientState {
+  config: FhevmClientConfig;
+  /** Signer passed to the provider, or resolved from `eip1193Provider` once an account is connected */
+  signer: Signer | null;
+  account: string | null;
+  permits: PermitCache | null;
+  reload(): void;
+}
+
+/**
+ * Parameter of a JSON ABI entry, as emitted by solc and Hardhat
+ */
+export interface AbiParameter {
+  name?: string;
+  type: string;
+  /** Solidity type, e.g. `externalEuint32` for an encrypted input handle */
+  internalType?: string;
+  components?: readonly AbiParameter[];
+}
+
+/**
+ * Entry of a JSON ABI
+ */
+export interface AbiEntry {
+  type: string;
+  name?: string;
+  inputs?: readonly AbiParameter[];
+  outputs?: readonly AbiParameter[];
+  stateMutability?: string;
+}
+
+/**
+ * JSON ABI, or a Hardhat artifact holding one
+ */
+export type ContractAbiSource = readonly AbiEntry[] | { contractName?: string; abi: readonly AbiEntry[] };
+
+/**
+ * Encrypted parameters of a function and the proof parameter they share
+ */
+export interface EncryptedInputLayout {
+  encrypted: { index: number; name: string; type: EncryptedType }[];
+  proofIndex: number;
+}
+
+/**
+ * Contract whose functions encrypt `externalE*` arguments before sending
+ *
+ * Each ABI function is a method (overloads are keyed by signature); encrypted
+ * parameters take plaintext values and the input proof parameter is dropped.
+ */
+export interface FhevmContract {
+  /** Underlying ethers contract, for events and raw calls */
+  readonly contract: Contract;
+  readonly [method: string]: any;
+}
+
+/**
+ * Stage of a transaction sent through a transaction store
+ *
+ * `replaced` means another transaction took the nonce (a cancellation or a
+ * different transaction); a speed-up of the same call ends `confirmed`.
+ */
+export type FhevmTransactionStatus =
+  | 'idle'
+  | 'encrypting'
+  | 'signing'
+  | 'pending'
+  | 'confirmed'
+  | 'failed'
+  | 'replaced';
+
+/**
+ * Event decoded from a transaction receipt
+ */
+export interface FhevmTransactionEvent {
+  name: string;
+  args: Result;
+  address: string;
+  logIndex: number;
+}
+
+/**
+ * Transaction that replaced the tracked one
+ */
+export interface FhevmTransactionReplacement {
+  hash: string;
+  reason: 'repriced' | 'cancelled' | 'replaced';
+}
+
+/**
+ * State of a transaction store
+ */
+export interface FhevmTransactionState {
+  status: FhevmTransactionStatus;
+  hash: string | null;
+  receipt: TransactionReceipt | null;
+  events: FhevmTransactionEvent[];
+  replacement: FhevmTransactionReplacement | null;
+  error: Error | null;
+}
+
+/**
+ * Result of a confirmed transaction
+ */
+export interface FhevmTransactionResult {
+  hash: string;
+  receipt: TransactionReceipt;
+  events: FhevmTransactionEvent[];
+}
+
+/**
+ * One run of the encrypt → sign → wait pipeline
+ */
+export interface FhevmTransactionRequest<E = undefined> {
+  /** Encrypt the inputs; the signal aborts when the transaction is cancelled */
+  encrypt?: (client: FhevmClient, signal: AbortSignal) => Promise<E>;
+  /** Send the transaction, e.g. `(encrypted) => contract.submit(encrypted.handles[0], encrypted.inputProof)` */
+  submit: (encrypted: E) => Promise<TransactionResponse>;
+  /** Confirmations to wait for (default: 1) */
+  confirmations?: number;
+}
+
+/**
+ * Options of a transaction store
+ */
+export interface FhevmTransactionOptions {
+  /** Contract (or its interface) whose events are decoded from the receipt */
+  contract?: { interface: Interface } | FhevmContract | Interface | null;
+  /** Signer used to send cancellations and speed-ups */
+  signer?: Signer | null;
+}
+
+/**
+ * Store running transactions through the encrypt → sign → wait pipeline
+ */
+export interface FhevmTransactionStore extends FhevmStore<FhevmTransactionState> {
+  /** Run the pipeline; resolves to null when the transaction fails, is cancelled or replaced */
+  send<E = undefined>(request: FhevmTransactionRequest<E>): Promise<FhevmTransactionResult | null>;
+  /** Abort encryption, or replace the pending transaction with a zero-value transfer to self */
+  cancel(): Promise<void>;
+  /** Resend the pending transaction with higher fees */
+  speedUp(factor?: number): Promise<void>;
+  reset(): void;
+}
+
+/**
+ * Stage of a tracked Gateway decryption request
+ *
+ * `idle` means no request is tracked. `expired` means the callback did not
+ * arrive within the contract's timeout, so the requester can claim a refund;
+ * `claimed` means the refund was taken.
+ */
+export type DecryptionRequestStatus =
+  | 'idle'
+  | 'loading'
+  | 'pending'
+  | 'expired'
+  | 'fulfilled'
+  | 'claimed';
+
+/**
+ * Decryption request kept in storage until its callback arrives or it is refunded
+ */
+export interface PendingDecryptionRequest {
+  requestId: string;
+  contractAddress: string;
+  chainId: number;
+  requester: string;
+  workId: string;
+  /** Block timestamp of the request (s since epoch) */
+  requestedAt: number;
+  /** Block the callback event is searched from */
+  fromBlock: number;
+}
+
+/**
+ * On-chain state of a decryption request
+ */
+export interface DecryptionRequestRecord {
+  requester: string;
+  workId: string;
+  /** Block timestamp of the request (s since epoch) */
+  requestedAt: number;
+  fulfilled: boolean;
+  refunded: boolean;
+}
+
+/**
+ * How a contract exposes a Gateway decryption request and its refund
+ */
+export interface DecryptionRequestFlow {
+  /** Event emitted by the Gateway callback; it must have a `requestId` argument */
+  resultEvent: string;
+  /** Function refunding the requester after the timeout; it takes the request ID */
+  claimFunction: string;
+  /** Seconds after the request before the refund can be claimed (default: read from `VERIFICATION_TIMEOUT()`) */
+  timeout?: number;
+  /** Read the request from the contract */
+  read(contract: Contract, requestId: bigint): Promise<DecryptionRequestRecord>;
+}
+
+/**
+ * Storage backend for pending decryption requests
+ */
+export interface DecryptionRequestStorage {
+  get(key: string): Promise<PendingDecryptionRequest | null>;
+  set(key: string, request: PendingDecryptionRequest): Promise<void>;
+  delete(key: string): Promise<void>;
+  list(): Promise<PendingDecryptionRequest[]>;
+}
+
+/**
+ * Options of a decryption request store
+ */
+export interface DecryptionRequestOptions {
+  /** Contract the request was sent to, connected to a signer to claim refunds */
+  contract: Contract;
+  /** Block the request was mined in (default: the stored one, else the current block) */
+  fromBlock?: number;
+  /** Where pending requests are kept across reloads (default: in memory) */
+  storage?: DecryptionRequestStorage;
+  /** Overrides of the flow detected from the contract ABI */
+  flow?: Partial<DecryptionRequestFlow>;
+}
+
+/**
+ * State of a decryption request store
+ */
+export interface DecryptionRequestState {
+  status: DecryptionRequestStatus;
+  request: PendingDecryptionRequest | null;
+  /** Callback event, once the result arrived */
+  result: FhevmTransactionEvent | null;
+  /** First time the refund can be claimed (s since epoch) */
+  expiresAt: number | null;
+  canClaim: boolean;
+  /** Refund claim transaction */
+  refund: FhevmTransactionState;
+  error: Error | null;
+}
+
+/**
+ * Store following a Gateway decryption request until its callback or refund
+ */
+export interface DecryptionRequestStore extends FhevmStore<DecryptionRequestState> {
+  /** Re-read the request from the contract */
+  refresh(): Promise<void>;
+  /** Claim the refund of an expired request; resolves to null when the transaction fails */
+  claim(): Promise<FhevmTransactionResult | null>;
+  /** Stop watching the callback event and the timeout */
+  dispose(): void;
+}
+
+/**
+ * Network public key stored by a PublicKeyCache
+ */
+export interface PublicKeyRecord {
+  network: string;
+  chainId: number;
+  publicKey: string;
+  /** ETag returned by the key endpoint, or a hash of the key */
+  version: string;
+  /** When the key was last fetched or revalidated (ms since epoch) */
+  fetchedAt: number;
+}
+
+/**
+ * Storage backend for network public keys
+ */
+export interface PublicKeyCache {
+  get(key: string): Promise<PublicKeyRecord | null>;
+  set(key: string, record: PublicKeyRecord): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/**
+ * Options for a pooled server-side client
+ */
+export interface ServerClientOptions
+  extends Omit<FhevmClientConfig, 'network' | 'eip1193Provider' | 'publicKey'> {
+  /** Public key cache (default: file cache in the OS temp directory); false disables it */
+  keyCache?: PublicKeyCache | false;
+  /** How long a cached key is used without revalidation, in ms (default: 24 hours) */
+  keyMaxAge?: number;
+}
+
+/**
+ * Stable, machine-readable error codes carried by every SDK error
+ */
+export type FhevmErrorCode =
+  // Client and network
+  | 'CLIENT_NOT_READY'
+  | 'NETWORK_ERROR'
+  | 'UNSUPPORTED_NETWORK'
+  | 'INVALID_NETWORK_CONFIG'
+  | 'TIMEOUT'
+  | 'ABORTED'
+  // Encryption and decryption
+  | 'ENCRYPTION_ERROR'
+  | 'DECRYPTION_ERROR'
+  | 'VALUE_OUT_OF_RANGE'
+  | 'INVALID_VALUE'
+  | 'UNSUPPORTED_TYPE'
+  | 'INVALID_ADDRESS'
+  | 'INVALID_HANDLE'
+  | 'INVALID_PERMIT'
+  | 'PERMIT_EXPIRED'
+  | 'UNAUTHORIZED'
+  | 'UNSUPPORTED_DECRYPTION_FLOW'
+  | 'STORAGE_UNAVAILABLE'
+  // Wallet and transaction
+  | 'USER_REJECTED'
+  | 'INSUFFICIENT_FUNDS'
+  | 'NONCE_EXPIRED'
+  | 'TRANSACTION_REPLACED'
+  // Contract
+  | 'CONTRACT_ERROR'
+  | 'CONTRACT_REVERT'
+  | 'CONTRACT_PAUSED'
+  | 'NOT_AUTHORIZED'
+  | 'NOT_REGISTERED'
+  | 'ALREADY_REGISTERED'
+  | 'NOT_FOUND'
+  | 'INVALID_INPUT'
+  | 'INSUFFICIENT_FEE'
+  | 'ALREADY_PROCESSED'
+  | 'TOO_EARLY'
+  | 'LIMIT_REACHED'
+  | 'NOTHING_TO_WITHDRAW'
+  | 'TRANSFER_FAILED'
+  | 'REENTRANCY'
+  | 'INVALID_STATE';
+
+/**
+ * Machine-readable context attached to an SDK error
+ */
+export interface FhevmErrorDetails {
+  /** Offending input value (only set for validation errors) */
+  value?: unknown;
+  /** Encrypted type involved */
+  type?: EncryptedType;
+  /** Network name or chain ID */
+  network?: string | number;
+  /** Ciphertext handle involved */
+  handle?: string;
+  /** SDK operation that failed */
+  operation?: string;
+  /** Revert reason or custom error name reported by a contract */
+  reason?: string;
+  /** Arguments of a contract custom error */
+  args?: unknown[];
+  [key: string]: unknown;
+}
+
+/**
+ * Options accepted by every SDK error constructor
+ */
+export interface FhevmErrorOptions {
+  code?: FhevmErrorCode;
+  cause?: unknown;
+  details?: FhevmErrorDetails;
+}
+
 /**
  * Error types
  */
-export class ClientNotInitializedError extends Error {
-  constructor() {
-    super('FHEVM client is not initialized');
+export class FhevmError extends Error {
+  /** Stable error code */
+  readonly code: FhevmErrorCode;
+  /** Underlying error, if this error wraps another one */
+  readonly cause?: unknown;
+  /** Machine-readable context */
+  readonly details: FhevmErrorDetails;
+
+  constructor(message: string, code: FhevmErrorCode, options: FhevmErrorOptions = {}) {
+    super(message);
+    this.name = 'FhevmError';
+    this.code = options.code || code;
+    this.cause = options.cause;
+    this.details = options.details || {};
+  }
+}
+
+export class ClientNotInitializedError extends FhevmError {
+  constructor(options?: FhevmErrorOptions) {
+    super('FHEVM client is not initialized', 'CLIENT_NOT_READY', options);
     this.name = 'ClientNotInitializedError';
   }
 }
 
-export class EncryptionError extends Error {
-  constructor(message: string) {
-    super(`Encryption failed: ${message}`);
+export class EncryptionError extends FhevmError {
+  constructor(message: string, options?: FhevmErrorOptions) {
+    super(`Encryption failed: ${message}`, 'ENCRYPTION_ERROR', options);
     this.name = 'EncryptionError';
   }
 }
 
-export class DecryptionError extends Error {
-  constructor(message: string) {
-    super(`Decryption failed: ${message}`);
+export class DecryptionError extends FhevmError {
+  constructor(message: string, options?: FhevmErrorOptions) {
+    super(`Decryption failed: ${message}`, 'DECRYPTION_ERROR', options);
     this.name = 'DecryptionError';
   }
 }
 
-export class NetworkError extends Error {
-  constructor(message: string) {
-    super(`Network error: ${message}`);
+export class NetworkError extends FhevmError {
+  constructor(message: string, options?: FhevmErrorOptions) {
+    super(`Network error: ${message}`, 'NETWORK_ERROR', options);
     this.name = 'NetworkError';
   }
 }
 
-export class ContractError extends Error {
-  constructor(message: string) {
-    super(`Contract error: ${message}`);
+export class ContractError extends FhevmError {
+  constructor(message: string, options?: FhevmErrorOptions) {
+    super(`Contract error: ${message}`, 'CONTRACT_ERROR', options);
     this.name = 'ContractError';
   }
 }
@@ -2,25 +2,36 @@
  * Error handling utilities
  */
 
-import {
-  EncryptionError,
-  DecryptionError,
-  NetworkError,
-  ContractError
-} from '../types';
+import type { Interface } from 'ethers';
+import type { FhevmErrorCode, FhevmErrorDetails } from '../types';
+import { FhevmError, ContractError } from '../types';
 
 /**
  * Error details
  */
 export interface ParsedError {
   message: string;
-  code: string;
+  code: FhevmErrorCode | 'UNKNOWN_ERROR';
   details?: any;
 }
 
+/**
+ * Convert an SDK error into a ParsedError
+ */
+function fromFhevmError(error: FhevmError): ParsedError {
+  return {
+    message: error.message,
+    code: error.code,
+    details: error.details
+  };
+}
+
 /**
  * Parse encryption-related errors
  *
+ * SDK errors are reported with their own code (for example
+ * `VALUE_OUT_OF_RANGE`, `CLIENT_NOT_READY` or `TIMEOUT`) and details.
+ *
  * @param error - Error object
  * @returns Parsed error with user-friendly message
  *
@@ -37,30 +48,12 @@ export interface ParsedError {
  * ```
  */
 export function parseEncryptionError(error: any): ParsedError {
-  if (error instanceof EncryptionError) {
-    return {
-      message: error.message,
-      code: 'ENCRYPTION_ERROR',
-      details: error
-    };
-  }
-
-  if (error.code === 'VALUE_OUT_OF_RANGE') {
-    return {
-      message: 'Value is out of valid range',
-      code: 'VALUE_OUT_OF_RANGE'
-    };
-  }
-
-  if (error.code === 'CLIENT_NOT_READY') {
-    return {
-      message: 'FHEVM client is not initialized',
-      code: 'CLIENT_NOT_READY'
-    };
+  if (error instanceof FhevmError) {
+    return fromFhevmError(error);
   }
 
   return {
-    message: error.message || 'Encryption failed',
+    message: error?.message || 'Encryption failed',
     code: 'UNKNOWN_ERROR',
     details: error
   };
@@ -73,70 +66,226 @@ export function parseEncryptionError(error: any): ParsedError {
  * @returns Parsed error
  */
 export function parseDecryptionError(error: any): ParsedError {
-  if (error instanceof DecryptionError) {
-    return {
-      message: error.message,
-      code: 'DECRYPTION_ERROR',
-      details: error
-    };
+  if (error instanceof FhevmError) {
+    return fromFhevmError(error);
   }
 
-  if (error.code === 'UNAUTHORIZED') {
+  if (isUserRejection(error)) {
     return {
-      message: 'User is not authorized to decrypt this value',
-      code: 'UNAUTHORIZED'
+      message: 'User rejected the decryption signature',
+      code: 'USER_REJECTED'
     };
   }
 
   return {
-    message: error.message || 'Decryption failed',
+    message: error?.message || 'Decryption failed',
     code: 'UNKNOWN_ERROR',
     details: error
   };
 }
 
 /**
- * Parse contract errors
+ * Error codes for the `require` reasons of the AnonymousCopyright contracts
  *
- * @param error - Error object
- * @returns Parsed error
+ * V2 prefixes its reasons with `AC: `; the prefix is stripped before lookup.
  */
-export function parseContractError(error: any): ParsedError {
+const REVERT_REASON_CODES: Record<string, FhevmErrorCode> = {
+  'Contract paused': 'CONTRACT_PAUSED',
+  'Not authorized': 'NOT_AUTHORIZED',
+  'Not requester': 'NOT_AUTHORIZED',
+  'Not challenger': 'NOT_AUTHORIZED',
+  'Cannot dispute own work': 'NOT_AUTHORIZED',
+  'Testing disabled': 'NOT_AUTHORIZED',
+  'Author not registered': 'NOT_REGISTERED',
+  'Already registered': 'ALREADY_REGISTERED',
+  'Invalid work ID': 'NOT_FOUND',
+  'Work not found': 'NOT_FOUND',
+  'Invalid dispute ID': 'NOT_FOUND',
+  'Invalid request': 'NOT_FOUND',
+  'Title required': 'INVALID_INPUT',
+  'Title too long': 'INVALID_INPUT',
+  'Category required': 'INVALID_INPUT',
+  'Category too long': 'INVALID_INPUT',
+  'Invalid content hash': 'INVALID_INPUT',
+  'Invalid author ID': 'INVALID_INPUT',
+  'Invalid address': 'INVALID_INPUT',
+  'Fee too high': 'INVALID_INPUT',
+  'Insufficient fee': 'INSUFFICIENT_FEE',
+  'Fee too low': 'INSUFFICIENT_FEE',
+  'Insufficient dispute deposit': 'INSUFFICIENT_FEE',
+  'Verification deposit required': 'INSUFFICIENT_FEE',
+  'Incorrect verification fee': 'INSUFFICIENT_FEE',
+  'No fee paid': 'INSUFFICIENT_FEE',
+  'Already processed': 'ALREADY_PROCESSED',
+  'Already completed': 'ALREADY_PROCESSED',
+  'Already refunded': 'ALREADY_PROCESSED',
+  'Already resolved': 'ALREADY_PROCESSED',
+  'Dispute already resolved': 'ALREADY_PROCESSED',
+  'Timeout not reached': 'TOO_EARLY',
+  'Cannot refund yet': 'TOO_EARLY',
+  'Max disputes reached': 'LIMIT_REACHED',
+  'Work counter overflow': 'LIMIT_REACHED',
+  'No refund available': 'NOTHING_TO_WITHDRAW',
+  'No fees to withdraw': 'NOTHING_TO_WITHDRAW',
+  'Refund failed': 'TRANSFER_FAILED',
+  'Refund transfer failed': 'TRANSFER_FAILED',
+  'Withdraw failed': 'TRANSFER_FAILED',
+  'Withdrawal failed': 'TRANSFER_FAILED',
+  'Reentrant call': 'REENTRANCY',
+  'Reentrancy detected': 'REENTRANCY',
+  'Resolution not requested': 'INVALID_STATE',
+  'Invalid callback': 'INVALID_STATE'
+};
+
+/**
+ * Error codes for custom errors raised by contracts the copyright contracts build on
+ */
+const CUSTOM_ERROR_CODES: Record<string, FhevmErrorCode> = {
+  EnforcedPause: 'CONTRACT_PAUSED',
+  OwnableUnauthorizedAccount: 'NOT_AUTHORIZED',
+  AccessControlUnauthorizedAccount: 'NOT_AUTHORIZED',
+  ReentrancyGuardReentrantCall: 'REENTRANCY'
+};
+
+const REVERT_MESSAGE_PATTERNS = [
+  /reverted with reason string '([^']*)'/,
+  /execution reverted: "?([^"]*)"?/,
+  /reverted with custom error '(\w+)\(/
+];
+
+/**
+ * Find the revert reason or custom error of a failed call
+ */
+function extractRevert(
+  error: any,
+  contractInterface?: Interface
+): { reason?: string; args?: unknown[] } {
+  if (error?.revert?.name && error.revert.name !== 'Error') {
+    return { reason: error.revert.name, args: Array.from(error.revert.args || []) };
+  }
+
+  if (typeof error?.reason === 'string' && error.reason) {
+    return { reason: error.reason };
+  }
+
+  if (contractInterface && typeof error?.data === 'string') {
+    const parsed = contractInterface.parseError(error.data);
+    if (parsed) {
+      return { reason: parsed.name, args: Array.from(parsed.args) };
+    }
+  }
+
+  const messages = [
+    error?.shortMessage,
+    error?.message,
+    error?.info?.error?.message,
+    error?.error?.message,
+    error?.data?.message
+  ];
+
+  for (const message of messages) {
+    if (typeof message !== 'string') {
+      continue;
+    }
+    for (const pattern of REVERT_MESSAGE_PATTERNS) {
+      const match = message.match(pattern);
+      if (match && match[1]) {
+        return { reason: match[1].trim() };
+      }
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Decode a failed contract call into a ContractError
+ *
+ * `require` reasons of the AnonymousCopyright contracts (V1 and the `AC: `
+ * reasons of V2) and known custom errors are mapped to a stable code such as
+ * `NOT_AUTHORIZED`, `INSUFFICIENT_FEE` or `TOO_EARLY`; `details.reason`
+ * holds the reason without its prefix. Unknown reverts get
+ * `CONTRACT_REVERT`, and wallet failures `USER_REJECTED`,
+ * `INSUFFICIENT_FUNDS` or `NONCE_EXPIRED`.
+ *
+ * @param error - Error thrown by ethers or the wallet
+ * @param contractInterface - Contract ABI used to decode custom error data
+ * @returns ContractError
+ *
+ * @example
+ * ```typescript
+ * import { decodeContractError } from '@fhevm/sdk';
+ *
+ * try {
+ *   await contract.requestVerification(workId, { value: fee });
+ * } catch (err) {
+ *   const error = decodeContractError(err, contract.interface);
+ *
+ *   if (error.code === 'INSUFFICIENT_FEE') {
+ *     alert('Please increase the verification fee');
+ *   }
+ * }
+ * ```
+ */
+export function decodeContractError(error: any, contractInterface?: Interface): ContractError {
   if (error instanceof ContractError) {
-    return {
-      message: error.message,
-      code: 'CONTRACT_ERROR',
-      details: error
-    };
+    return error;
   }
 
-  // Parse common contract errors
-  if (error.reason) {
-    return {
-      message: error.reason,
-      code: 'CONTRACT_REVERT',
-      details: error
-    };
+  if (isUserRejection(error)) {
+    return new ContractError('Transaction was rejected', { code: 'USER_REJECTED', cause: error });
   }
 
-  if (error.code === 'INSUFFICIENT_FUNDS') {
-    return {
-      message: 'Insufficient funds for transaction',
-      code: 'INSUFFICIENT_FUNDS'
-    };
+  if (error?.code === 'INSUFFICIENT_FUNDS') {
+    return new ContractError('Insufficient funds for transaction', {
+      code: 'INSUFFICIENT_FUNDS',
+      cause: error
+    });
   }
 
-  if (error.code === 'NONCE_EXPIRED') {
-    return {
-      message: 'Transaction nonce has expired',
-      code: 'NONCE_EXPIRED'
-    };
+  if (error?.code === 'NONCE_EXPIRED') {
+    return new ContractError('Transaction nonce has expired', {
+      code: 'NONCE_EXPIRED',
+      cause: error
+    });
+  }
+
+  const { reason: rawReason, args } = extractRevert(error, contractInterface);
+
+  if (rawReason) {
+    const reason = rawReason.replace(/^AC:\s*/, '');
+    const details: FhevmErrorDetails = { reason };
+
+    if (args) {
+      details.args = args;
+    }
+
+    return new ContractError(reason, {
+      code: REVERT_REASON_CODES[reason] || CUSTOM_ERROR_CODES[reason] || 'CONTRACT_REVERT',
+      cause: error,
+      details
+    });
   }
 
+  return new ContractError(error?.message || 'Contract interaction failed', {
+    code: error instanceof FhevmError ? error.code : 'CONTRACT_ERROR',
+    cause: error
+  });
+}
+
+/**
+ * Parse contract errors
+ *
+ * @param error - Error object
+ * @returns Parsed error
+ */
+export function parseContractError(error: any): ParsedError {
+  const decoded = decodeContractError(error);
+
   return {
-    message: error.message || 'Contract interaction failed',
-    code: 'UNKNOWN_ERROR',
-    details: error
+    message: decoded.details.reason || decoded.message,
+    code: decoded.code,
+    details: decoded.details
   };
 }
 
@@ -148,8 +297,8 @@ export function parseContractError(error: any): ParsedError {
  */
 export function isUserRejection(error: any): boolean {
   return (
-    error.code === 4001 ||
-    error.code === 'ACTION_REJECTED' ||
-    error.message?.includes('User denied')
+    error?.code === 4001 ||
+    error?.code === 'ACTION_REJECTED' ||
+    error?.message?.includes('User denied')
   );
 }
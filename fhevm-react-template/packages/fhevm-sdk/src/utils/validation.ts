@@ -2,6 +2,8 @@
  * Validation utilities
  */
 
+import { getNetworkConfig } from '../core/networks';
+
 /**
  * Validate Ethereum address
  *
@@ -44,12 +46,13 @@ export function isValidUint64(value: number | bigint): boolean {
 }
 
 /**
- * Validate network name
+ * Validate network name against the network registry
  *
  * @param network - Network name
  * @returns boolean
+ *
+ * @see registerNetwork
  */
 export function isValidNetwork(network: string): boolean {
-  const supportedNetworks = ['sepolia', 'localhost'];
-  return supportedNetworks.includes(network);
+  return getNetworkConfig(network) !== undefined;
 }
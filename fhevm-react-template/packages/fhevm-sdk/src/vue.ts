@@ -0,0 +1,231 @@
+/**
+ * Vue composables for FHEVM SDK
+ *
+ * Thin adapters over the framework-agnostic stores in core: each composable
+ * exposes the store state as refs and cleans up with the calling scope.
+ *
+ * @packageDocumentation
+ */
+
+import { getCurrentScope, onScopeDispose, shallowRef, unref } from 'vue';
+import type { MaybeRef, ShallowRef } from 'vue';
+import {
+  createClientStore,
+  createDecryptStore,
+  createEncryptStore,
+  createEncryptedInputStore,
+  createPublicDecryptStore
+} from './core/store';
+import { createTransactionStore } from './core/transaction';
+import { createDecryptionRequestStore } from './core/decryptionRequest';
+import type { BigNumberish } from 'ethers';
+import type {
+  DecryptedValue,
+  DecryptionRequestOptions,
+  DecryptionRequestState,
+  FhevmClient,
+  FhevmClientConfig,
+  FhevmJobState,
+  FhevmJobStore,
+  FhevmStore,
+  FhevmTransactionOptions,
+  FhevmTransactionState
+} from './types';
+
+/**
+ * Mirror a store into shallow refs, one per state key
+ *
+ * The subscription ends when the current effect scope (usually the
+ * component) is disposed.
+ */
+function useStoreRefs<T extends object>(store: FhevmStore<T>) {
+  const state = store.get();
+  const refs = {} as { [K in keyof T]: ShallowRef<T[K]> };
+
+  (Object.keys(state) as (keyof T)[]).forEach((key) => {
+    refs[key] = shallowRef(state[key]);
+  });
+
+  const unsubscribe = store.subscribe((updated) => {
+    (Object.keys(updated) as (keyof T)[]).forEach((key) => {
+      refs[key].value = updated[key];
+    });
+  });
+
+  if (getCurrentScope()) {
+    onScopeDispose(unsubscribe);
+  }
+
+  return refs;
+}
+
+/**
+ * Expose a job store as refs and its run function
+ */
+function useJob<A extends unknown[], R>(store: FhevmJobStore<A, R>) {
+  const { isPending, error, progress, result } = useStoreRefs<FhevmJobState<R>>(store);
+  return { run: store.run, isPending, error, progress, result };
+}
+
+/**
+ * Vue composable for creating and managing an FHEVM client
+ *
+ * The client is disposed with the calling component.
+ *
+ * @param config - Client configuration
+ * @returns Refs for client, status, isReady and error, and a reload function
+ *
+ * @example
+ * ```typescript
+ * import { useFhevmClient, useEncrypt } from '@fhevm/sdk/vue';
+ *
+ * const { client, isReady, error } = useFhevmClient({
+ *   network: 'sepolia',
+ *   contractAddress: '0x...'
+ * });
+ * const { encrypt, isEncrypting } = useEncrypt(client);
+ * ```
+ */
+export function useFhevmClient(config: FhevmClientConfig) {
+  const store = createClientStore(config);
+  const { client, status, isReady, error } = useStoreRefs(store);
+
+  if (getCurrentScope()) {
+    onScopeDispose(store.dispose);
+  }
+
+  return {
+    client,
+    status,
+    isReady,
+    error,
+    reload: store.reload
+  };
+}
+
+/**
+ * Vue composable for encrypting values
+ *
+ * `encrypt(value, type = 'uint32', options)` takes the options of encryptValue.
+ *
+ * @param client - FHEVM client or ref to one (e.g. from useFhevmClient)
+ * @returns Object with encrypt function and refs for loading state, error, and worker progress
+ */
+export function useEncrypt(client: MaybeRef<FhevmClient | null>) {
+  const { run, isPending, error, progress } = useJob(createEncryptStore(() => unref(client)));
+
+  return {
+    encrypt: run,
+    isEncrypting: isPending,
+    error,
+    progress
+  };
+}
+
+/**
+ * Vue composable for encrypting several values under a single input proof
+ *
+ * @param client - FHEVM client or ref to one
+ * @returns Object with encryptInput function and refs for loading state, error, and worker progress
+ */
+export function useEncryptedInput(client: MaybeRef<FhevmClient | null>) {
+  const { run, isPending, error, progress } = useJob(
+    createEncryptedInputStore(() => unref(client))
+  );
+
+  return {
+    encryptInput: run,
+    isEncrypting: isPending,
+    error,
+    progress
+  };
+}
+
+/**
+ * Vue composable for decrypting values
+ *
+ * Decryptions share the client's cached permit (one wallet prompt per user
+ * and contract); each handle is its own gateway request.
+ *
+ * @param client - FHEVM client or ref to one
+ * @returns Object with decrypt function and refs for loading state, error, and worker progress
+ */
+export function useDecrypt<T extends DecryptedValue = DecryptedValue>(
+  client: MaybeRef<FhevmClient | null>
+) {
+  const { run, isPending, error, progress } = useJob(
+    createDecryptStore<T>(() => unref(client))
+  );
+
+  return {
+    decrypt: run,
+    isDecrypting: isPending,
+    error,
+    progress
+  };
+}
+
+/**
+ * Vue composable for publicly decrypting handles
+ *
+ * @param client - FHEVM client or ref to one
+ * @returns Object with publicDecrypt function and refs for result, loading state, error, and worker progress
+ */
+export function usePublicDecrypt(client: MaybeRef<FhevmClient | null>) {
+  const { run, isPending, error, progress, result } = useJob(
+    createPublicDecryptStore(() => unref(client))
+  );
+
+  return {
+    publicDecrypt: run,
+    result,
+    isDecrypting: isPending,
+    error,
+    progress
+  };
+}
+
+/**
+ * Vue composable running a contract transaction: encrypt → sign → wait → decode events
+ *
+ * @param client - FHEVM client or ref to one
+ * @param options - Contract whose events are decoded, and signer for cancel/speed-up
+ * @returns Refs for status, hash, receipt, events, replacement and error, with send, cancel, speedUp and reset
+ */
+export function useFhevmTransaction(
+  client: MaybeRef<FhevmClient | null>,
+  options: FhevmTransactionOptions = {}
+) {
+  const store = createTransactionStore(() => unref(client), options);
+
+  return {
+    ...useStoreRefs<FhevmTransactionState>(store),
+    send: store.send,
+    cancel: store.cancel,
+    speedUp: store.speedUp,
+    reset: store.reset
+  };
+}
+
+/**
+ * Vue composable following a Gateway decryption request until its callback arrives
+ *
+ * Tracking stops with the calling component.
+ *
+ * @param requestId - Request ID emitted with the request
+ * @param options - Contract (connected to a signer to claim), storage and start block
+ * @returns Refs for status, request, result, expiresAt, canClaim, refund and error, with claim and refresh
+ */
+export function useDecryptionRequest(requestId: BigNumberish, options: DecryptionRequestOptions) {
+  const store = createDecryptionRequestStore(requestId, options);
+
+  if (getCurrentScope()) {
+    onScopeDispose(store.dispose);
+  }
+
+  return {
+    ...useStoreRefs<DecryptionRequestState>(store),
+    claim: store.claim,
+    refresh: store.refresh
+  };
+}
@@ -0,0 +1,130 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { Wallet, getAddress } from 'ethers';
+import type { Signer } from 'ethers';
+import type { FhevmClientConfig, FhevmContextValue } from '../src';
+import { FhevmProvider, useEncrypt, useFhevm } from '../src/hooks/index';
+import { fakeEip1193 } from './helpers/eip1193';
+
+// Let act() flush effects and state updates
+(globalThis as any).IS_REACT_ACT_ENVIRONMENT = true;
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const ALICE = getAddress('0x' + 'a1'.repeat(20));
+const BOB = getAddress('0x' + 'b0'.repeat(20));
+
+/**
+ * Render a provider and record every context value its children see
+ */
+const renderProvider = async (config: FhevmClientConfig, signer?: Signer) => {
+  const values: FhevmContextValue[] = [];
+  const encrypt: { current?: ReturnType<typeof useEncrypt>['encrypt'] } = {};
+
+  const Probe = () => {
+    values.push(useFhevm());
+    encrypt.current = useEncrypt().encrypt;
+    return null;
+  };
+
+  let renderer!: TestRenderer.ReactTestRenderer;
+  await act(async () => {
+    renderer = TestRenderer.create(
+      <FhevmProvider config={config} signer={signer}>
+        <Probe />
+      </FhevmProvider>
+    );
+  });
+
+  return { values, encrypt, renderer, latest: () => values[values.length - 1] };
+};
+
+// Wait until the provider settles into the expected state
+const settle = async (latest: () => FhevmContextValue, match: (value: FhevmContextValue) => boolean) => {
+  for (let attempt = 0; attempt < 50 && !match(latest()); attempt++) {
+    await act(() => new Promise((resolve) => setTimeout(resolve, 10)));
+  }
+  expect(match(latest())).toBe(true);
+};
+
+describe('FhevmProvider', () => {
+  it('renders idle first, then shares a ready client', async () => {
+    const { values, latest, renderer } = await renderProvider({ network: 'mock', contractAddress: CONTRACT });
+    await settle(latest, ({ isReady }) => isReady);
+
+    expect(values[0]).toMatchObject({ client: null, status: 'idle', isReady: false, signer: null, account: null });
+    expect(latest()).toMatchObject({ status: 'ready', error: null, account: null });
+    expect(latest().permits).toBe(latest().client!.permits);
+
+    act(() => renderer.unmount());
+  });
+
+  it('disposes the client on unmount', async () => {
+    const { latest, renderer } = await renderProvider({ network: 'mock', contractAddress: CONTRACT });
+    await settle(latest, ({ isReady }) => isReady);
+    const { client } = latest();
+
+    act(() => renderer.unmount());
+
+    expect(client!.status).toBe('idle');
+  });
+
+  it('binds the client to the signer it is given', async () => {
+    const wallet = Wallet.createRandom();
+    const { latest, encrypt, renderer } = await renderProvider(
+      { network: 'mock', contractAddress: CONTRACT },
+      wallet
+    );
+    await settle(latest, ({ isReady, account }) => isReady && account !== null);
+
+    expect(latest()).toMatchObject({ signer: wallet, account: wallet.address });
+    expect(latest().client!.account).toBe(wallet.address);
+
+    // Hooks without a client use the provider's, bound to its account
+    const createEncryptedInput = jest.spyOn(latest().client!.instance, 'createEncryptedInput');
+    let encrypted: unknown;
+    await act(async () => {
+      encrypted = await encrypt.current!(7);
+    });
+    expect(encrypted).toMatchObject({ type: 'uint32' });
+    expect(createEncryptedInput).toHaveBeenCalledWith(CONTRACT, wallet.address);
+
+    act(() => renderer.unmount());
+  });
+
+  it('resolves the wallet account and follows account switches', async () => {
+    const accounts = [ALICE];
+    const eip1193 = fakeEip1193(accounts);
+    const { latest, renderer } = await renderProvider({
+      network: 'mock',
+      contractAddress: CONTRACT,
+      eip1193Provider: eip1193
+    });
+    await settle(latest, ({ isReady, signer }) => isReady && signer !== null);
+
+    expect(latest().account).toBe(ALICE);
+    await expect(latest().signer!.getAddress()).resolves.toBe(ALICE);
+
+    await act(async () => {
+      accounts.splice(0, 1, BOB);
+      eip1193.emit('accountsChanged', [BOB]);
+    });
+    await settle(latest, ({ account }) => account === BOB);
+
+    await expect(latest().signer!.getAddress()).resolves.toBe(BOB);
+    expect(latest().client!.account).toBe(BOB);
+
+    act(() => renderer.unmount());
+    expect(eip1193.listens('accountsChanged')).toBe(false);
+  });
+
+  it('rejects useFhevm outside a provider', () => {
+    const Orphan = () => {
+      useFhevm();
+      return null;
+    };
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => act(() => void TestRenderer.create(<Orphan />))).toThrow('useFhevm must be used within FhevmProvider');
+    consoleError.mockRestore();
+  });
+});
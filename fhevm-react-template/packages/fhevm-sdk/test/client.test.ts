@@ -0,0 +1,89 @@
+import { getAddress } from 'ethers';
+import { ClientNotInitializedError, createMockFhevmClient } from '../src';
+import { ensureClientReady } from '../src/core';
+import type { FhevmClient, FhevmClientStatus } from '../src';
+import { fakeEip1193 } from './helpers/eip1193';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const ALICE = getAddress('0x' + 'a1'.repeat(20));
+const BOB = getAddress('0x' + 'b0'.repeat(20));
+
+const recordStatuses = (client: FhevmClient) => {
+  const statuses: FhevmClientStatus[] = [];
+  client.subscribe(({ status }) => statuses.push(status));
+  return statuses;
+};
+
+describe('client status', () => {
+  it('starts ready on the mock network', async () => {
+    const client = await createMockFhevmClient({ contractAddress: CONTRACT });
+
+    expect(client).toMatchObject({
+      network: 'mock',
+      chainId: 31337,
+      status: 'ready',
+      isReady: true,
+      error: null,
+      account: null
+    });
+    expect(() => ensureClientReady(client)).not.toThrow();
+  });
+
+  it('goes through stale and loading when refreshed', async () => {
+    const client = await createMockFhevmClient({ contractAddress: CONTRACT });
+    const instance = client.instance;
+    const statuses = recordStatuses(client);
+
+    await client.refresh();
+
+    expect(statuses).toEqual(['stale', 'loading', 'ready']);
+    expect(client.instance).not.toBe(instance);
+  });
+
+  it('is idle once disposed', async () => {
+    const eip1193 = fakeEip1193();
+    const client = await createMockFhevmClient({ contractAddress: CONTRACT, eip1193Provider: eip1193 as any });
+    const statuses = recordStatuses(client);
+
+    client.dispose();
+
+    expect(statuses).toEqual(['idle']);
+    expect(client).toMatchObject({ status: 'idle', isReady: false, instance: undefined });
+    expect(eip1193.listens('chainChanged')).toBe(false);
+    expect(() => ensureClientReady(client)).toThrow(ClientNotInitializedError);
+    await expect(client.refresh()).rejects.toBeInstanceOf(ClientNotInitializedError);
+  });
+
+  it('follows the wallet account', async () => {
+    const eip1193 = fakeEip1193([BOB]);
+    const client = await createMockFhevmClient({ contractAddress: CONTRACT, eip1193Provider: eip1193 as any });
+    const listener = jest.fn();
+    client.subscribe(listener);
+
+    // Connected account, read without a wallet prompt
+    expect(client.account).toBe(BOB);
+
+    eip1193.emit('accountsChanged', [ALICE]);
+    expect(client.account).toBe(ALICE);
+
+    eip1193.emit('accountsChanged', []);
+    expect(client.account).toBeNull();
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('errors on a switch to an unregistered chain', async () => {
+    const eip1193 = fakeEip1193();
+    const client = await createMockFhevmClient({ contractAddress: CONTRACT, eip1193Provider: eip1193 as any });
+    const statuses = recordStatuses(client);
+
+    // Same chain: nothing to reload
+    eip1193.emit('chainChanged', '0x7a69');
+    expect(statuses).toEqual([]);
+
+    eip1193.emit('chainChanged', '0x3e7');
+
+    expect(statuses).toEqual(['stale', 'error']);
+    expect(client.isReady).toBe(false);
+    expect(client.error).toMatchObject({ name: 'NetworkError', code: 'UNSUPPORTED_NETWORK' });
+  });
+});
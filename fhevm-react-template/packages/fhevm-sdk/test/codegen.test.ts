@@ -0,0 +1,50 @@
+import { generateFhevmContract } from '../src';
+import artifact from './fixtures/AnonymousCopyright.json';
+import { VAULT_ABI } from './fixtures/vault';
+
+describe('generateFhevmContract', () => {
+  it('keeps plaintext parameters of contracts that encrypt on-chain', () => {
+    const source = generateFhevmContract('AnonymousCopyright', artifact, {
+      source: 'AnonymousCopyright.json'
+    });
+
+    expect(source).toMatch(/^\/\/ Generated by fhevm-codegen from AnonymousCopyright.json. Do not edit./);
+    expect(source).toContain('export const anonymousCopyrightAbi = [');
+    expect(source).toContain(
+      '  registerWork(_contentHash: BigNumberish, _title: string, _category: string, overrides?: Overrides): Promise<ContractTransactionResponse>;'
+    );
+    expect(source).toContain(
+      '  fileDispute(_workId: BigNumberish, _challengerContentHash: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;'
+    );
+    expect(source).toContain('  getDisputeCount(_workId: BigNumberish): Promise<bigint>;');
+    expect(source).toContain('  isRegisteredAuthor(_author: AddressLike): Promise<boolean>;');
+    expect(source).toContain('  getWorkInfo(_workId: BigNumberish): Promise<Result>;');
+    expect(source).not.toContain('Encrypts');
+    expect(source).toContain('export function connectAnonymousCopyright(');
+  });
+
+  it('types encrypted parameters as plaintext and leaves the proof out', () => {
+    const source = generateFhevmContract('Vault', VAULT_ABI, { sdkImport: '../sdk' });
+
+    expect(source).toContain("import { createFhevmContract } from '../sdk';");
+    expect(source).toContain(
+      [
+        '  /** Encrypts amount and adds the input proof */',
+        '  deposit(amount: number | bigint, memo: string, overrides?: Overrides): Promise<ContractTransactionResponse>;'
+      ].join('\n')
+    );
+    expect(source).toContain(
+      '  transfer(to: AddressLike, amount: number | bigint, notify: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;'
+    );
+    expect(source).toContain('  balanceOf(owner: AddressLike): Promise<string>;');
+    // Overloads are keyed by signature
+    expect(source).toContain('  "setLimit(uint256)"(limit: BigNumberish, overrides?: Overrides)');
+    expect(source).toContain('  "setLimit(uint256,uint64)"(limit: BigNumberish, until: BigNumberish, overrides?: Overrides)');
+  });
+
+  it('imports only the ethers types it uses', () => {
+    const source = generateFhevmContract('Vault', [VAULT_ABI[2]]);
+
+    expect(source).toContain(["import type {", '  AddressLike,', '  Contract,', '  ContractRunner', "} from 'ethers';"].join('\n'));
+  });
+});
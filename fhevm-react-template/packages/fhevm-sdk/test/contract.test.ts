@@ -0,0 +1,103 @@
+import { AbiCoder, Interface, Wallet, getAddress, id } from 'ethers';
+import type { HDNodeWallet, TransactionRequest } from 'ethers';
+import { ContractError, createFhevmContract, createMockFhevmClient } from '../src';
+import type { FhevmClient } from '../src';
+import artifact from './fixtures/AnonymousCopyright.json';
+import { VAULT_ABI } from './fixtures/vault';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const RECIPIENT = getAddress('0x' + 'b0'.repeat(20));
+
+const copyright = new Interface(artifact.abi);
+const vault = new Interface(VAULT_ABI);
+
+/**
+ * Signer recording the transactions it is asked to send
+ */
+const recordingSigner = (wallet: HDNodeWallet) => {
+  const sent: TransactionRequest[] = [];
+
+  return {
+    sent,
+    provider: null,
+    getAddress: async () => wallet.address,
+    sendTransaction: jest.fn(async (tx: TransactionRequest) => {
+      sent.push(tx);
+      return { hash: id(String(sent.length)), ...tx } as any;
+    }),
+    call: jest.fn(async () => AbiCoder.defaultAbiCoder().encode(['uint256'], [3]))
+  };
+};
+
+describe('createFhevmContract', () => {
+  let client: FhevmClient;
+  let wallet: HDNodeWallet;
+
+  beforeEach(async () => {
+    client = await createMockFhevmClient({ contractAddress: CONTRACT });
+    wallet = Wallet.createRandom();
+  });
+
+  it('passes plaintext parameters through unencrypted', async () => {
+    const signer = recordingSigner(wallet);
+    const createEncryptedInput = jest.spyOn(client.instance, 'createEncryptedInput');
+    const contract = createFhevmContract(client, CONTRACT, artifact, signer as any);
+
+    await contract.registerWork(123456, 'Song', 'Music');
+    await contract.fileDispute(1, 654321);
+
+    expect(createEncryptedInput).not.toHaveBeenCalled();
+    expect(signer.sent.map(({ data }) => data)).toEqual([
+      copyright.encodeFunctionData('registerWork', [123456, 'Song', 'Music']),
+      copyright.encodeFunctionData('fileDispute', [1, 654321])
+    ]);
+  });
+
+  it('calls view functions', async () => {
+    const signer = recordingSigner(wallet);
+    const contract = createFhevmContract(client, CONTRACT, artifact, signer as any);
+
+    await expect(contract.getDisputeCount(1)).resolves.toBe(3n);
+  });
+
+  it('encrypts externalE* parameters into one input bound to the signer', async () => {
+    const signer = recordingSigner(wallet);
+    const createEncryptedInput = jest.spyOn(client.instance, 'createEncryptedInput');
+    const contract = createFhevmContract(client, CONTRACT, VAULT_ABI, signer as any);
+
+    await contract.transfer(RECIPIENT, 500, true, { gasLimit: 100000 });
+
+    expect(createEncryptedInput).toHaveBeenCalledWith(CONTRACT, wallet.address);
+    const [tx] = signer.sent;
+    const [to, amount, proof, notify] = vault.decodeFunctionData('transfer', tx.data!);
+
+    expect(to).toBe(RECIPIENT);
+    expect(client.instance.getCleartext(amount)).toBe(500n);
+    expect(client.instance.getCleartext(notify)).toBe(1n);
+    // The mock proof is the count of handles followed by the handles
+    expect(proof).toBe(`0x02${amount.slice(2)}${notify.slice(2)}`);
+    expect(tx.gasLimit).toBe(100000n);
+  });
+
+  it('needs an account to encrypt for', async () => {
+    const contract = createFhevmContract(client, CONTRACT, VAULT_ABI, null);
+
+    await expect(contract.deposit(1n, 'memo')).rejects.toMatchObject({ code: 'INVALID_STATE' });
+  });
+
+  it('rethrows reverts as ContractError', async () => {
+    const signer = recordingSigner(wallet);
+    signer.sendTransaction.mockRejectedValueOnce(
+      Object.assign(new Error('execution reverted: "AC: Title required"'), {
+        code: 'CALL_EXCEPTION',
+        reason: 'AC: Title required'
+      })
+    );
+    const contract = createFhevmContract(client, CONTRACT, artifact, signer as any);
+
+    const error = await contract.registerWork(1, '', 'Music').catch((caught: Error) => caught);
+
+    expect(error).toBeInstanceOf(ContractError);
+    expect(error).toMatchObject({ details: { reason: 'Title required' } });
+  });
+});
@@ -0,0 +1,206 @@
+import { AbiCoder, HDNodeWallet, Interface, Wallet, getAddress, toBeHex, zeroPadValue } from 'ethers';
+import {
+  batchDecrypt,
+  createEncryptedInput,
+  createMockFhevmClient,
+  encryptUint32,
+  publicDecrypt,
+  userDecrypt
+} from '../src';
+import type { FhevmClient } from '../src';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const OTHER_CONTRACT = getAddress('0x' + 'c1'.repeat(20));
+const GATEWAY = getAddress('0x' + '90'.repeat(20));
+
+// Failures are asserted, so don't retry them
+const RETRY = { maxAttempts: 1 };
+
+const GATEWAY_ABI = new Interface([
+  'event EventDecryption(uint256 indexed requestID, uint256[] cts, address contractCaller, bytes4 callbackSelector, uint256 msgValue, uint256 maxTimestamp, bool passSignaturesToCaller)',
+  'event ResultCallback(uint256 indexed requestID, bool success, bytes result)',
+  'function fulfillRequest(uint256 requestID, bytes decryptedCts, bytes[] signatures)',
+  'event DecryptionRequest(uint256 indexed counter, uint256 requestID, bytes32[] cts, address contractCaller, bytes4 callbackSelector)'
+]);
+const MULTICALL_ABI = new Interface(['function multicall(bytes[] data)']);
+
+describe('userDecrypt', () => {
+  let client: FhevmClient;
+  let wallet: HDNodeWallet;
+
+  beforeEach(async () => {
+    client = await createMockFhevmClient({ contractAddress: CONTRACT, retry: RETRY });
+    wallet = Wallet.createRandom();
+  });
+
+  it('decrypts handles typed after their FHE type', async () => {
+    const input = await createEncryptedInput(client, CONTRACT, wallet.address)
+      .add32(42)
+      .addBool(true)
+      .add64(5n)
+      .addAddress(wallet.address)
+      .encrypt();
+
+    await expect(userDecrypt(client, input.handles[0], CONTRACT, wallet.address, wallet)).resolves.toBe(42);
+    await expect(batchDecrypt(client, input.handles, CONTRACT, wallet.address, wallet)).resolves.toEqual([
+      42,
+      true,
+      5n,
+      wallet.address
+    ]);
+    await expect(batchDecrypt(client, [], CONTRACT, wallet.address, wallet)).resolves.toEqual([]);
+  });
+
+  it('signs one permit per user and contract until it is revoked', async () => {
+    const sign = jest.spyOn(wallet, 'signTypedData');
+    const { handles } = await encryptUint32(client, 7, { userAddress: wallet.address });
+
+    await userDecrypt(client, handles[0], CONTRACT, wallet.address, wallet);
+    await userDecrypt(client, handles[0], CONTRACT, wallet.address, wallet);
+    expect(sign).toHaveBeenCalledTimes(1);
+
+    await userDecrypt(client, handles[0], OTHER_CONTRACT, wallet.address, wallet);
+    expect(sign).toHaveBeenCalledTimes(2);
+
+    await client.permits.revoke(wallet.address, CONTRACT, client.chainId);
+    await userDecrypt(client, handles[0], CONTRACT, wallet.address, wallet);
+    expect(sign).toHaveBeenCalledTimes(3);
+  });
+
+  it('rejects a permit signed by someone else', async () => {
+    const { handles } = await encryptUint32(client, 7, { userAddress: wallet.address });
+
+    await expect(
+      userDecrypt(client, handles[0], CONTRACT, wallet.address, Wallet.createRandom())
+    ).rejects.toMatchObject({ name: 'DecryptionError', code: 'UNAUTHORIZED' });
+  });
+
+  it('rejects a user decrypting as the contract', async () => {
+    const { handles } = await encryptUint32(client, 7, { userAddress: wallet.address });
+
+    await expect(userDecrypt(client, handles[0], CONTRACT, CONTRACT, wallet)).rejects.toMatchObject({
+      name: 'DecryptionError'
+    });
+  });
+});
+
+describe('publicDecrypt', () => {
+  let client: FhevmClient;
+  let handles: string[];
+
+  beforeEach(async () => {
+    client = await createMockFhevmClient({ contractAddress: CONTRACT, retry: RETRY });
+    ({ handles } = await createEncryptedInput(client, CONTRACT, Wallet.createRandom().address)
+      .add32(1234)
+      .addBool(true)
+      .encrypt());
+  });
+
+  it('reads the mock oracle', async () => {
+    const result = await publicDecrypt(client, handles);
+
+    expect(result.values).toEqual([1234, true]);
+    expect(result.abiEncodedValues).toBe(
+      AbiCoder.defaultAbiCoder().encode(['uint32', 'bool'], [1234, true])
+    );
+    expect(result.decryptionProof).toBe('0x');
+  });
+
+  describe('on a Gateway network', () => {
+    // One request for the handles, made and answered as the test says
+    const useGateway = ({
+      requestedWith = 'gateway',
+      fulfilledBy = 'fulfillRequest'
+    }: {
+      requestedWith?: 'gateway' | 'oracle';
+      fulfilledBy?: 'fulfillRequest' | 'multicall' | null;
+    } = {}) => {
+      const requestId = 3n;
+      const cts = [99n, ...handles.map((handle) => BigInt(handle))];
+      const requested =
+        requestedWith === 'gateway'
+          ? GATEWAY_ABI.encodeEventLog('EventDecryption', [requestId, cts, CONTRACT, '0x12345678', 0n, 0n, false])
+          : GATEWAY_ABI.encodeEventLog('DecryptionRequest', [
+              1n,
+              requestId,
+              cts.map((ct) => toBeHex(ct, 32)),
+              CONTRACT,
+              '0x12345678'
+            ]);
+      const answered = GATEWAY_ABI.encodeEventLog('ResultCallback', [requestId, true, '0x']);
+      const log = (event: { data: string; topics: string[] }, blockNumber: number, transactionHash: string) => ({
+        ...event,
+        address: GATEWAY,
+        blockNumber,
+        blockHash: zeroPadValue('0x01', 32),
+        transactionHash,
+        transactionIndex: 0,
+        index: 0,
+        removed: false
+      });
+      const logs = [
+        log(requested, 10, zeroPadValue('0x0a', 32)),
+        ...(fulfilledBy ? [log(answered, 11, zeroPadValue('0x0b', 32))] : [])
+      ];
+      const fulfillment = GATEWAY_ABI.encodeFunctionData('fulfillRequest', [
+        requestId,
+        AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256', 'uint256'], [5n, 1234n, 1n]),
+        ['0xaa', '0xbb']
+      ]);
+
+      const provider: any = {
+        getLogs: async ({ topics }: { topics: (string | null)[] }) =>
+          logs.filter((entry) => entry.topics[0] === topics[0]),
+        getTransaction: async () => ({
+          to: GATEWAY,
+          value: 0n,
+          data:
+            fulfilledBy === 'multicall'
+              ? MULTICALL_ABI.encodeFunctionData('multicall', [[fulfillment]])
+              : fulfillment
+        })
+      };
+      provider.provider = provider;
+
+      client.network = 'sepolia';
+      client.provider = provider;
+      client.networkConfig = { ...client.networkConfig, gatewayContractAddress: GATEWAY };
+    };
+
+    it('reads the cleartexts of the fulfilled request', async () => {
+      useGateway();
+
+      const result = await publicDecrypt(client, handles, { fromBlock: 5 });
+
+      expect(result.values).toEqual([1234, true]);
+      expect(result.decryptionProof).toBe(
+        AbiCoder.defaultAbiCoder().encode(['bytes[]'], [['0xaa', '0xbb']])
+      );
+    });
+
+    it('reports a request that is not fulfilled yet', async () => {
+      useGateway({ fulfilledBy: null });
+
+      await expect(publicDecrypt(client, handles)).rejects.toMatchObject({
+        name: 'DecryptionError',
+        code: 'NOT_FOUND'
+      });
+    });
+
+    it('tells requests made through the decryption oracle apart from pending ones', async () => {
+      useGateway({ requestedWith: 'oracle' });
+
+      await expect(publicDecrypt(client, handles)).rejects.toMatchObject({
+        code: 'UNSUPPORTED_DECRYPTION_FLOW'
+      });
+    });
+
+    it('reports an answer relayed inside another call as unsupported', async () => {
+      useGateway({ fulfilledBy: 'multicall' });
+
+      await expect(publicDecrypt(client, handles)).rejects.toMatchObject({
+        code: 'UNSUPPORTED_DECRYPTION_FLOW'
+      });
+    });
+  });
+});
@@ -0,0 +1,301 @@
+import { Contract, Interface, ZeroAddress, getAddress, id, zeroPadValue } from 'ethers';
+import type { InterfaceAbi, TransactionRequest } from 'ethers';
+import {
+  DEFAULT_VERIFICATION_TIMEOUT,
+  createDecryptionRequestStore,
+  createMemoryDecryptionRequestStorage,
+  decryptionRequestKey
+} from '../src';
+import type { DecryptionRequestState, DecryptionRequestStore } from '../src';
+import v1 from './fixtures/AnonymousCopyright.json';
+import v2 from './fixtures/AnonymousCopyrightV2.json';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const REQUESTER = getAddress('0x' + 'a1'.repeat(20));
+const TIMEOUT = 600;
+const REQUEST_ID = 3n;
+const WORK_ID = 9n;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Contract whose runner answers view calls from `results` and records what it sends
+ *
+ * The runner is both signer and provider, like a connected wallet.
+ */
+const fakeContract = (abi: InterfaceAbi, results: Record<string, unknown[]>) => {
+  const iface = new Interface(abi);
+  const listeners = new Set<(log: unknown) => void>();
+  const logs: any[] = [];
+  const sent: TransactionRequest[] = [];
+
+  const runner: any = {
+    getNetwork: async () => ({ chainId: 31337n }),
+    getBlockNumber: async () => 100,
+    call: async ({ data }: TransactionRequest) => {
+      const { name } = iface.parseTransaction({ data: data as string })!;
+      return iface.encodeFunctionResult(name, results[name]);
+    },
+    getLogs: async () => logs,
+    on: async (_filter: unknown, listener: (log: unknown) => void) => {
+      listeners.add(listener);
+    },
+    off: async (_filter: unknown, listener: (log: unknown) => void) => {
+      listeners.delete(listener);
+    },
+    sendTransaction: jest.fn(async (tx: TransactionRequest) => {
+      sent.push(tx);
+      return { ...tx, hash: id('claim'), nonce: 1, chainId: 31337n, value: 0n, gasLimit: 100000n };
+    }),
+    getTransactionReceipt: async (hash: string) => ({ hash, status: 1, blockNumber: 101, logs: [] })
+  };
+  runner.provider = runner;
+
+  const log = (name: string, args: unknown[]) => ({
+    ...iface.encodeEventLog(name, args),
+    address: CONTRACT,
+    blockNumber: 101,
+    blockHash: zeroPadValue('0x01', 32),
+    transactionHash: zeroPadValue('0x0b', 32),
+    transactionIndex: 0,
+    index: 0,
+    removed: false
+  });
+
+  return {
+    contract: new Contract(CONTRACT, abi, runner),
+    iface,
+    listeners,
+    sent,
+    // Logs already on chain
+    mined: (name: string, args: unknown[]) => logs.push(log(name, args)),
+    // A callback arriving while the request is watched
+    emit: (name: string, args: unknown[]) => listeners.forEach((listener) => listener(log(name, args)))
+  };
+};
+
+/**
+ * Resolve with the first state matching the predicate
+ */
+const waitFor = (
+  store: DecryptionRequestStore,
+  predicate: (state: DecryptionRequestState) => boolean
+) =>
+  new Promise<DecryptionRequestState>((resolve) => {
+    let unsubscribe: (() => void) | undefined;
+    let done = false;
+    unsubscribe = store.subscribe((state) => {
+      if (!done && predicate(state)) {
+        done = true;
+        unsubscribe?.();
+        resolve(state);
+      }
+    });
+    if (done) {
+      unsubscribe();
+    }
+  });
+
+const settled = (store: DecryptionRequestStore) =>
+  waitFor(store, ({ status, error }) => status !== 'loading' || error !== null);
+
+// verificationRequests(id) -> (workId, requester, timestamp, decryptionRequestId, processed, feePaid)
+const v1Request = (timestamp: number, processed: boolean, feePaid: boolean, requester = REQUESTER) => ({
+  VERIFICATION_TIMEOUT: [TIMEOUT],
+  verificationRequests: [WORK_ID, requester, timestamp, 77n, processed, feePaid]
+});
+
+// getVerificationStatus(id) -> (requester, workId, depositAmount, requestTimestamp, completed, refunded, canClaimTimeout)
+const v2Request = (timestamp: number, completed: boolean, refunded: boolean) => ({
+  VERIFICATION_TIMEOUT: [TIMEOUT],
+  getVerificationStatus: [REQUESTER, WORK_ID, 10n ** 15n, timestamp, completed, refunded, false]
+});
+
+describe('createDecryptionRequestStore', () => {
+  const stores: DecryptionRequestStore[] = [];
+  const track = (store: DecryptionRequestStore) => {
+    stores.push(store);
+    return store;
+  };
+
+  afterEach(() => {
+    stores.splice(0).forEach((store) => store.dispose());
+  });
+
+  describe('on the V1 contract', () => {
+    it('decodes a pending request and keeps it in storage', async () => {
+      const requestedAt = now() - 10;
+      const { contract } = fakeContract(v1.abi, v1Request(requestedAt, false, true));
+      const storage = createMemoryDecryptionRequestStorage();
+
+      const state = await settled(track(createDecryptionRequestStore(REQUEST_ID, { contract, storage })));
+
+      expect(state.error).toBeNull();
+      expect(state.status).toBe('pending');
+      expect(state.canClaim).toBe(false);
+      expect(state.expiresAt).toBe(requestedAt + TIMEOUT + 1);
+      expect(state.request).toEqual({
+        requestId: '3',
+        contractAddress: CONTRACT,
+        chainId: 31337,
+        requester: REQUESTER,
+        workId: '9',
+        requestedAt,
+        fromBlock: 100
+      });
+      await expect(storage.get(decryptionRequestKey(31337, CONTRACT, REQUEST_ID))).resolves.toEqual(
+        state.request
+      );
+    });
+
+    it('reads a processed request as fulfilled with its callback event', async () => {
+      const { contract, mined } = fakeContract(v1.abi, v1Request(now() - 10, true, true));
+      mined('VerificationProcessed', [2n, WORK_ID, false]);
+      mined('VerificationProcessed', [REQUEST_ID, WORK_ID, true]);
+
+      const state = await settled(track(createDecryptionRequestStore(REQUEST_ID, { contract })));
+
+      expect(state.status).toBe('fulfilled');
+      expect(state.result?.name).toBe('VerificationProcessed');
+      expect(state.result?.args.isMatch).toBe(true);
+    });
+
+    it('reads an unprocessed request without its fee as refunded', async () => {
+      const { contract } = fakeContract(v1.abi, v1Request(now() - 10, false, false));
+
+      const state = await settled(track(createDecryptionRequestStore(REQUEST_ID, { contract })));
+
+      expect(state.status).toBe('claimed');
+    });
+
+    it('is fulfilled by the callback and stops watching', async () => {
+      const { contract, emit, listeners } = fakeContract(v1.abi, v1Request(now() - 10, false, true));
+      const storage = createMemoryDecryptionRequestStorage();
+      const store = track(createDecryptionRequestStore(REQUEST_ID, { contract, storage }));
+      await settled(store);
+
+      emit('VerificationProcessed', [REQUEST_ID + 1n, WORK_ID, false]);
+      expect(store.get().status).toBe('pending');
+
+      emit('VerificationProcessed', [REQUEST_ID, WORK_ID, true]);
+      const state = await waitFor(store, ({ status }) => status === 'fulfilled');
+
+      expect(state.result?.args.isMatch).toBe(true);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(listeners.size).toBe(0);
+      await expect(storage.list()).resolves.toEqual([]);
+    });
+
+    it('claims the refund of an expired request', async () => {
+      const { contract, iface, sent } = fakeContract(
+        v1.abi,
+        v1Request(now() - TIMEOUT - 10, false, true)
+      );
+      const store = track(createDecryptionRequestStore(REQUEST_ID, { contract }));
+
+      const state = await settled(store);
+      expect(state.status).toBe('expired');
+      expect(state.canClaim).toBe(true);
+
+      await store.claim();
+
+      expect(iface.parseTransaction({ data: sent[0].data as string })).toMatchObject({
+        name: 'claimVerificationRefund',
+        args: [REQUEST_ID]
+      });
+      expect(store.get()).toMatchObject({ status: 'claimed', canClaim: false });
+      expect(store.get().refund.status).toBe('confirmed');
+    });
+
+    it('refuses to claim before the timeout', async () => {
+      const { contract, sent } = fakeContract(v1.abi, v1Request(now() - 10, false, true));
+      const store = track(createDecryptionRequestStore(REQUEST_ID, { contract }));
+      await settled(store);
+
+      await expect(store.claim()).rejects.toMatchObject({ code: 'TOO_EARLY' });
+      expect(sent).toHaveLength(0);
+    });
+
+    it('reports an unknown request', async () => {
+      const { contract } = fakeContract(v1.abi, v1Request(0, false, false, ZeroAddress));
+
+      const state = await settled(track(createDecryptionRequestStore(REQUEST_ID, { contract })));
+
+      expect(state.error).toMatchObject({ name: 'ContractError', code: 'NOT_FOUND' });
+      expect(state.request).toBeNull();
+    });
+  });
+
+  describe('on the V2 contract', () => {
+    it('decodes getVerificationStatus rather than the verificationRequests mapping', async () => {
+      const requestedAt = now() - 10;
+      const { contract } = fakeContract(v2.abi, v2Request(requestedAt, false, false));
+
+      const state = await settled(track(createDecryptionRequestStore(REQUEST_ID, { contract })));
+
+      expect(state.status).toBe('pending');
+      expect(state.request).toMatchObject({ requester: REQUESTER, workId: '9', requestedAt });
+      expect(state.expiresAt).toBe(requestedAt + TIMEOUT + 1);
+    });
+
+    it('reads completed and refunded requests', async () => {
+      const completed = fakeContract(v2.abi, v2Request(now() - 10, true, false));
+      const refunded = fakeContract(v2.abi, v2Request(now() - 10, false, true));
+
+      await expect(
+        settled(track(createDecryptionRequestStore(REQUEST_ID, { contract: completed.contract })))
+      ).resolves.toMatchObject({ status: 'fulfilled' });
+      await expect(
+        settled(track(createDecryptionRequestStore(REQUEST_ID, { contract: refunded.contract })))
+      ).resolves.toMatchObject({ status: 'claimed' });
+    });
+
+    it('matches VerificationCompleted by request ID, not position', async () => {
+      const { contract, emit } = fakeContract(v2.abi, v2Request(now() - 10, false, false));
+      const store = track(createDecryptionRequestStore(REQUEST_ID, { contract }));
+      await settled(store);
+
+      // (workId, requestId, isMatch): the work ID equals another request's ID
+      emit('VerificationCompleted', [REQUEST_ID, 4n, true]);
+      expect(store.get().status).toBe('pending');
+
+      emit('VerificationCompleted', [WORK_ID, REQUEST_ID, false]);
+      const state = await waitFor(store, ({ status }) => status === 'fulfilled');
+      expect(state.result?.args.isMatch).toBe(false);
+    });
+
+    it('claims an expired request with claimVerificationTimeout', async () => {
+      const { contract, iface, sent } = fakeContract(v2.abi, v2Request(now() - TIMEOUT - 10, false, false));
+      const store = track(createDecryptionRequestStore(REQUEST_ID, { contract }));
+      await settled(store);
+
+      await store.claim();
+
+      expect(iface.parseTransaction({ data: sent[0].data as string })?.name).toBe(
+        'claimVerificationTimeout'
+      );
+      expect(store.get().status).toBe('claimed');
+    });
+  });
+
+  it('falls back to the default timeout and needs a flow for other contracts', async () => {
+    const requestedAt = now() - 10;
+    const abi = v1.abi.filter((entry) => entry.name !== 'VERIFICATION_TIMEOUT');
+    const { contract } = fakeContract(abi, v1Request(requestedAt, false, true));
+
+    await expect(
+      settled(track(createDecryptionRequestStore(REQUEST_ID, { contract })))
+    ).resolves.toMatchObject({ expiresAt: requestedAt + DEFAULT_VERIFICATION_TIMEOUT + 1 });
+
+    const other = fakeContract(['function owner() view returns (address)'], {});
+    await expect(
+      settled(track(createDecryptionRequestStore(REQUEST_ID, { contract: other.contract })))
+    ).resolves.toMatchObject({ error: { code: 'INVALID_STATE' } });
+  });
+
+  it('keys requests by chain, lowercase address and request ID', () => {
+    expect(decryptionRequestKey(11155111, CONTRACT, '0x0a')).toBe(
+      `11155111:${CONTRACT.toLowerCase()}:10`
+    );
+  });
+});
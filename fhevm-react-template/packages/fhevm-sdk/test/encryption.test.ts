@@ -0,0 +1,127 @@
+import { Wallet, getAddress, getBytes } from 'ethers';
+import {
+  createEncryptedInput,
+  createMockFhevmClient,
+  encryptAddress,
+  encryptBool,
+  encryptUint8,
+  encryptUint32,
+  encryptValue,
+  getHandleType
+} from '../src';
+import type { FhevmClient } from '../src';
+import { fakeEip1193 } from './helpers/eip1193';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const USER = Wallet.createRandom().address;
+
+describe('encrypt', () => {
+  let client: FhevmClient;
+
+  beforeEach(async () => {
+    client = await createMockFhevmClient({ contractAddress: CONTRACT });
+  });
+
+  it('encrypts one value into an input of its own', async () => {
+    const encrypted = await encryptUint32(client, 42, { userAddress: USER });
+
+    expect(encrypted.type).toBe('uint32');
+    expect(encrypted.handles).toHaveLength(1);
+    expect(getHandleType(encrypted.handles[0])).toBe('uint32');
+    expect(client.instance.getCleartext(encrypted.handles[0])).toBe(42n);
+
+    // The proof carries the handle count followed by the handles
+    expect(getBytes(encrypted.inputProof)).toHaveLength(1 + 32);
+  });
+
+  it('binds the input to the connected account by default', async () => {
+    client.account = USER;
+
+    const flag = await encryptBool(client, true);
+    const owner = await encryptAddress(client, USER);
+
+    expect(client.instance.getCleartext(flag.handles[0])).toBe(1n);
+    expect(client.instance.getCleartext(owner.handles[0])).toBe(BigInt(USER));
+  });
+
+  it("binds the input to the wallet's connected account without options", async () => {
+    const walletClient = await createMockFhevmClient({
+      contractAddress: CONTRACT,
+      eip1193Provider: fakeEip1193([USER]) as any
+    });
+
+    const createInput = jest.spyOn(walletClient.instance, 'createEncryptedInput');
+
+    const encrypted = await encryptUint32(walletClient, 42);
+
+    expect(createInput).toHaveBeenCalledWith(CONTRACT, USER);
+    expect(walletClient.instance.getCleartext(encrypted.handles[0])).toBe(42n);
+  });
+
+  it('needs a user address', async () => {
+    await expect(encryptUint32(client, 42)).rejects.toMatchObject({
+      name: 'EncryptionError',
+      code: 'INVALID_ADDRESS'
+    });
+  });
+
+  it('rejects values out of range for their type', async () => {
+    await expect(encryptUint8(client, 256, { userAddress: USER })).rejects.toMatchObject({
+      code: 'VALUE_OUT_OF_RANGE'
+    });
+    await expect(encryptUint8(client, 1.5, { userAddress: USER })).rejects.toMatchObject({
+      code: 'INVALID_VALUE'
+    });
+  });
+
+  it('reports euint256 as unsupported', async () => {
+    await expect(encryptValue(client, 'uint256', 1n, { userAddress: USER })).rejects.toMatchObject({
+      code: 'UNSUPPORTED_TYPE'
+    });
+  });
+});
+
+describe('createEncryptedInput', () => {
+  let client: FhevmClient;
+
+  beforeEach(async () => {
+    client = await createMockFhevmClient({ contractAddress: CONTRACT });
+  });
+
+  it('returns one handle per value, in order, under a single proof', async () => {
+    const input = await createEncryptedInput(client, CONTRACT, USER)
+      .add32(7)
+      .add64(2n ** 40n)
+      .addBool(false)
+      .encrypt();
+
+    expect(input.types).toEqual(['uint32', 'uint64', 'bool']);
+    expect(input.handles.map(getHandleType)).toEqual(['uint32', 'uint64', 'bool']);
+    expect(input.handles.map((handle) => client.instance.getCleartext(handle))).toEqual([
+      7n,
+      2n ** 40n,
+      0n
+    ]);
+    expect(getBytes(input.inputProof)).toHaveLength(1 + 3 * 32);
+    expect(input).toMatchObject({ contractAddress: CONTRACT, userAddress: USER });
+  });
+
+  it('cannot be extended once encrypted', async () => {
+    const builder = createEncryptedInput(client, CONTRACT, USER).add8(1);
+    await builder.encrypt();
+
+    expect(() => builder.add8(2)).toThrow(expect.objectContaining({ code: 'INVALID_STATE' }));
+  });
+
+  it('rejects an empty input and invalid addresses', async () => {
+    await expect(createEncryptedInput(client, CONTRACT, USER).encrypt()).rejects.toMatchObject({
+      code: 'INVALID_STATE'
+    });
+    expect(() => createEncryptedInput(client, 'not-an-address', USER)).toThrow(
+      expect.objectContaining({ code: 'INVALID_ADDRESS' })
+    );
+    expect(() => createEncryptedInput(client, CONTRACT, USER).addAddress('0x1234')).toThrow(
+      expect.objectContaining({ code: 'INVALID_ADDRESS' })
+    );
+  });
+});
@@ -0,0 +1,52 @@
+import { Interface } from 'ethers';
+import { ContractError, decodeContractError } from '../src';
+
+describe('decodeContractError', () => {
+  it('keeps a ContractError as is', () => {
+    const error = new ContractError('Already decoded', { code: 'NOT_FOUND' });
+
+    expect(decodeContractError(error)).toBe(error);
+  });
+
+  it('maps wallet failures', () => {
+    expect(decodeContractError({ code: 4001 }).code).toBe('USER_REJECTED');
+    expect(decodeContractError({ code: 'ACTION_REJECTED' }).code).toBe('USER_REJECTED');
+    expect(decodeContractError({ code: 'INSUFFICIENT_FUNDS' }).code).toBe('INSUFFICIENT_FUNDS');
+    expect(decodeContractError({ code: 'NONCE_EXPIRED' }).code).toBe('NONCE_EXPIRED');
+  });
+
+  it('maps revert reasons with or without the V2 prefix', () => {
+    const fee = decodeContractError({ reason: 'AC: Insufficient fee' });
+
+    expect(fee.code).toBe('INSUFFICIENT_FEE');
+    expect(fee.details).toEqual({ reason: 'Insufficient fee' });
+    expect(decodeContractError({ reason: 'Not authorized' }).code).toBe('NOT_AUTHORIZED');
+    expect(
+      decodeContractError(new Error('execution reverted: "AC: Timeout not reached"')).code
+    ).toBe('TOO_EARLY');
+  });
+
+  it('maps custom errors, decoding their data with the contract interface', () => {
+    const contractInterface = new Interface(['error EnforcedPause()', 'error Unknown(uint256 id)']);
+
+    expect(decodeContractError({ revert: { name: 'EnforcedPause', args: [] } }).code).toBe(
+      'CONTRACT_PAUSED'
+    );
+
+    const unknown = decodeContractError(
+      { data: contractInterface.encodeErrorResult('Unknown', [7n]) },
+      contractInterface
+    );
+
+    expect(unknown.code).toBe('CONTRACT_REVERT');
+    expect(unknown.details).toEqual({ reason: 'Unknown', args: [7n] });
+  });
+
+  it('falls back to CONTRACT_ERROR', () => {
+    const error = decodeContractError(new Error('socket hang up'));
+
+    expect(error).toBeInstanceOf(ContractError);
+    expect(error.code).toBe('CONTRACT_ERROR');
+    expect(error.message).toContain('socket hang up');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * ABI of a contract taking encrypted inputs, as compiled against @fhevm/solidity
+ */
+export const VAULT_ABI = [
+  {
+    type: 'function',
+    name: 'deposit',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'amount', type: 'bytes32', internalType: 'externalEuint64' },
+      { name: 'memo', type: 'string', internalType: 'string' },
+      { name: 'inputProof', type: 'bytes', internalType: 'bytes' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'transfer',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'to', type: 'address', internalType: 'address' },
+      { name: 'amount', type: 'bytes32', internalType: 'externalEuint32' },
+      { name: 'proof', type: 'bytes', internalType: 'bytes' },
+      { name: 'notify', type: 'bytes32', internalType: 'externalEbool' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'balanceOf',
+    stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address', internalType: 'address' }],
+    outputs: [{ name: '', type: 'bytes32', internalType: 'euint64' }]
+  },
+  {
+    type: 'function',
+    name: 'setLimit',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'limit', type: 'uint256', internalType: 'uint256' }],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'setLimit',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'limit', type: 'uint256', internalType: 'uint256' },
+      { name: 'until', type: 'uint64', internalType: 'uint64' }
+    ],
+    outputs: []
+  }
+] as const;
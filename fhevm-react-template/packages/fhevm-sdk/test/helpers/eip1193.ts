@@ -0,0 +1,22 @@
+/**
+ * EIP-1193 provider whose accounts are fixed and whose events are emitted by the test
+ *
+ * Answers eth_accounts and eth_chainId (the mock network's), enough for an
+ * ethers BrowserProvider to hand out signers.
+ */
+export const fakeEip1193 = (accounts: string[] = []) => {
+  const handlers = new Map<string, (...args: any[]) => void>();
+
+  return {
+    on: (event: string, handler: (...args: any[]) => void) => {
+      handlers.set(event, handler);
+    },
+    removeListener: (event: string) => {
+      handlers.delete(event);
+    },
+    request: async ({ method }: { method: string }) =>
+      ({ eth_accounts: accounts, eth_chainId: '0x7a69' } as Record<string, unknown>)[method] ?? null,
+    emit: (event: string, ...args: any[]) => handlers.get(event)?.(...args),
+    listens: (event: string) => handlers.has(event)
+  };
+};
@@ -0,0 +1,140 @@
+import { getAddress } from 'ethers';
+import { createFhevmClient, getNetworkConfig, getRegisteredNetworks, registerNetwork } from '../src';
+import { findNetworkByChainId } from '../src/core/networks';
+
+jest.mock('fhevmjs', () => ({
+  createInstance: jest.fn(async (config: unknown) => ({ config }))
+}));
+
+const { createInstance } = jest.requireMock('fhevmjs');
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const ACL = getAddress('0x' + 'ac'.repeat(20));
+const KMS = getAddress('0x' + 'f0'.repeat(20));
+
+const STAGING = {
+  chainId: 9000,
+  rpcUrl: 'https://rpc.staging.example.com',
+  gatewayUrl: 'https://gateway.staging.example.com',
+  aclAddress: ACL,
+  kmsVerifierAddress: KMS
+};
+
+// Retries would only repeat the same failure
+const RETRY = { maxAttempts: 1 };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  createInstance.mockClear();
+});
+
+describe('network registry', () => {
+  it('starts with the built-in networks', () => {
+    expect(getRegisteredNetworks()).toEqual(expect.arrayContaining(['sepolia', 'localhost', 'mock']));
+    expect(getNetworkConfig('sepolia')).toMatchObject({ chainId: 11155111 });
+    expect(getNetworkConfig('devnet')).toBeUndefined();
+  });
+
+  it('registers and finds networks by chain ID, never the mock', () => {
+    registerNetwork('staging', STAGING);
+
+    expect(getNetworkConfig('staging')).toEqual(STAGING);
+    expect(findNetworkByChainId(9000)).toBe('staging');
+    expect(findNetworkByChainId(31337)).toBe('localhost');
+    expect(findNetworkByChainId(1)).toBeUndefined();
+  });
+
+  it('hands out copies of the configuration', () => {
+    registerNetwork('staging', STAGING);
+    getNetworkConfig('staging')!.chainId = 1;
+
+    expect(getNetworkConfig('staging')!.chainId).toBe(9000);
+  });
+
+  it.each([
+    ['chainId', { chainId: 0 }],
+    ['rpcUrl', { rpcUrl: 'not a url' }],
+    ['gatewayUrl', { gatewayUrl: 'ftp://gateway.example.com' }],
+    ['publicKeyUrl', { publicKeyUrl: 'key.bin' }],
+    ['aclAddress', { aclAddress: '0x1234' }],
+    ['kmsVerifierAddress', { kmsVerifierAddress: '0x1234' }],
+    ['gatewayContractAddress', { gatewayContractAddress: 'gateway' }]
+  ])('rejects an invalid %s', (field, override) => {
+    expect(() => registerNetwork('broken', { ...STAGING, ...override })).toThrow(
+      expect.objectContaining({ name: 'NetworkError', code: 'INVALID_NETWORK_CONFIG' })
+    );
+    expect(getNetworkConfig('broken')).toBeUndefined();
+  });
+});
+
+describe('network instance', () => {
+  it('passes fhevmjs only the fields it reads', async () => {
+    registerNetwork('staging', STAGING);
+
+    await createFhevmClient({ network: 'staging', contractAddress: CONTRACT });
+
+    expect(createInstance).toHaveBeenCalledWith({
+      chainId: 9000,
+      networkUrl: STAGING.rpcUrl,
+      gatewayUrl: STAGING.gatewayUrl,
+      aclAddress: ACL,
+      publicKey: undefined
+    });
+  });
+
+  it('fetches the public key from publicKeyUrl', async () => {
+    const fetch = jest
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValue(new Response('0xabcdef\n', { status: 200 }));
+
+    await createFhevmClient({
+      network: 'staging',
+      contractAddress: CONTRACT,
+      networkConfig: { ...STAGING, publicKeyUrl: 'https://keys.example.com/key' }
+    });
+
+    expect(fetch).toHaveBeenCalledWith('https://keys.example.com/key');
+    expect(createInstance).toHaveBeenCalledWith(expect.objectContaining({ publicKey: '0xabcdef' }));
+  });
+
+  it('skips the download when a public key is given', async () => {
+    const fetch = jest.spyOn(globalThis, 'fetch');
+
+    await createFhevmClient({
+      network: 'staging',
+      contractAddress: CONTRACT,
+      networkConfig: { ...STAGING, publicKeyUrl: 'https://keys.example.com/key' },
+      publicKey: '0x1234'
+    });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(createInstance).toHaveBeenCalledWith(expect.objectContaining({ publicKey: '0x1234' }));
+  });
+
+  it('reports a failed key download', async () => {
+    jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('', { status: 503 }));
+
+    await expect(
+      createFhevmClient({
+        network: 'staging',
+        contractAddress: CONTRACT,
+        networkConfig: { ...STAGING, publicKeyUrl: 'https://keys.example.com/key' },
+        retry: RETRY
+      })
+    ).rejects.toMatchObject({ name: 'NetworkError', details: { status: 503 } });
+  });
+
+  it('rejects unknown networks and invalid inline configurations', async () => {
+    await expect(createFhevmClient({ network: 'devnet', contractAddress: CONTRACT })).rejects.toMatchObject({
+      code: 'UNSUPPORTED_NETWORK'
+    });
+    await expect(
+      createFhevmClient({
+        network: 'devnet',
+        contractAddress: CONTRACT,
+        networkConfig: { ...STAGING, rpcUrl: '' }
+      })
+    ).rejects.toMatchObject({ code: 'INVALID_NETWORK_CONFIG' });
+    expect(createInstance).not.toHaveBeenCalled();
+  });
+});
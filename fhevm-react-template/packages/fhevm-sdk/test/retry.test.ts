@@ -0,0 +1,179 @@
+import { getAddress } from 'ethers';
+import {
+  DEFAULT_RETRY_POLICY,
+  DecryptionError,
+  NetworkError,
+  createMockFhevmClient,
+  isRetryableError,
+  publicDecrypt,
+  withRetry
+} from '../src';
+
+const POLICY = {
+  ...DEFAULT_RETRY_POLICY,
+  initialDelay: 10,
+  maxDelay: 25,
+  backoffFactor: 2,
+  jitter: 0,
+  timeout: 1000
+};
+
+const networkFailure = () => new NetworkError('Gateway unreachable');
+
+// Operation failing with the given errors, then resolving
+const failing = (...errors: Error[]) =>
+  jest.fn(async () => {
+    const error = errors.shift();
+    if (error) {
+      throw error;
+    }
+    return 'ok';
+  });
+
+describe('withRetry', () => {
+  it('retries network failures with exponential backoff, reporting each retry', async () => {
+    const onRetry = jest.fn();
+    const operation = failing(networkFailure(), networkFailure(), networkFailure());
+
+    await expect(
+      withRetry({ ...POLICY, maxAttempts: 4, onRetry }, 'decrypt', operation)
+    ).resolves.toBe('ok');
+
+    expect(operation).toHaveBeenCalledTimes(4);
+    expect(onRetry.mock.calls.map(([event]) => [event.operation, event.attempt, event.delay])).toEqual([
+      ['decrypt', 1, 10],
+      ['decrypt', 2, 20],
+      // Capped at maxDelay
+      ['decrypt', 3, 25]
+    ]);
+  });
+
+  it('gives up after maxAttempts with the last error', async () => {
+    const last = networkFailure();
+    const operation = failing(networkFailure(), last);
+
+    await expect(withRetry({ ...POLICY, maxAttempts: 2 }, 'keyFetch', operation)).rejects.toBe(last);
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails at once on errors that would repeat', async () => {
+    const onRetry = jest.fn();
+    const notFound = new DecryptionError('No request', { code: 'NOT_FOUND' });
+
+    await expect(withRetry({ ...POLICY, onRetry }, 'publicDecrypt', failing(notFound))).rejects.toBe(notFound);
+    expect(onRetry).not.toHaveBeenCalled();
+  });
+
+  it('follows a custom shouldRetry', async () => {
+    const operation = failing(new Error('boom'));
+
+    await expect(
+      withRetry({ ...POLICY, shouldRetry: () => true }, 'encrypt', operation)
+    ).resolves.toBe('ok');
+  });
+
+  it('retries an operation that throws synchronously', async () => {
+    let calls = 0;
+    const operation = () => {
+      calls++;
+      if (calls === 1) {
+        throw networkFailure();
+      }
+      return Promise.resolve('ok');
+    };
+
+    await expect(withRetry(POLICY, 'encrypt', operation)).resolves.toBe('ok');
+    expect(calls).toBe(2);
+  });
+
+  it('times out a hanging attempt and aborts its signal', async () => {
+    let attemptSignal: AbortSignal | undefined;
+    const operation = (signal: AbortSignal) => {
+      attemptSignal = signal;
+      return new Promise<never>(() => {});
+    };
+
+    await expect(
+      withRetry({ ...POLICY, maxAttempts: 1, timeout: 20 }, 'keyFetch', operation)
+    ).rejects.toMatchObject({ name: 'NetworkError', code: 'TIMEOUT' });
+    expect(attemptSignal?.aborted).toBe(true);
+  });
+
+  it('retries timed out attempts', async () => {
+    let calls = 0;
+    const operation = () => (++calls === 1 ? new Promise<never>(() => {}) : Promise.resolve('ok'));
+
+    await expect(withRetry({ ...POLICY, timeout: 20 }, 'keyFetch', operation)).resolves.toBe('ok');
+    expect(calls).toBe(2);
+  });
+
+  it('stops when aborted during an attempt, without retrying', async () => {
+    const controller = new AbortController();
+    const operation = jest.fn(() => new Promise<never>(() => {}));
+
+    const pending = withRetry(POLICY, 'decrypt', operation, { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: 'ABORTED' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops when aborted while waiting to retry', async () => {
+    const controller = new AbortController();
+    const operation = failing(networkFailure());
+
+    const pending = withRetry(
+      { ...POLICY, initialDelay: 1000, maxDelay: 1000, onRetry: () => controller.abort() },
+      'decrypt',
+      operation,
+      { signal: controller.signal }
+    );
+
+    await expect(pending).rejects.toMatchObject({ code: 'ABORTED' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('never starts with an aborted signal', async () => {
+    const operation = jest.fn(async () => 'ok');
+
+    await expect(
+      withRetry(POLICY, 'decrypt', operation, { signal: AbortSignal.abort() })
+    ).rejects.toBeDefined();
+    expect(operation).not.toHaveBeenCalled();
+  });
+});
+
+describe('isRetryableError', () => {
+  it.each([
+    [new NetworkError('Gateway unreachable'), true],
+    [new NetworkError('Too slow', { code: 'TIMEOUT' }), true],
+    [Object.assign(new Error('missing response'), { code: 'SERVER_ERROR' }), true],
+    [new TypeError('fetch failed'), true],
+    [new Error("Gateway didn't response correctly"), true],
+    [new Error('HTTP error! status: 503'), true],
+    [Object.assign(new Error('wrapped'), { cause: new Error('socket hang up') }), true],
+    [new DecryptionError('Unknown handle', { code: 'INVALID_HANDLE' }), false],
+    [new DecryptionError('Not signed by the user', { code: 'UNAUTHORIZED' }), false],
+    [new NetworkError('No gateway', { code: 'INVALID_NETWORK_CONFIG' }), false],
+    [new Error('User is not authorized to reencrypt this handle!'), false],
+    [new Error('HTTP error! status: 404'), false]
+  ])('%s → %s', (error, expected) => {
+    expect(isRetryableError(error)).toBe(expected);
+  });
+});
+
+describe('default policy', () => {
+  it('reports a missing gatewayContractAddress on the first attempt', async () => {
+    const onRetry = jest.fn();
+    const client = await createMockFhevmClient({
+      contractAddress: getAddress('0x' + 'c0'.repeat(20)),
+      retry: { onRetry }
+    });
+    client.network = 'sepolia';
+
+    await expect(publicDecrypt(client, ['0x' + '00'.repeat(30) + '0400'])).rejects.toMatchObject({
+      code: 'INVALID_NETWORK_CONFIG'
+    });
+    expect(onRetry).not.toHaveBeenCalled();
+  });
+});
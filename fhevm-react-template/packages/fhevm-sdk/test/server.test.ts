@@ -0,0 +1,222 @@
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getAddress } from 'ethers';
+import {
+  createFileKeyCache,
+  createMemoryKeyCache,
+  disposeServerClients,
+  getServerClient
+} from '../src/server';
+import type { PublicKeyCache, PublicKeyRecord } from '../src/server';
+
+jest.mock('fhevmjs', () => ({
+  createInstance: jest.fn(async (config: unknown) => ({ config }))
+}));
+
+const { createInstance } = jest.requireMock('fhevmjs');
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+
+const STAGING = {
+  chainId: 9000,
+  rpcUrl: 'https://rpc.staging.example.com',
+  gatewayUrl: 'https://gateway.staging.example.com',
+  aclAddress: getAddress('0x' + 'ac'.repeat(20)),
+  kmsVerifierAddress: getAddress('0x' + 'f0'.repeat(20)),
+  publicKeyUrl: 'https://keys.staging.example.com/public'
+};
+
+const RETRY = { initialDelay: 0, maxDelay: 0, jitter: 0 };
+
+// Memory cache exposing its records, whatever key the pool stored them under
+const recordingCache = () => {
+  const records = new Map<string, PublicKeyRecord>();
+  return {
+    records,
+    get: async (key: string) => records.get(key) || null,
+    set: async (key: string, record: PublicKeyRecord) => {
+      records.set(key, record);
+    },
+    delete: async (key: string) => {
+      records.delete(key);
+    }
+  };
+};
+
+const cachedRecords = (cache: ReturnType<typeof recordingCache>) => Array.from(cache.records.values());
+
+afterEach(async () => {
+  await disposeServerClients();
+  jest.restoreAllMocks();
+  createInstance.mockClear();
+});
+
+describe('getServerClient', () => {
+  it('requires a contract address', async () => {
+    await expect(getServerClient('mock', { contractAddress: '' })).rejects.toMatchObject({
+      code: 'INVALID_ADDRESS'
+    });
+    await expect(getServerClient('mock', {} as any)).rejects.toMatchObject({ code: 'INVALID_ADDRESS' });
+  });
+
+  it('shares one client per network and endpoints', async () => {
+    const options = { contractAddress: CONTRACT, keyCache: false as const };
+    const client = await getServerClient('mock', options);
+
+    expect(client.contractAddress).toBe(CONTRACT);
+    await expect(getServerClient('mock', options)).resolves.toBe(client);
+    await expect(
+      getServerClient('mock', {
+        ...options,
+        networkConfig: { chainId: 31337, rpcUrl: 'http://127.0.0.1:9545', gatewayUrl: 'http://127.0.0.1:9545' }
+      })
+    ).resolves.not.toBe(client);
+  });
+
+  it('creates a new client after a failed creation', async () => {
+    createInstance.mockRejectedValueOnce(new Error('Invalid public key'));
+    const options = {
+      contractAddress: CONTRACT,
+      networkConfig: { ...STAGING, publicKeyUrl: undefined },
+      keyCache: false as const,
+      retry: { maxAttempts: 1 }
+    };
+
+    await expect(getServerClient('staging', options)).rejects.toMatchObject({ name: 'NetworkError' });
+    await expect(getServerClient('staging', options)).resolves.toMatchObject({ status: 'ready' });
+  });
+
+  it('disposes pooled clients', async () => {
+    const options = { contractAddress: CONTRACT, keyCache: false as const };
+    const client = await getServerClient('mock', options);
+
+    await disposeServerClients();
+
+    expect(client.status).toBe('idle');
+    await expect(getServerClient('mock', options)).resolves.not.toBe(client);
+  });
+});
+
+describe('public key cache', () => {
+  const options = (keyCache: PublicKeyCache, overrides = {}) => ({
+    contractAddress: CONTRACT,
+    networkConfig: STAGING,
+    keyCache,
+    retry: RETRY,
+    ...overrides
+  });
+
+  it('downloads the key once and reuses it in the next process', async () => {
+    const fetch = jest
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValue(new Response('0xabcdef\n', { headers: { etag: '"v1"' } }));
+    const cache = recordingCache();
+
+    await getServerClient('staging', options(cache));
+    expect(createInstance).toHaveBeenLastCalledWith(expect.objectContaining({ publicKey: '0xabcdef' }));
+    expect(cachedRecords(cache)).toEqual([
+      expect.objectContaining({ network: 'staging', chainId: 9000, publicKey: '0xabcdef', version: '"v1"' })
+    ]);
+
+    // A restart starts from a cold pool
+    await disposeServerClients();
+    await getServerClient('staging', options(cache));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(createInstance).toHaveBeenLastCalledWith(expect.objectContaining({ publicKey: '0xabcdef' }));
+  });
+
+  it('revalidates a stale key against its version', async () => {
+    const fetch = jest
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValueOnce(new Response('0xabcdef', { headers: { etag: '"v1"' } }))
+      .mockResolvedValueOnce(new Response(null, { status: 304 }));
+    const cache = recordingCache();
+
+    await getServerClient('staging', options(cache));
+    const [first] = cachedRecords(cache);
+    await disposeServerClients();
+    await getServerClient('staging', options(cache, { keyMaxAge: 0 }));
+
+    expect(fetch).toHaveBeenLastCalledWith(
+      STAGING.publicKeyUrl,
+      expect.objectContaining({ headers: { 'If-None-Match': '"v1"' } })
+    );
+    expect(cachedRecords(cache)).toEqual([
+      expect.objectContaining({ publicKey: '0xabcdef', version: '"v1"', fetchedAt: expect.any(Number) })
+    ]);
+    expect(cachedRecords(cache)[0].fetchedAt).toBeGreaterThanOrEqual(first.fetchedAt);
+    expect(createInstance).toHaveBeenLastCalledWith(expect.objectContaining({ publicKey: '0xabcdef' }));
+  });
+
+  it('retries a failed download', async () => {
+    const fetch = jest
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValueOnce(new Response('busy', { status: 503 }))
+      .mockResolvedValueOnce(new Response('0xabcdef'));
+
+    await getServerClient('staging', options(createMemoryKeyCache()));
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(createInstance).toHaveBeenLastCalledWith(expect.objectContaining({ publicKey: '0xabcdef' }));
+  });
+
+  it('keeps the keys of other endpoints apart', async () => {
+    const fetch = jest
+      .spyOn(globalThis, 'fetch')
+      .mockImplementation(async (url) => new Response(String(url).endsWith('/v2') ? '0x02' : '0x01'));
+    const cache = recordingCache();
+
+    await getServerClient('staging', options(cache));
+    await getServerClient(
+      'staging',
+      options(cache, { networkConfig: { ...STAGING, publicKeyUrl: `${STAGING.publicKeyUrl}/v2` } })
+    );
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(cachedRecords(cache).map(({ publicKey }) => publicKey).sort()).toEqual(['0x01', '0x02']);
+  });
+});
+
+describe('createFileKeyCache', () => {
+  const RECORD: PublicKeyRecord = {
+    network: 'staging',
+    chainId: 9000,
+    publicKey: '0xabcdef',
+    version: '"v1"',
+    fetchedAt: 1
+  };
+  let directory: string;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'fhevm-keys-test-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('stores one file per key', async () => {
+    const cache = createFileKeyCache(join(directory, 'keys'));
+
+    await expect(cache.get('staging-9000')).resolves.toBeNull();
+    await cache.set('staging-9000', RECORD);
+    await cache.set('staging/../9001', { ...RECORD, chainId: 9001 });
+
+    await expect(cache.get('staging-9000')).resolves.toEqual(RECORD);
+    await expect(createFileKeyCache(join(directory, 'keys')).get('staging/../9001')).resolves.toMatchObject({
+      chainId: 9001
+    });
+    expect((await readdir(join(directory, 'keys'))).sort()).toEqual(['staging-9000.json', 'staging____9001.json']);
+
+    await cache.delete('staging-9000');
+    await expect(cache.get('staging-9000')).resolves.toBeNull();
+  });
+
+  it('ignores a corrupt file', async () => {
+    await writeFile(join(directory, 'staging-9000.json'), '{"network":', 'utf8');
+
+    await expect(createFileKeyCache(directory).get('staging-9000')).resolves.toBeNull();
+  });
+});
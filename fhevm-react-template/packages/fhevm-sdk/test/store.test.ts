@@ -0,0 +1,151 @@
+import { HDNodeWallet, Wallet, getAddress } from 'ethers';
+import {
+  ClientNotInitializedError,
+  createClientStore,
+  createDecryptStore,
+  createEncryptStore,
+  createEncryptedInputStore,
+  createMockFhevmClient,
+  createPublicDecryptStore
+} from '../src';
+import type { FhevmClient, FhevmClientState, FhevmStore } from '../src';
+import { decryptStore, encryptStore, fhevmClient } from '../src/svelte';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const OTHER_CONTRACT = getAddress('0x' + 'c1'.repeat(20));
+
+// Failures are asserted, so don't retry them
+const RETRY = { maxAttempts: 1 };
+
+// Resolve once the store's state matches
+const waitFor = <T extends object>(store: FhevmStore<T>, match: (state: T) => boolean) =>
+  new Promise<T>((resolve) => {
+    let unsubscribe: (() => void) | undefined;
+    unsubscribe = store.subscribe((state) => {
+      if (match(state)) {
+        unsubscribe?.();
+        resolve(state);
+      }
+    });
+  });
+
+describe('createClientStore', () => {
+  it('loads the client and follows it until disposed', async () => {
+    const store = createClientStore({ network: 'mock', contractAddress: CONTRACT });
+    const statuses: FhevmClientState['status'][] = [];
+    store.subscribe(({ status }) => statuses.push(status));
+
+    const { client } = await waitFor(store, ({ isReady }) => isReady);
+    store.dispose();
+
+    expect(statuses).toEqual(['loading', 'ready', 'idle']);
+    expect(client!.status).toBe('idle');
+    expect(store.get()).toEqual({ client: null, status: 'idle', isReady: false, error: null });
+  });
+
+  it('reports a client that cannot be created', async () => {
+    const store = createClientStore({ network: 'devnet', contractAddress: CONTRACT, retry: RETRY });
+
+    const { error } = await waitFor(store, ({ status }) => status === 'error');
+
+    expect(error).toMatchObject({ code: 'UNSUPPORTED_NETWORK' });
+  });
+});
+
+describe('job stores', () => {
+  let client: FhevmClient;
+  let wallet: HDNodeWallet;
+
+  beforeEach(async () => {
+    client = await createMockFhevmClient({ contractAddress: CONTRACT, retry: RETRY });
+    wallet = Wallet.createRandom();
+  });
+
+  it('encrypts with the given type and options', async () => {
+    const createEncryptedInput = jest.spyOn(client.instance, 'createEncryptedInput');
+    const encryption = createEncryptStore(client);
+    const pending: boolean[] = [];
+    encryption.subscribe(({ isPending }) => pending.push(isPending));
+
+    const encrypted = await encryption.run(300, 'uint16', {
+      contractAddress: OTHER_CONTRACT,
+      userAddress: wallet.address
+    });
+
+    expect(createEncryptedInput).toHaveBeenCalledWith(OTHER_CONTRACT, wallet.address);
+    expect(encrypted).toMatchObject({ type: 'uint16' });
+    expect(client.instance.getCleartext(encrypted!.handles[0])).toBe(300n);
+    expect(encryption.get()).toMatchObject({ isPending: false, error: null, result: encrypted });
+    expect(pending[0]).toBe(false);
+    expect(pending).toContain(true);
+  });
+
+  it('encrypts a uint32 for the connected account by default', async () => {
+    client.account = wallet.address;
+
+    const encrypted = await createEncryptStore(client).run(7);
+
+    expect(encrypted).toMatchObject({ type: 'uint32' });
+  });
+
+  it('keeps failures in the state', async () => {
+    const encryption = createEncryptStore(client);
+
+    await expect(encryption.run(7)).resolves.toBeNull();
+    expect(encryption.get().error).toMatchObject({ code: 'INVALID_ADDRESS' });
+
+    encryption.reset();
+    expect(encryption.get().error).toBeNull();
+  });
+
+  it('fails without a client', async () => {
+    const encryption = createEncryptStore(() => null);
+
+    await expect(encryption.run(7)).resolves.toBeNull();
+    expect(encryption.get().error).toBeInstanceOf(ClientNotInitializedError);
+  });
+
+  it('encrypts inputs, then decrypts them', async () => {
+    const input = await createEncryptedInputStore(client).run(CONTRACT, wallet.address, (builder) =>
+      builder.add32(42).addBool(true)
+    );
+    const decryption = createDecryptStore<number>(client);
+
+    await expect(decryption.run(input!.handles[0], CONTRACT, wallet.address, wallet)).resolves.toBe(42);
+    expect(decryption.get().result).toBe(42);
+  });
+
+  it('decrypts publicly', async () => {
+    const { handles } = (await createEncryptStore(client).run(9, 'uint8', { userAddress: wallet.address }))!;
+    const publicDecryption = createPublicDecryptStore(client);
+
+    await publicDecryption.run(handles);
+
+    expect(publicDecryption.get().result).toMatchObject({ values: [9] });
+  });
+});
+
+describe('svelte stores', () => {
+  it('run against the client of a client store', async () => {
+    const wallet = Wallet.createRandom();
+    const client = fhevmClient({ network: 'mock', contractAddress: CONTRACT });
+    const encryption = encryptStore(client);
+    const states: boolean[] = [];
+
+    // Svelte's $store reads the current value on subscribe
+    const unsubscribe = encryption.subscribe(({ isPending }) => states.push(isPending));
+    expect(states).toEqual([false]);
+
+    await waitFor(client, ({ isReady }) => isReady);
+    const encrypted = await encryption.run(5, 'uint64', { userAddress: wallet.address });
+
+    await expect(
+      decryptStore<bigint>(client).run(encrypted!.handles[0], CONTRACT, wallet.address, wallet)
+    ).resolves.toBe(5n);
+
+    unsubscribe();
+    client.dispose();
+    await expect(encryption.run(5, 'uint64', { userAddress: wallet.address })).resolves.toBeNull();
+    expect(encryption.get().error).toBeInstanceOf(ClientNotInitializedError);
+  });
+});
@@ -0,0 +1,311 @@
+import { Interface, Wallet, getAddress, id } from 'ethers';
+import type { TransactionRequest } from 'ethers';
+import {
+  DEFAULT_SPEED_UP_FACTOR,
+  createMockFhevmClient,
+  createTransactionStore,
+  encryptUint32
+} from '../src';
+import type { FhevmClient, FhevmTransactionState } from '../src';
+import artifact from './fixtures/AnonymousCopyright.json';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const OTHER_CONTRACT = getAddress('0x' + 'c1'.repeat(20));
+const GWEI = 1_000_000_000n;
+
+const copyright = new Interface(artifact.abi);
+
+/**
+ * Promise settled by the test
+ */
+const deferred = <T>() => {
+  let resolve!: (value: T) => void;
+  let reject!: (error: unknown) => void;
+  const promise = new Promise<T>((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+/**
+ * Pending transaction whose receipt (or replacement) the test delivers
+ */
+const pendingTransaction = (hash: string, fees: Record<string, bigint>) => {
+  const mined = deferred<any>();
+  return {
+    mined,
+    response: {
+      hash,
+      nonce: 7,
+      chainId: 31337n,
+      to: CONTRACT,
+      data: copyright.encodeFunctionData('registerWork', [1, 'Song', 'Music']),
+      value: 0n,
+      gasLimit: 300000n,
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasPrice: null,
+      ...fees,
+      wait: jest.fn(() => mined.promise)
+    } as any
+  };
+};
+
+const receiptFor = (hash: string, status = 1) => ({
+  hash,
+  status,
+  logs: [
+    {
+      ...copyright.encodeEventLog('WorkRegistered', [1, CONTRACT, 'Song', 1700000000]),
+      address: CONTRACT,
+      index: 0
+    },
+    // Another contract's event
+    { topics: [id('Transfer(address,address,uint256)')], data: '0x', address: OTHER_CONTRACT, index: 1 }
+  ]
+});
+
+const fakeSigner = (feeData: Record<string, bigint | null> = {}) => {
+  const sent: TransactionRequest[] = [];
+  return {
+    sent,
+    getAddress: async () => CONTRACT,
+    provider: { getFeeData: jest.fn(async () => feeData) },
+    sendTransaction: jest.fn(async (tx: TransactionRequest) => {
+      sent.push(tx);
+      return { hash: id(`replacement-${sent.length}`) };
+    })
+  };
+};
+
+const recordStatuses = (store: { subscribe(listener: (state: FhevmTransactionState) => void): () => void }) => {
+  const statuses: string[] = [];
+  store.subscribe(({ status }) => {
+    if (statuses[statuses.length - 1] !== status) {
+      statuses.push(status);
+    }
+  });
+  return statuses;
+};
+
+const HASH = id('original');
+const EIP1559_FEES = { maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 2n * GWEI };
+
+describe('createTransactionStore', () => {
+  let client: FhevmClient;
+
+  beforeEach(async () => {
+    client = await createMockFhevmClient({ contractAddress: CONTRACT, retry: { maxAttempts: 1 } });
+  });
+
+  it('encrypts, signs and decodes the events of the receipt', async () => {
+    const { response, mined } = pendingTransaction(HASH, EIP1559_FEES);
+    const store = createTransactionStore(client, { contract: copyright });
+    const statuses = recordStatuses(store);
+    const submit = jest.fn(async () => response);
+    const userAddress = Wallet.createRandom().address;
+
+    const sending = store.send({
+      encrypt: (current) => encryptUint32(current, 42, { userAddress }),
+      submit,
+      confirmations: 2
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(store.get()).toMatchObject({ status: 'pending', hash: HASH });
+
+    mined.resolve(receiptFor(HASH));
+    const result = await sending;
+
+    expect(statuses).toEqual(['idle', 'encrypting', 'signing', 'pending', 'confirmed']);
+    expect(response.wait).toHaveBeenCalledWith(2);
+    expect(submit.mock.calls[0]).toEqual([expect.objectContaining({ type: 'uint32' })]);
+    expect(result!.events).toEqual([
+      expect.objectContaining({ name: 'WorkRegistered', address: CONTRACT, logIndex: 0 })
+    ]);
+    expect(result!.events[0].args.title).toBe('Song');
+    expect(store.get()).toMatchObject({ status: 'confirmed', hash: HASH, events: result!.events, error: null });
+  });
+
+  it('skips encryption when the request has none', async () => {
+    const { response, mined } = pendingTransaction(HASH, EIP1559_FEES);
+    mined.resolve(receiptFor(HASH));
+    const store = createTransactionStore(null);
+    const statuses = recordStatuses(store);
+
+    await expect(store.send({ submit: async () => response })).resolves.toMatchObject({ hash: HASH, events: [] });
+    expect(statuses).toEqual(['idle', 'signing', 'pending', 'confirmed']);
+  });
+
+  it('fails on a declined wallet prompt, an encryption error or a revert', async () => {
+    const store = createTransactionStore(client, { contract: copyright });
+
+    await store.send({
+      submit: async () => {
+        throw Object.assign(new Error('user rejected action'), { code: 'ACTION_REJECTED' });
+      }
+    });
+    expect(store.get()).toMatchObject({ status: 'failed', error: { code: 'USER_REJECTED' } });
+
+    // No user address to bind the input to
+    await store.send({ encrypt: (current) => encryptUint32(current, 1), submit: jest.fn() });
+    expect(store.get()).toMatchObject({ status: 'failed', error: { code: 'INVALID_ADDRESS' } });
+
+    const { response, mined } = pendingTransaction(HASH, EIP1559_FEES);
+    const reverted = receiptFor(HASH, 0);
+    mined.reject(Object.assign(new Error('transaction execution reverted'), { code: 'CALL_EXCEPTION', receipt: reverted }));
+    await expect(store.send({ submit: async () => response })).resolves.toBeNull();
+    expect(store.get()).toMatchObject({ status: 'failed', receipt: reverted, error: { name: 'ContractError' } });
+  });
+
+  it('cancels while encrypting without signing', async () => {
+    const encrypting = deferred<any>();
+    const submit = jest.fn();
+    const store = createTransactionStore(client);
+    let signal!: AbortSignal;
+
+    const sending = store.send({
+      encrypt: (_current, abort) => {
+        signal = abort;
+        return encrypting.promise;
+      },
+      submit
+    });
+    await store.cancel();
+    encrypting.resolve({});
+
+    await expect(sending).resolves.toBeNull();
+    expect(signal.aborted).toBe(true);
+    expect(submit).not.toHaveBeenCalled();
+    expect(store.get()).toMatchObject({ status: 'failed', error: { code: 'ABORTED' } });
+  });
+
+  it('cancels a pending transaction with a self-transfer at the same nonce', async () => {
+    const { response, mined } = pendingTransaction(HASH, EIP1559_FEES);
+    // The network now asks more than the bumped priority fee
+    const signer = fakeSigner({ maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: 3n * GWEI });
+    const store = createTransactionStore(client, { contract: copyright, signer: signer as any });
+
+    const sending = store.send({ submit: async () => response });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await store.cancel();
+
+    expect(signer.sent).toEqual([
+      {
+        to: CONTRACT,
+        value: 0,
+        data: '0x',
+        nonce: 7,
+        chainId: 31337n,
+        maxFeePerGas: 25n * GWEI,
+        maxPriorityFeePerGas: 3n * GWEI
+      }
+    ]);
+
+    const replacement = id('replacement-1');
+    mined.reject(
+      Object.assign(new Error('transaction was replaced'), {
+        code: 'TRANSACTION_REPLACED',
+        reason: 'cancelled',
+        replacement: { hash: replacement },
+        receipt: { hash: replacement, status: 1, logs: [] }
+      })
+    );
+
+    await expect(sending).resolves.toBeNull();
+    expect(store.get()).toMatchObject({
+      status: 'replaced',
+      replacement: { hash: replacement, reason: 'cancelled' },
+      error: { code: 'TRANSACTION_REPLACED', message: expect.stringContaining('cancelled') }
+    });
+  });
+
+  it('speeds up a pending transaction and confirms under the new hash', async () => {
+    const { response, mined } = pendingTransaction(HASH, { gasPrice: 10n * GWEI });
+    const signer = fakeSigner({ gasPrice: 5n * GWEI });
+    const store = createTransactionStore(client, { contract: copyright, signer: signer as any });
+
+    const sending = store.send({ submit: async () => response });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await store.speedUp(1.5);
+
+    const replacement = id('replacement-1');
+    expect(signer.sent).toEqual([
+      {
+        to: CONTRACT,
+        data: response.data,
+        value: 0n,
+        nonce: 7,
+        gasLimit: 300000n,
+        chainId: 31337n,
+        gasPrice: 15n * GWEI
+      }
+    ]);
+    expect(store.get()).toMatchObject({ status: 'pending', replacement: { hash: replacement, reason: 'repriced' } });
+
+    mined.reject(
+      Object.assign(new Error('transaction was replaced'), {
+        code: 'TRANSACTION_REPLACED',
+        reason: 'repriced',
+        replacement: { hash: replacement },
+        receipt: receiptFor(replacement)
+      })
+    );
+
+    await expect(sending).resolves.toMatchObject({ hash: replacement, events: [{ name: 'WorkRegistered' }] });
+    expect(store.get()).toMatchObject({ status: 'confirmed', hash: replacement });
+  });
+
+  it('bumps fees by the default factor', async () => {
+    const { response } = pendingTransaction(HASH, EIP1559_FEES);
+    const signer = fakeSigner();
+    const store = createTransactionStore(client, { signer: signer as any });
+
+    store.send({ submit: async () => response });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await store.speedUp();
+
+    expect(DEFAULT_SPEED_UP_FACTOR).toBe(1.25);
+    expect(signer.sent[0]).toMatchObject({ maxFeePerGas: 25n * GWEI, maxPriorityFeePerGas: 2500000000n });
+    store.reset();
+  });
+
+  it('needs a pending transaction and a signer to cancel or speed up', async () => {
+    const { response } = pendingTransaction(HASH, EIP1559_FEES);
+    const withSigner = createTransactionStore(client, { signer: fakeSigner() as any });
+    const withoutSigner = createTransactionStore(client);
+
+    await expect(withSigner.speedUp()).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    await expect(withSigner.cancel()).rejects.toMatchObject({ code: 'INVALID_STATE' });
+
+    withoutSigner.send({ submit: async () => response });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await expect(withoutSigner.speedUp()).rejects.toThrow('A signer is needed to speed up a transaction');
+    withoutSigner.reset();
+  });
+
+  it('stops tracking a transaction after reset or a newer send', async () => {
+    const first = pendingTransaction(HASH, EIP1559_FEES);
+    const store = createTransactionStore(client);
+
+    const sending = store.send({ submit: async () => first.response });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    store.reset();
+    first.mined.resolve(receiptFor(HASH));
+    await sending;
+
+    expect(store.get()).toMatchObject({ status: 'idle', hash: null, receipt: null });
+
+    const second = pendingTransaction(id('second'), EIP1559_FEES);
+    const third = pendingTransaction(id('third'), EIP1559_FEES);
+    const older = store.send({ submit: async () => second.response });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const newer = store.send({ submit: async () => third.response });
+    second.mined.reject(new Error('dropped'));
+    await expect(older).resolves.toBeNull();
+    third.mined.resolve(receiptFor(id('third')));
+    await newer;
+
+    expect(store.get()).toMatchObject({ status: 'confirmed', hash: id('third'), error: null });
+  });
+});
@@ -0,0 +1,63 @@
+import { Wallet, getAddress } from 'ethers';
+import { effectScope, nextTick, shallowRef } from 'vue';
+import { createMockFhevmClient } from '../src';
+import type { FhevmClient } from '../src';
+import { useDecrypt, useEncrypt, useFhevmClient } from '../src/vue';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const OTHER_CONTRACT = getAddress('0x' + 'c1'.repeat(20));
+
+describe('vue composables', () => {
+  it('encrypt with the given options and expose the job state as refs', async () => {
+    const wallet = Wallet.createRandom();
+    const client = await createMockFhevmClient({ contractAddress: CONTRACT });
+    const createEncryptedInput = jest.spyOn(client.instance, 'createEncryptedInput');
+    const scope = effectScope();
+    const { encrypt, isEncrypting, error } = scope.run(() => useEncrypt(client))!;
+
+    const pending = encrypt(42, 'uint32', { contractAddress: OTHER_CONTRACT, userAddress: wallet.address });
+    expect(isEncrypting.value).toBe(true);
+    const encrypted = await pending;
+
+    expect(isEncrypting.value).toBe(false);
+    expect(error.value).toBeNull();
+    expect(createEncryptedInput).toHaveBeenCalledWith(OTHER_CONTRACT, wallet.address);
+    expect(client.instance.getCleartext(encrypted!.handles[0])).toBe(42n);
+    scope.stop();
+  });
+
+  it('use the current client of a ref', async () => {
+    const wallet = Wallet.createRandom();
+    const client = shallowRef<FhevmClient | null>(null);
+    const scope = effectScope();
+    const { encrypt, error } = scope.run(() => useEncrypt(client))!;
+    const { decrypt } = scope.run(() => useDecrypt<number>(client))!;
+
+    await encrypt(1, 'uint32', { userAddress: wallet.address });
+    expect(error.value).toMatchObject({ code: 'CLIENT_NOT_READY' });
+
+    client.value = await createMockFhevmClient({ contractAddress: CONTRACT });
+    const encrypted = await encrypt(1, 'uint32', { userAddress: wallet.address });
+
+    await expect(decrypt(encrypted!.handles[0], CONTRACT, wallet.address, wallet)).resolves.toBe(1);
+    scope.stop();
+  });
+
+  it('dispose the client with the calling scope', async () => {
+    const scope = effectScope();
+    const { client, status, isReady } = scope.run(() =>
+      useFhevmClient({ network: 'mock', contractAddress: CONTRACT })
+    )!;
+    expect(status.value).toBe('loading');
+
+    while (!isReady.value) {
+      await nextTick();
+    }
+    const created = client.value!;
+    scope.stop();
+
+    expect(created.status).toBe('idle');
+    // Refs stop following the store once the scope is gone
+    expect(status.value).toBe('ready');
+  });
+});
@@ -0,0 +1,103 @@
+import { MessageChannel } from 'node:worker_threads';
+import type { MessagePort } from 'node:worker_threads';
+import { HDNodeWallet, Wallet, getAddress } from 'ethers';
+import {
+  ClientNotInitializedError,
+  DecryptionError,
+  createMockFhevmClient,
+  encryptUint32,
+  exposeFhevmWorker,
+  publicDecrypt,
+  userDecrypt
+} from '../src';
+import type { FhevmClient, FhevmProgressEvent } from '../src';
+
+const CONTRACT = getAddress('0x' + 'c0'.repeat(20));
+const UNKNOWN_HANDLE = '0x' + '00'.repeat(30) + '0400';
+
+describe('worker-backed client', () => {
+  let main: MessagePort;
+  let worker: MessagePort;
+  let stopServing: () => void;
+  let client: FhevmClient;
+  let wallet: HDNodeWallet;
+
+  beforeEach(async () => {
+    // The worker side runs in-process on the other end of the channel
+    ({ port1: main, port2: worker } = new MessageChannel());
+    stopServing = exposeFhevmWorker(worker);
+    client = await createMockFhevmClient({
+      contractAddress: CONTRACT,
+      worker: main,
+      retry: { maxAttempts: 1 }
+    });
+    wallet = Wallet.createRandom();
+  });
+
+  afterEach(() => {
+    client.dispose();
+    stopServing();
+    main.close();
+  });
+
+  it('encrypts and decrypts through the worker', async () => {
+    const { handles } = await encryptUint32(client, 42, { userAddress: wallet.address });
+
+    await expect(userDecrypt(client, handles[0], CONTRACT, wallet.address, wallet)).resolves.toBe(42);
+  });
+
+  it('seeds and reads the mock decryption oracle', async () => {
+    await client.instance.setCleartext(UNKNOWN_HANDLE, 7);
+
+    await expect(publicDecrypt(client, [UNKNOWN_HANDLE])).resolves.toMatchObject({ values: [7] });
+  });
+
+  it('rebuilds SDK errors with their class, code and details', async () => {
+    const error = await client.instance.getCleartext(UNKNOWN_HANDLE).catch((caught: Error) => caught);
+
+    expect(error).toBeInstanceOf(DecryptionError);
+    expect(error).toMatchObject({
+      name: 'DecryptionError',
+      code: 'INVALID_HANDLE',
+      details: { handle: UNKNOWN_HANDLE },
+      message: `Decryption failed: Unknown handle: ${UNKNOWN_HANDLE}`
+    });
+  });
+
+  it('rebuilds other errors with their message', async () => {
+    const error = await client.instance.createEIP712('00', 'not-an-address').catch((caught: Error) => caught);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).not.toBeInstanceOf(DecryptionError);
+    expect(error.message).toBe('Invalid contract address.');
+  });
+
+  it('reports the progress of each call', async () => {
+    const events: FhevmProgressEvent[] = [];
+    client.onProgress((event) => events.push(event));
+
+    await encryptUint32(client, 1, { userAddress: wallet.address });
+    await client.instance.getCleartext(UNKNOWN_HANDLE).catch(() => {});
+
+    expect(events.map(({ operation, method, stage }) => [operation, method, stage])).toEqual([
+      ['encrypt', 'createEncryptedInput', 'queued'],
+      ['encrypt', 'createEncryptedInput', 'running'],
+      ['encrypt', 'createEncryptedInput', 'done'],
+      ['publicDecrypt', 'getCleartext', 'queued'],
+      ['publicDecrypt', 'getCleartext', 'running'],
+      ['publicDecrypt', 'getCleartext', 'failed']
+    ]);
+    expect(new Set(events.map(({ id }) => id)).size).toBe(2);
+  });
+
+  it('rejects pending and later calls once disposed', async () => {
+    // The worker stops answering
+    stopServing();
+    const pending = client.instance.getCleartext(UNKNOWN_HANDLE);
+    const instance = client.instance;
+    client.dispose();
+
+    await expect(pending).rejects.toBeInstanceOf(ClientNotInitializedError);
+    await expect(instance.getCleartext(UNKNOWN_HANDLE)).rejects.toBeInstanceOf(ClientNotInitializedError);
+  });
+});